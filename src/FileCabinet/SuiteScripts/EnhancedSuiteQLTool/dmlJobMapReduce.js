@@ -0,0 +1,177 @@
+/**
+* @NApiVersion 2.1
+* @NScriptType MapReduceScript
+* @NModuleScope Public
+*/
+
+/*
+
+------------------------------------------------------------------------------------------
+Script Information
+------------------------------------------------------------------------------------------
+
+Name:
+Enhanced SuiteQL Query Tool - DML Job
+
+ID:
+_sqrt_dml_job_mr
+
+Description
+Applies a committed UPDATE or DELETE statement that matched more records
+than the Suitelet can change within its governance limits.
+
+- getInputData: loads the job status file and splits the record IDs into chunks.
+- map: updates or deletes the records of one chunk.
+- summarize: writes the per-record result file and marks the job complete or failed.
+
+*/
+
+define([
+    './lib/core/constants',
+    './lib/core/modules',
+    './lib/data/jobFiles',
+    './lib/data/queryJobs',
+    './lib/features/dml/dmlJobs'
+], function(constants, nsModules, jobFiles, queryJobs, dmlJobs) {
+
+    /**
+     * Get the job status file ID passed in by the Suitelet
+     *
+     * @returns {string} - The status file ID
+     */
+    function getJobFileId() {
+        return nsModules.runtime.getCurrentScript().getParameter({
+            name: constants.CONFIG.DML_JOBS.JOB_FILE_PARAMETER
+        });
+    }
+
+    /**
+     * Emit one entry per chunk of record IDs
+     *
+     * @returns {Array} - Chunks of record IDs
+     */
+    function getInputData() {
+        var job = jobFiles.loadJob(getJobFileId());
+        var chunks = dmlJobs.chunkRecordIds(job);
+
+        job.status = constants.CONFIG.QUERY_JOBS.STATUS.RUNNING;
+        job.pageCount = chunks.length;
+        jobFiles.saveJob(job);
+
+        nsModules.logger.audit('DML job started', { jobId: job.jobId, dmlType: job.dmlType, records: job.recordIds.length, chunks: chunks.length });
+
+        return chunks;
+    }
+
+    /**
+     * Update or delete the records of a single chunk
+     *
+     * @param {Object} context - The map context
+     * @returns {void}
+     */
+    function map(context) {
+        var job = jobFiles.loadJob(getJobFileId());
+        var recordIds = JSON.parse(context.value);
+
+        var results = recordIds.map(function(recordId) {
+            return dmlJobs.processRecord(job, recordId);
+        });
+
+        // Zero-pad the key so chunks sort in order during summarize
+        context.write({
+            key: ('000000' + context.key).slice(-6),
+            value: JSON.stringify(results)
+        });
+    }
+
+    /**
+     * Write the result file and record the final job status
+     *
+     * @param {Object} summary - The summary context
+     * @returns {void}
+     */
+    function summarize(summary) {
+        var job = jobFiles.loadJob(getJobFileId());
+        var chunks = dmlJobs.chunkRecordIds(job);
+        var pages = [];
+
+        if (summary.inputSummary.error) {
+            job.status = constants.CONFIG.QUERY_JOBS.STATUS.FAILED;
+            job.error = readError(summary.inputSummary.error);
+            job.completedDate = new Date().toISOString();
+            jobFiles.saveJob(job);
+
+            nsModules.logger.error('DML job failed', { jobId: job.jobId, error: job.error });
+            return;
+        }
+
+        summary.output.iterator().each(function(key, value) {
+            pages.push({ key: key, records: JSON.parse(value) });
+            return true;
+        });
+
+        // A chunk that failed as a whole (for example on governance) reports each of its records
+        summary.mapSummary.errors.iterator().each(function(key, error) {
+            var message = readError(error);
+
+            pages.push({
+                key: ('000000' + key).slice(-6),
+                records: (chunks[parseInt(key, 10)] || []).map(function(recordId) {
+                    return { recordId: recordId, status: 'ERROR', error: message };
+                })
+            });
+            return true;
+        });
+
+        pages.sort(function(a, b) {
+            return a.key < b.key ? -1 : (a.key > b.key ? 1 : 0);
+        });
+
+        var rows = pages.map(function(page) {
+            return page.records;
+        });
+
+        job.successCount = 0;
+        job.errorCount = 0;
+        rows.forEach(function(page) {
+            page.forEach(function(row) {
+                if (row.status === 'SUCCESS') {
+                    job.successCount++;
+                } else {
+                    job.errorCount++;
+                }
+            });
+        });
+
+        // Record failures are reported in the result file rather than failing the job
+        job.resultFileId = queryJobs.writeResultFile(job, rows);
+        job.status = constants.CONFIG.QUERY_JOBS.STATUS.COMPLETE;
+
+        job.completedDate = new Date().toISOString();
+        jobFiles.saveJob(job);
+
+        nsModules.logger.audit('DML job complete', { jobId: job.jobId, succeeded: job.successCount, failed: job.errorCount, resultFileId: job.resultFileId });
+    }
+
+    /**
+     * Get the message of a Map/Reduce stage error
+     *
+     * @param {string} error - The serialized error
+     * @returns {string} - The error message
+     */
+    function readError(error) {
+        try {
+            return JSON.parse(error).message || error;
+        } catch (e) {
+            // Leave non-JSON errors as-is
+            return error;
+        }
+    }
+
+    return {
+        getInputData: getInputData,
+        map: map,
+        summarize: summarize
+    };
+
+});
@@ -29,6 +29,108 @@ define([], function() {
         ROWS_RETURNED_DEFAULT: 25,
         QUERY_FOLDER_ID: null,
         
+        // Pagination strategies
+        PAGINATION: {
+            STRATEGIES: {
+                ROWNUM: 'rownum',
+                PAGED: 'paged',
+                KEYSET: 'keyset'
+            },
+            DEFAULT_STRATEGY: 'rownum',
+            ROWNUM_BATCH_SIZE: 5000,
+            PAGED_MIN_PAGE_SIZE: 5,
+            PAGED_MAX_PAGE_SIZE: 1000,
+            KEYSET_MAX_PAGE_SIZE: 5000,
+            KEYSET_TIE_BREAKER_COLUMN: 'id'
+        },
+        
+        // Async query jobs (Map/Reduce)
+        QUERY_JOBS: {
+            SCRIPT_ID: 'customscript_sqrt_query_job_mr',
+            JOB_FILE_PARAMETER: 'custscript_sqrt_query_job_file',
+            FOLDER_PATH: 'SuiteScripts/EnhancedSuiteQLTool/jobs',
+            PAGE_SIZE: 1000,
+            POLL_INTERVAL_MS: 5000,
+            LIST_LIMIT: 20,
+            STATUS: {
+                PENDING: 'PENDING',
+                RUNNING: 'RUNNING',
+                COMPLETE: 'COMPLETE',
+                FAILED: 'FAILED'
+            }
+        },
+        
+        // Rollback journals of DML batches and committed UPDATE/DELETE statements
+        DML_JOURNAL: {
+            FOLDER_PATH: 'SuiteScripts/EnhancedSuiteQLTool/journals'
+        },
+        
+        // Large UPDATE/DELETE statements run by the DML job Map/Reduce script.
+        // Jobs share the query job folder, statuses and monitor. A journaled
+        // statement may change at most ROW_THRESHOLD records, and no more than
+        // the remaining usage less USAGE_RESERVE allows at ROW_USAGE units each
+        // (a transaction delete costs 20). Larger statements are refused unless
+        // they end with COMMIT AS JOB; jobs are not journaled.
+        DML_JOBS: {
+            ENABLED: true,
+            ROW_THRESHOLD: 40,
+            ROW_USAGE: 20,
+            USAGE_RESERVE: 200,
+            CHUNK_SIZE: 25,
+            SCRIPT_ID: 'customscript_sqrt_dml_job_mr',
+            JOB_FILE_PARAMETER: 'custscript_sqrt_dml_job_file'
+        },
+        
+        // Capabilities synthetic functions and stored procedures may use, by role.
+        // Roles are keyed by internal ID or script ID; others get DEFAULT_CAPABILITIES.
+        SYNTHETIC_PERMISSIONS: {
+            DEFAULT_CAPABILITIES: ['read'],
+            ROLE_CAPABILITIES: {
+                '3': ['read', 'dml', 'file-write']
+            }
+        },
+        
+        // Server-side result cache (N/cache) for repeated SuiteQL queries
+        RESULT_CACHE: {
+            ENABLED: false,
+            NAME: 'ESQRT_RESULT_CACHE',
+            TTL_SECONDS: 900,
+            MAX_VALUE_LENGTH: 490000
+        },
+        
+        // Saved search to SuiteQL conversion
+        SAVED_SEARCHES: {
+            ENABLED: true,
+            LIST_LIMIT: 1000
+        },
+        
+        // Query cancellation and client timeout
+        QUERY_CANCELLATION: {
+            CLIENT_TIMEOUT_SECONDS: 300,
+            CACHE_NAME: 'ESQRT_QUERY_CANCEL',
+            FLAG_TTL_SECONDS: 600
+        },
+        
+        // Virtual views (#viewname files in QUERY_FOLDER_ID)
+        VIRTUAL_VIEWS: {
+            MAX_DEPTH: 10,
+            CACHE_NAME: 'ESQRT_VIEW_DEFINITIONS',
+            CACHE_TTL_SECONDS: 3600,
+            LIST_GOVERNANCE_RESERVE: 200
+        },
+        
+        // Multi-statement scripts
+        SCRIPT_RUNNER: {
+            MAX_STATEMENTS: 50,
+            STOP_ON_ERROR_DEFAULT: true
+        },
+        
+        // Change log of journaled UPDATE/DELETE statements and batches
+        CHANGE_LOG: {
+            ENABLED: true,
+            LIST_LIMIT: 25
+        },
+        
         // Version information
         VERSION: 'v1.2.0',
         
@@ -78,7 +180,7 @@ define([], function() {
         SQL_KEYWORDS: [
             'SELECT', 'FROM', 'WHERE', 'ORDER BY', 'GROUP BY', 'HAVING', 'JOIN',
             'INNER JOIN', 'LEFT JOIN', 'RIGHT JOIN', 'FULL JOIN', 'UNION', 'UNION ALL',
-            'INSERT', 'UPDATE', 'DELETE', 'CREATE', 'ALTER', 'DROP', 'INDEX',
+            'INSERT', 'UPDATE', 'DELETE', 'UPSERT', 'MERGE', 'MATCHED', 'CREATE', 'ALTER', 'DROP', 'MODIFY', 'FORCE', 'INDEX',
             'AND', 'OR', 'NOT', 'IN', 'EXISTS', 'BETWEEN', 'LIKE', 'IS NULL', 'IS NOT NULL',
             'COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'DISTINCT', 'TOP', 'LIMIT',
             'ASC', 'DESC', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END',
@@ -86,7 +188,7 @@ define([], function() {
             'BUILTIN.DF', 'TO_CHAR', 'TO_DATE', 'SUBSTR', 'LENGTH', 'UPPER', 'LOWER',
             'COALESCE', 'NULLIF', 'CAST', 'CONVERT', 'COMMIT',
             // Stored procedure and function keywords
-            'FUNCTION', 'PROCEDURE', 'REPLACE', 'CALL', 'RETURNS', 'RETURN',
+            'FUNCTION', 'PROCEDURE', 'REPLACE', 'CALL', 'RETURNS', 'RETURN', 'RUN', 'TESTS',
             'BEGIN', 'END', 'DECLARE', 'SET', 'IF', 'WHILE', 'FOR', 'LOOP',
             // Boolean and null values
             'TRUE', 'FALSE', 'NULL'
@@ -133,8 +235,23 @@ define([], function() {
         INVALID_ROW_END: 'Enter an integer for the ending row.',
         PARSE_RESPONSE_ERROR: 'Unable to parse the response.',
         UNRESOLVED_VIEW: 'Unresolved View',
+        CIRCULAR_VIEW: 'Circular view reference:',
+        VIEW_DEPTH_EXCEEDED: 'Views are nested deeper than the maximum allowed:',
+        INVALID_VIEW_ARGUMENTS: 'Invalid view arguments for',
+        MISSING_VIEW_ARGUMENT: 'Missing view argument for',
+        VIEW_PARAMETER_MISMATCH: 'The declared @param count does not match the ? placeholders in',
         NO_SQL_FILES: 'No SQL Files',
-        NO_WORKBOOKS: 'No Workbooks'
+        NO_WORKBOOKS: 'No Workbooks',
+        NO_SAVED_SEARCHES: 'No Saved Searches',
+        INVALID_PAGE_TOKEN: 'The page token is invalid or does not match this query.',
+        INVALID_KEY_COLUMN: 'Keyset pagination requires a valid key column name.',
+        UNSUPPORTED_PAGINATION_STRATEGY: 'Unsupported pagination strategy:',
+        QUERY_JOB_NOT_FOUND: 'Query job not found:',
+        QUERY_JOB_UNSUPPORTED: 'Query jobs only support SuiteQL SELECT statements.',
+        QUERY_CANCELLED: 'The query was cancelled.',
+        QUERY_TIMED_OUT: 'The query timed out after',
+        STATEMENT_CANCELLED: 'Stopped waiting for the response. The server may still finish this statement; check the data before running it again.',
+        SCRIPT_TOO_MANY_STATEMENTS: 'The script contains more statements than the maximum allowed:'
     };
     
     /**
@@ -186,6 +303,7 @@ FROM
         ZOOM_LEVEL: 'zoomLevel',
         FILE_INFO: 'fileInfo',
         QUERY_HISTORY_LIST: 'query-history-list',
+        CHANGE_LOG_LIST: 'changeLogList',
         CONTROLS_PANEL: 'controlsPanel',
         CONTROLS_CONTENT: 'controlsContent',
         COPY_CLIPBOARD_BTN: 'copyToClipboardBtn',
@@ -200,6 +318,15 @@ FROM
         HIDE_ROW_NUMBERS: 'hideRowNumbers',
         RETURN_TOTALS: 'returnTotals',
         ENABLE_VIEWS: 'enableViews',
+        PAGINATION_STRATEGY: 'paginationStrategy',
+        KEY_COLUMN: 'keyColumn',
+        KEY_COLUMN_DIV: 'keyColumnDiv',
+        NEXT_PAGE_BTN: 'nextPageBtn',
+        STOP_ON_ERROR: 'stopOnError',
+        BYPASS_CACHE: 'bypassCache',
+        CANCEL_QUERY_BTN: 'cancelQueryBtn',
+        QUERY_TIMEOUT: 'queryTimeout',
+        EXECUTION_DETAILS: 'executionDetails',
         NULL_FORMAT_DIV: 'nullFormatDiv',
         TEMPLATE: 'template'
     };
@@ -212,6 +339,7 @@ FROM
         REMOTE_LOAD: 'remoteLoadModal',
         SAVE: 'saveModal',
         WORKBOOKS: 'workbooksModal',
+        SAVED_SEARCHES: 'savedSearchesModal',
         PARAMETERS: 'parametersModal'
     };
     
@@ -238,7 +366,18 @@ FROM
         QUERY_HISTORY_LIST: 'queryHistoryList',
         QUERY_HISTORY_DELETE: 'queryHistoryDelete',
         QUERY_HISTORY_CLEAR: 'queryHistoryClear',
-        QUERY_HISTORY_TEST: 'queryHistoryTest'
+        QUERY_HISTORY_TEST: 'queryHistoryTest',
+        QUERY_JOB_SUBMIT: 'queryJobSubmit',
+        QUERY_JOB_STATUS: 'queryJobStatus',
+        QUERY_JOBS_LIST: 'queryJobsList',
+        QUERY_ANALYZE: 'queryAnalyze',
+        SCRIPT_EXECUTE: 'scriptExecute',
+        QUERY_CANCEL: 'queryCancel',
+        VIEWS_LIST: 'viewsList',
+        SAVED_SEARCHES_GET: 'savedSearchesGet',
+        SAVED_SEARCH_CONVERT: 'savedSearchConvert',
+        CHANGE_LOG_GET: 'changeLogGet',
+        CHANGE_UNDO: 'changeUndo'
     };
     
     /**
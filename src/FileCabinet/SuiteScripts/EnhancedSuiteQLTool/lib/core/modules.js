@@ -14,6 +14,8 @@
  */
 
 define([
+    'N/cache', 
+    'N/encode', 
     'N/file', 
     'N/https', 
     'N/log', 
@@ -22,9 +24,13 @@ define([
     'N/record', 
     'N/render', 
     'N/runtime', 
+    'N/search', 
+    'N/task', 
     'N/ui/serverWidget', 
     'N/url'
 ], function(
+    cacheModule, 
+    encodeModule, 
     fileModule, 
     httpsModule, 
     logModule, 
@@ -33,6 +39,8 @@ define([
     recordModule, 
     renderModule, 
     runtimeModule, 
+    searchModule, 
+    taskModule, 
     serverWidgetModule, 
     urlModule
 ) {
@@ -44,6 +52,8 @@ define([
      * throughout the application.
      */
     var modules = {
+        cache: cacheModule,
+        encode: encodeModule,
         file: fileModule,
         https: httpsModule,
         log: logModule,
@@ -52,6 +62,8 @@ define([
         record: recordModule,
         render: renderModule,
         runtime: runtimeModule,
+        search: searchModule,
+        task: taskModule,
         serverWidget: serverWidgetModule,
         url: urlModule
     };
@@ -96,6 +108,14 @@ define([
          */
         getCurrentSession: function() {
             return modules.runtime.getCurrentSession();
+        },
+
+        /**
+         * Get the governance units remaining for the current script
+         * @returns {number} The remaining usage units
+         */
+        getRemainingUsage: function() {
+            return modules.runtime.getCurrentScript().getRemainingUsage();
         }
     };
     
@@ -181,6 +201,15 @@ define([
             return modules.query.runSuiteQL(options);
         },
         
+        /**
+         * Run a SuiteQL query using the native paged API
+         * @param {Object} options - Query options (query, params, pageSize)
+         * @returns {Object} The paged data object
+         */
+        runSuiteQLPaged: function(options) {
+            return modules.query.runSuiteQLPaged(options);
+        },
+        
         /**
          * Load a saved query
          * @param {Object} options - Load options
@@ -191,6 +220,115 @@ define([
         }
     };
     
+    /**
+     * Encoding Operations
+     * 
+     * Provides string encoding utilities
+     */
+    var encodeUtils = {
+        /**
+         * Encode a UTF-8 string as URL-safe base64
+         * @param {string} value - The string to encode
+         * @returns {string} The encoded string
+         */
+        toBase64: function(value) {
+            return modules.encode.convert({
+                string: value,
+                inputEncoding: modules.encode.Encoding.UTF_8,
+                outputEncoding: modules.encode.Encoding.BASE_64_URL_SAFE
+            });
+        },
+        
+        /**
+         * Decode a URL-safe base64 string to UTF-8
+         * @param {string} value - The string to decode
+         * @returns {string} The decoded string
+         */
+        fromBase64: function(value) {
+            return modules.encode.convert({
+                string: value,
+                inputEncoding: modules.encode.Encoding.BASE_64_URL_SAFE,
+                outputEncoding: modules.encode.Encoding.UTF_8
+            });
+        }
+    };
+    
+    /**
+     * Cache Operations
+     * 
+     * Provides access to named application caches
+     */
+    var cacheUtils = {
+        /**
+         * Get a named cache
+         * @param {string} name - The cache name
+         * @returns {Object} The cache object
+         */
+        getCache: function(name) {
+            return modules.cache.getCache({
+                name: name,
+                scope: modules.cache.Scope.PROTECTED
+            });
+        },
+        
+        /**
+         * Get a value from a named cache
+         * @param {string} name - The cache name
+         * @param {string} key - The cache key
+         * @returns {string|null} The cached value, or null if not cached
+         */
+        get: function(name, key) {
+            return this.getCache(name).get({ key: key });
+        },
+        
+        /**
+         * Put a value in a named cache
+         * @param {string} name - The cache name
+         * @param {string} key - The cache key
+         * @param {string} value - The value to cache
+         * @param {number} ttl - Time to live in seconds
+         * @returns {void}
+         */
+        put: function(name, key, value, ttl) {
+            this.getCache(name).put({ key: key, value: value, ttl: ttl });
+        },
+        
+        /**
+         * Remove a value from a named cache
+         * @param {string} name - The cache name
+         * @param {string} key - The cache key
+         * @returns {void}
+         */
+        remove: function(name, key) {
+            this.getCache(name).remove({ key: key });
+        }
+    };
+    
+    /**
+     * Search Operations
+     * 
+     * Provides access to saved searches
+     */
+    var searchUtils = {
+        /**
+         * Load a saved search
+         * @param {string} id - The saved search internal ID or script ID
+         * @returns {Object} The search object
+         */
+        load: function(id) {
+            return modules.search.load({ id: id });
+        },
+        
+        /**
+         * Create a search
+         * @param {Object} options - Search options (type, filters, columns)
+         * @returns {Object} The search object
+         */
+        create: function(options) {
+            return modules.search.create(options);
+        }
+    };
+    
     /**
      * Render Operations
      * 
@@ -214,6 +352,37 @@ define([
         }
     };
     
+    /**
+     * Task Operations
+     * 
+     * Provides utilities for submitting and tracking script tasks
+     */
+    var taskUtils = {
+        /**
+         * Submit a Map/Reduce script task
+         * @param {Object} options - Task options (scriptId, deploymentId, params)
+         * @returns {string} The task ID
+         */
+        submitMapReduce: function(options) {
+            var mapReduceTask = modules.task.create({
+                taskType: modules.task.TaskType.MAP_REDUCE,
+                scriptId: options.scriptId,
+                deploymentId: options.deploymentId,
+                params: options.params
+            });
+            return mapReduceTask.submit();
+        },
+        
+        /**
+         * Check the status of a submitted task
+         * @param {string} taskId - The task ID
+         * @returns {Object} The task status object
+         */
+        checkStatus: function(taskId) {
+            return modules.task.checkStatus({ taskId: taskId });
+        }
+    };
+    
     /**
      * Server Widget Operations
      * 
@@ -250,10 +419,16 @@ define([
         logger: logger,
         fileUtils: fileUtils,
         queryUtils: queryUtils,
+        encodeUtils: encodeUtils,
+        cacheUtils: cacheUtils,
+        searchUtils: searchUtils,
         renderUtils: renderUtils,
+        taskUtils: taskUtils,
         widgetUtils: widgetUtils,
         
         // Direct access to commonly used modules
+        cache: modules.cache,
+        encode: modules.encode,
         file: modules.file,
         https: modules.https,
         log: modules.log,
@@ -262,6 +437,8 @@ define([
         record: modules.record,
         render: modules.render,
         runtime: modules.runtime,
+        search: modules.search,
+        task: modules.task,
         serverWidget: modules.serverWidget,
         url: modules.url
     };
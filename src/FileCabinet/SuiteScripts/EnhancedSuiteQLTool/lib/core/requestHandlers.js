@@ -19,8 +19,14 @@ define([
     '../data/queryEngine',
     '../data/fileOperations',
     '../data/documentGeneration',
-    '../data/customRecordOperations'
-], function(constants, nsModules, queryEngine, fileOps, docGen, customRecordOps) {
+    '../data/customRecordOperations',
+    '../data/queryJobs',
+    '../data/queryAnalyzer',
+    '../data/scriptRunner',
+    '../data/virtualViews',
+    '../data/savedSearchConverter',
+    '../data/changeLog'
+], function(constants, nsModules, queryEngine, fileOps, docGen, customRecordOps, queryJobs, queryAnalyzer, scriptRunner, virtualViews, savedSearchConverter, changeLog) {
     
     /**
      * Handle GET requests
@@ -125,6 +131,39 @@ define([
             case constants.REQUEST_FUNCTIONS.QUERY_HISTORY_TEST:
                 return customRecordOps.queryHistoryTest(context, requestPayload);
 
+            case constants.REQUEST_FUNCTIONS.QUERY_JOB_SUBMIT:
+                return queryJobs.queryJobSubmit(context, requestPayload);
+
+            case constants.REQUEST_FUNCTIONS.QUERY_JOB_STATUS:
+                return queryJobs.queryJobStatus(context, requestPayload);
+
+            case constants.REQUEST_FUNCTIONS.QUERY_JOBS_LIST:
+                return queryJobs.queryJobsList(context);
+
+            case constants.REQUEST_FUNCTIONS.QUERY_ANALYZE:
+                return queryAnalyzer.queryAnalyze(context, requestPayload);
+
+            case constants.REQUEST_FUNCTIONS.SCRIPT_EXECUTE:
+                return scriptRunner.scriptExecute(context, requestPayload);
+
+            case constants.REQUEST_FUNCTIONS.QUERY_CANCEL:
+                return queryEngine.queryCancel(context, requestPayload);
+
+            case constants.REQUEST_FUNCTIONS.VIEWS_LIST:
+                return virtualViews.viewsList(context);
+
+            case constants.REQUEST_FUNCTIONS.SAVED_SEARCHES_GET:
+                return savedSearchConverter.savedSearchesGet(context, requestPayload);
+
+            case constants.REQUEST_FUNCTIONS.SAVED_SEARCH_CONVERT:
+                return savedSearchConverter.savedSearchConvert(context, requestPayload);
+
+            case constants.REQUEST_FUNCTIONS.CHANGE_LOG_GET:
+                return changeLog.changeLogGet(context);
+
+            case constants.REQUEST_FUNCTIONS.CHANGE_UNDO:
+                return changeLog.changeUndo(context, requestPayload);
+
             default:
                 nsModules.logger.error('Payload - Unsupported Function', requestPayload['function']);
                 context.response.write(JSON.stringify({
@@ -191,6 +230,69 @@ define([
                     };
                 }
                 break;
+                
+            case constants.REQUEST_FUNCTIONS.QUERY_JOB_SUBMIT:
+                if (!requestPayload.query) {
+                    return {
+                        isValid: false,
+                        message: 'Query is required for query job submission'
+                    };
+                }
+                break;
+                
+            case constants.REQUEST_FUNCTIONS.QUERY_JOB_STATUS:
+                if (!requestPayload.jobId) {
+                    return {
+                        isValid: false,
+                        message: 'Job ID is required for query job status'
+                    };
+                }
+                break;
+                
+            case constants.REQUEST_FUNCTIONS.QUERY_ANALYZE:
+                if (!requestPayload.query) {
+                    return {
+                        isValid: false,
+                        message: 'Query is required for query analysis'
+                    };
+                }
+                break;
+                
+            case constants.REQUEST_FUNCTIONS.SCRIPT_EXECUTE:
+                if (!requestPayload.script) {
+                    return {
+                        isValid: false,
+                        message: 'Script is required for script execution'
+                    };
+                }
+                break;
+                
+            case constants.REQUEST_FUNCTIONS.QUERY_CANCEL:
+                if (!requestPayload.executionId) {
+                    return {
+                        isValid: false,
+                        message: 'Execution ID is required for query cancellation'
+                    };
+                }
+                break;
+                
+            case constants.REQUEST_FUNCTIONS.SAVED_SEARCH_CONVERT:
+                if (!requestPayload.searchId) {
+                    return {
+                        isValid: false,
+                        message: 'Search ID is required for saved search conversion'
+                    };
+                }
+                break;
+                
+            case constants.REQUEST_FUNCTIONS.CHANGE_UNDO:
+                if (!requestPayload.batchId) {
+                    return {
+                        isValid: false,
+                        message: 'Change ID is required for undo'
+                    };
+                }
+                break;
         }
         
         return {
@@ -0,0 +1,92 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ */
+
+/**
+ * Enhanced SuiteQL Query Tool - Change Log
+ *
+ * This module lists the current user's journals of committed UPDATE/DELETE
+ * statements and DML batches for the Change log sidebar section, and undoes
+ * a change by restoring the values it journaled.
+ *
+ * @author Matt Owen - Web Solutions Group, LLC
+ * @version 2025.1
+ */
+
+define([
+    '../core/constants',
+    '../core/modules',
+    '../features/dml/dmlJournal',
+    '../features/dml/dmlBatch'
+], function(constants, nsModules, dmlJournal, dmlBatch) {
+
+    /**
+     * List the most recent journaled changes
+     *
+     * @param {Object} context - The request context
+     * @returns {void}
+     */
+    function changeLogGet(context) {
+        var responsePayload;
+
+        try {
+            responsePayload = {
+                'changes': dmlJournal.listJournals(constants.CONFIG.CHANGE_LOG.LIST_LIMIT)
+            };
+
+        } catch(e) {
+            nsModules.logger.error('changeLogGet Error', e);
+            responsePayload = { 'error': e };
+        }
+
+        context.response.write(JSON.stringify(responsePayload, null, 5));
+    }
+
+    /**
+     * Undo a journaled change
+     *
+     * With preview set, only the SQL preview of the undo is returned so it
+     * can be confirmed before anything is written.
+     *
+     * @param {Object} context - The request context
+     * @param {Object} requestPayload - The request payload ({ batchId, preview })
+     * @returns {void}
+     */
+    function changeUndo(context, requestPayload) {
+        var responsePayload;
+
+        try {
+            if (requestPayload.preview) {
+                var journal = dmlJournal.loadJournal(requestPayload.batchId);
+
+                responsePayload = {
+                    'batchId': journal.batchId,
+                    'status': journal.status,
+                    'undoPreview': dmlJournal.getUndoPreview(journal)
+                };
+            } else {
+                var undoResult = dmlBatch.undoChange(requestPayload.batchId);
+
+                responsePayload = undoResult.success ?
+                    { 'message': undoResult.message, 'result': undoResult.result } :
+                    { 'error': undoResult.error };
+            }
+
+        } catch(e) {
+            nsModules.logger.error('changeUndo Error', e);
+            responsePayload = { 'error': e };
+        }
+
+        context.response.write(JSON.stringify(responsePayload, null, 5));
+    }
+
+    /**
+     * Export the change log functions
+     */
+    return {
+        changeLogGet: changeLogGet,
+        changeUndo: changeUndo
+    };
+
+});
@@ -15,8 +15,9 @@
 
 define([
     '../core/constants',
-    '../core/modules'
-], function(constants, nsModules) {
+    '../core/modules',
+    './queryEngine'
+], function(constants, nsModules, queryEngine) {
     
     /**
      * Generate a document (PDF or HTML) from query results
@@ -29,32 +30,13 @@ define([
             var sessionScope = nsModules.runtime.getCurrentSession();
             var docInfo = JSON.parse(sessionScope.get({ name: 'suiteQLDocumentInfo' }));
             
-            var moreRecords = true;
-            var paginatedRowBegin = docInfo.rowBegin;
-            var paginatedRowEnd = docInfo.rowEnd;
             var queryParams = new Array();
-            var records = new Array();
             
             // Fetch all records for the document
-            do {
-                var paginatedSQL = 'SELECT * FROM ( SELECT ROWNUM AS ROWNUMBER, * FROM (' + 
-                                 docInfo.query + ' ) ) WHERE ( ROWNUMBER BETWEEN ' + 
-                                 paginatedRowBegin + ' AND ' + paginatedRowEnd + ')';
-                
-                var queryResults = nsModules.queryUtils.runSuiteQL({ 
-                    query: paginatedSQL, 
-                    params: queryParams 
-                }).asMappedResults();
-                
-                records = records.concat(queryResults);
-                
-                if (queryResults.length < 5000) { 
-                    moreRecords = false; 
-                }
-                
-                paginatedRowBegin = paginatedRowBegin + 5000;
-                
-            } while (moreRecords);
+            var records = queryEngine.executePaginatedQuery(docInfo.query, queryParams, docInfo.rowBegin, docInfo.rowEnd, {
+                strategy: docInfo.paginationStrategy,
+                keyColumn: docInfo.keyColumn
+            });
             
             var recordsDataSource = { 'records': records };
             var renderer = nsModules.renderUtils.create();
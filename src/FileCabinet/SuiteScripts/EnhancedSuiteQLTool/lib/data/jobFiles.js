@@ -0,0 +1,156 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ */
+
+/**
+ * Enhanced SuiteQL Query Tool - Job Files
+ *
+ * This module handles the JSON status files of background jobs. Query
+ * jobs (see queryJobs) and DML jobs (see dmlJobs) share the jobs folder,
+ * so both load, save and submit their jobs through these functions. The
+ * Map/Reduce scripts write the status file; the Suitelet only writes it
+ * before submitting the job, and records the task ID in a separate file.
+ *
+ * @author Matt Owen - Web Solutions Group, LLC
+ * @version 2025.1
+ */
+
+define([
+    '../core/constants',
+    '../core/modules'
+], function(constants, nsModules) {
+
+    var jobsFolderId = null;
+
+    /**
+     * Load a job from its status file
+     *
+     * @param {number|string} jobFileId - The status file ID
+     * @returns {Object} - The job
+     */
+    function loadJob(jobFileId) {
+        var job = JSON.parse(nsModules.fileUtils.load(jobFileId).getContents());
+        job.jobFileId = jobFileId;
+        return job;
+    }
+
+    /**
+     * Save a job to its status file, replacing any previous version
+     *
+     * @param {Object} job - The job
+     * @returns {number} - The status file ID
+     */
+    function saveJob(job) {
+        var fileObj = nsModules.fileUtils.create({
+            name: job.jobId + '_status.json',
+            fileType: nsModules.fileUtils.getTypes().JSON,
+            contents: JSON.stringify(job, null, 2),
+            folder: getJobsFolderId(),
+            isOnline: false
+        });
+
+        return fileObj.save();
+    }
+
+    /**
+     * Record the task ID of a submitted job
+     *
+     * The Map/Reduce script may already be writing the status file, so the
+     * task ID goes in a file of its own (<jobId>_task.json) that only the
+     * Suitelet writes, rather than in the status file.
+     *
+     * @param {Object} job - The job
+     * @param {string} taskId - The Map/Reduce task ID
+     * @returns {Object} - The job, with its taskId set
+     */
+    function recordTaskId(job, taskId) {
+        nsModules.fileUtils.create({
+            name: job.jobId + '_task.json',
+            fileType: nsModules.fileUtils.getTypes().JSON,
+            contents: JSON.stringify({ jobId: job.jobId, taskId: taskId }),
+            folder: getJobsFolderId(),
+            isOnline: false
+        }).save();
+
+        job.taskId = taskId;
+
+        return job;
+    }
+
+    /**
+     * Get the task ID of a job from its task file
+     *
+     * @param {Object} job - The job
+     * @returns {string|null} - The Map/Reduce task ID, or null if it has not been recorded yet
+     */
+    function loadTaskId(job) {
+        if (job.taskId) {
+            return job.taskId;
+        }
+
+        try {
+            var taskFile = nsModules.fileUtils.load(constants.CONFIG.QUERY_JOBS.FOLDER_PATH + '/' + job.jobId + '_task.json');
+            job.taskId = JSON.parse(taskFile.getContents()).taskId;
+        } catch (e) {
+            job.taskId = null;
+        }
+
+        return job.taskId;
+    }
+
+    /**
+     * Get the jobs folder ID, creating the folder path if needed
+     *
+     * @returns {number} - The folder ID
+     */
+    function getJobsFolderId() {
+        if (jobsFolderId !== null) {
+            return jobsFolderId;
+        }
+
+        var pathParts = constants.CONFIG.QUERY_JOBS.FOLDER_PATH.split('/');
+        var currentFolderId = null;
+
+        for (var i = 0; i < pathParts.length; i++) {
+            var folderName = pathParts[i];
+            if (!folderName) continue;
+
+            var sql = currentFolderId ?
+                'SELECT id FROM mediaitemfolder WHERE name = ? AND parent = ?' :
+                'SELECT id FROM mediaitemfolder WHERE name = ? AND parent IS NULL';
+
+            var folders = nsModules.queryUtils.runSuiteQL({
+                query: sql,
+                params: currentFolderId ? [folderName, currentFolderId] : [folderName]
+            }).asMappedResults();
+
+            if (folders.length > 0) {
+                currentFolderId = folders[0].id;
+            } else {
+                var folderRecord = nsModules.record.create({ type: nsModules.record.Type.FOLDER });
+                folderRecord.setValue({ fieldId: 'name', value: folderName });
+                if (currentFolderId) {
+                    folderRecord.setValue({ fieldId: 'parent', value: currentFolderId });
+                }
+                currentFolderId = folderRecord.save();
+            }
+        }
+
+        jobsFolderId = currentFolderId;
+
+        return jobsFolderId;
+    }
+
+    /**
+     * Export the job file functions
+     */
+    return {
+        loadJob: loadJob,
+        saveJob: saveJob,
+        recordTaskId: recordTaskId,
+        loadTaskId: loadTaskId,
+        getJobsFolderId: getJobsFolderId
+    };
+
+});
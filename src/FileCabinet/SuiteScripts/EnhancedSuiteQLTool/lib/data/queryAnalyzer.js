@@ -0,0 +1,694 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ */
+
+/**
+ * Enhanced SuiteQL Query Tool - Query Analyzer
+ *
+ * This module provides an EXPLAIN-style breakdown of a query
+ * without executing it: tables, joins, filters, BUILTIN functions,
+ * synthetic function calls and virtual views, plus warnings for
+ * common mistakes such as unfiltered Transaction scans,
+ * Cartesian joins and ROWNUM misuse.
+ *
+ * @author Matt Owen - Web Solutions Group, LLC
+ * @version 2025.1
+ */
+
+define([
+    '../core/constants',
+    '../core/modules',
+    './queryEngine',
+    '../features/synthetic/queryParser',
+    '../features/synthetic/syntheticFunctions',
+    '../features/dml/dmlProcessor',
+    './virtualViews'
+], function(constants, nsModules, queryEngine, queryParser, syntheticFunctions, dmlProcessor, virtualViews) {
+
+    /**
+     * Tables that should never be scanned without a WHERE clause
+     */
+    var LARGE_TABLES = ['transaction', 'transactionline', 'transactionaccountingline', 'systemnote'];
+
+    /**
+     * Analyze a query and write the breakdown to the response
+     *
+     * @param {Object} context - The request context
+     * @param {Object} requestPayload - The request payload containing query and viewsEnabled
+     * @returns {void} - Writes response to context
+     */
+    function queryAnalyze(context, requestPayload) {
+        var responsePayload;
+
+        try {
+            responsePayload = {
+                'analysis': analyzeQuery(requestPayload.query, {
+                    viewsEnabled: requestPayload.viewsEnabled
+                })
+            };
+        } catch(e) {
+            nsModules.logger.error('queryAnalyze Error', e);
+            responsePayload = { 'error': e };
+        }
+
+        context.response.write(JSON.stringify(responsePayload, null, 5));
+    }
+
+    /**
+     * Analyze a query without executing it
+     *
+     * @param {string} sql - The SQL query
+     * @param {Object} [options] - Analysis options
+     * @param {boolean} [options.viewsEnabled] - Resolve virtual views before analysis
+     * @returns {Object} - Structured analysis with warnings
+     */
+    function analyzeQuery(sql, options) {
+        options = options || {};
+
+        var analysis = {
+            statementType: 'UNKNOWN',
+            resolvedQuery: (sql || '').trim(),
+            virtualViews: [],
+            commonTableExpressions: [],
+            columns: [],
+            tables: [],
+            filters: [],
+            groupBy: null,
+            having: null,
+            orderBy: null,
+            setOperations: [],
+            builtinFunctions: [],
+            syntheticFunctions: [],
+            storedProcedures: [],
+            usesRownum: false,
+            warnings: []
+        };
+
+        if (analysis.resolvedQuery === '') {
+            addWarning(analysis, 'error', constants.ERROR_MESSAGES.QUERY_EMPTY);
+            return analysis;
+        }
+
+        resolveViews(analysis, options);
+
+        var query = analysis.resolvedQuery.replace(/;\s*$/, '');
+        var masked = maskQuery(query);
+
+        // Statements handled by the synthetic and DML processors
+        if (dmlProcessor.isDMLQuery(query)) {
+            analysis.statementType = 'DML';
+            addWarning(analysis, 'info', 'DML statements run in PREVIEW mode unless they end with COMMIT.');
+            return analysis;
+        }
+
+        var syntheticAnalysis = queryParser.analyzeQuery(query);
+
+        if (/^\s*CREATE\s+OR\s+REPLACE\s+(FUNCTION|PROCEDURE)\b/i.test(masked)) {
+            analysis.statementType = 'CREATE';
+            return analysis;
+        }
+
+        if (/^\s*RUN\s+TESTS\b/i.test(masked)) {
+            analysis.statementType = 'RUN TESTS';
+            return analysis;
+        }
+
+        if (syntheticAnalysis.queryType === 'CALL') {
+            analysis.statementType = 'CALL';
+            analysis.storedProcedures = syntheticAnalysis.procedures.map(function(procedure) {
+                return procedure.name;
+            });
+            return analysis;
+        }
+
+        if (!/^\s*(SELECT|WITH)\b/i.test(masked)) {
+            addWarning(analysis, 'warning', 'Only SELECT statements can be analyzed in detail.');
+            return analysis;
+        }
+
+        analysis.statementType = 'SELECT';
+
+        analyzeSelect(analysis, query, masked);
+        analyzeFunctions(analysis, query, masked, syntheticAnalysis);
+        analyzeWarnings(analysis, masked);
+
+        return analysis;
+    }
+
+    /**
+     * Record virtual views and resolve them if enabled
+     *
+     * @param {Object} analysis - The analysis being built
+     * @param {Object} options - Analysis options
+     * @returns {void}
+     */
+    function resolveViews(analysis, options) {
+        try {
+            analysis.virtualViews = virtualViews.findViewReferences(analysis.resolvedQuery).map(function(reference) {
+                return { name: reference.name, arguments: reference.argumentText, resolved: false };
+            });
+        } catch (e) {
+            addWarning(analysis, 'error', e.message || String(e));
+            return;
+        }
+
+        if (analysis.virtualViews.length === 0) {
+            return;
+        }
+
+        if (!options.viewsEnabled || constants.CONFIG.QUERY_FOLDER_ID === null) {
+            addWarning(analysis, 'warning', 'The query references virtual views but virtual views are not enabled.');
+            return;
+        }
+
+        try {
+            analysis.resolvedQuery = queryEngine.processVirtualViews(analysis.resolvedQuery, constants.CONFIG.QUERY_FOLDER_ID);
+            analysis.virtualViews.forEach(function(view) {
+                view.resolved = true;
+            });
+        } catch (e) {
+            addWarning(analysis, 'error', e.message || String(e));
+        }
+    }
+
+    /**
+     * Break a SELECT statement into its clauses
+     *
+     * @param {Object} analysis - The analysis being built
+     * @param {string} query - The SQL query
+     * @param {string} masked - The query with literals and comments masked
+     * @returns {void}
+     */
+    function analyzeSelect(analysis, query, masked) {
+        var depths = getDepths(masked);
+        var selectIndex = findTopLevel(masked, depths, /\bSELECT\b/gi, 0, masked.length);
+
+        // Common table expressions precede the main SELECT
+        if (/^\s*WITH\b/i.test(masked)) {
+            var ctePattern = /(\w+)\s+AS\s*\(/gi;
+            var cteMatch;
+            while ((cteMatch = ctePattern.exec(masked)) !== null && cteMatch.index < selectIndex) {
+                if (depths[cteMatch.index] === 0) {
+                    analysis.commonTableExpressions.push(cteMatch[1]);
+                }
+            }
+        }
+
+        // Only the first branch of a UNION/MINUS/INTERSECT is broken down
+        var end = masked.length;
+        var setPattern = /\b(UNION\s+ALL|UNION|MINUS|INTERSECT|EXCEPT)\b/gi;
+        var setMatch;
+        while ((setMatch = setPattern.exec(masked)) !== null) {
+            if (setMatch.index > selectIndex && depths[setMatch.index] === 0) {
+                analysis.setOperations.push(setMatch[1].toUpperCase().replace(/\s+/g, ' '));
+                end = Math.min(end, setMatch.index);
+            }
+        }
+
+        var clauses = {
+            from: findTopLevel(masked, depths, /\bFROM\b/gi, selectIndex, end),
+            where: findTopLevel(masked, depths, /\bWHERE\b/gi, selectIndex, end),
+            groupBy: findTopLevel(masked, depths, /\bGROUP\s+BY\b/gi, selectIndex, end),
+            having: findTopLevel(masked, depths, /\bHAVING\b/gi, selectIndex, end),
+            orderBy: findTopLevel(masked, depths, /\bORDER\s+BY\b/gi, selectIndex, end)
+        };
+
+        var selectList = sliceClause(query, masked, clauses, selectIndex, 'SELECT', end);
+        analysis.columns = splitTopLevel(selectList.text, selectList.masked, /,/g).map(function(part) {
+            return part.text;
+        });
+
+        if (clauses.from !== -1) {
+            var fromClause = sliceClause(query, masked, clauses, clauses.from, 'FROM', end);
+            analysis.tables = parseFromClause(fromClause.text, fromClause.masked);
+        }
+
+        if (clauses.where !== -1) {
+            var whereClause = sliceClause(query, masked, clauses, clauses.where, 'WHERE', end);
+            analysis.filters = splitFilters(whereClause.text, whereClause.masked);
+        }
+
+        if (clauses.groupBy !== -1) {
+            analysis.groupBy = sliceClause(query, masked, clauses, clauses.groupBy, 'GROUP BY', end).text;
+        }
+
+        if (clauses.having !== -1) {
+            analysis.having = sliceClause(query, masked, clauses, clauses.having, 'HAVING', end).text;
+        }
+
+        if (clauses.orderBy !== -1) {
+            analysis.orderBy = sliceClause(query, masked, clauses, clauses.orderBy, 'ORDER BY', end).text;
+        }
+    }
+
+    /**
+     * Parse the FROM clause into tables and joins
+     *
+     * @param {string} text - The FROM clause text
+     * @param {string} masked - The masked FROM clause text
+     * @returns {Array} - Table entries with name, alias, join type and condition
+     */
+    function parseFromClause(text, masked) {
+        var joinPattern = /,|\b(?:NATURAL\s+)?(?:(INNER|CROSS|LEFT(?:\s+OUTER)?|RIGHT(?:\s+OUTER)?|FULL(?:\s+OUTER)?)\s+)?JOIN\b/gi;
+        var parts = splitTopLevel(text, masked, joinPattern);
+
+        return parts.map(function(part, index) {
+            var entry = {
+                name: null,
+                alias: null,
+                joinType: index === 0 ? 'FROM' : normalizeJoin(part.separator),
+                condition: null,
+                isSubquery: false
+            };
+            var depths = getDepths(part.masked);
+            var onIndex = findTopLevel(part.masked, depths, /\b(ON|USING)\b/gi, 0, part.masked.length);
+            var sourceText = onIndex === -1 ? part.text : part.text.substring(0, onIndex).trim();
+            var sourceMasked = onIndex === -1 ? part.masked : part.masked.substring(0, onIndex).trim();
+
+            if (onIndex !== -1) {
+                entry.condition = part.text.substring(onIndex).replace(/^(ON|USING)\s*/i, '').trim();
+            }
+
+            if (sourceMasked.charAt(0) === '(') {
+                var closeIndex = findClosingParen(sourceMasked, 0);
+                entry.isSubquery = true;
+                entry.name = '(subquery)';
+                entry.alias = parseAlias(sourceMasked.substring(closeIndex + 1));
+            } else {
+                var sourceMatch = sourceText.match(/^([\w.$]+)\s*(.*)$/);
+                if (sourceMatch) {
+                    entry.name = sourceMatch[1];
+                    entry.alias = parseAlias(sourceMatch[2]);
+                } else {
+                    entry.name = sourceText;
+                }
+            }
+
+            return entry;
+        });
+    }
+
+    /**
+     * Split a WHERE clause into its top-level conditions
+     *
+     * @param {string} text - The WHERE clause text
+     * @param {string} masked - The masked WHERE clause text
+     * @returns {Array} - Conditions with their connecting operator
+     */
+    function splitFilters(text, masked) {
+        var parts = splitTopLevel(text, masked, /\b(AND|OR)\b/gi);
+        var filters = [];
+
+        parts.forEach(function(part) {
+            var previous = filters[filters.length - 1];
+
+            // Re-join the AND that belongs to BETWEEN x AND y
+            if (previous && /^AND$/i.test(part.separator) && /\bBETWEEN\b/i.test(previous.masked) && !previous.betweenClosed) {
+                previous.condition += ' AND ' + part.text;
+                previous.masked += ' AND ' + part.masked;
+                previous.betweenClosed = true;
+                return;
+            }
+
+            filters.push({
+                connector: part.separator ? part.separator.toUpperCase() : null,
+                condition: part.text,
+                masked: part.masked,
+                betweenClosed: false
+            });
+        });
+
+        return filters.map(function(filter) {
+            return { connector: filter.connector, condition: filter.condition };
+        });
+    }
+
+    /**
+     * Record BUILTIN and synthetic function usage
+     *
+     * @param {Object} analysis - The analysis being built
+     * @param {string} query - The SQL query
+     * @param {string} masked - The masked query
+     * @param {Object} syntheticAnalysis - Result of queryParser.analyzeQuery
+     * @returns {void}
+     */
+    function analyzeFunctions(analysis, query, masked, syntheticAnalysis) {
+        var builtinPattern = /\bBUILTIN\.(\w+)\s*\(/gi;
+        var builtinMatch;
+        var builtins = {};
+
+        while ((builtinMatch = builtinPattern.exec(masked)) !== null) {
+            var builtinName = 'BUILTIN.' + builtinMatch[1].toUpperCase();
+            builtins[builtinName] = (builtins[builtinName] || 0) + 1;
+        }
+
+        analysis.builtinFunctions = Object.keys(builtins).map(function(name) {
+            return { name: name, count: builtins[name] };
+        });
+
+        if (!syntheticAnalysis.hasSyntheticFunctions) {
+            return;
+        }
+
+        var registry = syntheticFunctions.buildFunctionRegistry();
+        var registeredNames = Object.keys(registry.functions).map(function(name) {
+            return name.toLowerCase();
+        });
+        var whereIndex = findTopLevel(masked, getDepths(masked), /\bWHERE\b/gi, 0, masked.length);
+
+        // Qualified calls such as BUILTIN.DF() and CTE bodies are not synthetic function calls
+        var calls = syntheticAnalysis.functions.filter(function(call) {
+            return masked.charAt(call.startIndex - 1) !== '.' && call.name.toUpperCase() !== 'AS';
+        });
+
+        analysis.syntheticFunctions = calls.map(function(call) {
+            var isRegistered = registeredNames.indexOf(call.name.toLowerCase()) !== -1;
+            var inWhere = whereIndex !== -1 && call.startIndex > whereIndex;
+
+            if (!isRegistered) {
+                addWarning(analysis, 'warning', 'Function "' + call.name + '" is not a SuiteQL built-in or a registered synthetic function.');
+            }
+
+            if (inWhere) {
+                addWarning(analysis, 'warning', 'Synthetic function "' + call.name + '" in the WHERE clause is not applied as a filter.');
+            }
+
+            return {
+                name: call.name,
+                call: call.fullMatch,
+                registered: isRegistered,
+                inWhereClause: inWhere
+            };
+        });
+    }
+
+    /**
+     * Add warnings for common query problems
+     *
+     * @param {Object} analysis - The analysis being built
+     * @param {string} masked - The masked query
+     * @returns {void}
+     */
+    function analyzeWarnings(analysis, masked) {
+        var hasWhere = analysis.filters.length > 0;
+
+        // Unfiltered scans of very large tables
+        analysis.tables.forEach(function(table) {
+            if (table.name && LARGE_TABLES.indexOf(table.name.toLowerCase()) !== -1 && !hasWhere) {
+                addWarning(analysis, 'warning', 'No WHERE clause on ' + table.name + ': this scans every row in the account. Add a date or type filter.');
+            }
+        });
+
+        // Cartesian joins
+        analysis.tables.forEach(function(table, index) {
+            if (index === 0) {
+                return;
+            }
+
+            var label = table.alias || table.name;
+
+            if (table.joinType === 'CROSS JOIN') {
+                addWarning(analysis, 'warning', 'CROSS JOIN on ' + label + ' produces a Cartesian product.');
+            } else if (table.joinType === 'COMMA') {
+                if (!isJoinedInFilters(analysis, table, index)) {
+                    addWarning(analysis, 'warning', 'Possible Cartesian join: ' + label + ' is listed in FROM without a join condition in WHERE.');
+                }
+            } else if (!table.condition && table.joinType.indexOf('NATURAL') === -1) {
+                addWarning(analysis, 'warning', table.joinType + ' on ' + label + ' has no ON condition.');
+            }
+        });
+
+        // ROWNUM misuse
+        var rownumPattern = /\bROWNUM\b\s*(>=|<=|<>|!=|>|<|=)\s*(\d+)/gi;
+        var rownumMatch;
+
+        analysis.usesRownum = /\bROWNUM\b/i.test(masked);
+
+        while ((rownumMatch = rownumPattern.exec(masked)) !== null) {
+            var operator = rownumMatch[1];
+            var value = parseInt(rownumMatch[2], 10);
+
+            if ((operator === '>' && value >= 1) || (operator === '>=' && value > 1) || (operator === '=' && value > 1)) {
+                addWarning(analysis, 'warning', 'ROWNUM ' + operator + ' ' + value + ' never matches any rows because ROWNUM is assigned as rows are returned. Wrap the query and filter on an aliased ROWNUM instead.');
+            }
+        }
+
+        var whereRownum = analysis.filters.some(function(filter) {
+            return /\bROWNUM\b/i.test(filter.condition);
+        });
+
+        if (whereRownum && analysis.orderBy) {
+            addWarning(analysis, 'warning', 'ROWNUM is applied before ORDER BY at the same query level. Sort in a subquery and filter ROWNUM in the outer query to get the top rows.');
+        }
+    }
+
+    /**
+     * Check whether a comma-joined table is linked to an earlier table in WHERE
+     *
+     * @param {Object} analysis - The analysis being built
+     * @param {Object} table - The comma-joined table
+     * @param {number} index - The table's position in the FROM clause
+     * @returns {boolean} - True if a WHERE condition references both tables
+     */
+    function isJoinedInFilters(analysis, table, index) {
+        var label = (table.alias || table.name || '').toLowerCase();
+        var earlier = analysis.tables.slice(0, index).map(function(other) {
+            return (other.alias || other.name || '').toLowerCase();
+        });
+
+        return analysis.filters.some(function(filter) {
+            var condition = filter.condition.toLowerCase();
+            if (condition.indexOf(label + '.') === -1) {
+                return false;
+            }
+            return earlier.some(function(other) {
+                return other && condition.indexOf(other + '.') !== -1;
+            });
+        });
+    }
+
+    /**
+     * Add a warning to the analysis
+     *
+     * @param {Object} analysis - The analysis being built
+     * @param {string} level - 'error', 'warning' or 'info'
+     * @param {string} message - The warning message
+     * @returns {void}
+     */
+    function addWarning(analysis, level, message) {
+        analysis.warnings.push({ level: level, message: message });
+    }
+
+    /**
+     * Mask string literals and comments so structural scanning ignores them.
+     * The result has the same length as the input so indexes map back.
+     *
+     * @param {string} sql - The SQL query
+     * @returns {string} - The masked query
+     */
+    function maskQuery(sql) {
+        var result = '';
+        var i = 0;
+
+        while (i < sql.length) {
+            var char = sql[i];
+            var next = sql[i + 1];
+
+            if (char === '-' && next === '-') {
+                while (i < sql.length && sql[i] !== '\n') {
+                    result += ' ';
+                    i++;
+                }
+            } else if (char === '/' && next === '*') {
+                var commentEnd = sql.indexOf('*/', i + 2);
+                commentEnd = commentEnd === -1 ? sql.length : commentEnd + 2;
+                result += sql.substring(i, commentEnd).replace(/[^\n]/g, ' ');
+                i = commentEnd;
+            } else if (char === "'" || char === '"') {
+                result += char;
+                i++;
+                while (i < sql.length) {
+                    if (sql[i] === char && sql[i + 1] === char) {
+                        result += '__';
+                        i += 2;
+                    } else if (sql[i] === char) {
+                        result += char;
+                        i++;
+                        break;
+                    } else {
+                        result += sql[i] === '\n' ? '\n' : '_';
+                        i++;
+                    }
+                }
+            } else {
+                result += char;
+                i++;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Compute the parenthesis depth at each position of a masked query
+     *
+     * @param {string} masked - The masked query
+     * @returns {Array} - Depth per character
+     */
+    function getDepths(masked) {
+        var depths = new Array(masked.length);
+        var depth = 0;
+
+        for (var i = 0; i < masked.length; i++) {
+            if (masked[i] === ')') {
+                depth = Math.max(depth - 1, 0);
+            }
+            depths[i] = depth;
+            if (masked[i] === '(') {
+                depth++;
+            }
+        }
+
+        return depths;
+    }
+
+    /**
+     * Find the first match of a pattern at parenthesis depth 0
+     *
+     * @param {string} masked - The masked query
+     * @param {Array} depths - Depth per character
+     * @param {RegExp} pattern - Global pattern to search for
+     * @param {number} start - Search start index
+     * @param {number} end - Search end index
+     * @returns {number} - Match index or -1
+     */
+    function findTopLevel(masked, depths, pattern, start, end) {
+        var match;
+        pattern.lastIndex = start;
+
+        while ((match = pattern.exec(masked)) !== null && match.index < end) {
+            if (depths[match.index] === 0) {
+                return match.index;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Extract the text of a clause up to the next clause that follows it
+     *
+     * @param {string} query - The SQL query
+     * @param {string} masked - The masked query
+     * @param {Object} clauses - Clause start indexes
+     * @param {number} start - Clause start index
+     * @param {string} keyword - Clause keyword
+     * @param {number} end - End of the current SELECT
+     * @returns {Object} - Clause text and masked text
+     */
+    function sliceClause(query, masked, clauses, start, keyword, end) {
+        var clauseEnd = end;
+
+        Object.keys(clauses).forEach(function(name) {
+            if (clauses[name] > start && clauses[name] < clauseEnd) {
+                clauseEnd = clauses[name];
+            }
+        });
+
+        var keywordLength = masked.substring(start).match(new RegExp('^' + keyword.replace(' ', '\\s+'), 'i'))[0].length;
+
+        return {
+            text: query.substring(start + keywordLength, clauseEnd).trim(),
+            masked: masked.substring(start + keywordLength, clauseEnd).trim()
+        };
+    }
+
+    /**
+     * Split text on a separator pattern found at parenthesis depth 0
+     *
+     * @param {string} text - The original text
+     * @param {string} masked - The masked text (same length)
+     * @param {RegExp} pattern - Global separator pattern
+     * @returns {Array} - Parts with text, masked text and preceding separator
+     */
+    function splitTopLevel(text, masked, pattern) {
+        var depths = getDepths(masked);
+        var parts = [];
+        var lastIndex = 0;
+        var separator = null;
+        var match;
+
+        pattern.lastIndex = 0;
+
+        while ((match = pattern.exec(masked)) !== null) {
+            if (depths[match.index] !== 0) {
+                continue;
+            }
+            parts.push({ text: text.substring(lastIndex, match.index).trim(), masked: masked.substring(lastIndex, match.index).trim(), separator: separator });
+            separator = match[0];
+            lastIndex = match.index + match[0].length;
+        }
+
+        parts.push({ text: text.substring(lastIndex).trim(), masked: masked.substring(lastIndex).trim(), separator: separator });
+
+        return parts.filter(function(part) {
+            return part.text !== '';
+        });
+    }
+
+    /**
+     * Find the parenthesis that closes the one at the given index
+     *
+     * @param {string} masked - The masked text
+     * @param {number} openIndex - Index of the opening parenthesis
+     * @returns {number} - Index of the closing parenthesis
+     */
+    function findClosingParen(masked, openIndex) {
+        var depth = 0;
+
+        for (var i = openIndex; i < masked.length; i++) {
+            if (masked[i] === '(') depth++;
+            if (masked[i] === ')') depth--;
+            if (depth === 0) return i;
+        }
+
+        return masked.length - 1;
+    }
+
+    /**
+     * Parse a table alias from the text following a table source
+     *
+     * @param {string} text - Text after the table name or subquery
+     * @returns {string|null} - The alias
+     */
+    function parseAlias(text) {
+        var aliasMatch = (text || '').trim().match(/^(?:AS\s+)?(\w+)/i);
+        return aliasMatch ? aliasMatch[1] : null;
+    }
+
+    /**
+     * Normalize a join separator for display
+     *
+     * @param {string} separator - The matched separator
+     * @returns {string} - Join type
+     */
+    function normalizeJoin(separator) {
+        if (separator === ',') {
+            return 'COMMA';
+        }
+
+        var join = separator.toUpperCase().replace(/\s+/g, ' ').replace(' OUTER', '');
+        return join === 'JOIN' ? 'INNER JOIN' : join;
+    }
+
+    /**
+     * Export the query analyzer functions
+     */
+    return {
+        queryAnalyze: queryAnalyze,
+        analyzeQuery: analyzeQuery,
+        maskQuery: maskQuery
+    };
+
+});
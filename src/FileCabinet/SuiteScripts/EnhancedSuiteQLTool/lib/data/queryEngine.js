@@ -20,8 +20,9 @@ define([
     '../core/modules',
     '../netsuite/queryHistoryRecord',
     '../features/synthetic/syntheticProcessor',
-    '../features/dml/dmlProcessor'
-], function(constants, nsModules, queryHistoryRecord, syntheticProcessor, dmlProcessor) {
+    '../features/dml/dmlProcessor',
+    './virtualViews'
+], function(constants, nsModules, queryHistoryRecord, syntheticProcessor, dmlProcessor, virtualViews) {
     
     /**
      * Execute a SuiteQL query with all the enhanced features
@@ -32,6 +33,7 @@ define([
      */
     function queryExecute(context, requestPayload) {
         var beginTime = new Date().getTime(); // Define beginTime at the top for all error handlers
+        var telemetry = createExecutionTelemetry();
 
         try {
             var responsePayload;
@@ -50,7 +52,9 @@ define([
             
             // Handle virtual views if enabled
             if ((requestPayload.viewsEnabled) && (constants.CONFIG.QUERY_FOLDER_ID !== null)) {
+                var unresolvedSQL = nestedSQL;
                 nestedSQL = processVirtualViews(nestedSQL, constants.CONFIG.QUERY_FOLDER_ID);
+                telemetry.viewsExpanded = nestedSQL !== unresolvedSQL;
             }
 
             // Check for synthetic functions and stored procedures
@@ -64,6 +68,10 @@ define([
 
                     // Handle different types of synthetic results
                     let elapsedTime = syntheticResult.executionTime;
+                    telemetry.syntheticExpanded = true;
+                    if (syntheticResult.baseQuery) {
+                        recordPageFetch(telemetry, syntheticResult.baseQuery);
+                    }
 
                     if (syntheticResult.analysis && syntheticResult.analysis.queryType === 'CREATE') {
                         // CREATE statement result
@@ -97,6 +105,8 @@ define([
                         }
                     }
 
+                    responsePayload.telemetry = finishExecutionTelemetry(telemetry);
+
                     // Save query to history if enabled (skip CREATE statements)
                     if (constants.CONFIG.QUERY_HISTORY_ENABLED && !responsePayload.isCreateStatement) {
                         try {
@@ -107,7 +117,10 @@ define([
                                 recordCount: recordCount,
                                 success: true,
                                 resultFormat: 'table',
-                                sessionId: null
+                                sessionId: null,
+                                governanceUsed: responsePayload.telemetry.governanceUsed,
+                                pagesFetched: responsePayload.telemetry.pagesFetched,
+                                executionFlags: getTelemetryFlags(responsePayload.telemetry)
                             };
                             nsModules.logger.debug('Attempting to save synthetic query history', historyData);
                             var historyRecordId = queryHistoryRecord.addQueryToHistory(historyData);
@@ -133,7 +146,8 @@ define([
                     responsePayload = {
                         'error': 'Synthetic processing failed: ' + syntheticError.message,
                         'details': syntheticError.stack || syntheticError.toString(),
-                        'elapsedTime': 0
+                        'elapsedTime': 0,
+                        'telemetry': finishExecutionTelemetry(telemetry)
                     };
                     context.response.write(JSON.stringify(responsePayload, null, 2));
                     return;
@@ -171,7 +185,8 @@ define([
                         'result': dmlResult.result,
                         'elapsedTime': elapsedTime,
                         'dml': true,
-                        'dmlType': dmlResult.analysis ? dmlResult.analysis.dmlType : 'UNKNOWN'
+                        'dmlType': dmlResult.analysis ? dmlResult.analysis.dmlType : 'UNKNOWN',
+                        'telemetry': finishExecutionTelemetry(telemetry)
                     };
 
                     // Save query to history if enabled
@@ -199,7 +214,10 @@ define([
                                 recordCount: recordCount,
                                 success: true,
                                 resultFormat: 'table',  // Use 'table' format like synthetic operations
-                                sessionId: null
+                                sessionId: null,
+                                governanceUsed: responsePayload.telemetry.governanceUsed,
+                                pagesFetched: responsePayload.telemetry.pagesFetched,
+                                executionFlags: getTelemetryFlags(responsePayload.telemetry)
                             };
                             nsModules.logger.debug('Attempting to save DML query history', historyData);
                             var historyRecordId = queryHistoryRecord.addQueryToHistory(historyData);
@@ -231,6 +249,7 @@ define([
                 // If this looks like a DML query, show the error
                 if (isDMLQueryCheck) {
                     var dmlElapsedTime = (new Date().getTime() - beginTime);
+                    var dmlTelemetry = finishExecutionTelemetry(telemetry);
 
                     // Save failed DML query to history (matching regular query pattern)
                     if (constants.CONFIG.QUERY_HISTORY_ENABLED) {
@@ -242,7 +261,10 @@ define([
                                 success: false,
                                 errorMessage: dmlError.message || dmlError.toString(),
                                 resultFormat: 'table',  // Use 'table' format like synthetic operations
-                                sessionId: null
+                                sessionId: null,
+                                governanceUsed: dmlTelemetry.governanceUsed,
+                                pagesFetched: dmlTelemetry.pagesFetched,
+                                executionFlags: getTelemetryFlags(dmlTelemetry)
                             };
                             nsModules.logger.debug('Attempting to save failed DML query history', failedDmlHistoryData);
                             var failedDmlHistoryRecordId = queryHistoryRecord.addQueryToHistory(failedDmlHistoryData);
@@ -260,7 +282,8 @@ define([
                     responsePayload = {
                         'error': 'DML processing failed: ' + dmlError.message,
                         'details': dmlError.stack || dmlError.toString(),
-                        'elapsedTime': dmlElapsedTime
+                        'elapsedTime': dmlElapsedTime,
+                        'telemetry': dmlTelemetry
                     };
                     context.response.write(JSON.stringify(responsePayload, null, 2));
                     return;
@@ -278,35 +301,25 @@ define([
                 query: nestedSQL.substring(0, 100) + '...',
                 paginationEnabled: requestPayload.paginationEnabled
             });
-            if (requestPayload.paginationEnabled) {
-                records = executePaginatedQuery(nestedSQL, queryParams, paginatedRowBegin, paginatedRowEnd);
+            // Serve repeated queries from the result cache when enabled; bypassing refreshes the entry
+            var resultCacheKey = getResultCacheKey(nestedSQL, queryParams, requestPayload);
+            responsePayload = resultCacheKey && !requestPayload.bypassCache ? getCachedResult(resultCacheKey, nestedSQL, queryParams) : null;
+
+            if (responsePayload) {
+                responsePayload.elapsedTime = (new Date().getTime() - beginTime);
+                telemetry.fromCache = true;
             } else {
-                nsModules.logger.debug('nestedSQL', nestedSQL);
-                nsModules.logger.debug('queryParams before execution', queryParams);
-                try {
-                    records = nsModules.queryUtils.runSuiteQL({
-                        query: nestedSQL,
-                        params: queryParams
-                    }).asMappedResults();
-                    nsModules.logger.debug('records', records);
-                } catch (queryError) {
-                    nsModules.logger.error('Query execution error with parameters', queryError);
-                    throw queryError;
+                responsePayload = executeStandardQuery(nestedSQL, queryParams, requestPayload, beginTime, telemetry);
+                if (resultCacheKey) {
+                    putCachedResult(resultCacheKey, nestedSQL, queryParams, responsePayload);
                 }
             }
-            
-            let elapsedTime = (new Date().getTime() - beginTime);
-            responsePayload = { 'records': records, 'elapsedTime': elapsedTime };
-            
-            // Add total count if requested
-            if (requestPayload.returnTotals && records.length > 0) {
-                var countSQL = 'SELECT COUNT(*) AS TotalRecordCount FROM ( ' + nestedSQL + ' )';
-                var countResults = nsModules.queryUtils.runSuiteQL({
-                    query: countSQL,
-                    params: queryParams
-                }).asMappedResults();
-                responsePayload.totalRecordCount = countResults[0].totalrecordcount;
-            }
+
+            // Attached after caching so a cache hit reports its own (near-zero) cost
+            responsePayload.telemetry = finishExecutionTelemetry(telemetry);
+
+            records = responsePayload.records;
+            let elapsedTime = responsePayload.elapsedTime;
 
             // Persist query execution to history (success)
             try {
@@ -316,7 +329,10 @@ define([
                     recordCount: records ? records.length : 0,
                     success: true,
                     resultFormat: 'table',
-                    sessionId: null
+                    sessionId: null,
+                    governanceUsed: responsePayload.telemetry.governanceUsed,
+                    pagesFetched: responsePayload.telemetry.pagesFetched,
+                    executionFlags: getTelemetryFlags(responsePayload.telemetry)
                 };
                 nsModules.logger.debug('Attempting to save query history', historyData);
                 var historyRecordId = queryHistoryRecord.addQueryToHistory(historyData);
@@ -332,6 +348,7 @@ define([
 
         } catch(e) {
             nsModules.logger.error('queryExecute Error', e);
+            var failTelemetry = finishExecutionTelemetry(telemetry);
             // Persist failed execution to history
             try {
                 var failElapsed = (new Date().getTime() - (beginTime || new Date().getTime()));
@@ -341,7 +358,10 @@ define([
                     recordCount: 0,
                     success: false,
                     errorMessage: e && (e.message || e.toString()),
-                    resultFormat: 'table'
+                    resultFormat: 'table',
+                    governanceUsed: failTelemetry.governanceUsed,
+                    pagesFetched: failTelemetry.pagesFetched,
+                    executionFlags: getTelemetryFlags(failTelemetry)
                 };
                 nsModules.logger.debug('Attempting to save failed query history', failHistoryData);
                 var failHistoryRecordId = queryHistoryRecord.addQueryToHistory(failHistoryData);
@@ -354,49 +374,410 @@ define([
                     historyData: failHistoryData
                 });
             }
-            responsePayload = { 'error': e };
+            responsePayload = { 'error': e, 'telemetry': failTelemetry };
         }
 
         context.response.write(JSON.stringify(responsePayload, null, 5));
     }
-    
+
+    /**
+     * Execute a plain SuiteQL query with the requested pagination
+     *
+     * @param {string} nestedSQL - The SQL query (virtual views already resolved)
+     * @param {Array} queryParams - Query parameters
+     * @param {Object} requestPayload - The query request payload
+     * @param {number} beginTime - Request start time in milliseconds
+     * @param {Object} [telemetry] - Execution telemetry to record page fetches on
+     * @returns {Object} - Response payload with records and elapsedTime
+     */
+    function executeStandardQuery(nestedSQL, queryParams, requestPayload, beginTime, telemetry) {
+        var records = [];
+        var paginatedRowBegin = requestPayload.rowBegin;
+        var paginatedRowEnd = requestPayload.rowEnd;
+        var paginationStrategy = requestPayload.paginationStrategy || constants.CONFIG.PAGINATION.DEFAULT_STRATEGY;
+        var pageResult = null;
+        if (requestPayload.paginationEnabled && paginationStrategy !== constants.CONFIG.PAGINATION.STRATEGIES.ROWNUM) {
+            pageResult = executeQueryPage(nestedSQL, queryParams, {
+                strategy: paginationStrategy,
+                pageToken: requestPayload.pageToken,
+                keyColumn: requestPayload.keyColumn,
+                rowBegin: paginatedRowBegin,
+                rowEnd: paginatedRowEnd,
+                telemetry: telemetry
+            });
+            records = pageResult.records;
+        } else if (requestPayload.paginationEnabled) {
+            records = executePaginatedQuery(nestedSQL, queryParams, paginatedRowBegin, paginatedRowEnd, {
+                strategy: paginationStrategy,
+                executionId: requestPayload.executionId,
+                telemetry: telemetry
+            });
+        } else {
+            nsModules.logger.debug('nestedSQL', nestedSQL);
+            nsModules.logger.debug('queryParams before execution', queryParams);
+            try {
+                records = nsModules.queryUtils.runSuiteQL({
+                    query: nestedSQL,
+                    params: queryParams
+                }).asMappedResults();
+                recordPageFetch(telemetry, nestedSQL);
+                nsModules.logger.debug('records', records);
+            } catch (queryError) {
+                nsModules.logger.error('Query execution error with parameters', queryError);
+                throw queryError;
+            }
+        }
+        
+        var responsePayload = { 'records': records, 'elapsedTime': (new Date().getTime() - beginTime) };
+        
+        // Add page token details for token-based pagination
+        if (pageResult) {
+            responsePayload.paginationStrategy = pageResult.strategy;
+            responsePayload.pageIndex = pageResult.pageIndex;
+            responsePayload.nextPageToken = pageResult.nextPageToken;
+        }
+        
+        // Add total count if requested
+        if (requestPayload.returnTotals && records.length > 0) {
+            var countSQL = 'SELECT COUNT(*) AS TotalRecordCount FROM ( ' + nestedSQL + ' )';
+            var countResults = nsModules.queryUtils.runSuiteQL({
+                query: countSQL,
+                params: queryParams
+            }).asMappedResults();
+            responsePayload.totalRecordCount = countResults[0].totalrecordcount;
+        }
+
+        return responsePayload;
+    }
+
+    /**
+     * Build the result cache key for a query, or null if caching does not apply
+     *
+     * Keys are scoped to the current user and role so cached results never
+     * cross permission boundaries.
+     *
+     * @param {string} sql - The SQL query
+     * @param {Array} params - Query parameters
+     * @param {Object} requestPayload - The query request payload
+     * @returns {string|null} - The cache key
+     */
+    function getResultCacheKey(sql, params, requestPayload) {
+        if (!constants.CONFIG.RESULT_CACHE.ENABLED) {
+            return null;
+        }
+
+        var currentUser = nsModules.runtime.getCurrentUser();
+        var keySource = JSON.stringify({
+            query: normalizeCacheQuery(sql),
+            params: params,
+            paginationEnabled: !!requestPayload.paginationEnabled,
+            paginationStrategy: requestPayload.paginationStrategy || null,
+            pageToken: requestPayload.pageToken || null,
+            keyColumn: requestPayload.keyColumn || null,
+            rowBegin: requestPayload.rowBegin,
+            rowEnd: requestPayload.rowEnd,
+            returnTotals: !!requestPayload.returnTotals
+        });
+
+        return 'q_' + currentUser.id + '_' + currentUser.role + '_' + queryHistoryRecord.createQueryHash(keySource) + '_' + keySource.length;
+    }
+
+    /**
+     * Get a cached response for a query
+     *
+     * The query hash is only 32 bits, so the cached entry stores the query
+     * and parameters and is only used when they match exactly.
+     *
+     * @param {string} cacheKey - The cache key
+     * @param {string} sql - The SQL query
+     * @param {Array} params - Query parameters
+     * @returns {Object|null} - The cached response payload, or null on a miss
+     */
+    function getCachedResult(cacheKey, sql, params) {
+        try {
+            var cached = nsModules.cacheUtils.get(constants.CONFIG.RESULT_CACHE.NAME, cacheKey);
+            if (!cached) {
+                return null;
+            }
+
+            var entry = JSON.parse(cached);
+            if (entry.query !== normalizeCacheQuery(sql) || JSON.stringify(entry.params) !== JSON.stringify(params)) {
+                return null;
+            }
+
+            entry.response.fromCache = true;
+            entry.response.cachedAt = entry.cachedAt;
+
+            return entry.response;
+
+        } catch(e) {
+            nsModules.logger.error('Result cache read failed', e);
+            return null;
+        }
+    }
+
+    /**
+     * Store a query response in the result cache
+     *
+     * @param {string} cacheKey - The cache key
+     * @param {string} sql - The SQL query
+     * @param {Array} params - Query parameters
+     * @param {Object} responsePayload - The response payload to cache
+     * @returns {void}
+     */
+    function putCachedResult(cacheKey, sql, params, responsePayload) {
+        try {
+            var cachedAt = new Date().toISOString();
+            var value = JSON.stringify({
+                query: normalizeCacheQuery(sql),
+                params: params,
+                cachedAt: cachedAt,
+                response: responsePayload
+            });
+
+            // N/cache values are limited in size; large results are simply not cached
+            if (value.length > constants.CONFIG.RESULT_CACHE.MAX_VALUE_LENGTH) {
+                nsModules.logger.debug('Result too large to cache', { length: value.length });
+                return;
+            }
+
+            nsModules.cacheUtils.put(constants.CONFIG.RESULT_CACHE.NAME, cacheKey, value, constants.CONFIG.RESULT_CACHE.TTL_SECONDS);
+            responsePayload.fromCache = false;
+            responsePayload.cachedAt = cachedAt;
+
+        } catch(e) {
+            nsModules.logger.error('Result cache write failed', e);
+        }
+    }
+
+    /**
+     * Normalize query text for cache comparison
+     *
+     * @param {string} sql - The SQL query
+     * @returns {string} - The query with collapsed whitespace
+     */
+    function normalizeCacheQuery(sql) {
+        return sql.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Execute a single statement through the synthetic, DML and SuiteQL paths
+     * in the same order as queryExecute, without pagination or history.
+     *
+     * @param {string} sql - The statement (virtual views already resolved)
+     * @param {Array} [params] - Query parameters
+     * @returns {Object} - Statement result with type, records or message, and elapsedTime
+     * @throws {Error} - If the statement fails
+     */
+    function executeStatement(sql, params) {
+        var beginTime = new Date().getTime();
+        var queryParams = Array.isArray(params) ? params : [];
+
+        var syntheticResult = syntheticProcessor.processQuery(sql, queryParams);
+
+        if (syntheticResult.wasSynthetic) {
+            if (!syntheticResult.success) {
+                throw new Error('Synthetic processing error: ' + syntheticResult.error);
+            }
+
+            if (syntheticResult.analysis && syntheticResult.analysis.queryType === 'CREATE') {
+                return {
+                    'type': 'create',
+                    'message': syntheticResult.result.message,
+                    'elapsedTime': syntheticResult.executionTime
+                };
+            }
+
+            return {
+                'type': 'synthetic',
+                'records': syntheticResult.result,
+                'outputLog': syntheticResult.outputLog || [],
+                'elapsedTime': syntheticResult.executionTime
+            };
+        }
+
+        var dmlResult = dmlProcessor.processQuery(sql);
+
+        if (dmlResult.wasDML) {
+            if (!dmlResult.success) {
+                throw new Error('DML processing error: ' + dmlResult.error);
+            }
+
+            return {
+                'type': 'dml',
+                'dmlType': dmlResult.analysis ? dmlResult.analysis.dmlType : 'UNKNOWN',
+                'message': dmlResult.message,
+                'result': dmlResult.result,
+                'elapsedTime': dmlResult.executionTime
+            };
+        }
+
+        var records = nsModules.queryUtils.runSuiteQL({
+            query: sql,
+            params: queryParams
+        }).asMappedResults();
+
+        return {
+            'type': 'query',
+            'records': records,
+            'elapsedTime': (new Date().getTime() - beginTime)
+        };
+    }
+
     /**
      * Process virtual views in the SQL query
      * 
+     * Views may reference other views and take arguments; see virtualViews.
+     * 
      * @param {string} sql - The SQL query
      * @param {string} queryFolderID - The folder ID containing view files
      * @returns {string} - The processed SQL with views resolved
      */
     function processVirtualViews(sql, queryFolderID) {
-        var pattern = /(?:^|\s)\#(\w+)\b/ig;
-        var views = sql.match(pattern);
+        return virtualViews.resolveVirtualViews(sql, queryFolderID);
+    }
+    
+    /**
+     * Flag an in-flight execution as cancelled
+     * 
+     * The flag is checked between pages by executePaginatedQuery, so a
+     * long "Return All" run stops consuming governance after the page
+     * it is currently fetching.
+     * 
+     * @param {Object} context - The request context
+     * @param {Object} requestPayload - The request payload containing executionId
+     * @returns {void} - Writes response to context
+     */
+    function queryCancel(context, requestPayload) {
+        var responsePayload;
         
-        if ((views !== null) && (views.length > 0)) {
-            for (let i = 0; i < views.length; i++) {
-                var view = views[i].replace(/\s+/g, '');
-                var viewFileName = view.substring(1, view.length) + '.sql';
-                
-                // Find the view file
-                var viewSQL = 'SELECT ID FROM File WHERE ( Folder = ? ) AND ( Name = ? )';
-                var queryResults = nsModules.queryUtils.runSuiteQL({ 
-                    query: viewSQL, 
-                    params: [queryFolderID, viewFileName] 
-                });
-                var files = queryResults.asMappedResults();
-                
-                if (files.length == 1) {
-                    var fileObj = nsModules.fileUtils.load(files[0].id);
-                    sql = sql.replace(view, '( ' + fileObj.getContents() + ' ) AS ' + view.substring(1, view.length));
-                } else {
-                    throw {
-                        'name': 'UnresolvedViewException',
-                        'message': constants.ERROR_MESSAGES.UNRESOLVED_VIEW + ' ' + viewFileName
-                    };
-                }
-            }
+        try {
+            nsModules.cacheUtils.put(
+                constants.CONFIG.QUERY_CANCELLATION.CACHE_NAME,
+                getCancellationKey(requestPayload.executionId),
+                'T',
+                constants.CONFIG.QUERY_CANCELLATION.FLAG_TTL_SECONDS
+            );
+            
+            responsePayload = { 'cancelled': true, 'executionId': requestPayload.executionId };
+            
+        } catch(e) {
+            nsModules.logger.error('queryCancel Error', e);
+            responsePayload = { 'error': e };
+        }
+        
+        context.response.write(JSON.stringify(responsePayload, null, 5));
+    }
+    
+    /**
+     * Check whether an execution has been cancelled
+     * 
+     * @param {string} [executionId] - The client-generated execution ID
+     * @returns {boolean} - True if the execution was cancelled
+     */
+    function isExecutionCancelled(executionId) {
+        if (!executionId) {
+            return false;
         }
         
-        return sql;
+        try {
+            return nsModules.cacheUtils.get(constants.CONFIG.QUERY_CANCELLATION.CACHE_NAME, getCancellationKey(executionId)) === 'T';
+        } catch(e) {
+            nsModules.logger.error('Cancellation check failed', e);
+            return false;
+        }
+    }
+    
+    /**
+     * Throw if an execution has been cancelled
+     * 
+     * @param {string} [executionId] - The client-generated execution ID
+     * @returns {void}
+     * @throws {Object} - QueryCancelledException
+     */
+    function throwIfCancelled(executionId) {
+        if (isExecutionCancelled(executionId)) {
+            throw {
+                'name': 'QueryCancelledException',
+                'message': constants.ERROR_MESSAGES.QUERY_CANCELLED
+            };
+        }
+    }
+    
+    /**
+     * Build the cancellation flag key, scoped to the current user
+     * 
+     * @param {string} executionId - The client-generated execution ID
+     * @returns {string} - The cache key
+     */
+    function getCancellationKey(executionId) {
+        return 'cancel_' + nsModules.runtime.getCurrentUser().id + '_' + String(executionId).replace(/[^\w-]/g, '');
+    }
+    
+    /**
+     * Start collecting execution telemetry for a request
+     *
+     * @returns {Object} - Telemetry with the governance units remaining at the start
+     */
+    function createExecutionTelemetry() {
+        return {
+            governanceStart: nsModules.scriptInfo.getRemainingUsage(),
+            pagesFetched: 0,
+            viewsExpanded: false,
+            syntheticExpanded: false,
+            fromCache: false,
+            finalSQL: null
+        };
+    }
+
+    /**
+     * Record one page (or single result set) fetched from N/query
+     *
+     * @param {Object} [telemetry] - Execution telemetry, ignored when absent
+     * @param {string} sql - The SQL sent to N/query for this page
+     * @returns {void}
+     */
+    function recordPageFetch(telemetry, sql) {
+        if (!telemetry) {
+            return;
+        }
+
+        telemetry.pagesFetched++;
+        telemetry.finalSQL = sql;
+    }
+
+    /**
+     * Build the telemetry section of a response
+     *
+     * @param {Object} telemetry - Execution telemetry from createExecutionTelemetry
+     * @returns {Object} - Governance, page and expansion metrics plus the final SQL
+     */
+    function finishExecutionTelemetry(telemetry) {
+        var governanceRemaining = nsModules.scriptInfo.getRemainingUsage();
+
+        return {
+            governanceRemaining: governanceRemaining,
+            governanceUsed: telemetry.governanceStart - governanceRemaining,
+            pagesFetched: telemetry.pagesFetched,
+            viewsExpanded: telemetry.viewsExpanded,
+            syntheticExpanded: telemetry.syntheticExpanded,
+            fromCache: telemetry.fromCache,
+            finalSQL: telemetry.finalSQL
+        };
+    }
+
+    /**
+     * Summarize the expansions in a telemetry section as history flags
+     *
+     * @param {Object} telemetry - Telemetry from finishExecutionTelemetry
+     * @returns {string} - Comma-separated flags (views, synthetic, cache)
+     */
+    function getTelemetryFlags(telemetry) {
+        var flags = [];
+        if (telemetry.viewsExpanded) flags.push('views');
+        if (telemetry.syntheticExpanded) flags.push('synthetic');
+        if (telemetry.fromCache) flags.push('cache');
+        return flags.join(',');
     }
     
     /**
@@ -406,15 +787,45 @@ define([
      * @param {Array} queryParams - Query parameters
      * @param {number} rowBegin - Starting row number
      * @param {number} rowEnd - Ending row number
+     * @param {Object} [options] - Pagination options (strategy, keyColumn, pageSize, executionId, telemetry)
      * @returns {Array} - Array of query results
      */
-    function executePaginatedQuery(sql, queryParams, rowBegin, rowEnd) {
+    function executePaginatedQuery(sql, queryParams, rowBegin, rowEnd, options) {
         var records = new Array();
         var moreRecords = true;
         var paginatedRowBegin = rowBegin;
         var paginatedRowEnd = rowEnd;
+        var strategy = (options && options.strategy) || constants.CONFIG.PAGINATION.DEFAULT_STRATEGY;
+        
+        // Token-based strategies walk the pages until the requested range is covered
+        if (strategy !== constants.CONFIG.PAGINATION.STRATEGIES.ROWNUM) {
+            var pageToken = null;
+            var pagedData = null;
+            
+            do {
+                throwIfCancelled(options.executionId);
+                
+                var page = executeQueryPage(sql, queryParams, {
+                    strategy: strategy,
+                    pageToken: pageToken,
+                    keyColumn: options.keyColumn,
+                    pageSize: options.pageSize,
+                    pagedData: pagedData,
+                    telemetry: options.telemetry
+                });
+                
+                records = records.concat(page.records);
+                pageToken = page.nextPageToken;
+                pagedData = page.pagedData || null;
+                
+            } while (pageToken && records.length < rowEnd);
+            
+            return records.slice(rowBegin - 1, rowEnd);
+        }
         
         do {
+            throwIfCancelled(options && options.executionId);
+            
             var paginatedSQL = 'SELECT * FROM ( SELECT ROWNUM AS ROWNUMBER, * FROM ( ' + sql + ' ) ) WHERE ( ROWNUMBER BETWEEN ' + paginatedRowBegin + ' AND ' + paginatedRowEnd + ')';
             
             var queryResults = nsModules.queryUtils.runSuiteQL({ 
@@ -422,6 +833,7 @@ define([
                 params: queryParams 
             }).asMappedResults();
             
+            recordPageFetch(options && options.telemetry, paginatedSQL);
             records = records.concat(queryResults);
             
             if (queryResults.length < 5000) { 
@@ -435,6 +847,230 @@ define([
         return records;
     }
     
+    /**
+     * Execute a single page of a query using a token-based pagination strategy
+     * 
+     * The 'paged' strategy uses N/query's native paged API. The 'keyset' strategy
+     * orders by an ID column and continues after the last key seen, so the SQL
+     * must select that column. Keys that aren't unique are ordered by the id
+     * column as well, so the SQL must select id too. The returned token can be
+     * passed back as-is to fetch the next page of the same query.
+     * 
+     * @param {string} sql - The SQL query
+     * @param {Array} queryParams - Query parameters
+     * @param {Object} options - Pagination options
+     * @param {string} options.strategy - 'paged' or 'keyset'
+     * @param {string} [options.pageToken] - Token returned with the previous page
+     * @param {string} [options.keyColumn] - Ordered ID column (keyset only)
+     * @param {number} [options.pageSize] - Rows per page
+     * @param {number} [options.rowBegin] - First row, used to size the first page
+     * @param {number} [options.rowEnd] - Last row, used to size the first page
+     * @param {Object} [options.pagedData] - PagedData from the previous page of the same walk (paged only)
+     * @param {Object} [options.telemetry] - Execution telemetry to record the fetch on
+     * @returns {Object} - { records, strategy, pageIndex, nextPageToken, finalSQL, pagedData }
+     */
+    function executeQueryPage(sql, queryParams, options) {
+        var strategies = constants.CONFIG.PAGINATION.STRATEGIES;
+        var queryHash = queryHistoryRecord.createQueryHash(sql);
+        var token = options.pageToken ? decodePageToken(options.pageToken, options.strategy, queryHash) : null;
+        var rowBegin = options.rowBegin || 1;
+        var pageSize = token ? token.pageSize : (options.pageSize || ((options.rowEnd || constants.CONFIG.PAGINATION.ROWNUM_BATCH_SIZE) - rowBegin + 1));
+        
+        var page;
+        
+        switch (options.strategy) {
+            case strategies.PAGED:
+                page = executeNativePage(sql, queryParams, queryHash, token, pageSize, rowBegin, options.pagedData);
+                break;
+            case strategies.KEYSET:
+                page = executeKeysetPage(sql, queryParams, queryHash, token, pageSize, options.keyColumn);
+                break;
+            default:
+                throw {
+                    'name': 'UnsupportedPaginationStrategyException',
+                    'message': constants.ERROR_MESSAGES.UNSUPPORTED_PAGINATION_STRATEGY + ' ' + options.strategy
+                };
+        }
+        
+        if (!page.reusedPagedData) {
+            recordPageFetch(options.telemetry, page.finalSQL);
+        }
+        
+        return page;
+    }
+    
+    /**
+     * Fetch one page using runSuiteQLPaged
+     * 
+     * @param {string} sql - The SQL query
+     * @param {Array} queryParams - Query parameters
+     * @param {string} queryHash - Hash of the SQL query
+     * @param {Object|null} token - Decoded page token, or null for the first page
+     * @param {number} pageSize - Requested rows per page
+     * @param {number} rowBegin - First row, used to pick the first page
+     * @param {Object} [previousPagedData] - PagedData to fetch from instead of running the query again
+     * @returns {Object} - Page result
+     */
+    function executeNativePage(sql, queryParams, queryHash, token, pageSize, rowBegin, previousPagedData) {
+        var pagination = constants.CONFIG.PAGINATION;
+        pageSize = Math.min(Math.max(pageSize, pagination.PAGED_MIN_PAGE_SIZE), pagination.PAGED_MAX_PAGE_SIZE);
+        var pageIndex = token ? token.pageIndex : Math.floor((rowBegin - 1) / pageSize);
+        
+        // Walks reuse the PagedData of their first page; each runSuiteQLPaged call costs governance
+        var reusedPagedData = !!(previousPagedData && previousPagedData.pageSize === pageSize);
+        var pagedData = reusedPagedData ? previousPagedData : nsModules.queryUtils.runSuiteQLPaged({
+            query: sql,
+            params: queryParams,
+            pageSize: pageSize
+        });
+        
+        var pageCount = pagedData.pageRanges.length;
+        var records = pageIndex < pageCount ? pagedData.fetch({ index: pageIndex }).data.asMappedResults() : [];
+        var nextPageToken = null;
+        
+        if (pageIndex + 1 < pageCount) {
+            nextPageToken = encodePageToken({
+                strategy: pagination.STRATEGIES.PAGED,
+                queryHash: queryHash,
+                pageSize: pageSize,
+                pageIndex: pageIndex + 1
+            });
+        }
+        
+        return {
+            records: records,
+            strategy: pagination.STRATEGIES.PAGED,
+            pageIndex: pageIndex,
+            nextPageToken: nextPageToken,
+            finalSQL: sql,
+            pagedData: pagedData,
+            reusedPagedData: reusedPagedData
+        };
+    }
+    
+    /**
+     * Fetch one page using keyset paging on an ordered ID column
+     * 
+     * Unless the key column is the id column itself, rows are ordered by
+     * (key, id) and the token keeps both, so rows sharing a key value are
+     * neither skipped nor repeated across pages.
+     * 
+     * @param {string} sql - The SQL query
+     * @param {Array} queryParams - Query parameters
+     * @param {string} queryHash - Hash of the SQL query
+     * @param {Object|null} token - Decoded page token, or null for the first page
+     * @param {number} pageSize - Requested rows per page
+     * @param {string} keyColumn - Key column from the request
+     * @returns {Object} - Page result
+     */
+    function executeKeysetPage(sql, queryParams, queryHash, token, pageSize, keyColumn) {
+        var pagination = constants.CONFIG.PAGINATION;
+        pageSize = Math.min(Math.max(pageSize, 1), pagination.KEYSET_MAX_PAGE_SIZE);
+        keyColumn = token ? token.keyColumn : keyColumn;
+        
+        if (!keyColumn || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(keyColumn)) {
+            throw {
+                'name': 'InvalidKeyColumnException',
+                'message': constants.ERROR_MESSAGES.INVALID_KEY_COLUMN
+            };
+        }
+        
+        var tieColumn = keyColumn.toLowerCase() === pagination.KEYSET_TIE_BREAKER_COLUMN ? null : pagination.KEYSET_TIE_BREAKER_COLUMN;
+        var hasLastKey = token && token.lastKey !== null && token.lastKey !== undefined;
+        
+        if (hasLastKey && tieColumn && (token.lastId === null || token.lastId === undefined)) {
+            throw {
+                'name': 'InvalidPageTokenException',
+                'message': constants.ERROR_MESSAGES.INVALID_PAGE_TOKEN
+            };
+        }
+        
+        var keysetWhere = '';
+        var keysetParams = queryParams;
+        
+        if (hasLastKey && tieColumn) {
+            keysetWhere = 'WHERE ( ' + keyColumn + ' > ? OR ( ' + keyColumn + ' = ? AND ' + tieColumn + ' > ? ) ) ';
+            keysetParams = queryParams.concat([token.lastKey, token.lastKey, token.lastId]);
+        } else if (hasLastKey) {
+            keysetWhere = 'WHERE ( ' + keyColumn + ' > ? ) ';
+            keysetParams = queryParams.concat([token.lastKey]);
+        }
+        
+        var keysetSQL = 'SELECT * FROM ( SELECT * FROM ( ' + sql + ' ) ' + keysetWhere +
+                        'ORDER BY ' + keyColumn + (tieColumn ? ', ' + tieColumn : '') + ' ) WHERE ( ROWNUM <= ' + pageSize + ' )';
+        
+        var records = nsModules.queryUtils.runSuiteQL({
+            query: keysetSQL,
+            params: keysetParams
+        }).asMappedResults();
+        
+        var pageIndex = token ? token.pageIndex : 0;
+        var nextPageToken = null;
+        
+        if (records.length === pageSize) {
+            var lastRecord = records[records.length - 1];
+            var lastKey = lastRecord[keyColumn.toLowerCase()];
+            var lastId = tieColumn ? lastRecord[tieColumn] : null;
+            
+            if (lastKey !== null && lastKey !== undefined && (!tieColumn || (lastId !== null && lastId !== undefined))) {
+                nextPageToken = encodePageToken({
+                    strategy: pagination.STRATEGIES.KEYSET,
+                    queryHash: queryHash,
+                    pageSize: pageSize,
+                    pageIndex: pageIndex + 1,
+                    keyColumn: keyColumn,
+                    lastKey: lastKey,
+                    lastId: lastId
+                });
+            }
+        }
+        
+        return {
+            records: records,
+            strategy: pagination.STRATEGIES.KEYSET,
+            pageIndex: pageIndex,
+            nextPageToken: nextPageToken,
+            finalSQL: keysetSQL
+        };
+    }
+    
+    /**
+     * Encode a page token
+     * 
+     * @param {Object} token - Page token details
+     * @returns {string} - Opaque page token
+     */
+    function encodePageToken(token) {
+        return nsModules.encodeUtils.toBase64(JSON.stringify(token));
+    }
+    
+    /**
+     * Decode a page token and check it belongs to the given query and strategy
+     * 
+     * @param {string} pageToken - Opaque page token
+     * @param {string} strategy - Expected pagination strategy
+     * @param {string} queryHash - Hash of the SQL query
+     * @returns {Object} - Decoded page token
+     */
+    function decodePageToken(pageToken, strategy, queryHash) {
+        var token;
+        
+        try {
+            token = JSON.parse(nsModules.encodeUtils.fromBase64(pageToken));
+        } catch (e) {
+            token = null;
+        }
+        
+        if (!token || token.strategy !== strategy || token.queryHash !== queryHash || !(token.pageSize > 0)) {
+            throw {
+                'name': 'InvalidPageTokenException',
+                'message': constants.ERROR_MESSAGES.INVALID_PAGE_TOKEN
+            };
+        }
+        
+        return token;
+    }
+    
     /**
      * Validate query input
      * 
@@ -508,25 +1144,36 @@ define([
         csv += headers.join(',') + '\n';
         
         for (var i = 0; i < records.length; i++) {
-            var row = [];
-            for (var j = 0; j < headers.length; j++) {
-                var value = records[i][headers[j]];
-                if (value === null || value === undefined) {
-                    value = '';
-                }
-                // Escape quotes and wrap in quotes if contains comma
-                value = String(value).replace(/"/g, '""');
-                if (value.includes(',') || value.includes('"') || value.includes('\n')) {
-                    value = '"' + value + '"';
-                }
-                row.push(value);
-            }
-            csv += row.join(',') + '\n';
+            csv += formatCSVRow(records[i], headers) + '\n';
         }
         
         return csv;
     }
     
+    /**
+     * Format a single record as a CSV line
+     * 
+     * @param {Object} record - The query result row
+     * @param {Array} headers - The column names, in output order
+     * @returns {string} - CSV formatted line (without line break)
+     */
+    function formatCSVRow(record, headers) {
+        var row = [];
+        for (var j = 0; j < headers.length; j++) {
+            var value = record[headers[j]];
+            if (value === null || value === undefined) {
+                value = '';
+            }
+            // Escape quotes and wrap in quotes if contains comma
+            value = String(value).replace(/"/g, '""');
+            if (value.includes(',') || value.includes('"') || value.includes('\n')) {
+                value = '"' + value + '"';
+            }
+            row.push(value);
+        }
+        return row.join(',');
+    }
+    
     /**
      * Format results as JSON
      * 
@@ -581,11 +1228,18 @@ define([
      */
     return {
         queryExecute: queryExecute,
+        queryCancel: queryCancel,
+        isExecutionCancelled: isExecutionCancelled,
+        executeStatement: executeStatement,
         processVirtualViews: processVirtualViews,
         executePaginatedQuery: executePaginatedQuery,
+        executeQueryPage: executeQueryPage,
+        encodePageToken: encodePageToken,
+        decodePageToken: decodePageToken,
         validateQuery: validateQuery,
         formatResults: formatResults,
         formatAsCSV: formatAsCSV,
+        formatCSVRow: formatCSVRow,
         formatAsJSON: formatAsJSON,
         formatAsTable: formatAsTable
     };
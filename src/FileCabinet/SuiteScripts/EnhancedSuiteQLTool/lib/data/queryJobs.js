@@ -0,0 +1,365 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ */
+
+/**
+ * Enhanced SuiteQL Query Tool - Query Jobs
+ *
+ * This module handles long-running queries that are executed
+ * asynchronously by the query job Map/Reduce script. Each job is
+ * tracked by a JSON status file in the File Cabinet, and each
+ * page of results is written to its own CSV or JSON file in the
+ * same folder, listed in the job's resultFiles.
+ *
+ * @author Matt Owen - Web Solutions Group, LLC
+ * @version 2025.1
+ */
+
+define([
+    '../core/constants',
+    '../core/modules',
+    './queryEngine',
+    './jobFiles'
+], function(constants, nsModules, queryEngine, jobFiles) {
+
+    /**
+     * Submit a query to run as an asynchronous job
+     *
+     * @param {Object} context - The request context
+     * @param {Object} requestPayload - The request payload containing query, format and viewsEnabled
+     * @returns {void} - Writes response to context
+     */
+    function queryJobSubmit(context, requestPayload) {
+        var responsePayload;
+
+        try {
+            var sql = (requestPayload.query || '').trim();
+
+            if (!/^(SELECT|WITH)\b/i.test(sql)) {
+                throw {
+                    'name': 'UnsupportedQueryJobException',
+                    'message': constants.ERROR_MESSAGES.QUERY_JOB_UNSUPPORTED
+                };
+            }
+
+            // Resolve virtual views now so the job runs plain SuiteQL
+            if ((requestPayload.viewsEnabled) && (constants.CONFIG.QUERY_FOLDER_ID !== null)) {
+                sql = queryEngine.processVirtualViews(sql + "\n", constants.CONFIG.QUERY_FOLDER_ID);
+            }
+
+            var currentUser = nsModules.runtime.getCurrentUser();
+            var job = {
+                jobId: 'job_' + currentUser.id + '_' + new Date().getTime(),
+                status: constants.CONFIG.QUERY_JOBS.STATUS.PENDING,
+                query: sql,
+                params: Array.isArray(requestPayload.parameters) ? requestPayload.parameters : [],
+                format: requestPayload.format === 'json' ? 'json' : 'csv',
+                createdBy: currentUser.id,
+                createdDate: new Date().toISOString(),
+                taskId: null,
+                rowCount: null,
+                pageCount: null,
+                resultFiles: null,
+                completedDate: null,
+                error: null
+            };
+
+            var jobFileId = jobFiles.saveJob(job);
+
+            var taskParams = {};
+            taskParams[constants.CONFIG.QUERY_JOBS.JOB_FILE_PARAMETER] = jobFileId;
+
+            var taskId = nsModules.taskUtils.submitMapReduce({
+                scriptId: constants.CONFIG.QUERY_JOBS.SCRIPT_ID,
+                params: taskParams
+            });
+
+            job = jobFiles.recordTaskId(job, taskId);
+
+            nsModules.logger.audit('Query job submitted', { jobId: job.jobId, taskId: taskId });
+
+            responsePayload = { 'job': describeJob(job) };
+
+        } catch(e) {
+            nsModules.logger.error('queryJobSubmit Error', e);
+            responsePayload = { 'error': e };
+        }
+
+        context.response.write(JSON.stringify(responsePayload, null, 5));
+    }
+
+    /**
+     * Get the current status of a query job
+     *
+     * @param {Object} context - The request context
+     * @param {Object} requestPayload - The request payload containing jobId
+     * @returns {void} - Writes response to context
+     */
+    function queryJobStatus(context, requestPayload) {
+        var responsePayload;
+
+        try {
+            var job = findJob(requestPayload.jobId);
+            var statuses = constants.CONFIG.QUERY_JOBS.STATUS;
+            var progress = {};
+
+            // Jobs that have not finished report live progress from the task
+            if (job.status !== statuses.COMPLETE && job.status !== statuses.FAILED && jobFiles.loadTaskId(job)) {
+                var taskStatus = nsModules.taskUtils.checkStatus(job.taskId);
+
+                progress.stage = taskStatus.stage;
+                progress.percentComplete = taskStatus.getPercentageCompleted();
+
+                if (taskStatus.status === nsModules.task.TaskStatus.FAILED) {
+                    job.status = statuses.FAILED;
+                    job.error = job.error || 'The query job task failed.';
+                    job.completedDate = new Date().toISOString();
+                    jobFiles.saveJob(job);
+                } else if (taskStatus.status === nsModules.task.TaskStatus.PROCESSING) {
+                    job.status = statuses.RUNNING;
+                }
+            }
+
+            responsePayload = { 'job': describeJob(job, progress) };
+
+        } catch(e) {
+            nsModules.logger.error('queryJobStatus Error', e);
+            responsePayload = { 'error': e };
+        }
+
+        context.response.write(JSON.stringify(responsePayload, null, 5));
+    }
+
+    /**
+     * List the current user's most recent query jobs
+     *
+     * @param {Object} context - The request context
+     * @returns {void} - Writes response to context
+     */
+    function queryJobsList(context) {
+        var responsePayload;
+
+        try {
+            var currentUser = nsModules.runtime.getCurrentUser();
+            var sql = 'SELECT * FROM ( SELECT ID FROM File WHERE ( Folder = ? ) AND ( Name LIKE ? ) ORDER BY ID DESC ) WHERE ( ROWNUM <= ' + constants.CONFIG.QUERY_JOBS.LIST_LIMIT + ' )';
+            var files = nsModules.queryUtils.runSuiteQL({
+                query: sql,
+                params: [jobFiles.getJobsFolderId(), 'job_' + currentUser.id + '_%_status.json']
+            }).asMappedResults();
+
+            var jobs = [];
+            for (var i = 0; i < files.length; i++) {
+                var job = jobFiles.loadJob(files[i].id);
+                if (String(job.createdBy) === String(currentUser.id)) {
+                    jobs.push(describeJob(job));
+                }
+            }
+
+            responsePayload = { 'jobs': jobs };
+
+        } catch(e) {
+            nsModules.logger.error('queryJobsList Error', e);
+            responsePayload = { 'error': e };
+        }
+
+        context.response.write(JSON.stringify(responsePayload, null, 5));
+    }
+
+    /**
+     * Find a job owned by the current user
+     *
+     * @param {string} jobId - The job ID
+     * @returns {Object} - The job
+     */
+    function findJob(jobId) {
+        var currentUser = nsModules.runtime.getCurrentUser();
+        var files = [];
+
+        if (jobId && /^job_\d+_\d+$/.test(jobId)) {
+            files = nsModules.queryUtils.runSuiteQL({
+                query: 'SELECT ID FROM File WHERE ( Folder = ? ) AND ( Name = ? )',
+                params: [jobFiles.getJobsFolderId(), jobId + '_status.json']
+            }).asMappedResults();
+        }
+
+        var job = files.length === 1 ? jobFiles.loadJob(files[0].id) : null;
+
+        if (!job || String(job.createdBy) !== String(currentUser.id)) {
+            throw {
+                'name': 'QueryJobNotFoundException',
+                'message': constants.ERROR_MESSAGES.QUERY_JOB_NOT_FOUND + ' ' + jobId
+            };
+        }
+
+        return job;
+    }
+
+    /**
+     * Write a job's result file from the fetched pages
+     *
+     * @param {Object} job - The job
+     * @param {Array} pages - Arrays of mapped result rows, in page order
+     * @returns {number} - The result file ID
+     */
+    function writeResultFile(job, pages) {
+        var resultFile = createResultFile(job.jobId + '_result', job.format, pages);
+
+        job.rowCount = resultFile.rowCount;
+
+        return resultFile.fileId;
+    }
+
+    /**
+     * Write one page of a query job's results to its own file
+     *
+     * Each file is complete on its own: CSV files repeat the header row and
+     * JSON files hold an array of the page's rows.
+     *
+     * @param {Object} job - The job
+     * @param {number} pageIndex - The page index
+     * @param {Array} records - The page's mapped result rows
+     * @returns {Object} - { pageIndex, fileId, rowCount }
+     */
+    function writeResultPage(job, pageIndex, records) {
+        var resultFile = createResultFile(job.jobId + '_result_' + ('000000' + (pageIndex + 1)).slice(-6), job.format, [records]);
+
+        return {
+            pageIndex: pageIndex,
+            fileId: resultFile.fileId,
+            rowCount: resultFile.rowCount
+        };
+    }
+
+    /**
+     * Create a CSV or JSON result file from pages of rows
+     *
+     * @param {string} baseName - File name without extension
+     * @param {string} format - 'csv' or 'json'
+     * @param {Array} pages - Arrays of mapped result rows, in page order
+     * @returns {Object} - { fileId, rowCount }
+     */
+    function createResultFile(baseName, format, pages) {
+        var isJSON = format === 'json';
+        var resultFile = nsModules.fileUtils.create({
+            name: baseName + '.' + format,
+            fileType: isJSON ? nsModules.fileUtils.getTypes().JSON : nsModules.fileUtils.getTypes().CSV,
+            folder: jobFiles.getJobsFolderId(),
+            isOnline: false
+        });
+        var headers = null;
+        var rowCount = 0;
+
+        if (isJSON) {
+            resultFile.appendLine({ value: '[' });
+        }
+
+        for (var i = 0; i < pages.length; i++) {
+            for (var j = 0; j < pages[i].length; j++) {
+                var record = pages[i][j];
+
+                if (isJSON) {
+                    resultFile.appendLine({ value: (rowCount > 0 ? ',' : '') + JSON.stringify(record) });
+                } else {
+                    if (headers === null) {
+                        headers = Object.keys(record);
+                        resultFile.appendLine({ value: headers.join(',') });
+                    }
+                    resultFile.appendLine({ value: queryEngine.formatCSVRow(record, headers) });
+                }
+
+                rowCount++;
+            }
+        }
+
+        if (isJSON) {
+            resultFile.appendLine({ value: ']' });
+        } else if (rowCount === 0) {
+            resultFile.appendLine({ value: '' });
+        }
+
+        return {
+            fileId: resultFile.save(),
+            rowCount: rowCount
+        };
+    }
+
+    /**
+     * Get the download URLs of a query job's result files
+     *
+     * @param {Object} job - The job
+     * @returns {Object} - File URLs by file ID
+     */
+    function getResultFileUrls(job) {
+        var urls = {};
+        var files = nsModules.queryUtils.runSuiteQL({
+            query: 'SELECT ID, URL FROM File WHERE ( Folder = ? ) AND ( Name LIKE ? )',
+            params: [jobFiles.getJobsFolderId(), job.jobId + '_result_%']
+        }).asMappedResults();
+
+        files.forEach(function(resultFile) {
+            urls[String(resultFile.id)] = resultFile.url;
+        });
+
+        return urls;
+    }
+
+    /**
+     * Build the client-facing view of a job
+     *
+     * DML jobs (see dmlJobs) share the jobs folder and are described the
+     * same way, with their UPDATE or DELETE type and record counts.
+     *
+     * @param {Object} job - The job
+     * @param {Object} [progress] - Live task progress (stage, percentComplete)
+     * @returns {Object} - Job summary
+     */
+    function describeJob(job, progress) {
+        var summary = {
+            jobId: job.jobId,
+            status: job.status,
+            format: job.format,
+            queryPreview: job.query.substring(0, 200),
+            createdDate: job.createdDate,
+            completedDate: job.completedDate,
+            rowCount: job.rowCount,
+            pageCount: job.pageCount,
+            dmlType: job.dmlType || null,
+            successCount: job.dmlType ? job.successCount : null,
+            errorCount: job.dmlType ? job.errorCount : null,
+            stage: progress ? progress.stage : null,
+            percentComplete: progress ? progress.percentComplete : null,
+            error: job.error,
+            resultFileUrl: null,
+            resultFiles: null
+        };
+
+        if (job.status === constants.CONFIG.QUERY_JOBS.STATUS.COMPLETE && job.resultFiles) {
+            var urls = getResultFileUrls(job);
+
+            summary.percentComplete = 100;
+            summary.resultFiles = job.resultFiles.map(function(resultFile) {
+                return { url: urls[String(resultFile.fileId)] || null, rowCount: resultFile.rowCount };
+            });
+            summary.resultFileUrl = summary.resultFiles.length > 0 ? summary.resultFiles[0].url : null;
+        } else if (job.status === constants.CONFIG.QUERY_JOBS.STATUS.COMPLETE && job.resultFileId) {
+            summary.percentComplete = 100;
+            summary.resultFileUrl = nsModules.fileUtils.load(job.resultFileId).url;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Export the query job functions
+     */
+    return {
+        queryJobSubmit: queryJobSubmit,
+        queryJobStatus: queryJobStatus,
+        queryJobsList: queryJobsList,
+        findJob: findJob,
+        writeResultFile: writeResultFile,
+        writeResultPage: writeResultPage
+    };
+
+});
@@ -0,0 +1,1071 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ */
+
+/**
+ * Enhanced SuiteQL Query Tool - Saved Search Converter
+ *
+ * This module lists saved searches and converts a saved search's
+ * filters, columns, formulas, summary types and joins into an
+ * equivalent SuiteQL query. Constructs that have no SuiteQL
+ * equivalent are reported instead of being silently dropped.
+ *
+ * @author Matt Owen - Web Solutions Group, LLC
+ * @version 2025.1
+ */
+
+define([
+    '../core/constants',
+    '../core/modules'
+], function(constants, nsModules) {
+
+    /**
+     * Transaction search types and their SuiteQL transaction type codes
+     */
+    var TRANSACTION_TYPES = {
+        cashsale: 'CashSale',
+        check: 'Check',
+        creditmemo: 'CustCred',
+        customerdeposit: 'CustDep',
+        customerpayment: 'CustPymt',
+        customerrefund: 'CustRfnd',
+        deposit: 'Deposit',
+        estimate: 'Estimate',
+        expensereport: 'ExpRept',
+        inventoryadjustment: 'InvAdjst',
+        invoice: 'CustInvc',
+        itemfulfillment: 'ItemShip',
+        itemreceipt: 'ItemRcpt',
+        journalentry: 'Journal',
+        opportunity: 'Opprtnty',
+        purchaseorder: 'PurchOrd',
+        returnauthorization: 'RtnAuth',
+        salesorder: 'SalesOrd',
+        transferorder: 'TrnfrOrd',
+        vendorbill: 'VendBill',
+        vendorcredit: 'VendCred',
+        vendorpayment: 'VendPymt',
+        vendorreturnauthorization: 'VendAuth',
+        workorder: 'WorkOrd'
+    };
+
+    /**
+     * Item search types and their SuiteQL item type codes
+     */
+    var ITEM_TYPES = {
+        assemblyitem: 'Assembly',
+        descriptionitem: 'Description',
+        discountitem: 'Discount',
+        giftcertificateitem: 'GiftCert',
+        inventoryitem: 'InvtPart',
+        itemgroup: 'Group',
+        kititem: 'Kit',
+        markupitem: 'Markup',
+        noninventoryitem: 'NonInvtPart',
+        otherchargeitem: 'OthCharge',
+        paymentitem: 'Payment',
+        serviceitem: 'Service',
+        subtotalitem: 'Subtotal'
+    };
+
+    /**
+     * Search field IDs that are named differently in SuiteQL
+     */
+    var FIELD_NAMES = {
+        internalid: 'id',
+        datecreated: 'createddate'
+    };
+
+    /**
+     * Transaction header fields that are named differently in SuiteQL
+     */
+    var TRANSACTION_FIELD_NAMES = {
+        amount: 'foreigntotal',
+        total: 'foreigntotal'
+    };
+
+    /**
+     * Transaction search fields that are read from the transaction line
+     */
+    var LINE_FIELDS = {
+        amount: 'foreignamount',
+        class: 'class',
+        cogs: 'iscogs',
+        department: 'department',
+        item: 'item',
+        line: 'id',
+        location: 'location',
+        mainline: 'mainline',
+        memo: 'memo',
+        quantity: 'quantity',
+        rate: 'rate',
+        taxline: 'taxline'
+    };
+
+    /**
+     * Line-only filters that have no effect on a main line search
+     */
+    var LINE_ONLY_FILTERS = ['mainline', 'taxline', 'cogs', 'shipping'];
+
+    /**
+     * List and record fields that a search displays as text
+     */
+    var SELECT_FIELDS = [
+        'account', 'class', 'createdfrom', 'currency', 'customer', 'department',
+        'employee', 'entity', 'item', 'location', 'parent', 'postingperiod',
+        'salesrep', 'status', 'subsidiary', 'terms', 'type', 'vendor'
+    ];
+
+    /**
+     * Joins that can be translated from a transaction search
+     * (table, and whether the join condition reads the transaction line)
+     */
+    var TRANSACTION_JOINS = {
+        customer: { table: 'customer', field: 'entity', line: false },
+        customermain: { table: 'customer', field: 'entity', line: false },
+        vendor: { table: 'vendor', field: 'entity', line: false },
+        employee: { table: 'employee', field: 'employee', line: false },
+        item: { table: 'item', field: 'item', line: true },
+        createdfrom: { table: 'transaction', field: 'createdfrom', line: true }
+    };
+
+    /**
+     * Search summary types and their SuiteQL aggregates
+     * (search Count counts unique values)
+     */
+    var SUMMARY_FUNCTIONS = {
+        SUM: 'SUM( {0} )',
+        COUNT: 'COUNT( DISTINCT {0} )',
+        AVG: 'AVG( {0} )',
+        MIN: 'MIN( {0} )',
+        MAX: 'MAX( {0} )'
+    };
+
+    /**
+     * Comparison operators for number, currency and date-time values
+     */
+    var COMPARISON_OPERATORS = {
+        equalto: '=',
+        notequalto: '<>',
+        greaterthan: '>',
+        greaterthanorequalto: '>=',
+        lessthan: '<',
+        lessthanorequalto: '<=',
+        notgreaterthan: '<=',
+        notgreaterthanorequalto: '<',
+        notlessthan: '>=',
+        notlessthanorequalto: '>'
+    };
+
+    /**
+     * Relative date filter values, as [start, end) ranges
+     */
+    var RELATIVE_DATES = {
+        today: ['TRUNC( SYSDATE )', 'TRUNC( SYSDATE ) + 1'],
+        yesterday: ['TRUNC( SYSDATE ) - 1', 'TRUNC( SYSDATE )'],
+        tomorrow: ['TRUNC( SYSDATE ) + 1', 'TRUNC( SYSDATE ) + 2'],
+        thismonth: ['TRUNC( SYSDATE, \'MM\' )', 'ADD_MONTHS( TRUNC( SYSDATE, \'MM\' ), 1 )'],
+        lastmonth: ['ADD_MONTHS( TRUNC( SYSDATE, \'MM\' ), -1 )', 'TRUNC( SYSDATE, \'MM\' )'],
+        thisyear: ['TRUNC( SYSDATE, \'YYYY\' )', 'ADD_MONTHS( TRUNC( SYSDATE, \'YYYY\' ), 12 )'],
+        lastyear: ['ADD_MONTHS( TRUNC( SYSDATE, \'YYYY\' ), -12 )', 'TRUNC( SYSDATE, \'YYYY\' )']
+    };
+
+    /**
+     * Get the list of saved searches, optionally filtered by title
+     *
+     * @param {Object} context - The request context
+     * @param {Object} requestPayload - The request payload (optional keyword)
+     * @returns {void} - Writes response to context
+     */
+    function savedSearchesGet(context, requestPayload) {
+        var responsePayload;
+
+        try {
+            var filters = [];
+
+            if (requestPayload.keyword) {
+                filters.push(['title', 'contains', requestPayload.keyword]);
+            }
+
+            var savedSearches = nsModules.searchUtils.create({
+                type: 'savedsearch',
+                filters: filters,
+                columns: [
+                    nsModules.search.createColumn({ name: 'title', sort: nsModules.search.Sort.ASC }),
+                    'id',
+                    'recordtype',
+                    'owner'
+                ]
+            });
+
+            var records = savedSearches.run().getRange({
+                start: 0,
+                end: constants.CONFIG.SAVED_SEARCHES.LIST_LIMIT
+            }).map(function(result) {
+                return {
+                    id: result.id,
+                    scriptid: result.getValue('id'),
+                    title: result.getValue('title'),
+                    recordtype: result.getText('recordtype') || result.getValue('recordtype'),
+                    owner: result.getText('owner')
+                };
+            });
+
+            if (records.length > 0) {
+                responsePayload = { 'records': records };
+            } else {
+                responsePayload = { 'error': constants.ERROR_MESSAGES.NO_SAVED_SEARCHES };
+            }
+
+        } catch(e) {
+            nsModules.logger.error('savedSearchesGet Error', e);
+            responsePayload = { 'error': e };
+        }
+
+        context.response.write(JSON.stringify(responsePayload, null, 5));
+    }
+
+    /**
+     * Convert a saved search to SuiteQL
+     *
+     * @param {Object} context - The request context
+     * @param {Object} requestPayload - The request payload containing searchId
+     * @returns {void} - Writes response to context
+     */
+    function savedSearchConvert(context, requestPayload) {
+        var responsePayload;
+
+        try {
+            var savedSearch = nsModules.searchUtils.load(requestPayload.searchId);
+            var conversion = convertSearch({
+                searchType: savedSearch.searchType,
+                filterExpression: savedSearch.filterExpression,
+                columns: savedSearch.columns.map(function(column) {
+                    return {
+                        name: column.name,
+                        join: column.join,
+                        summary: column.summary,
+                        formula: column.formula,
+                        label: column.label,
+                        sort: column.sort,
+                        'function': column['function']
+                    };
+                })
+            }, {
+                dateFormat: getDateFormat(),
+                userId: nsModules.runtime.getCurrentUser().id
+            });
+
+            nsModules.logger.debug('savedSearchConvert', {
+                searchId: requestPayload.searchId,
+                untranslated: conversion.untranslated.length
+            });
+
+            responsePayload = {
+                sql: conversion.sql,
+                untranslated: conversion.untranslated,
+                title: savedSearch.title || String(requestPayload.searchId),
+                searchType: savedSearch.searchType
+            };
+
+        } catch(e) {
+            nsModules.logger.error('savedSearchConvert Error', e);
+            responsePayload = { 'error': e };
+        }
+
+        context.response.write(JSON.stringify(responsePayload, null, 5));
+    }
+
+    /**
+     * Build a SuiteQL query from a search definition
+     *
+     * @param {Object} definition - Search definition (searchType, filterExpression, columns)
+     * @param {Object} options - Conversion options (dateFormat, userId)
+     * @returns {Object} - { sql, untranslated }
+     */
+    function convertSearch(definition, options) {
+        var context = createConversionContext(definition, options);
+        var filters = splitFilters(definition.filterExpression || [], context);
+        var summarized = definition.columns.some(function(column) {
+            return !!column.summary;
+        });
+        var selectList = [];
+        var groupBy = [];
+        var orderBy = [];
+        var aliases = {};
+
+        definition.columns.forEach(function(column) {
+            var label = column.label || column.name;
+            var expression = translateColumn(column, context);
+
+            if (column['function']) {
+                note(context, 'Column ' + label + ' function ' + column['function'], 'Column functions are not translated; the raw value is returned.');
+            }
+
+            if (summarized && !column.summary) {
+                note(context, 'Column ' + label, 'Columns without a summary type are hidden in a summary search.');
+                return;
+            }
+
+            if (expression === null) {
+                expression = 'NULL';
+            } else if (column.summary && column.summary.toUpperCase() === 'GROUP') {
+                groupBy.push(expression);
+            } else if (column.summary) {
+                expression = applySummary(column.summary, expression, context, 'Column ' + label);
+            }
+
+            selectList.push(expression + ' AS ' + quoteAlias(label, aliases));
+
+            if (column.sort && column.sort !== 'NONE' && expression !== 'NULL') {
+                orderBy.push(expression + (column.sort === 'DESC' ? ' DESC' : ''));
+            }
+        });
+
+        if (selectList.length === 0) {
+            selectList.push(context.baseAlias + '.id');
+        }
+
+        var where = context.typeFilters.concat(filters.where);
+        var sql = 'SELECT\n\t' + selectList.join(',\n\t') + '\nFROM\n\t' + context.baseTable;
+
+        if (context.line) {
+            sql += '\n\tINNER JOIN transactionline ON ( transactionline.transaction = ' + context.baseAlias + '.id )';
+        }
+
+        Object.keys(context.joins).forEach(function(alias) {
+            sql += '\n\t' + context.joins[alias];
+        });
+
+        if (where.length > 0) {
+            sql += '\nWHERE\n\t' + where.join('\n\tAND ');
+        }
+        if (groupBy.length > 0) {
+            sql += '\nGROUP BY\n\t' + groupBy.join(',\n\t');
+        }
+        if (filters.having.length > 0) {
+            sql += '\nHAVING\n\t' + filters.having.join('\n\tAND ');
+        }
+        if (orderBy.length > 0) {
+            sql += '\nORDER BY\n\t' + orderBy.join(',\n\t');
+        }
+
+        return {
+            sql: sql,
+            untranslated: context.untranslated
+        };
+    }
+
+    /**
+     * Create the state shared while converting one search
+     *
+     * @param {Object} definition - Search definition
+     * @param {Object} options - Conversion options
+     * @returns {Object} - Conversion context
+     */
+    function createConversionContext(definition, options) {
+        var searchType = String(definition.searchType || '').toLowerCase();
+        var context = {
+            baseTable: searchType,
+            baseAlias: searchType,
+            transaction: false,
+            line: false,
+            joins: {},
+            typeFilters: [],
+            untranslated: [],
+            dateFormat: options.dateFormat,
+            userId: options.userId
+        };
+
+        if (searchType === 'transaction' || TRANSACTION_TYPES.hasOwnProperty(searchType)) {
+            context.baseTable = 'transaction';
+            context.baseAlias = 'transaction';
+            context.transaction = true;
+            // Transaction searches return lines unless filtered to the main line
+            context.line = !isMainLineSearch(definition.filterExpression || []);
+
+            if (TRANSACTION_TYPES.hasOwnProperty(searchType)) {
+                context.typeFilters.push('transaction.type = \'' + TRANSACTION_TYPES[searchType] + '\'');
+            }
+        } else if (ITEM_TYPES.hasOwnProperty(searchType)) {
+            context.baseTable = 'item';
+            context.baseAlias = 'item';
+            context.typeFilters.push('item.itemtype = \'' + ITEM_TYPES[searchType] + '\'');
+        }
+
+        return context;
+    }
+
+    /**
+     * Check whether a filter expression limits results to the main line
+     *
+     * @param {Array} expression - The search filter expression
+     * @returns {boolean} - True if "mainline is T" is a top-level AND condition
+     */
+    function isMainLineSearch(expression) {
+        if (hasConnective(expression, 'OR')) {
+            return false;
+        }
+
+        return expression.some(function(node) {
+            return isTerm(node) &&
+                String(node[0]).toLowerCase() === 'mainline' &&
+                String(node[1]).toLowerCase() === 'is' &&
+                String(node[2]).toUpperCase() === 'T';
+        });
+    }
+
+    /**
+     * Split the filter expression into WHERE and HAVING conditions
+     *
+     * Summary filters are only translated when they are combined with
+     * the other filters by AND at the top level.
+     *
+     * @param {Array} expression - The search filter expression
+     * @param {Object} context - Conversion context
+     * @returns {Object} - { where, having }
+     */
+    function splitFilters(expression, context) {
+        var result = { where: [], having: [] };
+
+        if (expression.length === 0) {
+            return result;
+        }
+
+        if (isTerm(expression)) {
+            expression = [expression];
+        }
+
+        if (hasConnective(expression, 'OR')) {
+            var condition = translateGroup(expression, context);
+            if (condition) {
+                result.where.push(condition);
+            }
+            return result;
+        }
+
+        var negate = false;
+
+        expression.forEach(function(node) {
+            if (typeof node === 'string') {
+                negate = node.toUpperCase() === 'NOT' ? !negate : negate;
+                return;
+            }
+
+            var summary = isTerm(node) ? parseSummaryName(node[0]) : null;
+            var condition = summary ?
+                translateTerm([summary.name].concat(node.slice(1)), context, summary.summary) :
+                translateNode(node, context);
+
+            if (condition) {
+                (summary ? result.having : result.where).push(negate ? 'NOT ( ' + condition + ' )' : condition);
+            }
+            negate = false;
+        });
+
+        return result;
+    }
+
+    /**
+     * Translate a filter term or group
+     *
+     * @param {Array} node - Filter term or nested expression
+     * @param {Object} context - Conversion context
+     * @returns {string|null} - SQL condition, or null if it could not be translated
+     */
+    function translateNode(node, context) {
+        return isTerm(node) ? translateTerm(node, context) : translateGroup(node, context);
+    }
+
+    /**
+     * Translate a nested filter expression
+     *
+     * Conditions that cannot be translated are left out of an AND group,
+     * which widens the results. A group containing OR is dropped as a whole
+     * instead, since leaving out one alternative would narrow them.
+     *
+     * @param {Array} expression - Nested filter expression
+     * @param {Object} context - Conversion context
+     * @returns {string|null} - SQL condition, or null if it could not be translated
+     */
+    function translateGroup(expression, context) {
+        var parts = [];
+        var failed = false;
+        var negate = false;
+
+        expression.forEach(function(node) {
+            if (typeof node === 'string') {
+                var keyword = node.toUpperCase();
+                if (keyword === 'NOT') {
+                    negate = !negate;
+                } else if (parts.length > 0) {
+                    parts.push(keyword);
+                }
+                return;
+            }
+
+            var condition = translateNode(node, context);
+
+            if (!condition) {
+                // An empty condition is implied by the FROM clause and is not a failure
+                failed = failed || condition === null;
+                if (typeof parts[parts.length - 1] === 'string') {
+                    parts.pop();
+                }
+            } else {
+                parts.push({ sql: negate ? 'NOT ( ' + condition + ' )' : condition });
+            }
+            negate = false;
+        });
+
+        if (failed && hasConnective(expression, 'OR')) {
+            note(context, 'Filter group ' + describeExpression(expression), 'An OR group was left out because one of its conditions could not be translated.');
+            return null;
+        }
+
+        if (typeof parts[parts.length - 1] === 'string') {
+            parts.pop();
+        }
+        if (typeof parts[0] === 'string') {
+            parts.shift();
+        }
+
+        var conditions = parts.filter(function(part) {
+            return typeof part !== 'string';
+        });
+
+        if (conditions.length === 0) {
+            return null;
+        }
+        if (conditions.length === 1) {
+            return conditions[0].sql;
+        }
+
+        return '( ' + parts.map(function(part) {
+            return typeof part === 'string' ? part : part.sql;
+        }).join(' ') + ' )';
+    }
+
+    /**
+     * Translate a single filter term
+     *
+     * @param {Array} term - Filter term [name, operator, values...]
+     * @param {Object} context - Conversion context
+     * @param {string} [summary] - Summary type for a summary filter
+     * @returns {string|null} - SQL condition, an empty string if the filter is implied, or null if it could not be translated
+     */
+    function translateTerm(term, context, summary) {
+        var name = String(term[0]);
+        var operator = String(term[1] || '').toLowerCase();
+        var values = flattenValues(term.slice(2));
+        var construct = 'Filter ' + name + ' ' + operator + (values.length > 0 ? ' ' + values.join(', ') : '');
+        var parsedName = parseFieldName(name);
+
+        // The main line filters are implied by the FROM clause
+        if (!parsedName.join && !parsedName.formula && context.transaction && !context.line &&
+            LINE_ONLY_FILTERS.indexOf(parsedName.name) !== -1) {
+            return '';
+        }
+
+        if (!summary && parseSummaryName(name)) {
+            note(context, construct, 'Summary filters are only translated when combined with the other filters by AND.');
+            return null;
+        }
+
+        var expression;
+
+        if (parsedName.formula) {
+            expression = translateFormula(parsedName.formula, context, construct);
+        } else if (context.transaction && !parsedName.join && parsedName.name === 'status') {
+            // Search status values carry the type prefix (SalesOrd:B), like BUILTIN.CF
+            expression = 'BUILTIN.CF( ' + context.baseAlias + '.status )';
+        } else {
+            expression = resolveField(parsedName.name, parsedName.join, context, construct, false);
+        }
+
+        if (expression === null) {
+            return null;
+        }
+
+        if (summary) {
+            expression = applySummary(summary, expression, context, construct);
+            if (expression === null) {
+                return null;
+            }
+        }
+
+        var condition = translateOperator(expression, operator, values, context);
+
+        if (condition === null) {
+            note(context, construct, 'The ' + operator + ' operator has no SuiteQL translation.');
+        }
+
+        return condition;
+    }
+
+    /**
+     * Translate a filter operator and its values
+     *
+     * @param {string} expression - SQL expression being filtered
+     * @param {string} operator - Search operator
+     * @param {Array} values - Filter values
+     * @param {Object} context - Conversion context
+     * @returns {string|null} - SQL condition, or null if the operator is not supported
+     */
+    function translateOperator(expression, operator, values, context) {
+        switch (operator) {
+            case 'anyof':
+            case 'noneof':
+                return translateAnyOf(expression, operator === 'noneof', values, context);
+
+            case 'is':
+                return expression + ' = ' + toLiteral(values[0]);
+            case 'isnot':
+                return expression + ' <> ' + toLiteral(values[0]);
+            case 'contains':
+                return 'LOWER( ' + expression + ' ) LIKE ' + toLiteral('%' + String(values[0]).toLowerCase() + '%');
+            case 'doesnotcontain':
+                return 'LOWER( ' + expression + ' ) NOT LIKE ' + toLiteral('%' + String(values[0]).toLowerCase() + '%');
+            case 'startswith':
+                return 'LOWER( ' + expression + ' ) LIKE ' + toLiteral(String(values[0]).toLowerCase() + '%');
+            case 'doesnotstartwith':
+                return 'LOWER( ' + expression + ' ) NOT LIKE ' + toLiteral(String(values[0]).toLowerCase() + '%');
+            case 'isempty':
+                return expression + ' IS NULL';
+            case 'isnotempty':
+                return expression + ' IS NOT NULL';
+            case 'between':
+                return expression + ' BETWEEN ' + toLiteral(values[0]) + ' AND ' + toLiteral(values[1]);
+            case 'notbetween':
+                return expression + ' NOT BETWEEN ' + toLiteral(values[0]) + ' AND ' + toLiteral(values[1]);
+        }
+
+        if (COMPARISON_OPERATORS.hasOwnProperty(operator)) {
+            return expression + ' ' + COMPARISON_OPERATORS[operator] + ' ' + toLiteral(values[0]);
+        }
+
+        return translateDateOperator(expression, operator, values, context);
+    }
+
+    /**
+     * Translate an anyof / noneof filter
+     *
+     * @param {string} expression - SQL expression being filtered
+     * @param {boolean} negate - True for noneof
+     * @param {Array} values - Filter values
+     * @param {Object} context - Conversion context
+     * @returns {string} - SQL condition
+     */
+    function translateAnyOf(expression, negate, values, context) {
+        var includesNone = false;
+        var literals = [];
+
+        values.forEach(function(value) {
+            if (value === '@NONE@') {
+                includesNone = true;
+            } else if (value === '@CURRENT@') {
+                literals.push(toLiteral(context.userId));
+            } else {
+                literals.push(toLiteral(value));
+            }
+        });
+
+        var conditions = [];
+
+        if (literals.length > 0) {
+            conditions.push(expression + (negate ? ' NOT IN ( ' : ' IN ( ') + literals.join(', ') + ' )');
+        }
+        if (includesNone) {
+            conditions.push(expression + (negate ? ' IS NOT NULL' : ' IS NULL'));
+        }
+
+        if (conditions.length === 1) {
+            return conditions[0];
+        }
+        return '( ' + conditions.join(negate ? ' AND ' : ' OR ') + ' )';
+    }
+
+    /**
+     * Translate a date filter
+     *
+     * Every date value is treated as the range of days it covers, so
+     * "on" and "within" compare against [start, end) bounds.
+     *
+     * @param {string} expression - SQL expression being filtered
+     * @param {string} operator - Search date operator
+     * @param {Array} values - Filter values (dates or relative date names)
+     * @param {Object} context - Conversion context
+     * @returns {string|null} - SQL condition, or null if not supported
+     */
+    function translateDateOperator(expression, operator, values, context) {
+        var negate = false;
+
+        if (/^not/.test(operator)) {
+            negate = true;
+            operator = operator.substring(3);
+        }
+
+        if (['on', 'before', 'after', 'onorbefore', 'onorafter', 'within'].indexOf(operator) === -1) {
+            return null;
+        }
+
+        var ranges = values.map(function(value) {
+            return toDateRange(value, context);
+        });
+
+        if (ranges.length === 0 || ranges.some(function(range) { return range === null; })) {
+            return null;
+        }
+
+        var start = ranges[0][0];
+        var end = ranges[ranges.length - 1][1];
+        var condition;
+
+        switch (operator) {
+            case 'on':
+            case 'within':
+                condition = '( ' + expression + ' >= ' + start + ' AND ' + expression + ' < ' + end + ' )';
+                break;
+            case 'before':
+                condition = expression + ' < ' + start;
+                break;
+            case 'after':
+                condition = expression + ' >= ' + ranges[0][1];
+                break;
+            case 'onorbefore':
+                condition = expression + ' < ' + ranges[0][1];
+                break;
+            case 'onorafter':
+                condition = expression + ' >= ' + start;
+                break;
+        }
+
+        return negate ? 'NOT ( ' + condition + ' )' : condition;
+    }
+
+    /**
+     * Convert a date filter value to a [start, end) range of SQL expressions
+     *
+     * @param {string} value - A date in the user's format, or a relative date name
+     * @param {Object} context - Conversion context
+     * @returns {Array|null} - [start, end], or null if the value is not recognized
+     */
+    function toDateRange(value, context) {
+        var text = String(value).trim().toLowerCase();
+        var relative = text.match(/^days(ago|fromnow)(\d+)$/);
+
+        if (RELATIVE_DATES.hasOwnProperty(text)) {
+            return RELATIVE_DATES[text];
+        }
+
+        if (relative) {
+            var relativeDay = 'TRUNC( SYSDATE ) ' + (relative[1] === 'ago' ? '- ' : '+ ') + relative[2];
+            return [relativeDay, relativeDay + ' + 1'];
+        }
+
+        if (!/\d/.test(text)) {
+            return null;
+        }
+
+        // Date-time values compare by the day they fall on
+        var day = 'TO_DATE( ' + toLiteral(String(value).trim().split(/\s+/)[0]) + ', ' + toLiteral(context.dateFormat) + ' )';
+        return [day, day + ' + 1'];
+    }
+
+    /**
+     * Translate a search column to a SQL expression
+     *
+     * @param {Object} column - Column definition
+     * @param {Object} context - Conversion context
+     * @returns {string|null} - SQL expression, or null if it could not be translated
+     */
+    function translateColumn(column, context) {
+        var construct = 'Column ' + (column.join ? column.join + '.' : '') + column.name +
+            (column.label ? ' (' + column.label + ')' : '');
+
+        if (/^formula/i.test(column.name)) {
+            if (!column.formula) {
+                note(context, construct, 'The formula column has no formula.');
+                return null;
+            }
+            return translateFormula(column.formula, context, construct);
+        }
+
+        return resolveField(column.name, column.join, context, construct, true);
+    }
+
+    /**
+     * Translate a search formula by resolving its {field} references
+     *
+     * @param {string} formula - The search formula
+     * @param {Object} context - Conversion context
+     * @param {string} construct - Description of the construct, for notes
+     * @returns {string|null} - SQL expression, or null if a reference could not be resolved
+     */
+    function translateFormula(formula, context, construct) {
+        var failed = false;
+
+        var sql = formula.replace(/\{([\w.]+)\}/g, function(reference, fieldReference) {
+            var lower = fieldReference.toLowerCase();
+
+            if (lower === 'today') {
+                return 'TRUNC( SYSDATE )';
+            }
+            if (lower === 'now') {
+                return 'SYSDATE';
+            }
+
+            var parts = lower.split('.');
+            var expression = parts.length === 2 ?
+                resolveField(parts[1], parts[0], context, construct, true) :
+                resolveField(parts[0], null, context, construct, true);
+
+            if (expression === null || parts.length > 2) {
+                failed = true;
+                return reference;
+            }
+            return expression;
+        });
+
+        return failed ? null : '( ' + sql.trim() + ' )';
+    }
+
+    /**
+     * Resolve a search field to a SQL column reference
+     *
+     * @param {string} name - Search field ID
+     * @param {string} [join] - Search join ID
+     * @param {Object} context - Conversion context
+     * @param {string} construct - Description of the construct, for notes
+     * @param {boolean} display - True to return list values as display text
+     * @returns {string|null} - SQL expression, or null if the join is not supported
+     */
+    function resolveField(name, join, context, construct, display) {
+        var field = String(name).toLowerCase();
+        var column;
+
+        if (join) {
+            var alias = resolveJoin(String(join).toLowerCase(), context);
+            if (alias === null) {
+                note(context, construct, 'The ' + join + ' join has no SuiteQL translation.');
+                return null;
+            }
+            column = alias + '.' + (FIELD_NAMES[field] || field);
+        } else if (context.line && LINE_FIELDS.hasOwnProperty(field)) {
+            column = 'transactionline.' + LINE_FIELDS[field];
+        } else if (context.transaction && TRANSACTION_FIELD_NAMES.hasOwnProperty(field)) {
+            column = context.baseAlias + '.' + TRANSACTION_FIELD_NAMES[field];
+        } else {
+            column = context.baseAlias + '.' + (FIELD_NAMES[field] || field);
+        }
+
+        if (display && SELECT_FIELDS.indexOf(field) !== -1) {
+            return 'BUILTIN.DF( ' + column + ' )';
+        }
+        return column;
+    }
+
+    /**
+     * Add a join to the query and get its alias
+     *
+     * @param {string} join - Search join ID (lowercase)
+     * @param {Object} context - Conversion context
+     * @returns {string|null} - Join alias, or null if the join is not supported
+     */
+    function resolveJoin(join, context) {
+        var definition = context.transaction ? TRANSACTION_JOINS[join] : null;
+
+        if (!definition || (definition.line && !context.line)) {
+            return null;
+        }
+
+        var alias = join + '_join';
+        var source = (definition.line ? 'transactionline' : context.baseAlias) + '.' + definition.field;
+
+        if (!context.joins.hasOwnProperty(alias)) {
+            context.joins[alias] = 'LEFT OUTER JOIN ' + definition.table + ' ' + alias + ' ON ( ' + alias + '.id = ' + source + ' )';
+        }
+
+        return alias;
+    }
+
+    /**
+     * Wrap an expression in a summary aggregate
+     *
+     * @param {string} summary - Search summary type
+     * @param {string} expression - SQL expression
+     * @param {Object} context - Conversion context
+     * @param {string} construct - Description of the construct, for notes
+     * @returns {string|null} - Aggregated expression, or null if the summary type is not supported
+     */
+    function applySummary(summary, expression, context, construct) {
+        var template = SUMMARY_FUNCTIONS[String(summary).toUpperCase()];
+
+        if (!template) {
+            note(context, construct, 'The ' + summary + ' summary type has no SuiteQL translation.');
+            return null;
+        }
+        return template.replace('{0}', expression);
+    }
+
+    /**
+     * Parse a filter name into its formula, join and field parts
+     *
+     * @param {string} name - Filter name ("field", "join.field" or "formulatext: ...")
+     * @returns {Object} - { name, join, formula }
+     */
+    function parseFieldName(name) {
+        var formula = name.match(/^formula\w*\s*:\s*([\s\S]*)$/i);
+
+        if (formula) {
+            return { name: null, join: null, formula: formula[1] };
+        }
+
+        var parts = name.toLowerCase().split('.');
+        return parts.length === 2 ?
+            { name: parts[1], join: parts[0], formula: null } :
+            { name: parts[0], join: null, formula: null };
+    }
+
+    /**
+     * Parse a summary filter name such as "sum(amount)"
+     *
+     * @param {string} name - Filter name
+     * @returns {Object|null} - { summary, name }, or null if it is not a summary filter
+     */
+    function parseSummaryName(name) {
+        var match = String(name).match(/^(sum|count|avg|min|max)\(([\s\S]+)\)$/i);
+        return match ? { summary: match[1].toUpperCase(), name: match[2].trim() } : null;
+    }
+
+    /**
+     * Check whether a node is a single filter term rather than a group
+     *
+     * @param {*} node - Filter expression node
+     * @returns {boolean} - True for a [name, operator, values...] term
+     */
+    function isTerm(node) {
+        return Array.isArray(node) && typeof node[0] === 'string' &&
+            !/^(AND|OR|NOT)$/i.test(node[0]);
+    }
+
+    /**
+     * Check whether an expression uses a connective at its top level
+     *
+     * @param {Array} expression - Filter expression
+     * @param {string} connective - AND or OR
+     * @returns {boolean} - True if the connective is used
+     */
+    function hasConnective(expression, connective) {
+        return !isTerm(expression) && expression.some(function(node) {
+            return typeof node === 'string' && node.toUpperCase() === connective;
+        });
+    }
+
+    /**
+     * Describe a filter expression for the untranslated list
+     *
+     * @param {Array} expression - Filter expression
+     * @returns {string} - Compact description
+     */
+    function describeExpression(expression) {
+        return JSON.stringify(expression).substring(0, 200);
+    }
+
+    /**
+     * Flatten filter values (a term may hold a value array)
+     *
+     * @param {Array} values - Filter values
+     * @returns {Array} - Flat list of values
+     */
+    function flattenValues(values) {
+        return values.reduce(function(list, value) {
+            return list.concat(Array.isArray(value) ? value : [value]);
+        }, []);
+    }
+
+    /**
+     * Convert a filter value to a SQL literal
+     *
+     * @param {*} value - Filter value
+     * @returns {string} - Numeric literal, or quoted string literal
+     */
+    function toLiteral(value) {
+        var text = value === null || value === undefined ? '' : String(value);
+
+        if (/^-?\d+(\.\d+)?$/.test(text)) {
+            return text;
+        }
+        return '\'' + text.replace(/'/g, '\'\'') + '\'';
+    }
+
+    /**
+     * Quote a column alias, keeping aliases unique
+     *
+     * @param {string} label - Column label
+     * @param {Object} aliases - Aliases used so far
+     * @returns {string} - Quoted alias
+     */
+    function quoteAlias(label, aliases) {
+        var alias = String(label || 'column').replace(/"/g, '').substring(0, 60);
+        var unique = alias;
+        var suffix = 2;
+
+        while (aliases.hasOwnProperty(unique.toLowerCase())) {
+            unique = alias + '_' + suffix++;
+        }
+        aliases[unique.toLowerCase()] = true;
+
+        return '"' + unique + '"';
+    }
+
+    /**
+     * Record a construct that could not be translated
+     *
+     * @param {Object} context - Conversion context
+     * @param {string} construct - The search construct
+     * @param {string} reason - Why it was not translated
+     * @returns {void}
+     */
+    function note(context, construct, reason) {
+        context.untranslated.push({ construct: construct, reason: reason });
+    }
+
+    /**
+     * Get the current user's date format as an Oracle format model
+     *
+     * @returns {string} - Date format (e.g. MM/DD/YYYY)
+     */
+    function getDateFormat() {
+        var preference = nsModules.runtime.getCurrentUser().getPreference({ name: 'DATEFORMAT' }) || 'M/D/YYYY';
+
+        return preference.replace(/MONTH|Month|Mon|MON|YYYY|MM?|DD?/g, function(token) {
+            switch (token) {
+                case 'M':
+                case 'MM':
+                    return 'MM';
+                case 'D':
+                case 'DD':
+                    return 'DD';
+                case 'Mon':
+                case 'MON':
+                    return 'MON';
+                case 'Month':
+                    return 'MONTH';
+                default:
+                    return token;
+            }
+        });
+    }
+
+    /**
+     * Export the saved search converter functions
+     */
+    return {
+        savedSearchesGet: savedSearchesGet,
+        savedSearchConvert: savedSearchConvert,
+        convertSearch: convertSearch
+    };
+
+});
@@ -0,0 +1,394 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ */
+
+/**
+ * Enhanced SuiteQL Query Tool - Script Runner
+ *
+ * This module executes multi-statement scripts. The script is split
+ * on top-level semicolons and each statement is run in order through
+ * the same synthetic, DML and SuiteQL paths as a single query, with
+ * one result set or message returned per statement.
+ *
+ * @author Matt Owen - Web Solutions Group, LLC
+ * @version 2025.1
+ */
+
+define([
+    '../core/constants',
+    '../core/modules',
+    './queryEngine',
+    '../netsuite/queryHistoryRecord'
+], function(constants, nsModules, queryEngine, queryHistoryRecord) {
+
+    /**
+     * Whitespace and comments before the first keyword of a statement
+     */
+    var LEADING_COMMENTS = /^(\s+|--[^\n]*(\n|$)|\/\*[\s\S]*?\*\/)*/;
+
+    /**
+     * Statements that can follow a CREATE body without a separating semicolon
+     */
+    var STATEMENT_START = /^(SELECT\s|WITH\s+\w+\s+AS\b|INSERT\s+INTO\b|UPSERT\s+INTO\b|UPDATE\s+\w+\s+SET\b|DELETE\s+FROM\b|CALL\s+\w|CREATE\s+OR\s+REPLACE\b|ALTER\s|DROP\s|RUN\s+TESTS\b|BEGIN(\s+TRANSACTION)?(\s*;|\s|$)|COMMIT\b|ROLLBACK\b)/i;
+
+    /**
+     * Where the splitter is in a CREATE body, relative to the named function
+     */
+    var FUNCTION_STATE = {
+        NOT_SEEN: 0,
+        OPEN: 1,
+        CLOSED: 2
+    };
+
+    /**
+     * Execute a multi-statement script
+     *
+     * @param {Object} context - The request context
+     * @param {Object} requestPayload - The request payload containing script, stopOnError and viewsEnabled
+     * @returns {void} - Writes response to context
+     */
+    function scriptExecute(context, requestPayload) {
+        var beginTime = new Date().getTime();
+        var responsePayload;
+
+        try {
+            var statements = splitStatements(requestPayload.script || '');
+            var stopOnError = requestPayload.stopOnError !== undefined ?
+                !!requestPayload.stopOnError :
+                constants.CONFIG.SCRIPT_RUNNER.STOP_ON_ERROR_DEFAULT;
+
+            if (statements.length === 0) {
+                throw {
+                    'name': 'EmptyScriptException',
+                    'message': constants.ERROR_MESSAGES.QUERY_EMPTY
+                };
+            }
+
+            if (statements.length > constants.CONFIG.SCRIPT_RUNNER.MAX_STATEMENTS) {
+                throw {
+                    'name': 'ScriptTooLargeException',
+                    'message': constants.ERROR_MESSAGES.SCRIPT_TOO_MANY_STATEMENTS + ' ' + constants.CONFIG.SCRIPT_RUNNER.MAX_STATEMENTS
+                };
+            }
+
+            var results = [];
+            var stopped = false;
+
+            for (var i = 0; i < statements.length; i++) {
+                var result = {
+                    index: i + 1,
+                    statement: statements[i],
+                    status: 'skipped'
+                };
+
+                if (!stopped) {
+                    executeScriptStatement(result, requestPayload.viewsEnabled);
+                    stopped = result.status === 'error' && stopOnError;
+                }
+
+                results.push(result);
+            }
+
+            var errorCount = results.filter(function(result) {
+                return result.status === 'error';
+            }).length;
+
+            responsePayload = {
+                'statements': results,
+                'statementCount': results.length,
+                'errorCount': errorCount,
+                'stoppedOnError': stopped,
+                'elapsedTime': (new Date().getTime() - beginTime)
+            };
+
+            saveScriptHistory(requestPayload.script, responsePayload);
+
+        } catch(e) {
+            nsModules.logger.error('scriptExecute Error', e);
+            responsePayload = { 'error': e };
+        }
+
+        context.response.write(JSON.stringify(responsePayload, null, 5));
+    }
+
+    /**
+     * Execute one statement of a script and record its outcome
+     *
+     * @param {Object} result - The statement result to populate
+     * @param {boolean} viewsEnabled - Whether virtual views are enabled
+     * @returns {void}
+     */
+    function executeScriptStatement(result, viewsEnabled) {
+        try {
+            var sql = result.statement + "\n";
+
+            if ((viewsEnabled) && (constants.CONFIG.QUERY_FOLDER_ID !== null)) {
+                sql = queryEngine.processVirtualViews(sql, constants.CONFIG.QUERY_FOLDER_ID);
+            }
+
+            var statementResult = queryEngine.executeStatement(sql, []);
+
+            Object.keys(statementResult).forEach(function(key) {
+                result[key] = statementResult[key];
+            });
+            result.status = 'success';
+
+        } catch(e) {
+            nsModules.logger.error('Script statement ' + result.index + ' failed', e);
+            result.status = 'error';
+            result.error = e.message || String(e);
+        }
+    }
+
+    /**
+     * Record the script run in query history as a single entry
+     *
+     * @param {string} script - The full script
+     * @param {Object} responsePayload - The script response
+     * @returns {void}
+     */
+    function saveScriptHistory(script, responsePayload) {
+        if (!constants.CONFIG.QUERY_HISTORY_ENABLED) {
+            return;
+        }
+
+        try {
+            var recordCount = 0;
+            responsePayload.statements.forEach(function(result) {
+                if (Array.isArray(result.records)) {
+                    recordCount += result.records.length;
+                }
+            });
+
+            queryHistoryRecord.addQueryToHistory({
+                queryContent: script,
+                executionTime: responsePayload.elapsedTime,
+                recordCount: recordCount,
+                success: responsePayload.errorCount === 0,
+                errorMessage: responsePayload.errorCount > 0 ? responsePayload.errorCount + ' statement(s) failed' : null,
+                resultFormat: 'table',
+                sessionId: null
+            });
+        } catch(historyErr) {
+            nsModules.logger.error('Script History Save failed', {
+                error: historyErr.toString(),
+                message: historyErr.message
+            });
+        }
+    }
+
+    /**
+     * Split a script into statements on top-level semicolons.
+     *
+     * Semicolons inside string literals, quoted identifiers, comments
+     * and parentheses are ignored. The JavaScript body of a CREATE OR
+     * REPLACE FUNCTION/PROCEDURE statement can hold top-level helpers
+     * before and after the named function, so it ends at the first
+     * top-level semicolon after that function's closing brace, or at the
+     * brace itself when the next statement follows directly. BEGIN batches
+     * run up to their closing COMMIT or ROLLBACK as one statement, so the
+     * batch's statements are journaled and rolled back together.
+     *
+     * @param {string} script - The script text
+     * @returns {Array<string>} - The trimmed, non-empty statements
+     */
+    function splitStatements(script) {
+        var statements = [];
+        var start = 0;
+        var depth = 0;
+        var braceDepth = 0;
+        var createName = getCreateNameAt(script, 0);
+        var inCreateBody = createName !== null;
+        var functionState = FUNCTION_STATE.NOT_SEEN;
+        var inBatch = isBatchStatementAt(script, 0);
+        var batchPartStart = 0;
+        var i = 0;
+
+        /**
+         * Close the statement ending at the given index and start the next one
+         *
+         * @param {number} end - End index of the statement (exclusive)
+         * @param {number} nextStart - Start index of the next statement
+         * @returns {void}
+         */
+        function pushStatement(end, nextStart) {
+            // Leading comments would hide the statement keyword from the DML and CREATE checks
+            var statement = script.substring(start, end).replace(LEADING_COMMENTS, '').trim();
+            if (statement !== '') {
+                statements.push(statement);
+            }
+            start = nextStart;
+            depth = 0;
+            braceDepth = 0;
+            createName = getCreateNameAt(script, start);
+            inCreateBody = createName !== null;
+            functionState = FUNCTION_STATE.NOT_SEEN;
+            inBatch = isBatchStatementAt(script, start);
+            batchPartStart = start;
+        }
+
+        /**
+         * Check whether the batch statement in progress is the closing COMMIT or ROLLBACK
+         *
+         * @param {number} end - End index of the batch statement (exclusive)
+         * @returns {boolean} - True if it ends the batch
+         */
+        function isBatchEnd(end) {
+            var part = script.substring(batchPartStart, end).replace(/--[^\n]*|\/\*[\s\S]*?\*\//g, '').trim();
+            return /^(COMMIT|ROLLBACK)$/i.test(part);
+        }
+
+        while (i < script.length) {
+            var char = script[i];
+            var next = script[i + 1];
+
+            // Comments (SQL line comments, JavaScript line comments in CREATE bodies, block comments)
+            if ((char === '-' && next === '-') || (inCreateBody && char === '/' && next === '/')) {
+                var lineEnd = script.indexOf('\n', i);
+                i = lineEnd === -1 ? script.length : lineEnd;
+                continue;
+            }
+
+            if (char === '/' && next === '*') {
+                var commentEnd = script.indexOf('*/', i + 2);
+                i = commentEnd === -1 ? script.length : commentEnd + 2;
+                continue;
+            }
+
+            // String literals, quoted identifiers and JavaScript template literals
+            if (char === "'" || char === '"' || (inCreateBody && char === '`')) {
+                i = skipQuoted(script, i, inCreateBody);
+                continue;
+            }
+
+            if (inCreateBody) {
+                if (functionState === FUNCTION_STATE.NOT_SEEN && braceDepth === 0 && isFunctionDeclarationAt(script, i, createName)) {
+                    functionState = FUNCTION_STATE.OPEN;
+                } else if (char === '{') {
+                    braceDepth++;
+                } else if (char === '}' && --braceDepth === 0 && functionState === FUNCTION_STATE.OPEN) {
+                    functionState = FUNCTION_STATE.CLOSED;
+
+                    // A semicolon or the next statement right after the named function ends the body
+                    var terminator = script.substring(i + 1).match(/^\s*;/);
+                    if (terminator) {
+                        pushStatement(i + 1, i + 1 + terminator[0].length);
+                        i = start;
+                        continue;
+                    }
+                    if (STATEMENT_START.test(script.substring(i + 1).replace(LEADING_COMMENTS, ''))) {
+                        pushStatement(i + 1, i + 1);
+                        i = start;
+                        continue;
+                    }
+                } else if (char === '(') {
+                    depth++;
+                } else if (char === ')') {
+                    depth = Math.max(depth - 1, 0);
+                } else if (char === ';' && braceDepth === 0 && depth === 0 && functionState === FUNCTION_STATE.CLOSED) {
+                    pushStatement(i, i + 1);
+                }
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')') {
+                depth = Math.max(depth - 1, 0);
+            } else if (inBatch && depth === 0 && (char === ';' || char === '\n')) {
+                // Keep the batch together until a COMMIT or ROLLBACK on its own
+                if (isBatchEnd(i)) {
+                    pushStatement(i, char === ';' ? i + 1 : i);
+                } else if (char === ';') {
+                    batchPartStart = i + 1;
+                }
+            } else if (char === ';' && depth === 0) {
+                pushStatement(i, i + 1);
+            }
+
+            i++;
+        }
+
+        pushStatement(script.length, script.length);
+
+        return statements;
+    }
+
+    /**
+     * Get the name of the CREATE OR REPLACE FUNCTION/PROCEDURE statement starting at an index
+     *
+     * @param {string} script - The script text
+     * @param {number} start - Statement start index
+     * @returns {string|null} - The function or procedure name, or null if the statement has no JavaScript body
+     */
+    function getCreateNameAt(script, start) {
+        var statement = script.substring(start, start + 500).replace(LEADING_COMMENTS, '');
+        var match = statement.match(/^CREATE\s+OR\s+REPLACE\s+(?:FUNCTION|PROCEDURE)\s+(\w+)\s+AS\b/i);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Check whether the declaration of the named function starts at an index
+     *
+     * @param {string} script - The script text
+     * @param {number} index - Index to check
+     * @param {string} name - Function name
+     * @returns {boolean} - True if "function <name>(" starts at the index
+     */
+    function isFunctionDeclarationAt(script, index, name) {
+        if (index > 0 && /[\w$]/.test(script[index - 1])) {
+            return false;
+        }
+        return new RegExp('^function\\s+' + name + '\\s*\\(', 'i').test(script.substring(index, index + name.length + 100));
+    }
+
+    /**
+     * Check whether the statement starting at an index is a BEGIN ... COMMIT batch
+     *
+     * @param {string} script - The script text
+     * @param {number} start - Statement start index
+     * @returns {boolean} - True if the statement opens a batch
+     */
+    function isBatchStatementAt(script, start) {
+        var statement = script.substring(start, start + 100).replace(LEADING_COMMENTS, '');
+        return /^BEGIN(\s+TRANSACTION)?(\s*;|\s|$)/i.test(statement);
+    }
+
+    /**
+     * Find the index of a quoted section's closing quote
+     *
+     * @param {string} script - The script text
+     * @param {number} openIndex - Index of the opening quote
+     * @param {boolean} allowBackslash - Whether backslash escapes apply (JavaScript bodies)
+     * @returns {number} - Index just past the closing quote
+     */
+    function skipQuoted(script, openIndex, allowBackslash) {
+        var quote = script[openIndex];
+        var i = openIndex + 1;
+
+        while (i < script.length) {
+            if (allowBackslash && script[i] === '\\') {
+                i += 2;
+                continue;
+            }
+            if (script[i] === quote) {
+                // SQL escapes a quote by doubling it
+                if (!allowBackslash && script[i + 1] === quote) {
+                    i += 2;
+                    continue;
+                }
+                return i + 1;
+            }
+            i++;
+        }
+
+        return script.length;
+    }
+
+    /**
+     * Export the script runner functions
+     */
+    return {
+        scriptExecute: scriptExecute,
+        splitStatements: splitStatements
+    };
+
+});
@@ -0,0 +1,514 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ */
+
+/**
+ * Enhanced SuiteQL Query Tool - Virtual Views
+ *
+ * This module resolves #viewname references against the .sql files
+ * in the query folder. Views can reference other views, and can take
+ * arguments that are bound into the view's ? placeholders:
+ *
+ *     SELECT * FROM #open_orders(subsidiary => 3, status => 'SalesOrd:B')
+ *
+ * A view declares its parameters, in placeholder order, in header
+ * comments at the top of its file:
+ *
+ *     -- @description Open sales orders by subsidiary
+ *     -- @param subsidiary
+ *     -- @param status = 'SalesOrd:B'
+ *
+ * Views referenced without parentheses are inserted unchanged, so
+ * their placeholders are still bound from the query parameters.
+ *
+ * @author Matt Owen - Web Solutions Group, LLC
+ * @version 2025.1
+ */
+
+define([
+    '../core/constants',
+    '../core/modules'
+], function(constants, nsModules) {
+
+    /**
+     * A view reference: #name preceded by the start of the query, whitespace, ( or ,
+     */
+    var VIEW_REFERENCE = /(^|[\s(,])#(\w+)/g;
+
+    /**
+     * Literal values accepted as view arguments (? forwards a query parameter)
+     */
+    var ARGUMENT_LITERAL = /^(-?\d+(\.\d+)?|'([^']|'')*'|NULL|TRUE|FALSE|\?)$/i;
+
+    /**
+     * Resolve the virtual views in a query, including views used by other views
+     *
+     * @param {string} sql - The SQL query
+     * @param {string} queryFolderID - The folder ID containing view files
+     * @returns {string} - The SQL with every view reference replaced by a subquery
+     */
+    function resolveVirtualViews(sql, queryFolderID) {
+        return expandViews(sql, queryFolderID, [], {});
+    }
+
+    /**
+     * Replace the view references in one level of SQL, recursing into each view
+     *
+     * @param {string} sql - The SQL to expand
+     * @param {string} queryFolderID - The folder ID containing view files
+     * @param {Array<string>} path - Names of the views currently being expanded
+     * @param {Object} loadedViews - View files loaded so far, by name
+     * @returns {string} - The expanded SQL
+     */
+    function expandViews(sql, queryFolderID, path, loadedViews) {
+        var references = findViewReferences(sql);
+
+        if (references.length === 0) {
+            return sql;
+        }
+
+        var expanded = '';
+        var position = 0;
+
+        references.forEach(function(reference) {
+            var chain = path.concat(reference.name);
+
+            if (path.indexOf(reference.name) !== -1) {
+                throw {
+                    'name': 'CircularViewException',
+                    'message': constants.ERROR_MESSAGES.CIRCULAR_VIEW + ' ' + chain.map(function(name) { return '#' + name; }).join(' -> ')
+                };
+            }
+
+            if (path.length >= constants.CONFIG.VIRTUAL_VIEWS.MAX_DEPTH) {
+                throw {
+                    'name': 'ViewDepthExceededException',
+                    'message': constants.ERROR_MESSAGES.VIEW_DEPTH_EXCEEDED + ' ' + constants.CONFIG.VIRTUAL_VIEWS.MAX_DEPTH
+                };
+            }
+
+            var view = loadView(reference.name, queryFolderID, loadedViews);
+            var body = view.body;
+
+            if (reference.argumentText !== null) {
+                body = bindViewArguments(view, parseViewArguments(reference.argumentText, reference.name));
+            }
+
+            body = expandViews(body, queryFolderID, chain, loadedViews);
+
+            expanded += sql.substring(position, reference.start) + '( ' + body + '\n) AS ' + reference.name;
+            position = reference.end;
+        });
+
+        return expanded + sql.substring(position);
+    }
+
+    /**
+     * Find the view references in SQL, ignoring string literals and comments
+     *
+     * @param {string} sql - The SQL to scan
+     * @returns {Array<Object>} - References with name, start, end and argumentText (null without parentheses)
+     */
+    function findViewReferences(sql) {
+        var masked = maskLiterals(sql);
+        var references = [];
+        var match;
+
+        VIEW_REFERENCE.lastIndex = 0;
+
+        while ((match = VIEW_REFERENCE.exec(masked)) !== null) {
+            var start = match.index + match[1].length;
+            var end = start + 1 + match[2].length;
+            var argumentText = null;
+
+            if (masked[end] === '(') {
+                var close = findClosingParen(masked, end);
+                if (close === -1) {
+                    throw {
+                        'name': 'InvalidViewArgumentException',
+                        'message': constants.ERROR_MESSAGES.INVALID_VIEW_ARGUMENTS + ' #' + match[2]
+                    };
+                }
+                argumentText = sql.substring(end + 1, close);
+                end = close + 1;
+            }
+
+            references.push({
+                name: match[2],
+                start: start,
+                end: end,
+                argumentText: argumentText
+            });
+
+            VIEW_REFERENCE.lastIndex = end;
+        }
+
+        return references;
+    }
+
+    /**
+     * Find the parenthesis that closes the one at an index
+     *
+     * @param {string} masked - SQL with literals masked
+     * @param {number} openIndex - Index of the opening parenthesis
+     * @returns {number} - Index of the closing parenthesis, or -1
+     */
+    function findClosingParen(masked, openIndex) {
+        var depth = 0;
+
+        for (var i = openIndex; i < masked.length; i++) {
+            if (masked[i] === '(') {
+                depth++;
+            } else if (masked[i] === ')' && --depth === 0) {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Blank out the contents of string literals, quoted identifiers and comments
+     *
+     * The result has the same length as the input, so indexes found in the
+     * masked text can be used on the original.
+     *
+     * @param {string} sql - The SQL text
+     * @returns {string} - The masked SQL
+     */
+    function maskLiterals(sql) {
+        return sql.replace(/'([^']|'')*'?|"[^"]*"?|--[^\n]*|\/\*[\s\S]*?(\*\/|$)/g, function(token) {
+            // Keep the quote characters so literals still read as values
+            var quote = token[0] === "'" || token[0] === '"' ? token[0] : ' ';
+            return quote + token.substring(1).replace(/[^\n]/g, ' ');
+        });
+    }
+
+    /**
+     * Parse the argument list of a view reference
+     *
+     * @param {string} argumentText - Text between the parentheses
+     * @param {string} viewName - View name, for error messages
+     * @returns {Object} - { positional: Array<string>, named: Object }
+     */
+    function parseViewArguments(argumentText, viewName) {
+        var args = { positional: [], named: {} };
+
+        if (argumentText.trim() === '') {
+            return args;
+        }
+
+        splitArguments(argumentText).forEach(function(argument) {
+            var namedMatch = argument.match(/^(\w+)\s*=>\s*([\s\S]*)$/);
+            var value = (namedMatch ? namedMatch[2] : argument).trim();
+
+            if (!ARGUMENT_LITERAL.test(value)) {
+                throw {
+                    'name': 'InvalidViewArgumentException',
+                    'message': constants.ERROR_MESSAGES.INVALID_VIEW_ARGUMENTS + ' #' + viewName + ': ' + argument
+                };
+            }
+
+            if (namedMatch) {
+                args.named[namedMatch[1].toLowerCase()] = value;
+            } else if (Object.keys(args.named).length > 0) {
+                throw {
+                    'name': 'InvalidViewArgumentException',
+                    'message': constants.ERROR_MESSAGES.INVALID_VIEW_ARGUMENTS + ' #' + viewName + ': positional arguments must come before named arguments'
+                };
+            } else {
+                args.positional.push(value);
+            }
+        });
+
+        return args;
+    }
+
+    /**
+     * Split an argument list on top-level commas
+     *
+     * @param {string} argumentText - Text between the parentheses
+     * @returns {Array<string>} - The trimmed arguments
+     */
+    function splitArguments(argumentText) {
+        var masked = maskLiterals(argumentText);
+        var parts = [];
+        var start = 0;
+        var depth = 0;
+
+        for (var i = 0; i < masked.length; i++) {
+            if (masked[i] === '(') {
+                depth++;
+            } else if (masked[i] === ')') {
+                depth--;
+            } else if (masked[i] === ',' && depth === 0) {
+                parts.push(argumentText.substring(start, i).trim());
+                start = i + 1;
+            }
+        }
+
+        parts.push(argumentText.substring(start).trim());
+
+        return parts;
+    }
+
+    /**
+     * Bind arguments into a view's ? placeholders
+     *
+     * @param {Object} view - The loaded view (body and definition)
+     * @param {Object} args - Parsed arguments from parseViewArguments
+     * @returns {string} - The view body with each placeholder replaced by its value
+     */
+    function bindViewArguments(view, args) {
+        var placeholders = findPlaceholders(view.body);
+        var parameters = view.definition.parameters;
+
+        // Views without declarations take positional arguments only
+        if (parameters.length === 0) {
+            parameters = placeholders.map(function(placeholder, index) {
+                return { name: null, defaultValue: null, index: index };
+            });
+        }
+
+        if (parameters.length !== placeholders.length) {
+            throw {
+                'name': 'InvalidViewDefinitionException',
+                'message': constants.ERROR_MESSAGES.VIEW_PARAMETER_MISMATCH + ' #' + view.name
+            };
+        }
+
+        if (args.positional.length > parameters.length) {
+            throw {
+                'name': 'InvalidViewArgumentException',
+                'message': constants.ERROR_MESSAGES.INVALID_VIEW_ARGUMENTS + ' #' + view.name + ': expected at most ' + parameters.length + ' argument(s)'
+            };
+        }
+
+        Object.keys(args.named).forEach(function(name) {
+            var declared = parameters.some(function(parameter) {
+                return parameter.name === name;
+            });
+            if (!declared) {
+                throw {
+                    'name': 'InvalidViewArgumentException',
+                    'message': constants.ERROR_MESSAGES.INVALID_VIEW_ARGUMENTS + ' #' + view.name + ': no parameter named ' + name
+                };
+            }
+        });
+
+        var values = parameters.map(function(parameter, index) {
+            var value = index < args.positional.length ? args.positional[index] :
+                (parameter.name !== null && args.named.hasOwnProperty(parameter.name) ? args.named[parameter.name] : parameter.defaultValue);
+
+            if (value === null || value === undefined) {
+                throw {
+                    'name': 'InvalidViewArgumentException',
+                    'message': constants.ERROR_MESSAGES.MISSING_VIEW_ARGUMENT + ' #' + view.name + ': ' + (parameter.name || 'argument ' + (index + 1))
+                };
+            }
+
+            return value;
+        });
+
+        var bound = '';
+        var position = 0;
+
+        placeholders.forEach(function(placeholderIndex, index) {
+            bound += view.body.substring(position, placeholderIndex) + values[index];
+            position = placeholderIndex + 1;
+        });
+
+        return bound + view.body.substring(position);
+    }
+
+    /**
+     * Find the ? placeholders in SQL, ignoring string literals and comments
+     *
+     * @param {string} sql - The SQL text
+     * @returns {Array<number>} - Placeholder indexes in order
+     */
+    function findPlaceholders(sql) {
+        var masked = maskLiterals(sql);
+        var placeholders = [];
+
+        for (var i = 0; i < masked.length; i++) {
+            if (masked[i] === '?') {
+                placeholders.push(i);
+            }
+        }
+
+        return placeholders;
+    }
+
+    /**
+     * Load a view file from the query folder
+     *
+     * @param {string} name - The view name (file name without .sql)
+     * @param {string} queryFolderID - The folder ID containing view files
+     * @param {Object} loadedViews - View files loaded so far, by name
+     * @returns {Object} - { name, fileId, body, definition }
+     */
+    function loadView(name, queryFolderID, loadedViews) {
+        var key = name.toLowerCase();
+
+        if (loadedViews[key]) {
+            return loadedViews[key];
+        }
+
+        var viewFileName = name + '.sql';
+        var files = nsModules.queryUtils.runSuiteQL({
+            query: 'SELECT ID FROM File WHERE ( Folder = ? ) AND ( Name = ? )',
+            params: [queryFolderID, viewFileName]
+        }).asMappedResults();
+
+        if (files.length !== 1) {
+            throw {
+                'name': 'UnresolvedViewException',
+                'message': constants.ERROR_MESSAGES.UNRESOLVED_VIEW + ' ' + viewFileName
+            };
+        }
+
+        var contents = nsModules.fileUtils.load(files[0].id).getContents();
+
+        loadedViews[key] = {
+            name: name,
+            fileId: files[0].id,
+            // A trailing semicolon would end the enclosing query
+            body: contents.trim().replace(/;\s*$/, ''),
+            definition: parseViewHeader(contents)
+        };
+
+        return loadedViews[key];
+    }
+
+    /**
+     * Read the @description and @param declarations from a view's header comments
+     *
+     * @param {string} contents - The view file contents
+     * @returns {Object} - { description, parameters: [{ name, defaultValue }] }
+     */
+    function parseViewHeader(contents) {
+        var definition = { description: null, parameters: [] };
+        var lines = contents.split('\n');
+
+        for (var i = 0; i < lines.length; i++) {
+            var line = lines[i].trim();
+
+            if (line === '') {
+                continue;
+            }
+
+            // The header ends at the first line that is not a comment
+            if (line.indexOf('--') !== 0) {
+                break;
+            }
+
+            var tag = line.match(/^--\s*@(description|param)\s+(.*)$/i);
+            if (!tag) {
+                continue;
+            }
+
+            if (tag[1].toLowerCase() === 'description') {
+                definition.description = tag[2].trim();
+            } else {
+                var parameter = tag[2].match(/^(\w+)(\s*=\s*(.+))?$/);
+                if (parameter) {
+                    definition.parameters.push({
+                        name: parameter[1].toLowerCase(),
+                        defaultValue: parameter[3] !== undefined && ARGUMENT_LITERAL.test(parameter[3].trim()) ? parameter[3].trim() : null
+                    });
+                }
+            }
+        }
+
+        return definition;
+    }
+
+    /**
+     * List the available virtual views with their descriptions and parameters
+     *
+     * Parsed view headers are cached by file ID and modification date.
+     * View files that are not cached are only loaded while enough
+     * governance remains; the rest are listed with their file
+     * description and parameters set to null.
+     *
+     * @param {Object} context - The request context
+     * @returns {void} - Writes response to context
+     */
+    function viewsList(context) {
+        var responsePayload;
+
+        try {
+            if (constants.CONFIG.QUERY_FOLDER_ID === null) {
+                responsePayload = { 'views': [], 'enabled': false };
+            } else {
+                var files = nsModules.queryUtils.runSuiteQL({
+                    query: "SELECT ID, Name, Description, LastModifiedDate FROM File WHERE ( Folder = ? ) AND ( Name LIKE '%.sql' ) ORDER BY Name",
+                    params: [constants.CONFIG.QUERY_FOLDER_ID]
+                }).asMappedResults();
+
+                var views = files.map(function(file) {
+                    var definition = getCachedViewDefinition(file);
+
+                    return {
+                        name: file.name.replace(/\.sql$/i, ''),
+                        fileId: file.id,
+                        description: (definition && definition.description) || file.description || null,
+                        parameters: definition ? definition.parameters : null
+                    };
+                });
+
+                responsePayload = { 'views': views, 'enabled': true };
+            }
+
+        } catch(e) {
+            nsModules.logger.error('viewsList Error', e);
+            responsePayload = { 'error': e };
+        }
+
+        context.response.write(JSON.stringify(responsePayload, null, 5));
+    }
+
+    /**
+     * Get a view file's parsed header, from the cache or by loading the file
+     *
+     * @param {Object} file - File row with id and lastmodifieddate
+     * @returns {Object|null} - The view definition, or null if not loaded
+     */
+    function getCachedViewDefinition(file) {
+        var settings = constants.CONFIG.VIRTUAL_VIEWS;
+        var cacheKey = 'view_' + file.id + '_' + String(file.lastmodifieddate).replace(/\W/g, '');
+
+        try {
+            var cached = nsModules.cacheUtils.get(settings.CACHE_NAME, cacheKey);
+            if (cached) {
+                return JSON.parse(cached);
+            }
+
+            if (nsModules.scriptInfo.getRemainingUsage() < settings.LIST_GOVERNANCE_RESERVE) {
+                return null;
+            }
+
+            var definition = parseViewHeader(nsModules.fileUtils.load(file.id).getContents());
+            nsModules.cacheUtils.put(settings.CACHE_NAME, cacheKey, JSON.stringify(definition), settings.CACHE_TTL_SECONDS);
+
+            return definition;
+
+        } catch(e) {
+            nsModules.logger.error('View definition load failed', { fileId: file.id, error: e.message || e.toString() });
+            return null;
+        }
+    }
+
+    /**
+     * Export the virtual view functions
+     */
+    return {
+        resolveVirtualViews: resolveVirtualViews,
+        findViewReferences: findViewReferences,
+        parseViewHeader: parseViewHeader,
+        viewsList: viewsList
+    };
+
+});
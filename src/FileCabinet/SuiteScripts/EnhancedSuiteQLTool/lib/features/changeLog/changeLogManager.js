@@ -0,0 +1,191 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ */
+
+/**
+ * Enhanced SuiteQL Query Tool - Change Log Manager
+ *
+ * This module handles the Change log sidebar section: listing the
+ * current user's journaled UPDATE/DELETE statements and batches, and
+ * undoing one after confirming an SQL preview of what the undo does.
+ *
+ * @author Matt Owen - Web Solutions Group, LLC
+ * @version 2025.1
+ */
+
+define([
+    '../../core/constants'
+], function(constants) {
+
+    /**
+     * Generate the change log list JavaScript
+     *
+     * @returns {string} JavaScript code for listing journaled changes
+     */
+    function getChangeLogListJS() {
+        return `
+            function loadChangeLog() {
+                const container = document.getElementById('${constants.ELEMENT_IDS.CHANGE_LOG_LIST}');
+                if (!container) return;
+
+                fetch(window.location.href, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ 'function': '${constants.REQUEST_FUNCTIONS.CHANGE_LOG_GET}' })
+                })
+                .then(response => response.json())
+                .then(data => {
+                    if (data.error) {
+                        container.innerHTML = '<div class="codeoss-empty-state">' + escapeHTML(data.error.message || data.error) + '</div>';
+                        return;
+                    }
+
+                    renderChangeLog(data.changes);
+                })
+                .catch(error => {
+                    container.innerHTML = '<div class="codeoss-empty-state">' + escapeHTML(error.message || error) + '</div>';
+                });
+            }
+
+            function renderChangeLog(changes) {
+                const container = document.getElementById('${constants.ELEMENT_IDS.CHANGE_LOG_LIST}');
+                if (!container) return;
+
+                if (changes.length === 0) {
+                    container.innerHTML = '<div class="codeoss-empty-state">No changes yet. Committed UPDATE and DELETE statements appear here.</div>';
+                    return;
+                }
+
+                let html = '';
+                changes.forEach(change => {
+                    const counts = [];
+                    if (change.updated > 0) counts.push(change.updated + ' updated');
+                    if (change.deleted > 0) counts.push(change.deleted + ' deleted');
+
+                    const statement = change.statements.join(';\\n');
+                    const title = change.kind === 'BATCH' ? 'Batch ' + change.batchId : change.batchId;
+
+                    html += \`
+                        <div class="codeoss-saved-query-item" data-change-id="\${escapeHTML(change.batchId)}">
+                            <div class="codeoss-saved-query-header">
+                                <h4 class="codeoss-saved-query-title">\${escapeHTML(title)}</h4>
+                                <div class="codeoss-saved-query-actions">
+                                    \${change.canUndo ? '<button type="button" class="codeoss-btn-icon" onclick="undoChange(\\'' + escapeHTML(change.batchId) + '\\')" title="Undo Change">↩️</button>' : ''}
+                                </div>
+                            </div>
+                            <div class="codeoss-saved-query-meta">
+                                <span class="codeoss-saved-query-date">\${new Date(change.createdAt).toLocaleString()}</span>
+                                <span class="codeoss-saved-query-tags">\${escapeHTML(change.status.replace(/_/g, ' '))}</span>
+                            </div>
+                            <div class="codeoss-saved-query-description">\${escapeHTML(counts.join(', ') + (change.recordTypes.length > 0 ? ' · ' + change.recordTypes.join(', ') : ''))}</div>
+                            <div class="codeoss-saved-query-preview" title="\${escapeHTML(statement)}">\${escapeHTML(statement.substring(0, 100))}\${statement.length > 100 ? '...' : ''}</div>
+                        </div>
+                    \`;
+                });
+
+                container.innerHTML = html;
+            }
+        `;
+    }
+
+    /**
+     * Generate the change undo JavaScript
+     *
+     * @returns {string} JavaScript code for undoing a journaled change
+     */
+    function getChangeUndoJS() {
+        return `
+            function undoChange(batchId) {
+                postChangeUndo({ batchId: batchId, preview: true })
+                .then(preview => {
+                    if (preview.undoPreview.length === 0) {
+                        showStatusMessage('Nothing left to undo for change ' + batchId);
+                        return null;
+                    }
+
+                    const shown = preview.undoPreview.slice(0, 10).join(';\\n');
+                    const more = preview.undoPreview.length > 10 ? '\\n... and ' + (preview.undoPreview.length - 10) + ' more' : '';
+
+                    if (!confirm('Undo change ' + batchId + '? The journaled values will be written back to ' + preview.undoPreview.length + ' record(s).' +
+                        '\\n\\nPreview only - this SQL is not what runs; the values are restored directly:\\n\\n' + shown + more +
+                        '\\n\\nDeleted records are recreated with new internal IDs.')) {
+                        return null;
+                    }
+
+                    document.getElementById('${constants.ELEMENT_IDS.STATUS_TEXT}').textContent = 'Undoing change ' + batchId + '...';
+
+                    return postChangeUndo({ batchId: batchId });
+                })
+                .then(data => {
+                    if (!data) return;
+
+                    showStatusMessage(data.message);
+
+                    if (data.result.errors.length > 0) {
+                        alert(data.message + '\\n\\n' + data.result.errors.map(function(entry) {
+                            return entry.recordType + ' ' + entry.recordId + ': ' + entry.error;
+                        }).join('\\n'));
+                    }
+
+                    loadChangeLog();
+                })
+                .catch(error => {
+                    alert('Undo failed: ' + (error.message || error));
+                    document.getElementById('${constants.ELEMENT_IDS.STATUS_TEXT}').textContent = 'Ready';
+                    loadChangeLog();
+                });
+            }
+
+            function postChangeUndo(options) {
+                return fetch(window.location.href, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(Object.assign({ 'function': '${constants.REQUEST_FUNCTIONS.CHANGE_UNDO}' }, options))
+                })
+                .then(response => response.json())
+                .then(data => {
+                    if (data.error) {
+                        throw new Error(data.error.message || data.error);
+                    }
+                    return data;
+                });
+            }
+        `;
+    }
+
+    /**
+     * Generate the change log initialization JavaScript
+     *
+     * @returns {string} JavaScript code for initializing the change log
+     */
+    function getChangeLogInitJS() {
+        return `
+            function initializeChangeLog() {
+                loadChangeLog();
+            }
+        `;
+    }
+
+    /**
+     * Get all change log JavaScript functions
+     *
+     * @returns {string} Complete JavaScript code for the change log
+     */
+    function getAllChangeLogJS() {
+        return getChangeLogListJS() + '\n' +
+               getChangeUndoJS() + '\n' +
+               getChangeLogInitJS();
+    }
+
+    /**
+     * Export the change log functions
+     */
+    return {
+        getChangeLogListJS: getChangeLogListJS,
+        getChangeUndoJS: getChangeUndoJS,
+        getChangeLogInitJS: getChangeLogInitJS,
+        getAllChangeLogJS: getAllChangeLogJS
+    };
+
+});
@@ -60,6 +60,18 @@ define([
                                     <label style="font-size: 10px; color: var(--codeoss-text-secondary);">To:</label>
                                     <input type="number" id="${constants.ELEMENT_IDS.ROW_END}" value="${constants.CONFIG.ROWS_RETURNED_DEFAULT}" min="1" style="width: 60px; padding: 2px 4px; font-size: 10px;">
                                 </div>
+                                <div style="display: flex; gap: 8px; align-items: center; margin-top: 8px;">
+                                    <label style="font-size: 10px; color: var(--codeoss-text-secondary);">Strategy:</label>
+                                    <select id="${constants.ELEMENT_IDS.PAGINATION_STRATEGY}" onchange="paginationStrategyToggle()" style="flex: 1; padding: 2px 4px; font-size: 10px;">
+                                        <option value="${constants.CONFIG.PAGINATION.STRATEGIES.ROWNUM}">Row Number</option>
+                                        <option value="${constants.CONFIG.PAGINATION.STRATEGIES.PAGED}">Native Paged</option>
+                                        <option value="${constants.CONFIG.PAGINATION.STRATEGIES.KEYSET}">Keyset (ID column)</option>
+                                    </select>
+                                </div>
+                                <div id="${constants.ELEMENT_IDS.KEY_COLUMN_DIV}" style="display: none; gap: 8px; align-items: center; margin-top: 8px;">
+                                    <label style="font-size: 10px; color: var(--codeoss-text-secondary);">Key Column:</label>
+                                    <input type="text" id="${constants.ELEMENT_IDS.KEY_COLUMN}" value="id" style="flex: 1; padding: 2px 4px; font-size: 10px;">
+                                </div>
                             </div>
                         </div>
                     </div>
@@ -76,6 +88,24 @@ define([
                             <label style="display: flex; align-items: center; font-size: 11px; color: var(--codeoss-text-primary);">
                                 <input type="checkbox" id="${constants.ELEMENT_IDS.ENABLE_VIEWS}" style="margin-right: 6px;"> Enable Virtual Views
                             </label>
+                            ${constants.CONFIG.RESULT_CACHE.ENABLED ? `
+                            <label style="display: flex; align-items: center; font-size: 11px; color: var(--codeoss-text-primary);" title="Run the query even if a cached result is available">
+                                <input type="checkbox" id="${constants.ELEMENT_IDS.BYPASS_CACHE}" style="margin-right: 6px;"> Bypass Result Cache
+                            </label>
+                            ` : ''}
+                        </div>
+                    </div>
+                    
+                    <div class="control-group" style="margin-bottom: 20px;">
+                        <h5 style="margin: 0 0 8px 0; color: var(--codeoss-text-primary); font-size: 11px; text-transform: uppercase;">Execution Options</h5>
+                        <div style="display: flex; flex-direction: column; gap: 6px;">
+                            <div style="display: flex; align-items: center; gap: 4px;">
+                                <label style="font-size: 10px; color: var(--codeoss-text-secondary);">Timeout (seconds):</label>
+                                <input type="number" id="${constants.ELEMENT_IDS.QUERY_TIMEOUT}" value="${constants.CONFIG.QUERY_CANCELLATION.CLIENT_TIMEOUT_SECONDS}" min="1" style="width: 60px; padding: 2px 4px; font-size: 10px;">
+                            </div>
+                            <label style="display: flex; align-items: center; font-size: 11px; color: var(--codeoss-text-primary);">
+                                <input type="checkbox" id="${constants.ELEMENT_IDS.STOP_ON_ERROR}" ${constants.CONFIG.SCRIPT_RUNNER.STOP_ON_ERROR_DEFAULT ? 'checked' : ''} style="margin-right: 6px;"> Stop on First Error
+                            </label>
                         </div>
                     </div>
                     
@@ -179,6 +209,24 @@ define([
         `;
     }
     
+    /**
+     * Generate the pagination strategy toggle JavaScript
+     * 
+     * @returns {string} JavaScript code for pagination strategy toggle
+     */
+    function getPaginationStrategyToggleJS() {
+        return `
+            function paginationStrategyToggle() {
+                const strategySelect = document.getElementById('${constants.ELEMENT_IDS.PAGINATION_STRATEGY}');
+                const keyColumnDiv = document.getElementById('${constants.ELEMENT_IDS.KEY_COLUMN_DIV}');
+                
+                if (!strategySelect || !keyColumnDiv) return;
+                
+                keyColumnDiv.style.display = strategySelect.value === '${constants.CONFIG.PAGINATION.STRATEGIES.KEYSET}' ? 'flex' : 'none';
+            }
+        `;
+    }
+    
     /**
      * Generate the return all toggle JavaScript
      * 
@@ -246,6 +294,12 @@ define([
                 document.getElementById('${constants.ELEMENT_IDS.WELCOME_MESSAGE}').style.display = 'block';
                 document.getElementById('${constants.ELEMENT_IDS.COPY_CLIPBOARD_BTN}').style.display = 'none';
                 document.getElementById('${constants.ELEMENT_IDS.STATUS_TEXT}').textContent = 'Ready';
+                renderExecutionDetails(null);
+
+                // Forget any pending next page
+                if (typeof updateNextPageState === 'function') {
+                    updateNextPageState(null, null);
+                }
 
                 // Hide CSV export buttons
                 const csvExportGroup = document.getElementById('csvExportGroup');
@@ -335,6 +389,7 @@ define([
         return getInitializeControlsPanelJS() + '\n' +
                getToggleControlsJS() + '\n' +
                getEnablePaginationToggleJS() + '\n' +
+               getPaginationStrategyToggleJS() + '\n' +
                getReturnAllToggleJS() + '\n' +
                getHideRowNumbersToggleJS() + '\n' +
                getClearResultsJS() + '\n' +
@@ -348,6 +403,7 @@ define([
         getInitializeControlsPanelJS: getInitializeControlsPanelJS,
         getToggleControlsJS: getToggleControlsJS,
         getEnablePaginationToggleJS: getEnablePaginationToggleJS,
+        getPaginationStrategyToggleJS: getPaginationStrategyToggleJS,
         getReturnAllToggleJS: getReturnAllToggleJS,
         getHideRowNumbersToggleJS: getHideRowNumbersToggleJS,
         getClearResultsJS: getClearResultsJS,
@@ -0,0 +1,573 @@
+/**
+ * @fileoverview Transactional DML Batches
+ *
+ * Runs several UPDATE and DELETE statements as one batch, journaling the
+ * original values of every record before it is written so the batch can
+ * be rolled back:
+ *
+ *   BEGIN
+ *   UPDATE customer SET category = 3 WHERE category = 7;
+ *   DELETE FROM customrecord_staging WHERE custrecord_processed = 'T';
+ *   COMMIT
+ *
+ * Statements run in order, each seeing the changes of the ones before it.
+ * If any record fails, the batch stops and every change made so far is
+ * restored from the journal. A batch must be small enough to write and
+ * then restore every record within the request's governance, so larger
+ * batches are refused before anything is written. ROLLBACK <batch id> restores a committed
+ * batch on demand. Without the closing COMMIT, or when the batch ends with
+ * ROLLBACK instead, each statement is only previewed.
+ *
+ * Committed UPDATE and DELETE statements outside a batch are journaled the
+ * same way, as single-statement journals, so the Change log can undo them.
+ * Statements that end with COMMIT AS JOB run as a DML job (see dmlJobs)
+ * and are not journaled.
+ *
+ * @author Enhanced SuiteQL Tool
+ * @version 1.0.0
+ */
+
+define([
+    'N/log',
+    'N/error',
+    './dmlParser',
+    './dmlUtils',
+    './dmlJournal',
+    './dmlJobs',
+    './dmlExecutionEngine'
+], function(log, error, dmlParser, dmlUtils, dmlJournal, dmlJobs, dmlExecutionEngine) {
+    'use strict';
+
+    /**
+     * Statement types that can run in a batch
+     */
+    var BATCH_OPERATIONS = ['UPDATE', 'DELETE'];
+
+    /**
+     * Check if query is a BEGIN ... COMMIT batch
+     *
+     * @param {string} query - Query to check
+     * @returns {boolean} True if batch
+     */
+    function isBatchStatement(query) {
+        return /^\s*BEGIN(\s+TRANSACTION)?(\s*;|\s|$)/i.test(stripComments(query || ''));
+    }
+
+    /**
+     * Check if query is a ROLLBACK <batch id> command
+     *
+     * @param {string} query - Query to check
+     * @returns {boolean} True if rollback command
+     */
+    function isRollbackStatement(query) {
+        return /^\s*ROLLBACK\s+\w+\s*;?\s*$/i.test(stripComments(query || ''));
+    }
+
+    /**
+     * Parse a batch into its statements
+     *
+     * @param {string} query - BEGIN ... COMMIT batch
+     * @returns {Object} { statements: [text], isPreview }
+     */
+    function parseBatch(query) {
+        var body = stripComments(query).trim().replace(/^BEGIN(\s+TRANSACTION)?\s*;?/i, '');
+        var commitMatch = body.match(/(^|;|\s)COMMIT\s*;?\s*$/i);
+        var endMatch = commitMatch || body.match(/(^|;|\s)ROLLBACK\s*;?\s*$/i);
+
+        if (endMatch) {
+            body = body.substring(0, endMatch.index + endMatch[1].length);
+        }
+
+        var statements = splitStatements(body);
+
+        if (statements.length === 0) {
+            throw error.create({
+                name: 'EMPTY_BATCH',
+                message: 'BEGIN ... COMMIT batches must contain at least one UPDATE or DELETE statement'
+            });
+        }
+
+        return {
+            statements: statements,
+            isPreview: !commitMatch
+        };
+    }
+
+    /**
+     * Execute a BEGIN ... COMMIT batch
+     *
+     * @param {string} query - Batch text
+     * @returns {Object} Execution result ({ success, result, error, message })
+     */
+    function executeBatch(query) {
+        var journal = null;
+        var current = null;
+
+        try {
+            var batch = parseBatch(query);
+            var statements = batch.statements.map(analyzeBatchStatement);
+
+            if (batch.isPreview) {
+                return previewBatch(statements);
+            }
+
+            checkBatchUsage(statements);
+
+            journal = dmlJournal.createJournal(batch.statements, dmlJournal.KIND.BATCH);
+
+            var statementResults = [];
+            var recordIds = [];
+
+            statements.forEach(function(statement) {
+                current = statement;
+
+                // Find the records first so they can be journaled before anything is written
+                var found = runStatement(statement, { isPreview: true });
+                var targetIds = found.result.recordIds || [];
+
+                dmlJournal.snapshotRecords(
+                    journal,
+                    statement.dmlType,
+                    statement.recordType,
+                    targetIds,
+                    statement.dmlType === 'UPDATE' ? Object.keys(statement.parsedStatement.setFields) : null
+                );
+                dmlJournal.saveJournal(journal);
+
+                var executed = runStatement(statement, { isPreview: false, recordIds: targetIds, stopOnError: true });
+
+                statementResults.push({
+                    statement: statement.text,
+                    dmlType: statement.dmlType,
+                    tableName: statement.parsedStatement.tableName,
+                    recordIds: executed.result.recordIds || [],
+                    message: executed.message
+                });
+                recordIds = recordIds.concat(executed.result.recordIds || []);
+            });
+
+            journal.status = dmlJournal.STATUS.COMMITTED;
+            dmlJournal.saveJournal(journal);
+
+            log.audit({
+                title: 'DML batch committed',
+                details: 'Batch: ' + journal.batchId + ', Statements: ' + statements.length + ', Journal entries: ' + journal.entries.length
+            });
+
+            return {
+                success: true,
+                result: {
+                    batchId: journal.batchId,
+                    statements: statementResults,
+                    recordIds: recordIds,
+                    recordsChanged: recordIds.length
+                },
+                error: null,
+                message: 'Batch ' + journal.batchId + ' committed: ' + statements.length + ' statement(s), ' + recordIds.length +
+                    ' record change(s). Run ROLLBACK ' + journal.batchId + ' to restore the original values.'
+            };
+
+        } catch (batchError) {
+            var message = current ?
+                'Statement ' + current.index + ' (' + current.dmlType + ' ' + current.parsedStatement.tableName + ') failed: ' + batchError.message :
+                batchError.message;
+
+            log.error({
+                title: 'DML batch failed',
+                details: (journal ? 'Batch: ' + journal.batchId + ', ' : '') + 'Error: ' + message
+            });
+
+            return {
+                success: false,
+                result: null,
+                error: journal && journal.entries.length > 0 ? rollbackFailedBatch(journal, message) : message,
+                message: null
+            };
+        }
+    }
+
+    /**
+     * Refuse a batch that could run out of governance before it can roll back
+     *
+     * Each statement is previewed for its record count. Rolling back restores
+     * each record with another write, so the batch needs room for two writes
+     * per record (see dmlJobs.getRowCapacity). Statements see the changes of
+     * the ones before them, so the counts are an estimate.
+     *
+     * @param {Array} statements - Analyzed statements
+     * @throws {Error} If the batch may not be able to finish and still roll back
+     */
+    function checkBatchUsage(statements) {
+        var recordCount = statements.reduce(function(count, statement) {
+            return count + (runStatement(statement, { isPreview: true }).result.recordIds || []).length;
+        }, 0);
+        var capacity = dmlJobs.getRowCapacity();
+
+        if (recordCount * 2 > capacity) {
+            throw error.create({
+                name: 'BATCH_TOO_LARGE',
+                message: 'The batch would change ' + recordCount + ' record(s), but this request only has the governance to change and roll back ' +
+                    Math.floor(capacity / 2) + '. Split it into smaller batches.'
+            });
+        }
+    }
+
+    /**
+     * Check if a single statement is journaled when it runs
+     *
+     * @param {string} dmlType - DML operation type
+     * @param {Object} parsedStatement - Parsed statement
+     * @returns {boolean} True for committed UPDATE and DELETE statements on records (not sublist lines)
+     */
+    function shouldJournal(dmlType, parsedStatement) {
+        return BATCH_OPERATIONS.indexOf(dmlType) !== -1 && !parsedStatement.isPreview && !parsedStatement.sublistId &&
+            !dmlUtils.determineRecordType(parsedStatement.tableName).isCustomList;
+    }
+
+    /**
+     * Execute a committed UPDATE or DELETE statement with a journal
+     *
+     * Unlike a batch, a record that fails doesn't stop the statement or
+     * roll back the others; the journal records the original values of
+     * every matched record, and undo restores them.
+     *
+     * @param {string} dmlType - 'UPDATE' or 'DELETE'
+     * @param {Object} parsedStatement - Validated parsed statement
+     * @param {string} text - Statement text
+     * @returns {Object} Execution result ({ success, result, error, message })
+     */
+    function executeJournaledStatement(dmlType, parsedStatement, text) {
+        var journal = null;
+
+        try {
+            var statement = {
+                index: 1,
+                text: text,
+                dmlType: dmlType,
+                parsedStatement: parsedStatement,
+                recordType: dmlUtils.determineRecordType(parsedStatement.tableName)
+            };
+
+            // Find the records first so they can be journaled before anything is written
+            var found = runStatement(statement, { isPreview: true });
+            var targetIds = found.result.recordIds || [];
+
+            // Decided once, before any journal is saved; the operation follows runAsJob
+            var runAsJob = targetIds.length > 0 && dmlJobs.shouldRunAsJob(parsedStatement, targetIds);
+
+            // Jobs are too large to snapshot here, so they are not journaled
+            if (targetIds.length > 0 && !runAsJob) {
+                journal = dmlJournal.createJournal([text], dmlJournal.KIND.STATEMENT);
+                dmlJournal.snapshotRecords(
+                    journal,
+                    dmlType,
+                    statement.recordType,
+                    targetIds,
+                    dmlType === 'UPDATE' ? Object.keys(parsedStatement.setFields) : null
+                );
+                dmlJournal.saveJournal(journal);
+            }
+
+            var result = dmlExecutionEngine.executeDMLOperation(
+                dmlType,
+                Object.assign({}, parsedStatement, { recordIds: targetIds, runAsJob: runAsJob })
+            );
+
+            if (journal) {
+                journal.status = result.success ? dmlJournal.STATUS.COMMITTED : dmlJournal.STATUS.FAILED;
+                dmlJournal.saveJournal(journal);
+
+                if (result.success) {
+                    result.result.batchId = journal.batchId;
+                    result.message += '. Change ' + journal.batchId + ' can be undone from the Change log';
+                }
+            }
+
+            return result;
+
+        } catch (statementError) {
+            log.error({
+                title: 'Journaled DML statement failed',
+                details: (journal ? 'Change: ' + journal.batchId + ', ' : '') + 'Error: ' + statementError.message
+            });
+
+            return {
+                success: false,
+                result: null,
+                error: statementError.message,
+                message: null
+            };
+        }
+    }
+
+    /**
+     * Preview each statement of a batch without writing
+     *
+     * @param {Array} statements - Analyzed statements
+     * @returns {Object} Execution result
+     */
+    function previewBatch(statements) {
+        var statementResults = statements.map(function(statement) {
+            var preview = runStatement(statement, { isPreview: true });
+
+            return {
+                statement: statement.text,
+                dmlType: statement.dmlType,
+                tableName: statement.parsedStatement.tableName,
+                recordIds: preview.result.recordIds || [],
+                message: preview.message
+            };
+        });
+
+        var recordIds = statementResults.reduce(function(ids, statementResult) {
+            return ids.concat(statementResult.recordIds);
+        }, []);
+
+        return {
+            success: true,
+            result: {
+                isPreview: true,
+                statements: statementResults,
+                recordIds: recordIds
+            },
+            error: null,
+            message: '🔍 PREVIEW ONLY - NO RECORDS CHANGED. ' + statements.length + ' statement(s) would change ' + recordIds.length +
+                ' record(s). Each statement is previewed against the current data. End the batch with COMMIT to run it.'
+        };
+    }
+
+    /**
+     * Roll back a failed batch and describe the failure
+     *
+     * @param {Object} journal - Journal of the failed batch
+     * @param {string} failure - Description of the failure
+     * @returns {string} Error message
+     */
+    function rollbackFailedBatch(journal, failure) {
+        var summary = dmlJournal.rollback(journal);
+        var message = 'Batch ' + journal.batchId + ' failed. ' + failure + '. Rolled back ' + summary.restored + ' journaled record(s).';
+
+        if (summary.errors.length > 0) {
+            message += ' ' + summary.errors.length + ' record(s) could not be restored; run ROLLBACK ' + journal.batchId + ' to retry.';
+        }
+
+        try {
+            dmlJournal.saveJournal(journal);
+        } catch (e) {
+            log.error({
+                title: 'DML batch journal save failed',
+                details: 'Batch: ' + journal.batchId + ', Error: ' + e.message
+            });
+        }
+
+        return message;
+    }
+
+    /**
+     * Execute a ROLLBACK <batch id> command
+     *
+     * @param {string} query - Rollback command
+     * @returns {Object} Execution result ({ success, result, error, message })
+     */
+    function rollbackBatch(query) {
+        return undoChange(stripComments(query).match(/^\s*ROLLBACK\s+(\w+)/i)[1]);
+    }
+
+    /**
+     * Undo a journaled batch or statement by restoring its original values
+     *
+     * Used by ROLLBACK <batch id> and by the Change log's undo action.
+     *
+     * @param {string} batchId - Batch or change ID
+     * @returns {Object} Execution result ({ success, result, error, message })
+     */
+    function undoChange(batchId) {
+        try {
+            var journal = dmlJournal.loadJournal(batchId);
+
+            if (journal.status === dmlJournal.STATUS.ROLLED_BACK) {
+                throw error.create({
+                    name: 'BATCH_ALREADY_ROLLED_BACK',
+                    message: 'Batch ' + batchId + ' has already been rolled back'
+                });
+            }
+
+            var undoPreview = dmlJournal.getUndoPreview(journal);
+            var summary = dmlJournal.rollback(journal);
+            dmlJournal.saveJournal(journal);
+
+            log.audit({
+                title: 'DML batch rolled back',
+                details: 'Batch: ' + batchId + ', Restored: ' + summary.restored + ', Errors: ' + summary.errors.length
+            });
+
+            var message = 'Rolled back ' + (journal.kind === dmlJournal.KIND.STATEMENT ? 'change ' : 'batch ') + batchId + ': ' + summary.restored + ' record(s) restored';
+            if (summary.recreated.length > 0) {
+                message += ', including ' + summary.recreated.length + ' deleted record(s) recreated with new internal IDs';
+            }
+            if (summary.errors.length > 0) {
+                message += '. ' + summary.errors.length + ' record(s) could not be restored; run ROLLBACK ' + batchId + ' again to retry';
+            }
+
+            return {
+                success: true,
+                result: {
+                    batchId: batchId,
+                    status: journal.status,
+                    recordsRestored: summary.restored,
+                    recreated: summary.recreated,
+                    recordIds: summary.recreated.map(function(entry) {
+                        return entry.newId;
+                    }),
+                    undoPreview: undoPreview,
+                    errors: summary.errors
+                },
+                error: null,
+                message: message
+            };
+
+        } catch (rollbackError) {
+            log.error({
+                title: 'DML batch rollback failed',
+                details: rollbackError.message
+            });
+
+            return {
+                success: false,
+                result: null,
+                error: rollbackError.message,
+                message: null
+            };
+        }
+    }
+
+    /**
+     * Parse and validate one statement of a batch
+     *
+     * @param {string} text - Statement text
+     * @param {number} index - Position in the batch
+     * @returns {Object} { index, text, dmlType, parsedStatement, recordType }
+     */
+    function analyzeBatchStatement(text, index) {
+        var label = 'Statement ' + (index + 1) + ': ';
+        var analysis = dmlParser.analyzeDMLQuery(text);
+
+        if (analysis.error) {
+            throw error.create({
+                name: 'INVALID_BATCH_STATEMENT',
+                message: label + analysis.error
+            });
+        }
+
+        if (!analysis.isDMLStatement || BATCH_OPERATIONS.indexOf(analysis.dmlType) === -1) {
+            throw error.create({
+                name: 'UNSUPPORTED_BATCH_STATEMENT',
+                message: label + 'only UPDATE and DELETE statements can run in a batch'
+            });
+        }
+
+        var validation = dmlExecutionEngine.validateDMLOperation(analysis.dmlType, analysis.parsedStatement);
+        if (!validation.isValid) {
+            throw error.create({
+                name: 'INVALID_BATCH_STATEMENT',
+                message: label + validation.errors.join(', ')
+            });
+        }
+
+        if (analysis.parsedStatement.sublistId) {
+            throw error.create({
+                name: 'UNSUPPORTED_BATCH_STATEMENT',
+                message: label + 'sublist lines cannot be journaled, so they cannot be changed in a batch'
+            });
+        }
+
+        var recordType = dmlUtils.determineRecordType(analysis.parsedStatement.tableName);
+        if (recordType.isCustomList) {
+            throw error.create({
+                name: 'UNSUPPORTED_BATCH_STATEMENT',
+                message: label + 'custom list values cannot be journaled, so they cannot be changed in a batch'
+            });
+        }
+
+        return {
+            index: index + 1,
+            text: text,
+            dmlType: analysis.dmlType,
+            parsedStatement: analysis.parsedStatement,
+            recordType: recordType
+        };
+    }
+
+    /**
+     * Run a batch statement with batch-specific options
+     *
+     * @param {Object} statement - Analyzed statement
+     * @param {Object} options - Properties to set on the parsed statement
+     * @returns {Object} Successful execution result
+     */
+    function runStatement(statement, options) {
+        var result = dmlExecutionEngine.executeDMLOperation(
+            statement.dmlType,
+            Object.assign({}, statement.parsedStatement, options)
+        );
+
+        if (!result.success) {
+            throw error.create({
+                name: 'BATCH_STATEMENT_FAILED',
+                message: result.error
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Split a batch body into statements at semicolons outside literals
+     *
+     * @param {string} body - Batch body
+     * @returns {Array} Non-empty statement text
+     */
+    function splitStatements(body) {
+        var masked = body.replace(/'([^']|'')*'?|"[^"]*"?/g, function(token) {
+            return token.replace(/[^\n]/g, ' ');
+        });
+        var statements = [];
+        var start = 0;
+
+        for (var i = 0; i <= masked.length; i++) {
+            if (i === masked.length || masked[i] === ';') {
+                var statement = body.substring(start, i).trim();
+                if (statement) {
+                    statements.push(statement);
+                }
+                start = i + 1;
+            }
+        }
+
+        return statements;
+    }
+
+    /**
+     * Remove comments, keeping string literals intact
+     *
+     * @param {string} sql - SQL text
+     * @returns {string} SQL without comments
+     */
+    function stripComments(sql) {
+        return sql.replace(/('([^']|'')*'|"[^"]*")|--[^\n]*|\/\*[\s\S]*?\*\//g, function(token, literal) {
+            return literal || ' ';
+        });
+    }
+
+    // Public API
+    return {
+        isBatchStatement: isBatchStatement,
+        isRollbackStatement: isRollbackStatement,
+        parseBatch: parseBatch,
+        executeBatch: executeBatch,
+        rollbackBatch: rollbackBatch,
+        shouldJournal: shouldJournal,
+        executeJournaledStatement: executeJournaledStatement,
+        undoChange: undoChange
+    };
+});
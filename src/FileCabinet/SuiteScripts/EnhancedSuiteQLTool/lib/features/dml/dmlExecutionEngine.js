@@ -14,8 +14,13 @@ define([
     './operations/createList',
     './operations/insertRecord',
     './operations/updateRecord',
-    './operations/deleteRecord'
-], function(log, error, createRecord, createList, insertRecord, updateRecord, deleteRecord) {
+    './operations/deleteRecord',
+    './operations/upsertRecord',
+    './operations/sublistLines',
+    './operations/alterRecord',
+    './operations/dropRecord',
+    './operations/alterList'
+], function(log, error, createRecord, createList, insertRecord, updateRecord, deleteRecord, upsertRecord, sublistLines, alterRecord, dropRecord, alterList) {
     'use strict';
 
     // Debug: Check if modules loaded correctly
@@ -25,7 +30,12 @@ define([
                 ', createList: ' + (createList ? 'OK' : 'MISSING') +
                 ', insertRecord: ' + (insertRecord ? 'OK' : 'MISSING') +
                 ', updateRecord: ' + (updateRecord ? 'OK' : 'MISSING') +
-                ', deleteRecord: ' + (deleteRecord ? 'OK' : 'MISSING')
+                ', deleteRecord: ' + (deleteRecord ? 'OK' : 'MISSING') +
+                ', upsertRecord: ' + (upsertRecord ? 'OK' : 'MISSING') +
+                ', sublistLines: ' + (sublistLines ? 'OK' : 'MISSING') +
+                ', alterRecord: ' + (alterRecord ? 'OK' : 'MISSING') +
+                ', dropRecord: ' + (dropRecord ? 'OK' : 'MISSING') +
+                ', alterList: ' + (alterList ? 'OK' : 'MISSING')
     });
 
 
@@ -64,6 +74,7 @@ define([
 
             var result;
 
+            // INSERT, UPDATE and DELETE on record.sublist or transactionline change lines, not records
             switch (dmlType) {
                 case 'CREATE_RECORD':
                     result = createRecord.execute(parsedStatement);
@@ -73,16 +84,32 @@ define([
                     result = createList.execute(parsedStatement);
                     break;
 
+                case 'ALTER_RECORD':
+                    result = alterRecord.execute(parsedStatement);
+                    break;
+
+                case 'DROP_RECORD':
+                    result = dropRecord.execute(parsedStatement);
+                    break;
+
+                case 'ALTER_LIST':
+                    result = alterList.execute(parsedStatement);
+                    break;
+
                 case 'INSERT':
-                    result = insertRecord.execute(parsedStatement);
+                    result = parsedStatement.sublistId ? sublistLines.execute(parsedStatement) : insertRecord.execute(parsedStatement);
                     break;
 
                 case 'UPDATE':
-                    result = updateRecord.execute(parsedStatement);
+                    result = parsedStatement.sublistId ? sublistLines.execute(parsedStatement) : updateRecord.execute(parsedStatement);
                     break;
 
                 case 'DELETE':
-                    result = deleteRecord.execute(parsedStatement);
+                    result = parsedStatement.sublistId ? sublistLines.execute(parsedStatement) : deleteRecord.execute(parsedStatement);
+                    break;
+
+                case 'UPSERT':
+                    result = upsertRecord.execute(parsedStatement);
                     break;
 
                 default:
@@ -174,6 +201,29 @@ define([
                     }
                     break;
 
+                case 'ALTER_RECORD':
+                    var alterValidation = validateAlterRecordStatement(parsedStatement);
+                    if (!alterValidation.isValid) {
+                        validation.isValid = false;
+                        validation.errors = validation.errors.concat(alterValidation.errors);
+                    }
+                    break;
+
+                case 'DROP_RECORD':
+                    if (!parsedStatement.recordType) {
+                        validation.isValid = false;
+                        validation.errors.push('Record type is required');
+                    }
+                    break;
+
+                case 'ALTER_LIST':
+                    var alterListValidation = validateAlterListStatement(parsedStatement);
+                    if (!alterListValidation.isValid) {
+                        validation.isValid = false;
+                        validation.errors = validation.errors.concat(alterListValidation.errors);
+                    }
+                    break;
+
                 case 'INSERT':
                     var insertValidation = validateInsertStatement(parsedStatement);
                     if (!insertValidation.isValid) {
@@ -198,6 +248,14 @@ define([
                     }
                     break;
 
+                case 'UPSERT':
+                    var upsertValidation = validateUpsertStatement(parsedStatement);
+                    if (!upsertValidation.isValid) {
+                        validation.isValid = false;
+                        validation.errors = validation.errors.concat(upsertValidation.errors);
+                    }
+                    break;
+
                 default:
                     validation.isValid = false;
                     validation.errors.push('Unsupported DML operation: ' + dmlType);
@@ -260,6 +318,81 @@ define([
         return validation;
     }
 
+    /**
+     * Validate ALTER RECORD statement
+     *
+     * @param {Object} parsedStatement - Parsed ALTER RECORD statement
+     * @returns {Object} Validation result
+     */
+    function validateAlterRecordStatement(parsedStatement) {
+        var validation = {
+            isValid: true,
+            errors: []
+        };
+
+        if (!parsedStatement.recordType) {
+            validation.isValid = false;
+            validation.errors.push('Record type is required');
+        }
+
+        if (!Array.isArray(parsedStatement.actions) || parsedStatement.actions.length === 0) {
+            validation.isValid = false;
+            validation.errors.push('At least one ADD FIELD, DROP FIELD or MODIFY FIELD action is required');
+            return validation;
+        }
+
+        parsedStatement.actions.forEach(function(action) {
+            if (action.field && action.field.type && !createRecord.isFieldTypeSupported(action.field.type)) {
+                validation.isValid = false;
+                validation.errors.push('Unsupported field type for ' + action.scriptId + ': ' + action.field.type +
+                    '. Supported types: ' + createRecord.getSupportedFieldTypes().join(', '));
+            }
+        });
+
+        return validation;
+    }
+
+    /**
+     * Validate ALTER LIST statement
+     *
+     * @param {Object} parsedStatement - Parsed ALTER LIST statement
+     * @returns {Object} Validation result
+     */
+    function validateAlterListStatement(parsedStatement) {
+        var validation = {
+            isValid: true,
+            errors: []
+        };
+
+        if (!parsedStatement.fullListId) {
+            validation.isValid = false;
+            validation.errors.push('List ID is required');
+        }
+
+        if (!Array.isArray(parsedStatement.actions) || parsedStatement.actions.length === 0) {
+            validation.isValid = false;
+            validation.errors.push('At least one ALTER LIST action is required');
+            return validation;
+        }
+
+        // New values get the same checks as the values of CREATE LIST
+        var addedValues = parsedStatement.actions.filter(function(action) {
+            return action.action === 'ADD';
+        }).map(function(action) {
+            return action.listValue;
+        });
+
+        if (addedValues.length > 0) {
+            var valuesValidation = createList.validateListOptions({ values: addedValues });
+            if (!valuesValidation.isValid) {
+                validation.isValid = false;
+                validation.errors = validation.errors.concat(valuesValidation.errors);
+            }
+        }
+
+        return validation;
+    }
+
     /**
      * Validate INSERT statement
      *
@@ -282,6 +415,11 @@ define([
             validation.errors.push('Fields object is required');
         }
 
+        if (parsedStatement.sublistId && parsedStatement.selectQuery) {
+            validation.isValid = false;
+            validation.errors.push('INSERT ... SELECT is not supported for sublist lines');
+        }
+
         return validation;
     }
 
@@ -340,13 +478,41 @@ define([
         return validation;
     }
 
+    /**
+     * Validate UPSERT statement
+     *
+     * @param {Object} parsedStatement - Parsed UPSERT statement
+     * @returns {Object} Validation result
+     */
+    function validateUpsertStatement(parsedStatement) {
+        var validation = {
+            isValid: true,
+            errors: []
+        };
+
+        if (!parsedStatement.tableName) {
+            validation.isValid = false;
+            validation.errors.push('Table name is required');
+        }
+
+        if (!Array.isArray(parsedStatement.rows) || parsedStatement.rows.length === 0) {
+            validation.isValid = false;
+            validation.errors.push('At least one VALUES row is required');
+        } else if (!parsedStatement.rows[0].hasOwnProperty(parsedStatement.keyField)) {
+            validation.isValid = false;
+            validation.errors.push('The column list must include ' + parsedStatement.keyField + ' to match rows to existing records');
+        }
+
+        return validation;
+    }
+
     /**
      * Get supported DML operations
      *
      * @returns {Array} Array of supported operation types
      */
     function getSupportedOperations() {
-        return ['CREATE_RECORD', 'CREATE_LIST', 'INSERT', 'UPDATE', 'DELETE'];
+        return ['CREATE_RECORD', 'CREATE_LIST', 'ALTER_RECORD', 'DROP_RECORD', 'ALTER_LIST', 'INSERT', 'UPDATE', 'DELETE', 'UPSERT'];
     }
 
     /**
@@ -365,9 +531,12 @@ define([
         validateDMLOperation: validateDMLOperation,
         validateCreateRecordStatement: validateCreateRecordStatement,
         validateCreateListStatement: validateCreateListStatement,
+        validateAlterRecordStatement: validateAlterRecordStatement,
+        validateAlterListStatement: validateAlterListStatement,
         validateInsertStatement: validateInsertStatement,
         validateUpdateStatement: validateUpdateStatement,
         validateDeleteStatement: validateDeleteStatement,
+        validateUpsertStatement: validateUpsertStatement,
         getSupportedOperations: getSupportedOperations,
         isOperationSupported: isOperationSupported
     };
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview DML Jobs
+ *
+ * Hands committed UPDATE and DELETE statements that end with COMMIT AS JOB
+ * to the DML job Map/Reduce script, so large changes are not cut short by
+ * the Suitelet's governance. The records are found first, as for any other
+ * statement, and the job works through their IDs in chunks of
+ * CONFIG.DML_JOBS.CHUNK_SIZE. Jobs are not journaled, so a statement too
+ * large to journal in the Suitelet is refused unless it asks to run as a job.
+ *
+ * Each job is tracked by a status file in the query job folder, named and
+ * shaped like a query job's and saved through jobFiles, so the query job
+ * monitor shows its progress:
+ *
+ *   {
+ *     jobId, dmlType, status, query, tableName, recordType, setFields, recordIds,
+ *     format, createdBy, createdDate, taskId, rowCount, pageCount,
+ *     successCount, errorCount, resultFileId, completedDate, error
+ *   }
+ *
+ * When the job finishes its result file lists every record with its
+ * SUCCESS or ERROR status.
+ *
+ * @author Enhanced SuiteQL Tool
+ * @version 1.0.0
+ */
+
+define([
+    'N/log',
+    'N/error',
+    'N/record',
+    'N/runtime',
+    'N/task',
+    '../../core/constants',
+    '../../data/jobFiles'
+], function(log, error, record, runtime, task, constants, jobFiles) {
+    'use strict';
+
+    /**
+     * Check if a committed statement should run as a job
+     *
+     * It does when it ends with COMMIT AS JOB. Otherwise it runs in the
+     * Suitelet, journaled, which is refused when it matches more than
+     * CONFIG.DML_JOBS.ROW_THRESHOLD records or more than the remaining
+     * governance can change (see getRowCapacity). Batches stop at their first
+     * failure so they can roll back, which a job cannot do, so they always
+     * run in the Suitelet.
+     *
+     * @param {Object} parsedStatement - Parsed UPDATE or DELETE statement
+     * @param {Array} recordIds - Internal IDs of the records it matches
+     * @returns {boolean} True if it should run as a job
+     * @throws {Error} If the statement is too large to run in the Suitelet and doesn't ask to run as a job
+     */
+    function shouldRunAsJob(parsedStatement, recordIds) {
+        var settings = constants.CONFIG.DML_JOBS;
+
+        if (parsedStatement.isPreview || parsedStatement.stopOnError) {
+            return false;
+        }
+
+        if (parsedStatement.asJob) {
+            if (!settings.ENABLED) {
+                throw error.create({
+                    name: 'DML_JOBS_DISABLED',
+                    message: 'DML jobs are disabled (CONFIG.DML_JOBS.ENABLED), so COMMIT AS JOB cannot be used'
+                });
+            }
+            return true;
+        }
+
+        var rowLimit = Math.min(settings.ROW_THRESHOLD, getRowCapacity());
+
+        if (recordIds.length > rowLimit) {
+            throw error.create({
+                name: 'STATEMENT_TOO_LARGE',
+                message: 'The statement matches ' + recordIds.length + ' record(s), more than the ' + rowLimit +
+                    ' that can be changed and journaled in this request. Narrow the WHERE clause' +
+                    (settings.ENABLED ? ', or end the statement with COMMIT AS JOB to run it as a background job, which cannot be undone' : '') + '.'
+            });
+        }
+
+        return false;
+    }
+
+    /**
+     * Get how many records the Suitelet's remaining governance can write
+     *
+     * Each record costs CONFIG.DML_JOBS.ROW_USAGE units, and USAGE_RESERVE
+     * units are kept back for the rest of the request.
+     *
+     * @returns {number} Number of record writes
+     */
+    function getRowCapacity() {
+        var settings = constants.CONFIG.DML_JOBS;
+        var rowLimit = Math.floor((runtime.getCurrentScript().getRemainingUsage() - settings.USAGE_RESERVE) / settings.ROW_USAGE);
+
+        return Math.max(rowLimit, 0);
+    }
+
+    /**
+     * Submit a job that applies a statement to the records it matched
+     *
+     * @param {string} dmlType - 'UPDATE' or 'DELETE'
+     * @param {Object} parsedStatement - Parsed statement
+     * @param {Object} recordType - Record type information
+     * @param {Array} recordIds - Internal IDs of the records to change
+     * @returns {Object} Job summary for the query job monitor
+     */
+    function submitJob(dmlType, parsedStatement, recordType, recordIds) {
+        var currentUser = runtime.getCurrentUser();
+        var job = {
+            jobId: 'job_' + currentUser.id + '_' + new Date().getTime(),
+            dmlType: dmlType,
+            status: constants.CONFIG.QUERY_JOBS.STATUS.PENDING,
+            query: describeStatement(dmlType, parsedStatement),
+            tableName: parsedStatement.tableName,
+            recordType: recordType.type,
+            setFields: dmlType === 'UPDATE' ? parsedStatement.setFields : null,
+            recordIds: recordIds,
+            format: 'csv',
+            createdBy: currentUser.id,
+            createdDate: new Date().toISOString(),
+            taskId: null,
+            rowCount: recordIds.length,
+            pageCount: Math.ceil(recordIds.length / constants.CONFIG.DML_JOBS.CHUNK_SIZE),
+            successCount: null,
+            errorCount: null,
+            resultFileId: null,
+            completedDate: null,
+            error: null
+        };
+
+        var jobFileId = jobFiles.saveJob(job);
+
+        var taskParams = {};
+        taskParams[constants.CONFIG.DML_JOBS.JOB_FILE_PARAMETER] = jobFileId;
+
+        var taskId = task.create({
+            taskType: task.TaskType.MAP_REDUCE,
+            scriptId: constants.CONFIG.DML_JOBS.SCRIPT_ID,
+            params: taskParams
+        }).submit();
+
+        job = jobFiles.recordTaskId(job, taskId);
+
+        log.audit({
+            title: 'DML job submitted',
+            details: 'Job: ' + job.jobId + ', Task: ' + taskId + ', ' + dmlType + ' ' + recordIds.length + ' record(s) in ' + parsedStatement.tableName
+        });
+
+        return {
+            jobId: job.jobId,
+            dmlType: dmlType,
+            status: job.status,
+            format: job.format,
+            queryPreview: job.query.substring(0, 200),
+            createdDate: job.createdDate,
+            completedDate: null,
+            rowCount: job.rowCount,
+            pageCount: job.pageCount,
+            successCount: null,
+            errorCount: null,
+            stage: null,
+            percentComplete: 0,
+            error: null,
+            resultFileUrl: null
+        };
+    }
+
+    /**
+     * Split a job's record IDs into the chunks the Map/Reduce script processes
+     *
+     * @param {Object} job - DML job
+     * @returns {Array} Arrays of record IDs
+     */
+    function chunkRecordIds(job) {
+        var chunkSize = constants.CONFIG.DML_JOBS.CHUNK_SIZE;
+        var chunks = [];
+
+        for (var i = 0; i < job.recordIds.length; i += chunkSize) {
+            chunks.push(job.recordIds.slice(i, i + chunkSize));
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Apply a job's statement to one record
+     *
+     * A record that fails is reported and the rest of the chunk still runs.
+     *
+     * @param {Object} job - DML job
+     * @param {string|number} recordId - Record internal ID
+     * @returns {Object} { recordId, status: 'SUCCESS'|'ERROR', error }
+     */
+    function processRecord(job, recordId) {
+        try {
+            if (job.dmlType === 'UPDATE') {
+                record.submitFields({
+                    type: job.recordType,
+                    id: recordId,
+                    values: job.setFields
+                });
+            } else {
+                record.delete({
+                    type: job.recordType,
+                    id: recordId
+                });
+            }
+
+            return { recordId: recordId, status: 'SUCCESS', error: '' };
+
+        } catch (recordError) {
+            log.error({
+                title: 'DML job record failed',
+                details: 'Job: ' + job.jobId + ', ID: ' + recordId + ', Error: ' + recordError.message
+            });
+
+            return { recordId: recordId, status: 'ERROR', error: recordError.message };
+        }
+    }
+
+    /**
+     * Rebuild the statement text shown for a job
+     *
+     * @param {string} dmlType - 'UPDATE' or 'DELETE'
+     * @param {Object} parsedStatement - Parsed statement
+     * @returns {string} Statement text
+     */
+    function describeStatement(dmlType, parsedStatement) {
+        var text = dmlType === 'UPDATE' ?
+            'UPDATE ' + parsedStatement.tableName + ' SET ' + Object.keys(parsedStatement.setFields).map(function(fieldId) {
+                return fieldId + ' = ' + JSON.stringify(parsedStatement.setFields[fieldId]);
+            }).join(', ') :
+            'DELETE FROM ' + parsedStatement.tableName;
+
+        return text + (parsedStatement.whereClause ? ' WHERE ' + parsedStatement.whereClause : '');
+    }
+
+    // Public API
+    return {
+        shouldRunAsJob: shouldRunAsJob,
+        getRowCapacity: getRowCapacity,
+        submitJob: submitJob,
+        chunkRecordIds: chunkRecordIds,
+        processRecord: processRecord
+    };
+});
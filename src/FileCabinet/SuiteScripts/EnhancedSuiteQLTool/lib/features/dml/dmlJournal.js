@@ -0,0 +1,658 @@
+/**
+ * @fileoverview DML Rollback Journal
+ *
+ * Records the original field values of every record a DML batch or a
+ * committed UPDATE/DELETE statement touches, before it writes to it, and
+ * restores them on rollback or undo. Each journal is a JSON file in the
+ * File Cabinet:
+ *
+ *   {
+ *     batchId, kind, status, createdBy, createdAt, updatedAt, statements: [text],
+ *     entries: [{ action, recordType, recordId, values, dateFields, restored }]
+ *   }
+ *
+ * UPDATE entries hold the original values of the fields being set and are
+ * restored in place. DELETE entries hold every body field of the deleted
+ * record, which is recreated on rollback with a new internal ID; sublist
+ * lines are not journaled. The journals back the Change log, which lists
+ * the current user's journals and shows an SQL preview of the undo before
+ * it restores the journaled values.
+ *
+ * Only the user who made a change, or an administrator, can load its
+ * journal, so only they can roll it back or undo it.
+ *
+ * Snapshots are read with SuiteQL, a query per 500 records plus one
+ * record load for the field types, rather than by loading every record.
+ * When the SuiteQL read fails, the records are loaded one by one.
+ *
+ * @author Enhanced SuiteQL Tool
+ * @version 1.0.0
+ */
+
+define([
+    'N/log',
+    'N/error',
+    'N/file',
+    'N/format',
+    'N/query',
+    'N/record',
+    'N/runtime',
+    '../../core/constants',
+    './dmlUtils'
+], function(log, error, file, format, query, record, runtime, constants, dmlUtils) {
+    'use strict';
+
+    /**
+     * File Cabinet folder that holds the journal files (runtime data, kept
+     * out of the deployed code folders)
+     */
+    var JOURNAL_FOLDER_PATH = constants.CONFIG.DML_JOURNAL.FOLDER_PATH;
+
+    /**
+     * Field types journaled as dates
+     */
+    var DATE_FIELD_TYPES = ['date', 'datetime', 'datetimetz'];
+
+    /**
+     * Journal statuses
+     */
+    var STATUS = {
+        IN_PROGRESS: 'IN_PROGRESS',
+        COMMITTED: 'COMMITTED',
+        ROLLED_BACK: 'ROLLED_BACK',
+        ROLLBACK_INCOMPLETE: 'ROLLBACK_INCOMPLETE',
+        FAILED: 'FAILED'
+    };
+
+    /**
+     * Journal kinds
+     */
+    var KIND = {
+        BATCH: 'BATCH',
+        STATEMENT: 'STATEMENT'
+    };
+
+    /**
+     * Body fields that are never set when a deleted record is recreated
+     */
+    var SYSTEM_FIELDS = ['id', 'internalid', 'createddate', 'lastmodifieddate', 'datecreated', 'lastmodified',
+        'customform', 'type', 'rectype', 'baserecordtype', 'ntype', 'linenumber', 'wfinstances', 'entryformquerystring'];
+
+    /**
+     * Cached journal folder ID
+     */
+    var journalFolderId = null;
+
+    /**
+     * Journal structure
+     * @typedef {Object} DMLJournal
+     * @property {string} batchId - Batch ID, used in ROLLBACK <batch id>
+     * @property {string} kind - One of KIND
+     * @property {string} status - One of STATUS
+     * @property {number} createdBy - Internal ID of the user who made the change
+     * @property {string} createdAt - ISO timestamp
+     * @property {string} updatedAt - ISO timestamp
+     * @property {Array} statements - Statement text, in batch order
+     * @property {Array} entries - Snapshots, in the order the records were written
+     */
+
+    /**
+     * Start a journal for a new batch or statement
+     *
+     * @param {Array} statements - Statement text, in batch order
+     * @param {string} [kind] - One of KIND (defaults to BATCH)
+     * @returns {DMLJournal} New journal (not yet saved)
+     */
+    function createJournal(statements, kind) {
+        var now = new Date().toISOString();
+
+        return {
+            batchId: 'B' + Date.now().toString(36).toUpperCase() + Math.floor(Math.random() * 1296).toString(36).toUpperCase(),
+            kind: kind || KIND.BATCH,
+            status: STATUS.IN_PROGRESS,
+            createdBy: runtime.getCurrentUser().id,
+            createdAt: now,
+            updatedAt: now,
+            statements: statements,
+            entries: []
+        };
+    }
+
+    /**
+     * Snapshot records before a statement writes to them
+     *
+     * @param {DMLJournal} journal - Journal to add the snapshots to
+     * @param {string} action - 'UPDATE' or 'DELETE'
+     * @param {Object} recordType - Record type information from dmlUtils.determineRecordType
+     * @param {Array} recordIds - Internal IDs of the records about to be written
+     * @param {Array} [fieldIds] - Fields to snapshot (UPDATE); all body fields when omitted (DELETE)
+     */
+    function snapshotRecords(journal, action, recordType, recordIds, fieldIds) {
+        var snapshots = null;
+
+        if (recordIds.length > 0 && dmlUtils.canFindWithSuiteQL(recordType)) {
+            try {
+                snapshots = readSnapshotsWithSuiteQL(recordType, recordIds, fieldIds);
+            } catch (e) {
+                // A SET field that isn't a SuiteQL column, for example
+                log.debug({
+                    title: 'SuiteQL snapshot failed, loading records',
+                    details: recordType.type + ': ' + e.message
+                });
+            }
+        }
+
+        recordIds.forEach(function(recordId) {
+            var snapshot = (snapshots && snapshots[String(recordId)]) || readSnapshotWithRecord(recordType.type, recordId, fieldIds);
+
+            journal.entries.push({
+                action: action,
+                recordType: recordType.type,
+                recordId: String(recordId),
+                values: snapshot.values,
+                dateFields: snapshot.dateFields,
+                restored: false
+            });
+        });
+    }
+
+    /**
+     * Read record snapshots with SuiteQL
+     *
+     * Field types come from loading the first record: dates are journaled as
+     * ISO timestamps, checkboxes as booleans and multi-selects as arrays, as
+     * record.getValue returns them.
+     *
+     * @param {Object} recordType - Record type information
+     * @param {Array} recordIds - Internal IDs
+     * @param {Array} [fieldIds] - Fields to snapshot; every column when omitted
+     * @returns {Object} Snapshots ({ values, dateFields }) by record ID
+     */
+    function readSnapshotsWithSuiteQL(recordType, recordIds, fieldIds) {
+        var sample = record.load({ type: recordType.type, id: recordIds[0] });
+        var fieldTypes = {};
+
+        function getFieldType(fieldId) {
+            if (!fieldTypes.hasOwnProperty(fieldId)) {
+                var field = sample.getField({ fieldId: fieldId });
+                fieldTypes[fieldId] = field ? String(field.type).toLowerCase() : null;
+            }
+            return fieldTypes[fieldId];
+        }
+
+        var selectList = fieldIds ? fieldIds.map(function(fieldId) {
+            // Dates are read unformatted so the time of day survives
+            return DATE_FIELD_TYPES.indexOf(getFieldType(fieldId)) !== -1 ?
+                'TO_CHAR( ' + fieldId + ', \'YYYY-MM-DD"T"HH24:MI:SS\' ) AS ' + fieldId :
+                fieldId;
+        }).join(', ') : '*';
+
+        var snapshots = {};
+
+        dmlUtils.selectRecordsById(recordType, recordIds, selectList).forEach(function(row) {
+            var snapshot = { values: {}, dateFields: [] };
+
+            (fieldIds || Object.keys(row)).forEach(function(fieldId) {
+                if (fieldId === 'sq_record_id') {
+                    return;
+                }
+
+                var fieldType = getFieldType(fieldId);
+                var value = readSuiteQLValue(row[fieldId.toLowerCase()], fieldType);
+
+                if (value instanceof Date) {
+                    snapshot.dateFields.push(fieldId);
+                    value = value.toISOString();
+                }
+                snapshot.values[fieldId] = value;
+            });
+
+            snapshots[String(row.sq_record_id)] = snapshot;
+        });
+
+        return snapshots;
+    }
+
+    /**
+     * Convert a SuiteQL column value to the value record.getValue would return
+     *
+     * @param {*} value - SuiteQL value
+     * @param {string|null} fieldType - Record field type
+     * @returns {*} Field value
+     */
+    function readSuiteQLValue(value, fieldType) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+
+        if (DATE_FIELD_TYPES.indexOf(fieldType) !== -1) {
+            if (/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+                return new Date(value);
+            }
+            try {
+                return format.parse({ value: String(value), type: fieldType === 'date' ? format.Type.DATE : format.Type.DATETIME });
+            } catch (e) {
+                return value;
+            }
+        }
+
+        if (fieldType === 'checkbox') {
+            return value === true || value === 'T';
+        }
+
+        if (fieldType === 'multiselect') {
+            return String(value).split(/\s*,\s*/);
+        }
+
+        return value;
+    }
+
+    /**
+     * Read a record snapshot by loading the record
+     *
+     * @param {string} recordType - NetSuite record type
+     * @param {string|number} recordId - Internal ID
+     * @param {Array} [fieldIds] - Fields to snapshot; all body fields when omitted
+     * @returns {Object} Snapshot ({ values, dateFields })
+     */
+    function readSnapshotWithRecord(recordType, recordId, fieldIds) {
+        var original = record.load({ type: recordType, id: recordId });
+        var snapshot = { values: {}, dateFields: [] };
+
+        (fieldIds || original.getFields()).forEach(function(fieldId) {
+            var value = original.getValue({ fieldId: fieldId });
+
+            if (value instanceof Date) {
+                snapshot.dateFields.push(fieldId);
+                value = value.toISOString();
+            }
+            snapshot.values[fieldId] = value === undefined ? null : value;
+        });
+
+        return snapshot;
+    }
+
+    /**
+     * Restore the journaled records, newest write first
+     *
+     * Entries already restored by an earlier rollback are skipped, so an
+     * incomplete rollback can be run again.
+     *
+     * @param {DMLJournal} journal - Journal to roll back (updated in place)
+     * @returns {Object} { restored, recreated: [{ recordType, originalId, newId }], errors: [{ recordType, recordId, error }] }
+     */
+    function rollback(journal) {
+        var summary = { restored: 0, recreated: [], errors: [] };
+
+        for (var i = journal.entries.length - 1; i >= 0; i--) {
+            var entry = journal.entries[i];
+            if (entry.restored) {
+                continue;
+            }
+
+            try {
+                var values = getRestoreValues(entry);
+
+                if (entry.action === 'DELETE' && recordExists(entry.recordType, entry.recordId)) {
+                    // The batch stopped before this record was deleted
+                    entry.restoredAs = entry.recordId;
+                } else if (entry.action === 'DELETE') {
+                    var newId = recreateRecord(entry.recordType, values);
+                    entry.restoredAs = String(newId);
+                    summary.recreated.push({ recordType: entry.recordType, originalId: entry.recordId, newId: entry.restoredAs });
+                } else {
+                    record.submitFields({
+                        type: entry.recordType,
+                        id: entry.recordId,
+                        values: values,
+                        options: { ignoreMandatoryFields: true }
+                    });
+                }
+
+                entry.restored = true;
+                summary.restored++;
+            } catch (e) {
+                log.error({
+                    title: 'Journal entry rollback failed',
+                    details: entry.action + ' ' + entry.recordType + ' ' + entry.recordId + ': ' + e.message
+                });
+                summary.errors.push({ recordType: entry.recordType, recordId: entry.recordId, error: e.message });
+            }
+        }
+
+        journal.status = summary.errors.length > 0 ? STATUS.ROLLBACK_INCOMPLETE : STATUS.ROLLED_BACK;
+
+        return summary;
+    }
+
+    /**
+     * Convert an entry's journaled values back to field values
+     *
+     * @param {Object} entry - Journal entry
+     * @returns {Object} Field values by field ID
+     */
+    function getRestoreValues(entry) {
+        var values = {};
+
+        Object.keys(entry.values).forEach(function(fieldId) {
+            var value = entry.values[fieldId];
+            values[fieldId] = entry.dateFields.indexOf(fieldId) !== -1 && value ? new Date(value) : value;
+        });
+
+        return values;
+    }
+
+    /**
+     * Check whether a record still exists
+     *
+     * @param {string} recordType - NetSuite record type
+     * @param {string} recordId - Internal ID
+     * @returns {boolean} True if the record can be loaded
+     */
+    function recordExists(recordType, recordId) {
+        try {
+            record.load({ type: recordType, id: recordId });
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Recreate a deleted record from its journaled body fields
+     *
+     * Fields that can't be set on a new record (read-only or calculated
+     * fields) are skipped.
+     *
+     * @param {string} recordType - NetSuite record type
+     * @param {Object} values - Field values by field ID
+     * @returns {number} Internal ID of the new record
+     */
+    function recreateRecord(recordType, values) {
+        var newRecord = record.create({ type: recordType });
+
+        Object.keys(values).forEach(function(fieldId) {
+            var value = values[fieldId];
+            if (!isRestorableField(fieldId, value)) {
+                return;
+            }
+            try {
+                newRecord.setValue({ fieldId: fieldId, value: value });
+            } catch (e) {
+                log.debug({
+                    title: 'Field skipped when recreating record',
+                    details: recordType + '.' + fieldId + ': ' + e.message
+                });
+            }
+        });
+
+        return newRecord.save({ ignoreMandatoryFields: true });
+    }
+
+    /**
+     * Check whether a journaled field is set when a deleted record is recreated
+     *
+     * @param {string} fieldId - Field ID
+     * @param {*} value - Journaled value
+     * @returns {boolean} True if the field is restored
+     */
+    function isRestorableField(fieldId, value) {
+        return SYSTEM_FIELDS.indexOf(fieldId) === -1 && !/^(sys_|nsapi|_)/.test(fieldId) &&
+            value !== null && value !== '';
+    }
+
+    /**
+     * Preview a journal's undo as SQL statements
+     *
+     * The statements approximate what rollback does to the unrestored
+     * entries, newest write first: an UPDATE that sets the original values
+     * back, or an INSERT that recreates a deleted record. They are only a
+     * preview and are never run; rollback restores the journaled values with
+     * record.submitFields or record.create, which keeps values such as
+     * multi-selects and date-times that the literals only approximate.
+     *
+     * @param {DMLJournal} journal - Journal
+     * @returns {Array} Statement text
+     */
+    function getUndoPreview(journal) {
+        var statements = [];
+
+        for (var i = journal.entries.length - 1; i >= 0; i--) {
+            var entry = journal.entries[i];
+            if (entry.restored) {
+                continue;
+            }
+
+            var fieldIds = Object.keys(entry.values).filter(function(fieldId) {
+                return entry.action !== 'DELETE' || isRestorableField(fieldId, entry.values[fieldId]);
+            });
+            var literals = fieldIds.map(function(fieldId) {
+                return formatLiteral(entry.values[fieldId], entry.dateFields.indexOf(fieldId) !== -1);
+            });
+
+            if (entry.action === 'DELETE') {
+                statements.push('INSERT INTO ' + entry.recordType + ' (' + fieldIds.join(', ') + ') VALUES (' + literals.join(', ') + ')');
+            } else {
+                statements.push('UPDATE ' + entry.recordType + ' SET ' + fieldIds.map(function(fieldId, index) {
+                    return fieldId + ' = ' + literals[index];
+                }).join(', ') + ' WHERE id = ' + entry.recordId);
+            }
+        }
+
+        return statements;
+    }
+
+    /**
+     * Format a journaled value as a DML literal
+     *
+     * @param {*} value - Journaled value
+     * @param {boolean} isDate - True if the value is an ISO date
+     * @returns {string} Literal
+     */
+    function formatLiteral(value, isDate) {
+        if (value === null || value === undefined || value === '') {
+            return 'NULL';
+        }
+        if (typeof value === 'boolean') {
+            return value ? 'TRUE' : 'FALSE';
+        }
+        if (typeof value === 'number') {
+            return String(value);
+        }
+        if (isDate) {
+            value = String(value).substring(0, 10);
+        }
+        if (Array.isArray(value)) {
+            value = value.join(',');
+        }
+
+        return "'" + String(value).replace(/'/g, "''") + "'";
+    }
+
+    /**
+     * Save a journal to its File Cabinet file
+     *
+     * @param {DMLJournal} journal - Journal to save
+     * @returns {number} File ID
+     */
+    function saveJournal(journal) {
+        journal.updatedAt = new Date().toISOString();
+
+        return file.create({
+            name: getFileName(journal.batchId, journal.createdBy),
+            fileType: file.Type.JSON,
+            contents: JSON.stringify(journal),
+            folder: getJournalFolderId()
+        }).save();
+    }
+
+    /**
+     * Load a batch's journal
+     *
+     * Journals made by other users can only be loaded by an administrator,
+     * as can journals written before the user was recorded.
+     *
+     * @param {string} batchId - Batch ID
+     * @returns {DMLJournal} Journal
+     */
+    function loadJournal(batchId) {
+        if (!/^\w+$/.test(batchId || '')) {
+            throw error.create({
+                name: 'INVALID_BATCH_ID',
+                message: 'Invalid batch ID: ' + batchId
+            });
+        }
+
+        var folderId = getJournalFolderId(false);
+        var namePattern = new RegExp('^dml_batch_' + batchId + '_u-?\\d+\\.json$');
+
+        var files = folderId ? query.runSuiteQL({
+            query: 'SELECT id, name FROM file WHERE folder = ? AND name LIKE ?',
+            params: [folderId, 'dml_batch_' + batchId + '%']
+        }).asMappedResults().filter(function(row) {
+            return row.name === getFileName(batchId) || namePattern.test(row.name);
+        }) : [];
+
+        if (files.length === 0) {
+            throw error.create({
+                name: 'BATCH_NOT_FOUND',
+                message: 'No journal found for batch ' + batchId
+            });
+        }
+
+        var journal = JSON.parse(file.load({ id: files[0].id }).getContents());
+        var currentUser = runtime.getCurrentUser();
+
+        if (String(journal.createdBy) !== String(currentUser.id) && currentUser.roleId !== 'administrator') {
+            throw error.create({
+                name: 'BATCH_ACCESS_DENIED',
+                message: 'Batch ' + batchId + ' was run by another user; only they or an administrator can roll it back'
+            });
+        }
+
+        return journal;
+    }
+
+    /**
+     * List the current user's most recent journals, newest first
+     *
+     * @param {number} limit - Maximum number of journals to read
+     * @returns {Array} Journal summaries
+     */
+    function listJournals(limit) {
+        var folderId = getJournalFolderId(false);
+        if (!folderId) {
+            return [];
+        }
+
+        // The user ID is part of the file name, so only their journals are loaded
+        var suffix = '_u' + runtime.getCurrentUser().id + '.json';
+
+        var files = query.runSuiteQL({
+            query: "SELECT id, name FROM file WHERE folder = ? AND name LIKE 'dml_batch_%' AND name LIKE ? ORDER BY id DESC",
+            params: [folderId, '%' + suffix]
+        }).asMappedResults().filter(function(row) {
+            // "_" is a LIKE wildcard
+            return row.name.slice(-suffix.length) === suffix;
+        }).slice(0, limit);
+
+        return files.map(function(row) {
+            return summarizeJournal(JSON.parse(file.load({ id: row.id }).getContents()));
+        });
+    }
+
+    /**
+     * Summarize a journal for the Change log
+     *
+     * @param {DMLJournal} journal - Journal
+     * @returns {Object} { batchId, kind, status, createdAt, updatedAt, statements, recordTypes, updated, deleted, canUndo }
+     */
+    function summarizeJournal(journal) {
+        var recordTypes = [];
+
+        journal.entries.forEach(function(entry) {
+            if (recordTypes.indexOf(entry.recordType) === -1) {
+                recordTypes.push(entry.recordType);
+            }
+        });
+
+        return {
+            batchId: journal.batchId,
+            kind: journal.kind || KIND.BATCH,
+            status: journal.status,
+            createdAt: journal.createdAt,
+            updatedAt: journal.updatedAt,
+            statements: journal.statements,
+            recordTypes: recordTypes,
+            updated: journal.entries.filter(function(entry) { return entry.action === 'UPDATE'; }).length,
+            deleted: journal.entries.filter(function(entry) { return entry.action === 'DELETE'; }).length,
+            canUndo: journal.status !== STATUS.ROLLED_BACK && journal.entries.length > 0
+        };
+    }
+
+    /**
+     * Get the journal file name for a batch
+     *
+     * @param {string} batchId - Batch ID
+     * @param {number} [userId] - User who made the change (omitted for journals written before it was recorded)
+     * @returns {string} File name
+     */
+    function getFileName(batchId, userId) {
+        return 'dml_batch_' + batchId + (userId !== undefined && userId !== null ? '_u' + userId : '') + '.json';
+    }
+
+    /**
+     * Find or create the journal folder
+     *
+     * @param {boolean} [create] - Create missing folders (defaults to true)
+     * @returns {number|null} Folder ID, or null if it doesn't exist and create is false
+     */
+    function getJournalFolderId(create) {
+        if (journalFolderId) {
+            return journalFolderId;
+        }
+
+        var parentId = null;
+        var folderNames = JOURNAL_FOLDER_PATH.split('/');
+
+        for (var i = 0; i < folderNames.length; i++) {
+            var folderName = folderNames[i];
+            var results = query.runSuiteQL({
+                query: parentId ?
+                    'SELECT id FROM mediaitemfolder WHERE name = ? AND parent = ?' :
+                    'SELECT id FROM mediaitemfolder WHERE name = ? AND parent IS NULL',
+                params: parentId ? [folderName, parentId] : [folderName]
+            }).asMappedResults();
+
+            if (results.length > 0) {
+                parentId = results[0].id;
+            } else if (create === false) {
+                return null;
+            } else {
+                var folder = record.create({ type: record.Type.FOLDER });
+                folder.setValue({ fieldId: 'name', value: folderName });
+                if (parentId) {
+                    folder.setValue({ fieldId: 'parent', value: parentId });
+                }
+                parentId = folder.save();
+            }
+        }
+
+        journalFolderId = parentId;
+
+        return journalFolderId;
+    }
+
+    // Public API
+    return {
+        STATUS: STATUS,
+        KIND: KIND,
+        createJournal: createJournal,
+        snapshotRecords: snapshotRecords,
+        rollback: rollback,
+        getUndoPreview: getUndoPreview,
+        saveJournal: saveJournal,
+        loadJournal: loadJournal,
+        listJournals: listJournals
+    };
+});
@@ -6,7 +6,11 @@
  * Detects patterns like:
  * - CREATE RECORD record_name (field1 TYPE, field2 TYPE)
  * - CREATE LIST list_name (options...)
- * - Future: UPDATE RECORD, DELETE RECORD, etc.
+ * - ALTER RECORD customrecord_x ADD FIELD ..., DROP FIELD ..., MODIFY FIELD ... and DROP RECORD customrecord_x
+ * - ALTER LIST customlist_x ADD VALUE ..., RENAME VALUE ... TO ..., REORDER (...)
+ * - INSERT, UPDATE and DELETE statements
+ * - UPSERT INTO table (externalid, ...) VALUES (...) and its MERGE form
+ * - Sublist lines: INSERT INTO salesorder.item ..., UPDATE transactionline ...
  * 
  * @author Enhanced SuiteQL Tool
  * @version 1.0.0
@@ -58,12 +62,36 @@ define(['N/log', 'N/error'], function(log, error) {
                 analysis.dmlType = 'CREATE_LIST';
                 analysis.parsedStatement = parseCreateListStatement(trimmedQuery);
             }
+            // Check for ALTER RECORD statements
+            else if (isAlterRecordStatement(trimmedQuery)) {
+                analysis.isDMLStatement = true;
+                analysis.dmlType = 'ALTER_RECORD';
+                analysis.parsedStatement = parseAlterRecordStatement(trimmedQuery);
+            }
+            // Check for DROP RECORD statements
+            else if (isDropRecordStatement(trimmedQuery)) {
+                analysis.isDMLStatement = true;
+                analysis.dmlType = 'DROP_RECORD';
+                analysis.parsedStatement = parseDropRecordStatement(trimmedQuery);
+            }
+            // Check for ALTER LIST statements
+            else if (isAlterListStatement(trimmedQuery)) {
+                analysis.isDMLStatement = true;
+                analysis.dmlType = 'ALTER_LIST';
+                analysis.parsedStatement = parseAlterListStatement(trimmedQuery);
+            }
             // Check for INSERT statements
             else if (isInsertStatement(trimmedQuery)) {
                 analysis.isDMLStatement = true;
                 analysis.dmlType = 'INSERT';
                 analysis.parsedStatement = parseInsertStatement(trimmedQuery);
             }
+            // Check for UPSERT and MERGE statements
+            else if (isUpsertStatement(trimmedQuery)) {
+                analysis.isDMLStatement = true;
+                analysis.dmlType = 'UPSERT';
+                analysis.parsedStatement = parseUpsertStatement(trimmedQuery);
+            }
             // Check for UPDATE statements
             else if (isUpdateStatement(trimmedQuery)) {
                 analysis.isDMLStatement = true;
@@ -114,6 +142,36 @@ define(['N/log', 'N/error'], function(log, error) {
         return /^\s*CREATE\s+LIST\s+\w+\s*\(/i.test(query);
     }
 
+    /**
+     * Check if query is an ALTER RECORD statement
+     *
+     * @param {string} query - Query to check
+     * @returns {boolean} True if ALTER RECORD statement
+     */
+    function isAlterRecordStatement(query) {
+        return /^\s*ALTER\s+RECORD\s+/i.test(query);
+    }
+
+    /**
+     * Check if query is a DROP RECORD statement
+     *
+     * @param {string} query - Query to check
+     * @returns {boolean} True if DROP RECORD statement
+     */
+    function isDropRecordStatement(query) {
+        return /^\s*DROP\s+RECORD\s+/i.test(query);
+    }
+
+    /**
+     * Check if query is an ALTER LIST statement
+     *
+     * @param {string} query - Query to check
+     * @returns {boolean} True if ALTER LIST statement
+     */
+    function isAlterListStatement(query) {
+        return /^\s*ALTER\s+LIST\s+/i.test(query);
+    }
+
     /**
      * Check if query is an INSERT statement
      *
@@ -124,6 +182,16 @@ define(['N/log', 'N/error'], function(log, error) {
         return /^\s*INSERT\s+INTO\s+/i.test(query);
     }
 
+    /**
+     * Check if query is an UPSERT or MERGE statement
+     *
+     * @param {string} query - Query to check
+     * @returns {boolean} True if UPSERT or MERGE statement
+     */
+    function isUpsertStatement(query) {
+        return /^\s*(UPSERT|MERGE)\s+INTO\s+/i.test(query);
+    }
+
     /**
      * Check if query is an UPDATE statement
      *
@@ -227,6 +295,343 @@ define(['N/log', 'N/error'], function(log, error) {
         };
     }
 
+    /**
+     * Parse ALTER RECORD statement
+     *
+     * Actions are separated by commas:
+     * - ADD FIELD name TYPE[(list)] [LABEL 'Label']
+     * - DROP FIELD name
+     * - MODIFY FIELD name [TYPE] [LABEL 'Label']
+     *
+     * Field names without the custrecord_ prefix get the same script ID that
+     * CREATE RECORD would have generated for them.
+     *
+     * @param {string} query - ALTER RECORD statement
+     * @returns {Object} Parsed statement details
+     */
+    function parseAlterRecordStatement(query) {
+        var alterMatch = query.match(/^\s*ALTER\s+RECORD\s+(\w+)\s+(.*)$/is);
+        if (!alterMatch) {
+            throw error.create({
+                name: 'INVALID_ALTER_RECORD_SYNTAX',
+                message: 'Invalid ALTER RECORD syntax. Expected: ALTER RECORD customrecord_x ADD FIELD name TYPE, DROP FIELD name, MODIFY FIELD name TYPE'
+            });
+        }
+
+        var recordType = normalizeCustomRecordType(alterMatch[1]);
+        var recordSuffix = recordType.replace(/^customrecord_/, '');
+        var remainder = alterMatch[2].trim().replace(/;$/, '').trim();
+
+        // Default to preview mode for safety, as UPDATE and DELETE do
+        var isPreview = true;
+        var modeMatch = remainder.match(/^(.*?)\s+(COMMIT|PREVIEW)$/is);
+        if (modeMatch) {
+            isPreview = modeMatch[2].toUpperCase() !== 'COMMIT';
+            remainder = modeMatch[1].trim();
+        }
+
+        var actions = splitTopLevel(remainder).map(function(actionStr) {
+            return parseAlterRecordAction(actionStr, recordSuffix);
+        });
+
+        if (actions.length === 0) {
+            throw error.create({
+                name: 'INVALID_ALTER_RECORD_SYNTAX',
+                message: 'ALTER RECORD needs at least one ADD FIELD, DROP FIELD or MODIFY FIELD action'
+            });
+        }
+
+        log.debug({
+            title: 'Parsed ALTER RECORD',
+            details: 'Record type: ' + recordType + ', Actions: ' + JSON.stringify(actions) + ', Preview: ' + isPreview
+        });
+
+        return {
+            operation: 'ALTER_RECORD',
+            recordType: recordType,
+            actions: actions,
+            isPreview: isPreview
+        };
+    }
+
+    /**
+     * Parse one ALTER RECORD action
+     *
+     * @param {string} actionStr - Action text, e.g. "ADD FIELD notes TEXTAREA LABEL 'Notes'"
+     * @param {string} recordSuffix - Record type script ID without the customrecord_ prefix
+     * @returns {Object} { action: 'ADD'|'DROP'|'MODIFY', scriptId, field? }
+     */
+    function parseAlterRecordAction(actionStr, recordSuffix) {
+        var actionMatch = actionStr.trim().match(/^(ADD|DROP|MODIFY)\s+FIELD\s+(\w+)(?:\s+(\w+)(?:\(([^)]+)\))?)?(?:\s+LABEL\s+'((?:[^']|'')*)')?$/is);
+        if (!actionMatch) {
+            throw error.create({
+                name: 'INVALID_ALTER_RECORD_SYNTAX',
+                message: 'Invalid ALTER RECORD action: ' + actionStr.trim() + '. Expected ADD FIELD name TYPE, DROP FIELD name or MODIFY FIELD name TYPE'
+            });
+        }
+
+        var action = actionMatch[1].toUpperCase();
+        var fieldName = actionMatch[2];
+        var fieldType = actionMatch[3] ? actionMatch[3].toUpperCase() : null;
+        var label = actionMatch[5] !== undefined ? actionMatch[5].replace(/''/g, '\'') : null;
+        var scriptId = /^custrecord_/i.test(fieldName) ?
+            fieldName.toLowerCase() :
+            'custrecord_' + truncateScriptId(recordSuffix + '_' + fieldName, 40 - 'custrecord_'.length);
+
+        if (action === 'DROP') {
+            if (fieldType || label !== null) {
+                throw error.create({
+                    name: 'INVALID_ALTER_RECORD_SYNTAX',
+                    message: 'DROP FIELD takes only a field name: ' + actionStr.trim()
+                });
+            }
+            return { action: action, scriptId: scriptId };
+        }
+
+        if (action === 'ADD' && !fieldType) {
+            throw error.create({
+                name: 'INVALID_ALTER_RECORD_SYNTAX',
+                message: 'ADD FIELD needs a field type: ' + actionStr.trim()
+            });
+        }
+
+        if (action === 'MODIFY') {
+            if (!fieldType && label === null) {
+                throw error.create({
+                    name: 'INVALID_ALTER_RECORD_SYNTAX',
+                    message: 'MODIFY FIELD needs a new type, a LABEL, or both: ' + actionStr.trim()
+                });
+            }
+            if (fieldType === 'LIST' || actionMatch[4]) {
+                throw error.create({
+                    name: 'INVALID_ALTER_RECORD_SYNTAX',
+                    message: 'MODIFY FIELD cannot change a field to a LIST. Drop the field and add it again instead.'
+                });
+            }
+        }
+
+        return {
+            action: action,
+            scriptId: scriptId,
+            field: {
+                name: label !== null ? label : fieldName,
+                type: fieldType,
+                listType: actionMatch[4] ? actionMatch[4].trim() : undefined,
+                scriptId: scriptId
+            },
+            label: label
+        };
+    }
+
+    /**
+     * Parse DROP RECORD statement
+     *
+     * DROP RECORD customrecord_x [FORCE] [COMMIT|PREVIEW]
+     *
+     * @param {string} query - DROP RECORD statement
+     * @returns {Object} Parsed statement details
+     */
+    function parseDropRecordStatement(query) {
+        var dropMatch = query.match(/^\s*DROP\s+RECORD\s+(\w+)((?:\s+(?:FORCE|COMMIT|PREVIEW))*)\s*;?\s*$/i);
+        if (!dropMatch) {
+            throw error.create({
+                name: 'INVALID_DROP_RECORD_SYNTAX',
+                message: 'Invalid DROP RECORD syntax. Expected: DROP RECORD customrecord_x [FORCE] [COMMIT]'
+            });
+        }
+
+        var keywords = dropMatch[2].trim().toUpperCase().split(/\s+/);
+
+        return {
+            operation: 'DROP_RECORD',
+            recordType: normalizeCustomRecordType(dropMatch[1]),
+            force: keywords.indexOf('FORCE') !== -1,
+            isPreview: keywords.indexOf('COMMIT') === -1
+        };
+    }
+
+    /**
+     * Parse ALTER LIST statement
+     *
+     * Actions are separated by commas, and values may be quoted with single
+     * or double quotes:
+     * - ADD VALUE 'Value' [ABBREVIATION 'V'] [INACTIVE] [TRANSLATIONS [language "es_ES", value "Valor"]]
+     * - RENAME VALUE 'Old' TO 'New'
+     * - SET INACTIVE VALUE 'Value' / SET ACTIVE VALUE 'Value'
+     * - REORDER ('First', 'Second', ...)
+     * - SET TRANSLATION es_ES 'Valor' FOR VALUE 'Value'
+     * - DROP TRANSLATION es_ES FOR VALUE 'Value'
+     *
+     * @param {string} query - ALTER LIST statement
+     * @returns {Object} Parsed statement details
+     */
+    function parseAlterListStatement(query) {
+        var alterMatch = query.match(/^\s*ALTER\s+LIST\s+(\w+)\s+(.*)$/is);
+        if (!alterMatch) {
+            throw error.create({
+                name: 'INVALID_ALTER_LIST_SYNTAX',
+                message: 'Invalid ALTER LIST syntax. Expected: ALTER LIST customlist_x ADD VALUE \'Value\', RENAME VALUE \'Old\' TO \'New\', ...'
+            });
+        }
+
+        var listId = alterMatch[1].toLowerCase();
+        var fullListId = listId.indexOf('customlist_') === 0 ? listId : 'customlist_' + listId;
+        var remainder = alterMatch[2].trim().replace(/;$/, '').trim();
+
+        // Default to preview mode for safety, as UPDATE and DELETE do
+        var isPreview = true;
+        var modeMatch = remainder.match(/^(.*?)\s+(COMMIT|PREVIEW)$/is);
+        if (modeMatch) {
+            isPreview = modeMatch[2].toUpperCase() !== 'COMMIT';
+            remainder = modeMatch[1].trim();
+        }
+
+        var actions = splitTopLevel(remainder).map(parseAlterListAction);
+
+        if (actions.length === 0) {
+            throw error.create({
+                name: 'INVALID_ALTER_LIST_SYNTAX',
+                message: 'ALTER LIST needs at least one action'
+            });
+        }
+
+        log.debug({
+            title: 'Parsed ALTER LIST',
+            details: 'List: ' + fullListId + ', Actions: ' + JSON.stringify(actions) + ', Preview: ' + isPreview
+        });
+
+        return {
+            operation: 'ALTER_LIST',
+            fullListId: fullListId,
+            actions: actions,
+            isPreview: isPreview
+        };
+    }
+
+    /**
+     * Parse one ALTER LIST action
+     *
+     * @param {string} actionStr - Action text, e.g. "RENAME VALUE 'Low' TO 'Minor'"
+     * @returns {Object} { action, value, ... } with the fields the action needs
+     */
+    function parseAlterListAction(actionStr) {
+        var text = actionStr.trim();
+        var quoted = '(\'(?:[^\']|\'\')*\'|"[^"]*")';
+        var match;
+
+        if ((match = text.match(new RegExp('^ADD\\s+VALUE\\s+' + quoted + '(?:\\s+ABBREVIATION\\s+' + quoted + ')?(\\s+INACTIVE)?(?:\\s+TRANSLATIONS\\s+\\[(.*)\\])?$', 'is')))) {
+            var added = {
+                value: unquote(match[1]),
+                inactive: !!match[3],
+                translations: match[4] ? parseTranslations(match[4]) : []
+            };
+            if (match[2]) {
+                added.abbreviation = unquote(match[2]);
+            }
+            return { action: 'ADD', value: added.value, listValue: added };
+        }
+
+        if ((match = text.match(new RegExp('^RENAME\\s+VALUE\\s+' + quoted + '\\s+TO\\s+' + quoted + '$', 'i')))) {
+            return { action: 'RENAME', value: unquote(match[1]), newValue: unquote(match[2]) };
+        }
+
+        if ((match = text.match(new RegExp('^SET\\s+(INACTIVE|ACTIVE)\\s+VALUE\\s+' + quoted + '$', 'i')))) {
+            return { action: 'SET_' + match[1].toUpperCase(), value: unquote(match[2]) };
+        }
+
+        if ((match = text.match(/^REORDER\s*\((.*)\)$/is))) {
+            return {
+                action: 'REORDER',
+                value: null,
+                order: splitTopLevel(match[1]).map(function(part) {
+                    if (!new RegExp('^' + quoted + '$').test(part)) {
+                        throw error.create({
+                            name: 'INVALID_ALTER_LIST_SYNTAX',
+                            message: 'REORDER values must be quoted: ' + part
+                        });
+                    }
+                    return unquote(part);
+                })
+            };
+        }
+
+        if ((match = text.match(new RegExp('^SET\\s+TRANSLATION\\s+(\\w+)\\s+' + quoted + '\\s+FOR\\s+VALUE\\s+' + quoted + '$', 'i')))) {
+            return { action: 'SET_TRANSLATION', value: unquote(match[3]), language: match[1], translation: unquote(match[2]) };
+        }
+
+        if ((match = text.match(new RegExp('^DROP\\s+TRANSLATION\\s+(\\w+)\\s+FOR\\s+VALUE\\s+' + quoted + '$', 'i')))) {
+            return { action: 'DROP_TRANSLATION', value: unquote(match[2]), language: match[1] };
+        }
+
+        throw error.create({
+            name: 'INVALID_ALTER_LIST_SYNTAX',
+            message: 'Invalid ALTER LIST action: ' + text + '. Expected ADD VALUE, RENAME VALUE, SET INACTIVE VALUE, SET ACTIVE VALUE, REORDER, SET TRANSLATION or DROP TRANSLATION'
+        });
+    }
+
+    /**
+     * Remove the quotes around a single- or double-quoted string
+     *
+     * @param {string} quotedStr - Quoted string
+     * @returns {string} String contents
+     */
+    function unquote(quotedStr) {
+        return quotedStr.charAt(0) === '\'' ?
+            quotedStr.slice(1, -1).replace(/''/g, '\'') :
+            quotedStr.slice(1, -1);
+    }
+
+    /**
+     * Normalize a custom record type name to its customrecord_ script ID
+     *
+     * @param {string} name - Record type name, with or without the customrecord_ prefix
+     * @returns {string} Lowercase customrecord_ script ID
+     */
+    function normalizeCustomRecordType(name) {
+        var recordType = name.toLowerCase();
+        return recordType.indexOf('customrecord_') === 0 ? recordType : 'customrecord_' + recordType;
+    }
+
+    /**
+     * Split text on commas that are outside quotes, parentheses and brackets
+     *
+     * @param {string} text - Text to split
+     * @returns {Array} Trimmed, non-empty parts
+     */
+    function splitTopLevel(text) {
+        var parts = [];
+        var current = '';
+        var depth = 0;
+        var quoteChar = '';
+
+        for (var i = 0; i < text.length; i++) {
+            var char = text[i];
+
+            if (quoteChar) {
+                if (char === quoteChar) {
+                    quoteChar = '';
+                }
+            } else if (char === '\'' || char === '"') {
+                quoteChar = char;
+            } else if (char === '(' || char === '[') {
+                depth++;
+            } else if (char === ')' || char === ']') {
+                depth--;
+            } else if (depth === 0 && char === ',') {
+                parts.push(current.trim());
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+
+        parts.push(current.trim());
+
+        return parts.filter(function(part) {
+            return part !== '';
+        });
+    }
+
     /**
      * Parse field definitions from CREATE RECORD statement
      * 
@@ -447,12 +852,12 @@ define(['N/log', 'N/error'], function(log, error) {
      */
     function parseTranslations(translationsStr) {
         var translations = [];
-        var transRegex = /language\s+"(\w+)"\s*,\s*value\s+"([^"]+)"/g;
+        var transRegex = /language\s+(["'])(\w+)\1\s*,\s*value\s+(["'])(.+?)\3/g;
         var transMatch;
         
         while ((transMatch = transRegex.exec(translationsStr)) !== null) {
-            var language = transMatch[1];
-            var value = transMatch[2];
+            var language = transMatch[2];
+            var value = transMatch[4];
             translations.push({
                 language: language,
                 value: value
@@ -579,8 +984,9 @@ define(['N/log', 'N/error'], function(log, error) {
 
         // Basic INSERT INTO pattern: INSERT INTO table_name (columns) VALUES (values)
         // Also support: INSERT INTO table_name SET field1=value1, field2=value2
+        // And: INSERT INTO table_name (columns) SELECT ... FROM ...
         // Updated regex to be more flexible with table names and capture everything after
-        var insertMatch = query.match(/^\s*INSERT\s+INTO\s+([a-zA-Z_][a-zA-Z0-9_]*)\s+(.*)$/is);
+        var insertMatch = query.match(/^\s*INSERT\s+INTO\s+([a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z_][a-zA-Z0-9_]*)?)\s+(.*)$/is);
 
         log.debug({
             title: 'parseInsertStatement regex test',
@@ -636,8 +1042,11 @@ define(['N/log', 'N/error'], function(log, error) {
             isPreview: isPreview
         };
 
-        // Determine if it's VALUES syntax or SET syntax
-        if (/^\s*SET\s+/i.test(remainder)) {
+        // Determine if it's SELECT, VALUES or SET syntax
+        if (isInsertSelectSyntax(remainder)) {
+            // SELECT syntax: INSERT INTO table (field1, field2) SELECT col1, col2 FROM source WHERE ...
+            result = parseInsertSelectSyntax(result, remainder);
+        } else if (/^\s*SET\s+/i.test(remainder)) {
             // SET syntax: INSERT INTO table SET field1=value1, field2=value2
             result = parseInsertSetSyntax(result, remainder);
         } else {
@@ -645,7 +1054,118 @@ define(['N/log', 'N/error'], function(log, error) {
             result = parseInsertValuesSyntax(result, remainder);
         }
 
-        return result;
+        return applySublistTarget(result);
+    }
+
+    /**
+     * Parse UPSERT or MERGE statement
+     *
+     * Rows are matched to existing records by external ID:
+     *   UPSERT INTO table (externalid, field1) VALUES (...), (...)
+     *   MERGE INTO table (externalid, field1) VALUES (...), (...)
+     *     WHEN MATCHED THEN UPDATE WHEN NOT MATCHED THEN INSERT
+     *
+     * UPSERT updates matched rows and inserts the rest. MERGE does only
+     * what its WHEN clauses name; rows without a clause are skipped.
+     *
+     * @param {string} query - UPSERT or MERGE statement to parse
+     * @returns {Object} Parsed UPSERT statement
+     */
+    function parseUpsertStatement(query) {
+        log.debug({
+            title: 'Parsing UPSERT statement',
+            details: 'Query: ' + query
+        });
+
+        var upsertMatch = query.match(/^\s*(UPSERT|MERGE)\s+INTO\s+([a-zA-Z_][a-zA-Z0-9_]*)\s+(.*)$/is);
+        if (!upsertMatch) {
+            throw error.create({
+                name: 'INVALID_UPSERT_SYNTAX',
+                message: 'Invalid UPSERT statement syntax. Expected: UPSERT INTO table (externalid, field1) VALUES (value1, value2)'
+            });
+        }
+
+        var isMerge = upsertMatch[1].toUpperCase() === 'MERGE';
+        var remainder = upsertMatch[3].trim();
+
+        // Check for COMMIT or PREVIEW keywords (same as INSERT/UPDATE/DELETE)
+        var isPreview = true; // Default to preview mode for safety
+        var commitMatch = remainder.match(/^(.*?)\s+COMMIT\s*;?\s*$/is);
+        var previewMatch = remainder.match(/^(.*?)\s+PREVIEW\s*;?\s*$/is);
+
+        if (commitMatch) {
+            isPreview = false;
+            remainder = commitMatch[1].trim();
+        } else if (previewMatch) {
+            remainder = previewMatch[1].trim();
+        }
+
+        var whenMatched = 'UPDATE';
+        var whenNotMatched = 'INSERT';
+
+        if (isMerge) {
+            // WHEN clauses follow the VALUES tuples; find the first one outside string literals
+            var masked = remainder.replace(/'([^']|'')*'?|"[^"]*"?/g, function(token) {
+                return token.replace(/[^\n]/g, ' ');
+            });
+            var whenIndex = masked.search(/\sWHEN\s+(NOT\s+)?MATCHED\b/i);
+            var whenClauses = whenIndex === -1 ? '' : remainder.substring(whenIndex).trim();
+
+            remainder = whenIndex === -1 ? remainder : remainder.substring(0, whenIndex).trim();
+            whenMatched = null;
+            whenNotMatched = null;
+
+            var clausePattern = /WHEN\s+(NOT\s+)?MATCHED\s+THEN\s+(\w+)\s*/gi;
+            var clauseMatch;
+            var parsedLength = 0;
+
+            while ((clauseMatch = clausePattern.exec(whenClauses)) !== null && clauseMatch.index === parsedLength) {
+                var action = clauseMatch[2].toUpperCase();
+
+                if (clauseMatch[1] ? action !== 'INSERT' : action !== 'UPDATE') {
+                    throw error.create({
+                        name: 'INVALID_MERGE_SYNTAX',
+                        message: 'WHEN ' + (clauseMatch[1] ? 'NOT ' : '') + 'MATCHED only supports THEN ' + (clauseMatch[1] ? 'INSERT' : 'UPDATE')
+                    });
+                }
+                if (clauseMatch[1]) {
+                    whenNotMatched = action;
+                } else {
+                    whenMatched = action;
+                }
+                parsedLength = clausePattern.lastIndex;
+            }
+
+            if (parsedLength !== whenClauses.replace(/;\s*$/, '').length || (!whenMatched && !whenNotMatched)) {
+                throw error.create({
+                    name: 'INVALID_MERGE_SYNTAX',
+                    message: 'MERGE statements need WHEN MATCHED THEN UPDATE and/or WHEN NOT MATCHED THEN INSERT after the VALUES'
+                });
+            }
+        }
+
+        // Reuse the INSERT VALUES parser for the column list and tuples
+        var values = parseInsertValuesSyntax({ fields: {}, values: [] }, remainder);
+
+        // Field IDs are lower case, so ExternalId matches the externalid key field
+        var rows = (values.multipleValues || [values.fields]).map(function(row) {
+            var lowerCaseRow = {};
+            Object.keys(row).forEach(function(fieldId) {
+                lowerCaseRow[fieldId.toLowerCase()] = row[fieldId];
+            });
+            return lowerCaseRow;
+        });
+
+        return {
+            operation: 'UPSERT',
+            tableName: upsertMatch[2],
+            recordType: null, // Will be determined based on table name
+            keyField: 'externalid',
+            rows: rows,
+            whenMatched: whenMatched,
+            whenNotMatched: whenNotMatched,
+            isPreview: isPreview
+        };
     }
 
     /**
@@ -662,7 +1182,7 @@ define(['N/log', 'N/error'], function(log, error) {
 
         // UPDATE table_name SET field1=value1, field2=value2 WHERE condition
         // Use $ anchor and s flag to capture everything including newlines
-        var updateMatch = query.match(/^\s*UPDATE\s+([a-zA-Z_][a-zA-Z0-9_]*)\s+SET\s+(.*)$/is);
+        var updateMatch = query.match(/^\s*UPDATE\s+([a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z_][a-zA-Z0-9_]*)?)\s+SET\s+(.*)$/is);
         if (!updateMatch) {
             throw error.create({
                 name: 'INVALID_UPDATE_SYNTAX',
@@ -675,11 +1195,13 @@ define(['N/log', 'N/error'], function(log, error) {
 
         // Check for COMMIT or PREVIEW keywords (similar to DELETE logic)
         var isPreview = true; // Default to preview mode for safety
-        var commitMatch = remainder.match(/^(.*?)\s+COMMIT\s*;?\s*$/is);
+        var commitMatch = remainder.match(/^(.*?)\s+COMMIT(\s+AS\s+JOB)?\s*;?\s*$/is);
         var previewMatch = remainder.match(/^(.*?)\s+PREVIEW\s*;?\s*$/is);
+        var asJob = false;
 
         if (commitMatch) {
             isPreview = false; // COMMIT means actually update
+            asJob = !!commitMatch[2]; // COMMIT AS JOB hands the records to a DML job, without a journal
             remainder = commitMatch[1].trim();
 
             log.debug({
@@ -730,14 +1252,16 @@ define(['N/log', 'N/error'], function(log, error) {
             details: 'Remainder: "' + remainder + '", SET: "' + setClause + '", WHERE: "' + whereClause + '"'
         });
 
-        return {
+        return applySublistTarget({
             operation: 'UPDATE',
             tableName: tableName,
             recordType: null, // Will be determined based on table name
             setFields: parseSetClause(setClause),
             whereCondition: whereClause ? parseWhereClause(whereClause) : null,
-            isPreview: isPreview
-        };
+            whereClause: whereClause,
+            isPreview: isPreview,
+            asJob: asJob
+        });
     }
 
     /**
@@ -753,7 +1277,7 @@ define(['N/log', 'N/error'], function(log, error) {
         });
 
         // DELETE FROM table_name WHERE condition
-        var deleteMatch = query.match(/^\s*DELETE\s+FROM\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*(.*)/i);
+        var deleteMatch = query.match(/^\s*DELETE\s+FROM\s+([a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z_][a-zA-Z0-9_]*)?)\s*(.*)/i);
         if (!deleteMatch) {
             throw error.create({
                 name: 'INVALID_DELETE_SYNTAX',
@@ -766,11 +1290,13 @@ define(['N/log', 'N/error'], function(log, error) {
 
         // Check for COMMIT or PREVIEW keywords at the end
         var isPreview = true; // Default to PREVIEW mode for safety
-        var commitMatch = remainder.match(/^(.*?)\s+COMMIT\s*;?\s*$/is);
+        var commitMatch = remainder.match(/^(.*?)\s+COMMIT(\s+AS\s+JOB)?\s*;?\s*$/is);
         var previewMatch = remainder.match(/^(.*?)\s+PREVIEW\s*;?\s*$/is);
+        var asJob = false;
 
         if (commitMatch) {
             isPreview = false; // COMMIT means actually delete
+            asJob = !!commitMatch[2]; // COMMIT AS JOB hands the records to a DML job, without a journal
             remainder = commitMatch[1].trim();
 
             log.debug({
@@ -816,13 +1342,43 @@ define(['N/log', 'N/error'], function(log, error) {
             });
         }
 
-        return {
+        return applySublistTarget({
             operation: 'DELETE',
             tableName: tableName,
             recordType: null, // Will be determined based on table name
             whereCondition: parseWhereClause(whereClause),
-            isPreview: isPreview
-        };
+            whereClause: whereClause,
+            isPreview: isPreview,
+            asJob: asJob
+        });
+    }
+
+    /**
+     * Point a parsed INSERT, UPDATE or DELETE at sublist lines when its table names a sublist
+     *
+     * record.sublist (salesorder.item) targets the lines of that sublist, and
+     * transactionline targets the item lines of any transaction. The parent
+     * record is named by the column (INSERT) or WHERE condition (UPDATE and
+     * DELETE) called after the record type: salesorder, or transaction for
+     * transactionline.
+     *
+     * @param {Object} result - Parsed statement
+     * @returns {Object} Parsed statement, with tableName, sublistId and parentField set for sublists
+     */
+    function applySublistTarget(result) {
+        var parts = result.tableName.split('.');
+
+        if (parts.length === 2) {
+            result.tableName = parts[0];
+            result.sublistId = parts[1].toLowerCase();
+            result.parentField = parts[0].toLowerCase();
+        } else if (result.tableName.toLowerCase() === 'transactionline') {
+            result.tableName = 'transaction';
+            result.sublistId = 'item';
+            result.parentField = 'transaction';
+        }
+
+        return result;
     }
 
     /**
@@ -839,6 +1395,52 @@ define(['N/log', 'N/error'], function(log, error) {
         return result;
     }
 
+    /**
+     * Check if the remainder of an INSERT statement is a column list followed by a query
+     *
+     * @param {string} remainder - Remainder of query after table name
+     * @returns {boolean} True if INSERT ... SELECT syntax
+     */
+    function isInsertSelectSyntax(remainder) {
+        return /^\s*\([^)]+\)\s*(SELECT|WITH)\s/i.test(remainder);
+    }
+
+    /**
+     * Parse INSERT SELECT syntax
+     *
+     * The query is kept as written and run when the statement executes; its
+     * columns are matched to the INSERT columns by position.
+     *
+     * @param {Object} result - Partial result object
+     * @param {string} remainder - Remainder of query after table name
+     * @returns {Object} Updated result object
+     */
+    function parseInsertSelectSyntax(result, remainder) {
+        var selectMatch = remainder.match(/^\s*\(\s*([^)]+)\s*\)\s*(.+)$/is);
+        var selectQuery = selectMatch[2].trim().replace(/;\s*$/, '').trim();
+
+        var fieldNames = selectMatch[1].split(',').map(function(field) {
+            return field.trim();
+        });
+
+        if (fieldNames.some(function(field) { return field === ''; })) {
+            throw error.create({
+                name: 'INVALID_INSERT_SELECT_SYNTAX',
+                message: 'Invalid INSERT SELECT syntax. Expected: (field1, field2) SELECT column1, column2 FROM table. Got: "' + remainder + '"'
+            });
+        }
+
+        result.fieldNames = fieldNames;
+        result.selectQuery = selectQuery;
+
+        log.debug({
+            title: 'INSERT SELECT parsed',
+            details: 'Fields: ' + fieldNames.join(', ') + ', Query: ' + selectQuery
+        });
+
+        return result;
+    }
+
     /**
      * Parse INSERT VALUES syntax
      *
@@ -1125,6 +1727,24 @@ define(['N/log', 'N/error'], function(log, error) {
             }
         }
 
+        // Check for subqueries: field IN (SELECT ...) and field = (SELECT ...)
+        var subqueryMatch = trimmed.match(/^([a-zA-Z_][a-zA-Z0-9_]*)(?:\s+(IN)|\s*(>=|<=|>|<|=|!=|<>))\s*\(\s*(SELECT\s[\s\S]*)\)$/i);
+        if (subqueryMatch && isBalancedParentheses(subqueryMatch[4])) {
+            if (subqueryMatch[2]) {
+                return {
+                    type: 'IN_SUBQUERY',
+                    field: subqueryMatch[1],
+                    subquery: subqueryMatch[4].trim()
+                };
+            }
+            return {
+                type: 'SUBQUERY_COMPARISON',
+                field: subqueryMatch[1],
+                operator: subqueryMatch[3],
+                subquery: subqueryMatch[4].trim()
+            };
+        }
+
         // Check for BETWEEN clause
         var betweenMatch = trimmed.match(/^([a-zA-Z_][a-zA-Z0-9_]*)\s+BETWEEN\s+(.+)\s+AND\s+(.+)$/i);
         if (betweenMatch) {
@@ -1445,12 +2065,20 @@ define(['N/log', 'N/error'], function(log, error) {
         analyzeDMLQuery: analyzeDMLQuery,
         isCreateRecordStatement: isCreateRecordStatement,
         isCreateListStatement: isCreateListStatement,
+        isAlterRecordStatement: isAlterRecordStatement,
+        isDropRecordStatement: isDropRecordStatement,
+        isAlterListStatement: isAlterListStatement,
         isInsertStatement: isInsertStatement,
+        isUpsertStatement: isUpsertStatement,
         isUpdateStatement: isUpdateStatement,
         isDeleteStatement: isDeleteStatement,
         parseCreateRecordStatement: parseCreateRecordStatement,
         parseCreateListStatement: parseCreateListStatement,
+        parseAlterRecordStatement: parseAlterRecordStatement,
+        parseDropRecordStatement: parseDropRecordStatement,
+        parseAlterListStatement: parseAlterListStatement,
         parseInsertStatement: parseInsertStatement,
+        parseUpsertStatement: parseUpsertStatement,
         parseUpdateStatement: parseUpdateStatement,
         parseDeleteStatement: parseDeleteStatement,
         parseFields: parseFields,
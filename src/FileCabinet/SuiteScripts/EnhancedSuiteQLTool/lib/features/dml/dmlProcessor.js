@@ -11,8 +11,9 @@
 define([
     'N/log',
     './dmlParser',
-    './dmlExecutionEngine'
-], function(log, dmlParser, dmlExecutionEngine) {
+    './dmlExecutionEngine',
+    './dmlBatch'
+], function(log, dmlParser, dmlExecutionEngine, dmlBatch) {
     'use strict';
 
     /**
@@ -42,6 +43,11 @@ define([
         });
 
         try {
+            // BEGIN ... COMMIT batches and ROLLBACK <batch id> are handled by the batch module
+            if (dmlBatch.isBatchStatement(query) || dmlBatch.isRollbackStatement(query)) {
+                return processBatchQuery(query, startTime);
+            }
+
             // Analyze query for DML operations
             var analysis = dmlParser.analyzeDMLQuery(query);
 
@@ -81,11 +87,13 @@ define([
                 return createErrorResult(validationError, startTime, analysis);
             }
 
-            // Execute the DML operation
-            var executionResult = dmlExecutionEngine.executeDMLOperation(
-                analysis.dmlType,
-                analysis.parsedStatement
-            );
+            // Execute the DML operation, journaling committed UPDATE/DELETE statements for undo
+            var executionResult = dmlBatch.shouldJournal(analysis.dmlType, analysis.parsedStatement) ?
+                dmlBatch.executeJournaledStatement(analysis.dmlType, analysis.parsedStatement, query.trim()) :
+                dmlExecutionEngine.executeDMLOperation(
+                    analysis.dmlType,
+                    analysis.parsedStatement
+                );
 
             // Note: Query history logging is handled by the main query engine
             // to ensure uniform handling across all query types
@@ -111,6 +119,36 @@ define([
         }
     }
 
+    /**
+     * Process a BEGIN ... COMMIT batch or a ROLLBACK <batch id> command
+     *
+     * @param {string} query - Query to process
+     * @param {number} startTime - Processing start time
+     * @returns {DMLProcessResult} Processing result
+     */
+    function processBatchQuery(query, startTime) {
+        var isBatch = dmlBatch.isBatchStatement(query);
+        var analysis = {
+            isDMLStatement: true,
+            dmlType: isBatch ? 'BATCH' : 'ROLLBACK',
+            parsedStatement: null,
+            originalQuery: query,
+            error: null
+        };
+
+        var executionResult = isBatch ? dmlBatch.executeBatch(query) : dmlBatch.rollbackBatch(query);
+
+        return {
+            success: executionResult.success,
+            result: executionResult.result,
+            error: executionResult.error,
+            executionTime: Date.now() - startTime,
+            wasDML: true,
+            analysis: analysis,
+            message: executionResult.message
+        };
+    }
+
     /**
      * Create error result object
      * 
@@ -149,9 +187,15 @@ define([
         // Check for supported DML patterns
         return trimmedQuery.startsWith('CREATE RECORD') ||
                trimmedQuery.startsWith('CREATE LIST') ||
+               dmlParser.isAlterRecordStatement(query) ||
+               dmlParser.isDropRecordStatement(query) ||
+               dmlParser.isAlterListStatement(query) ||
                trimmedQuery.startsWith('INSERT INTO') ||
+               dmlParser.isUpsertStatement(query) ||
                trimmedQuery.startsWith('UPDATE ') ||
-               trimmedQuery.startsWith('DELETE FROM');
+               trimmedQuery.startsWith('DELETE FROM') ||
+               dmlBatch.isBatchStatement(query) ||
+               dmlBatch.isRollbackStatement(query);
     }
 
     /**
@@ -195,6 +239,19 @@ define([
                 '    salary CURRENCY\n' +
                 ');'
             ],
+            ALTER_RECORD: [
+                'ALTER RECORD customrecord_my_custom_record\n' +
+                '    ADD FIELD due_date DATE LABEL \'Due Date\',\n' +
+                '    MODIFY FIELD contact_name TEXTAREA,\n' +
+                '    DROP FIELD active\n' +
+                'COMMIT;'
+            ],
+            DROP_RECORD: [
+                'DROP RECORD customrecord_my_custom_record;',
+
+                '-- Also deletes the records of the type\n' +
+                'DROP RECORD customrecord_my_custom_record FORCE COMMIT;'
+            ],
             INSERT: [
                 'INSERT INTO customer (companyname, email) VALUES (\'Acme Corp\', \'contact@acme.com\');',
 
@@ -211,7 +268,11 @@ define([
                 'INSERT INTO customer (companyname, email) VALUES\n' +
                 '    (\'Company A\', \'a@company.com\'),\n' +
                 '    (\'Company B\', \'b@company.com\'),\n' +
-                '    (\'Company C\', \'c@company.com\');'
+                '    (\'Company C\', \'c@company.com\');',
+
+                '-- One record per row of a query\n' +
+                'INSERT INTO customrecord_customer_balance (name, custrecord_amount)\n' +
+                'SELECT companyname, balance FROM customer WHERE balance > 0;'
             ],
             UPDATE: [
                 'UPDATE customer SET companyname = \'New Company Name\' WHERE id = 123;',
@@ -219,13 +280,33 @@ define([
                 'UPDATE customrecord_employee SET\n' +
                 '    department = \'Marketing\',\n' +
                 '    salary = 75000\n' +
-                'WHERE name = \'John Doe\';'
+                'WHERE name = \'John Doe\';',
+
+                '-- Sublist lines\n' +
+                'UPDATE salesorder.item SET quantity = 5 WHERE salesorder = 123 AND line = 2;'
             ],
             DELETE: [
                 'DELETE FROM customer WHERE id = 123;',
 
                 'DELETE FROM customrecord_employee WHERE department = \'Engineering\';'
             ],
+            UPSERT: [
+                'UPSERT INTO customer (externalid, companyname, email) VALUES\n' +
+                '    (\'CRM-1001\', \'Company A\', \'a@company.com\'),\n' +
+                '    (\'CRM-1002\', \'Company B\', \'b@company.com\');',
+
+                'MERGE INTO customer (externalid, email) VALUES (\'CRM-1001\', \'ap@company.com\')\n' +
+                'WHEN MATCHED THEN UPDATE\n' +
+                'WHEN NOT MATCHED THEN INSERT;'
+            ],
+            BATCH: [
+                'BEGIN\n' +
+                'UPDATE customrecord_employee SET department = \'Marketing\' WHERE department = \'Sales\';\n' +
+                'DELETE FROM customrecord_employee WHERE isinactive = \'T\';\n' +
+                'COMMIT',
+
+                'ROLLBACK B1A2B3C4D5'
+            ],
 
             CREATE_LIST: [
                 'CREATE LIST priority_levels (\n' +
@@ -250,6 +331,17 @@ define([
                 '        value "Inactive" inactive FALSE\n' +
                 '    ]\n' +
                 ');'
+            ],
+            ALTER_LIST: [
+                'ALTER LIST customlist_priority_levels\n' +
+                '    ADD VALUE \'Urgent\' ABBREVIATION \'U\' TRANSLATIONS [language "es_ES", value "Urgente"],\n' +
+                '    RENAME VALUE \'Low\' TO \'Minor\',\n' +
+                '    REORDER (\'Urgent\', \'High\', \'Medium\', \'Minor\')\n' +
+                'COMMIT;',
+
+                'ALTER LIST customlist_status_codes\n' +
+                '    SET INACTIVE VALUE \'Inactive\',\n' +
+                '    SET TRANSLATION de_DE \'Aktiv\' FOR VALUE \'Active\';'
             ]
         };
     }
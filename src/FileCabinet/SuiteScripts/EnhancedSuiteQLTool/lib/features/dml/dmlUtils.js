@@ -8,9 +8,61 @@
  * @version 1.0.0
  */
 
-define(['N/record', 'N/search', 'N/log'], function(record, search, log) {
+define(['N/record', 'N/search', 'N/log', 'N/query', 'N/error'], function(record, search, log, query, error) {
     'use strict';
 
+    /**
+     * Maximum rows a WHERE clause subquery may return
+     */
+    var MAX_SUBQUERY_ROWS = 10000;
+
+    /**
+     * SuiteQL tables for record types that are not queried by their own name
+     * (table, and the type column and value that select the record type).
+     * Every other record type except custom lists is queried by its own name.
+     */
+    var SUITEQL_TABLES = {
+        salesorder: { table: 'transaction', typeColumn: 'type', typeValue: 'SalesOrd' },
+        purchaseorder: { table: 'transaction', typeColumn: 'type', typeValue: 'PurchOrd' },
+        invoice: { table: 'transaction', typeColumn: 'type', typeValue: 'CustInvc' },
+        vendorbill: { table: 'transaction', typeColumn: 'type', typeValue: 'VendBill' },
+        estimate: { table: 'transaction', typeColumn: 'type', typeValue: 'Estimate' },
+        cashsale: { table: 'transaction', typeColumn: 'type', typeValue: 'CashSale' },
+        creditmemo: { table: 'transaction', typeColumn: 'type', typeValue: 'CustCred' },
+        vendorcredit: { table: 'transaction', typeColumn: 'type', typeValue: 'VendCred' },
+        check: { table: 'transaction', typeColumn: 'type', typeValue: 'Check' },
+        deposit: { table: 'transaction', typeColumn: 'type', typeValue: 'Deposit' },
+        opportunity: { table: 'transaction', typeColumn: 'type', typeValue: 'Opprtnty' },
+        journalentry: { table: 'transaction', typeColumn: 'type', typeValue: 'Journal' },
+        itemfulfillment: { table: 'transaction', typeColumn: 'type', typeValue: 'ItemShip' },
+        itemreceipt: { table: 'transaction', typeColumn: 'type', typeValue: 'ItemRcpt' },
+        customerpayment: { table: 'transaction', typeColumn: 'type', typeValue: 'CustPymt' },
+        customerrefund: { table: 'transaction', typeColumn: 'type', typeValue: 'CustRfnd' },
+        customerdeposit: { table: 'transaction', typeColumn: 'type', typeValue: 'CustDep' },
+        cashrefund: { table: 'transaction', typeColumn: 'type', typeValue: 'CashRfnd' },
+        returnauthorization: { table: 'transaction', typeColumn: 'type', typeValue: 'RtnAuth' },
+        vendorpayment: { table: 'transaction', typeColumn: 'type', typeValue: 'VendPymt' },
+        vendorreturnauthorization: { table: 'transaction', typeColumn: 'type', typeValue: 'VendAuth' },
+        transferorder: { table: 'transaction', typeColumn: 'type', typeValue: 'TrnfrOrd' },
+        workorder: { table: 'transaction', typeColumn: 'type', typeValue: 'WorkOrd' },
+        assemblybuild: { table: 'transaction', typeColumn: 'type', typeValue: 'Build' },
+        inventoryadjustment: { table: 'transaction', typeColumn: 'type', typeValue: 'InvAdjst' },
+        inventorytransfer: { table: 'transaction', typeColumn: 'type', typeValue: 'InvTrnfr' },
+        expensereport: { table: 'transaction', typeColumn: 'type', typeValue: 'ExpRept' },
+        inventoryitem: { table: 'item', typeColumn: 'itemtype', typeValue: 'InvtPart' },
+        noninventoryitem: { table: 'item', typeColumn: 'itemtype', typeValue: 'NonInvtPart' },
+        serviceitem: { table: 'item', typeColumn: 'itemtype', typeValue: 'Service' },
+        kititem: { table: 'item', typeColumn: 'itemtype', typeValue: 'Kit' },
+        assemblyitem: { table: 'item', typeColumn: 'itemtype', typeValue: 'Assembly' },
+        lead: { table: 'customer', typeColumn: 'searchstage', typeValue: 'Lead' },
+        prospect: { table: 'customer', typeColumn: 'searchstage', typeValue: 'Prospect' }
+    };
+
+    /**
+     * Standard fields that hold dates without ending in "date"
+     */
+    var STANDARD_DATE_FIELDS = ['created', 'lastmodified'];
+
     /**
      * Determine NetSuite record type from table name
      * 
@@ -80,6 +132,22 @@ define(['N/record', 'N/search', 'N/log'], function(record, search, log) {
             'vendorcredit': record.Type.VENDOR_CREDIT,
             'check': record.Type.CHECK,
             'deposit': record.Type.DEPOSIT,
+            'journalentry': record.Type.JOURNAL_ENTRY,
+            'itemfulfillment': record.Type.ITEM_FULFILLMENT,
+            'itemreceipt': record.Type.ITEM_RECEIPT,
+            'customerpayment': record.Type.CUSTOMER_PAYMENT,
+            'customerrefund': record.Type.CUSTOMER_REFUND,
+            'customerdeposit': record.Type.CUSTOMER_DEPOSIT,
+            'cashrefund': record.Type.CASH_REFUND,
+            'returnauthorization': record.Type.RETURN_AUTHORIZATION,
+            'vendorpayment': record.Type.VENDOR_PAYMENT,
+            'vendorreturnauthorization': record.Type.VENDOR_RETURN_AUTHORIZATION,
+            'transferorder': record.Type.TRANSFER_ORDER,
+            'workorder': record.Type.WORK_ORDER,
+            'assemblybuild': record.Type.ASSEMBLY_BUILD,
+            'inventoryadjustment': record.Type.INVENTORY_ADJUSTMENT,
+            'inventorytransfer': record.Type.INVENTORY_TRANSFER,
+            'expensereport': record.Type.EXPENSE_REPORT,
             
             // Activities
             'task': record.Type.TASK,
@@ -154,6 +222,67 @@ define(['N/record', 'N/search', 'N/log'], function(record, search, log) {
         }
     }
 
+    /**
+     * Find custom record type internal ID by script ID
+     *
+     * @param {string} scriptId - Custom record type script ID (customrecord_x)
+     * @returns {string|null} Internal ID or null if not found
+     */
+    function findCustomRecordTypeId(scriptId) {
+        try {
+            var searchObj = search.create({
+                type: 'customrecordtype',
+                filters: [
+                    ['scriptid', 'is', scriptId]
+                ],
+                columns: ['internalid']
+            });
+
+            var result = searchObj.run().getRange({ start: 0, end: 1 });
+            if (result && result.length > 0) {
+                return result[0].id;
+            }
+            return null;
+        } catch (searchError) {
+            log.error({
+                title: 'Error finding custom record type',
+                details: 'Script ID: ' + scriptId + ', Error: ' + searchError.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Find custom fields by script ID
+     *
+     * @param {Array} scriptIds - Field script IDs (custrecord_x)
+     * @returns {Object} { id, label, type } by lowercase script ID, for the fields that exist
+     */
+    function findCustomFields(scriptIds) {
+        var fields = {};
+
+        if (scriptIds.length === 0) {
+            return fields;
+        }
+
+        // SuiteQL stores script IDs in upper case
+        query.runSuiteQL({
+            query: 'SELECT customfield.internalid AS id, customfield.scriptid, customfield.name, customfield.fieldvaluetype FROM customfield ' +
+                'WHERE UPPER( customfield.scriptid ) IN ( ' + scriptIds.map(function() { return '?'; }).join(', ') + ' )',
+            params: scriptIds.map(function(scriptId) {
+                return scriptId.toUpperCase();
+            })
+        }).asMappedResults().forEach(function(result) {
+            fields[String(result.scriptid).toLowerCase()] = {
+                id: result.id,
+                label: result.name,
+                type: result.fieldvaluetype
+            };
+        });
+
+        return fields;
+    }
+
     /**
      * Validate field exists on record type
      * 
@@ -193,10 +322,399 @@ define(['N/record', 'N/search', 'N/log'], function(record, search, log) {
         return true;
     }
 
+    /**
+     * Resolve the subqueries in a parsed WHERE condition
+     *
+     * Each IN (SELECT ...) and scalar (SELECT ...) comparison is run through
+     * N/query and replaced with a static IN list or comparison value, so the
+     * record lookups only see plain conditions. A scalar subquery that returns
+     * no row compares with NULL and matches nothing.
+     *
+     * @param {Object} whereCondition - Parsed WHERE condition tree
+     * @returns {Object} { condition, subqueries } - Resolved condition tree and the
+     *     subqueries that were run ({ field, operator, query, values })
+     */
+    function resolveSubqueries(whereCondition) {
+        var subqueries = [];
+
+        function resolve(condition) {
+            if (!condition) {
+                return condition;
+            }
+
+            if (condition.type === 'COMPOUND') {
+                return {
+                    type: 'COMPOUND',
+                    operator: condition.operator,
+                    conditions: condition.conditions.map(resolve)
+                };
+            }
+
+            if (condition.type !== 'IN_SUBQUERY' && condition.type !== 'SUBQUERY_COMPARISON') {
+                return condition;
+            }
+
+            var values = runSubquery(condition.subquery);
+            var isScalar = condition.type === 'SUBQUERY_COMPARISON';
+            var distinctValues = values.filter(function(value, index) {
+                return value !== null && values.indexOf(value) === index;
+            });
+
+            if (isScalar && values.length > 1) {
+                throw error.create({
+                    name: 'SUBQUERY_RETURNED_MULTIPLE_ROWS',
+                    message: 'The subquery compared with ' + condition.field + ' returned ' + values.length + ' rows; a scalar subquery must return at most one row'
+                });
+            }
+
+            subqueries.push({
+                field: condition.field,
+                operator: isScalar ? condition.operator : 'IN',
+                query: condition.subquery,
+                values: isScalar ? values : distinctValues
+            });
+
+            if (isScalar && values.length === 1 && values[0] !== null) {
+                return {
+                    type: 'COMPARISON',
+                    field: condition.field,
+                    operator: condition.operator,
+                    value: values[0]
+                };
+            }
+
+            return {
+                type: 'IN',
+                field: condition.field,
+                values: distinctValues
+            };
+        }
+
+        var resolved = resolve(whereCondition);
+
+        if (subqueries.length > 0) {
+            log.audit({
+                title: 'WHERE subqueries resolved',
+                details: JSON.stringify(subqueries.map(function(subquery) {
+                    return { field: subquery.field, operator: subquery.operator, values: subquery.values.length };
+                }))
+            });
+        }
+
+        return {
+            condition: resolved,
+            subqueries: subqueries
+        };
+    }
+
+    /**
+     * Run a single-column subquery and read its values
+     *
+     * @param {string} sql - SuiteQL SELECT statement
+     * @returns {Array} Values of the first column, in row order
+     */
+    function runSubquery(sql) {
+        var pagedData = query.runSuiteQLPaged({
+            query: sql,
+            params: [],
+            pageSize: 1000
+        });
+
+        if (pagedData.count > MAX_SUBQUERY_ROWS) {
+            throw error.create({
+                name: 'SUBQUERY_TOO_LARGE',
+                message: 'The subquery returned ' + pagedData.count + ' rows, more than the ' + MAX_SUBQUERY_ROWS + ' row limit: ' + sql
+            });
+        }
+
+        var values = [];
+
+        pagedData.pageRanges.forEach(function(pageRange) {
+            pagedData.fetch({ index: pageRange.index }).data.results.forEach(function(result) {
+                if (result.values.length !== 1) {
+                    throw error.create({
+                        name: 'INVALID_SUBQUERY',
+                        message: 'A WHERE clause subquery must select exactly one column: ' + sql
+                    });
+                }
+                values.push(result.values[0]);
+            });
+        });
+
+        log.debug({
+            title: 'Subquery executed',
+            details: 'Rows: ' + values.length + ', Query: ' + sql
+        });
+
+        return values;
+    }
+
+    /**
+     * Find the records matching a WHERE clause with SuiteQL
+     *
+     * Runs SELECT id FROM <table> WHERE <clause>, so any condition that works
+     * in a SuiteQL SELECT (functions, subqueries, BUILTIN, any field type)
+     * works in UPDATE and DELETE. For compatibility with the search-based
+     * lookup, bare TRUE / FALSE become 'T' / 'F' and 'YYYY-MM-DD' literals
+     * compared with date fields become dates. Only record types with a known
+     * SuiteQL table can be looked up this way (see canFindWithSuiteQL).
+     *
+     * @param {Object} recordType - Record type information from determineRecordType
+     * @param {string} whereClause - WHERE clause text, without the WHERE keyword
+     * @returns {Array} Array of record internal IDs
+     */
+    function findRecordIdsWithSuiteQL(recordType, whereClause) {
+        var source = getSuiteQLSource(recordType);
+        var conditions = getTypeConditions(source);
+
+        conditions.push('( ' + normalizeWhereClause(whereClause) + ' )');
+
+        var sql = 'SELECT ' + source.table + '.id FROM ' + source.table + ' WHERE ' + conditions.join(' AND ');
+
+        log.debug({
+            title: 'SuiteQL record lookup',
+            details: sql
+        });
+
+        var pagedData = query.runSuiteQLPaged({
+            query: sql,
+            params: [],
+            pageSize: 1000
+        });
+
+        var recordIds = [];
+
+        pagedData.pageRanges.forEach(function(pageRange) {
+            pagedData.fetch({ index: pageRange.index }).data.results.forEach(function(result) {
+                recordIds.push(result.values[0]);
+            });
+        });
+
+        log.debug({
+            title: 'SuiteQL record lookup completed',
+            details: 'Found ' + recordIds.length + ' records'
+        });
+
+        return recordIds;
+    }
+
+    /**
+     * Find the records with the given external IDs
+     *
+     * @param {Object} recordType - Record type information from determineRecordType
+     * @param {Array} externalIds - External IDs to look up
+     * @returns {Object} Internal IDs by external ID, for the external IDs that exist
+     */
+    function findRecordIdsByExternalId(recordType, externalIds) {
+        var source = getSuiteQLSource(recordType);
+        var recordIds = {};
+
+        // Bind the IDs in chunks to keep each IN list a reasonable size
+        for (var i = 0; i < externalIds.length; i += 500) {
+            var chunk = externalIds.slice(i, i + 500);
+            var conditions = getTypeConditions(source);
+
+            conditions.push(source.table + '.externalid IN ( ' + chunk.map(function() { return '?'; }).join(', ') + ' )');
+
+            query.runSuiteQL({
+                query: 'SELECT ' + source.table + '.id, ' + source.table + '.externalid FROM ' + source.table + ' WHERE ' + conditions.join(' AND '),
+                params: chunk
+            }).asMappedResults().forEach(function(result) {
+                recordIds[result.externalid] = result.id;
+            });
+        }
+
+        log.debug({
+            title: 'External ID lookup completed',
+            details: 'Table: ' + source.table + ', Looked up: ' + externalIds.length + ', Found: ' + Object.keys(recordIds).length
+        });
+
+        return recordIds;
+    }
+
+    /**
+     * Select columns of the given records with SuiteQL
+     *
+     * The IDs are bound in chunks, so this costs one query per 500 records.
+     * Each row has the record's internal ID as sq_record_id.
+     *
+     * @param {Object} recordType - Record type information from determineRecordType
+     * @param {Array} recordIds - Internal IDs
+     * @param {string} selectList - Columns to select (column list or *)
+     * @returns {Array} Mapped result rows
+     * @throws {Error} If the record type is a custom list
+     */
+    function selectRecordsById(recordType, recordIds, selectList) {
+        var source = getSuiteQLSource(recordType);
+        var rows = [];
+
+        for (var i = 0; i < recordIds.length; i += 500) {
+            var chunk = recordIds.slice(i, i + 500);
+            var conditions = getTypeConditions(source);
+
+            conditions.push(source.table + '.id IN ( ' + chunk.map(function() { return '?'; }).join(', ') + ' )');
+
+            rows = rows.concat(query.runSuiteQL({
+                query: 'SELECT ' + source.table + '.id AS sq_record_id, ' + selectList + ' FROM ' + source.table + ' WHERE ' + conditions.join(' AND '),
+                params: chunk
+            }).asMappedResults());
+        }
+
+        return rows;
+    }
+
+    /**
+     * Check if a record type's records can be found with SuiteQL
+     *
+     * Every record type has a SuiteQL table except custom lists, whose values
+     * are found with N/search.
+     *
+     * @param {Object} recordType - Record type information from determineRecordType
+     * @returns {boolean} True unless the record type is a custom list
+     */
+    function canFindWithSuiteQL(recordType) {
+        return !recordType.isCustomList;
+    }
+
+    /**
+     * Get the SuiteQL table that holds a record type's records
+     *
+     * @param {Object} recordType - Record type information from determineRecordType
+     * @returns {Object} SUITEQL_TABLES entry, or { table } for types queried by their own name
+     * @throws {Error} If the record type is a custom list
+     */
+    function getSuiteQLSource(recordType) {
+        if (!canFindWithSuiteQL(recordType)) {
+            throw error.create({
+                name: 'UNSUPPORTED_RECORD_TYPE',
+                message: 'Records of type ' + recordType.type + ' cannot be looked up with SuiteQL'
+            });
+        }
+
+        return SUITEQL_TABLES[recordType.type] || { table: recordType.type };
+    }
+
+    /**
+     * Get the conditions that limit a shared SuiteQL table to one record type
+     *
+     * @param {Object} source - SUITEQL_TABLES entry
+     * @returns {Array} Conditions (empty when the table holds one record type)
+     */
+    function getTypeConditions(source) {
+        return source.typeColumn ? [source.table + '.' + source.typeColumn + ' = \'' + source.typeValue + '\''] : [];
+    }
+
+    /**
+     * Rewrite DML-only literals in a WHERE clause as SuiteQL
+     *
+     * A 'YYYY-MM-DD' literal becomes a date only where it is compared with a
+     * date field (field = '2024-01-01', '2024-01-01' < field, field BETWEEN
+     * '2024-01-01' AND '2024-12-31'), so text fields still compare as text.
+     *
+     * @param {string} whereClause - WHERE clause text
+     * @returns {string} WHERE clause for SuiteQL
+     */
+    function normalizeWhereClause(whereClause) {
+        // Odd parts are string literals and quoted identifiers; rewrite outside them only
+        var parts = whereClause.split(/('(?:[^']|'')*'|"[^"]*")/);
+        var dateComparisons = {};
+
+        parts.forEach(function(part, index) {
+            if (index % 2 === 1 && /^'\d{4}-\d{2}-\d{2}'$/.test(part)) {
+                var field = findComparedField(parts, index, dateComparisons);
+                if (field) {
+                    dateComparisons[index] = field;
+                }
+            }
+        });
+
+        var dateFields = findDateFields(Object.keys(dateComparisons).map(function(index) {
+            return dateComparisons[index];
+        }));
+
+        return parts.map(function(part, index) {
+            if (index % 2 === 1) {
+                return dateComparisons[index] && dateFields[dateComparisons[index]] ?
+                    'TO_DATE( ' + part + ', \'YYYY-MM-DD\' )' : part;
+            }
+            return part
+                .replace(/\bTRUE\b/gi, '\'T\'')
+                .replace(/\bFALSE\b/gi, '\'F\'');
+        }).join('');
+    }
+
+    /**
+     * Find the field a WHERE clause literal is compared with
+     *
+     * @param {Array} parts - WHERE clause split into code and quoted parts
+     * @param {number} index - Index of the literal's part
+     * @param {Object} comparisons - Fields already found, by part index (for BETWEEN upper bounds)
+     * @returns {string|null} Lowercase field ID without table alias, or null
+     */
+    function findComparedField(parts, index, comparisons) {
+        var before = parts[index - 1];
+        var after = parts[index + 1] || '';
+        var match = before.match(/(?:^|[^\w.])(?:\w+\.)?(\w+)\s*(?:=|<>|!=|<=|>=|<|>|\bBETWEEN)\s*$/i);
+
+        if (match) {
+            return match[1].toLowerCase();
+        }
+
+        // Upper bound of field BETWEEN '...' AND '...'
+        if (/^\s*AND\s*$/i.test(before) && comparisons[index - 2] && /\bBETWEEN\s*$/i.test(parts[index - 3])) {
+            return comparisons[index - 2];
+        }
+
+        match = after.match(/^\s*(?:=|<>|!=|<=|>=|<|>)\s*(?:\w+\.)?(\w+)(?![\w.(])/);
+
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    /**
+     * Check which fields hold dates
+     *
+     * Standard fields are dates when their ID ends in "date" (trandate,
+     * duedate, lastmodifieddate...) or is one of STANDARD_DATE_FIELDS. Custom
+     * fields are looked up by their field type.
+     *
+     * @param {Array} fieldIds - Lowercase field IDs
+     * @returns {Object} True by field ID for the date fields
+     */
+    function findDateFields(fieldIds) {
+        var dateFields = {};
+        var customFieldIds = [];
+
+        fieldIds.forEach(function(fieldId) {
+            if (/^cust/.test(fieldId)) {
+                if (customFieldIds.indexOf(fieldId) === -1) {
+                    customFieldIds.push(fieldId);
+                }
+            } else if (/date$/.test(fieldId) || STANDARD_DATE_FIELDS.indexOf(fieldId) !== -1) {
+                dateFields[fieldId] = true;
+            }
+        });
+
+        var customFields = findCustomFields(customFieldIds);
+        Object.keys(customFields).forEach(function(fieldId) {
+            if (/^date/i.test(customFields[fieldId].type || '')) {
+                dateFields[fieldId] = true;
+            }
+        });
+
+        return dateFields;
+    }
+
     // Public API
     return {
         determineRecordType: determineRecordType,
         findCustomListInternalId: findCustomListInternalId,
-        validateField: validateField
+        findCustomRecordTypeId: findCustomRecordTypeId,
+        findCustomFields: findCustomFields,
+        validateField: validateField,
+        resolveSubqueries: resolveSubqueries,
+        canFindWithSuiteQL: canFindWithSuiteQL,
+        findRecordIdsWithSuiteQL: findRecordIdsWithSuiteQL,
+        findRecordIdsByExternalId: findRecordIdsByExternalId,
+        selectRecordsById: selectRecordsById
     };
 });
@@ -0,0 +1,429 @@
+/**
+ * @fileoverview ALTER LIST Operation
+ *
+ * Handles ALTER LIST statements, which add, rename, deactivate, reorder and
+ * translate the values of an existing custom list.
+ *
+ * Syntax examples:
+ * - ALTER LIST customlist_priority ADD VALUE 'Urgent' ABBREVIATION 'U', RENAME VALUE 'Low' TO 'Minor' COMMIT
+ * - ALTER LIST customlist_priority SET INACTIVE VALUE 'Minor', REORDER ('Urgent', 'High', 'Medium')
+ * - ALTER LIST customlist_priority SET TRANSLATION es_ES 'Alta' FOR VALUE 'High'
+ *
+ * Statements only preview the changes until COMMIT is added. All changes are
+ * saved together, so either every action is applied or none is.
+ *
+ * REORDER moves sublist lines, which recreates the moved values with new
+ * internal IDs, so it is refused for lists that custom fields use.
+ *
+ * @author Enhanced SuiteQL Tool
+ * @version 1.0.0
+ */
+
+define([
+    'N/log',
+    'N/error',
+    'N/record',
+    'N/query',
+    '../dmlUtils',
+    './createList'
+], function(log, error, record, query, dmlUtils, createList) {
+    'use strict';
+
+    /**
+     * Execute ALTER LIST operation
+     *
+     * @param {Object} parsedStatement - Parsed ALTER LIST statement
+     * @returns {Object} Execution result
+     */
+    function execute(parsedStatement) {
+        log.debug({
+            title: 'Executing ALTER LIST',
+            details: 'List: ' + parsedStatement.fullListId + ', Actions: ' + parsedStatement.actions.length
+        });
+
+        try {
+            var listTypeId = dmlUtils.findCustomListInternalId(parsedStatement.fullListId);
+
+            if (!listTypeId) {
+                throw error.create({
+                    name: 'LIST_NOT_FOUND',
+                    message: 'Custom list not found: ' + parsedStatement.fullListId
+                });
+            }
+
+            var customList = record.load({
+                type: record.Type.CUSTOM_LIST,
+                id: listTypeId
+            });
+
+            var plan = planActions(parsedStatement.actions, readListValues(customList));
+
+            if (parsedStatement.actions.some(function(action) { return action.action === 'REORDER'; })) {
+                ensureListUnused(parsedStatement.fullListId, listTypeId);
+            }
+
+            var result = {
+                listId: parsedStatement.fullListId,
+                listTypeId: listTypeId,
+                changes: plan.changes,
+                values: plan.values
+            };
+
+            if (parsedStatement.isPreview) {
+                result.isPreview = true;
+
+                log.audit({
+                    title: 'ALTER LIST PREVIEW - NO RECORDS CHANGED',
+                    details: 'List: ' + parsedStatement.fullListId + ', Changes: ' + JSON.stringify(plan.changes)
+                });
+
+                return {
+                    success: true,
+                    result: result,
+                    error: null,
+                    message: '🔍 PREVIEW ONLY - NO RECORDS CHANGED. Would make ' + plan.changes.length + ' change(s) to ' +
+                        parsedStatement.fullListId + '. Add COMMIT to actually alter the list.',
+                    metadata: {
+                        operation: 'ALTER_LIST_PREVIEW',
+                        listId: parsedStatement.fullListId,
+                        isPreviewOnly: true
+                    }
+                };
+            }
+
+            applyActions(customList, parsedStatement.actions);
+            customList.save();
+
+            log.audit({
+                title: 'ALTER LIST Success',
+                details: 'List: ' + parsedStatement.fullListId + ', Changes: ' + plan.changes.length
+            });
+
+            return {
+                success: true,
+                result: result,
+                error: null,
+                message: 'Altered ' + parsedStatement.fullListId + ': ' + plan.changes.length + ' change(s) applied',
+                metadata: {
+                    operation: 'ALTER_LIST',
+                    listId: parsedStatement.fullListId,
+                    listTypeId: listTypeId
+                }
+            };
+
+        } catch (executionError) {
+            log.error({
+                title: 'ALTER LIST Error',
+                details: 'List: ' + parsedStatement.fullListId + ', Error: ' + executionError.message
+            });
+
+            return {
+                success: false,
+                result: null,
+                error: executionError.message,
+                message: null,
+                metadata: {
+                    operation: 'ALTER_LIST',
+                    listId: parsedStatement.fullListId,
+                    errorType: executionError.name || 'EXECUTION_ERROR'
+                }
+            };
+        }
+    }
+
+    /**
+     * Read the values of a loaded custom list in line order
+     *
+     * @param {Object} customList - Custom list record
+     * @returns {Array} [{ value, inactive }]
+     */
+    function readListValues(customList) {
+        var values = [];
+        var lineCount = customList.getLineCount({ sublistId: 'customvalue' });
+
+        for (var line = 0; line < lineCount; line++) {
+            values.push({
+                value: customList.getSublistValue({ sublistId: 'customvalue', fieldId: 'value', line: line }),
+                inactive: customList.getSublistValue({ sublistId: 'customvalue', fieldId: 'isinactive', line: line }) === true
+            });
+        }
+
+        return values;
+    }
+
+    /**
+     * Check each action against the list values and describe the change
+     *
+     * Actions apply in order, so a value renamed by one action is referred
+     * to by its new name in the actions after it.
+     *
+     * @param {Array} actions - Parsed ALTER LIST actions
+     * @param {Array} values - Current list values from readListValues
+     * @returns {Object} { changes: [{ action, value, description }], values: list values after the changes }
+     */
+    function planActions(actions, values) {
+        var changes = [];
+
+        actions.forEach(function(action) {
+            var description;
+
+            if (action.action === 'ADD') {
+                ensureAbsent(values, action.value);
+
+                values.push({ value: action.value, inactive: action.listValue.inactive });
+                description = 'Add value \'' + action.value + '\'' +
+                    (action.listValue.abbreviation ? ' (' + action.listValue.abbreviation + ')' : '') +
+                    (action.listValue.inactive ? ', inactive' : '') +
+                    (action.listValue.translations.length > 0 ? ', ' + action.listValue.translations.length + ' translation(s)' : '');
+
+            } else if (action.action === 'RENAME') {
+                var renamed = findValue(values, action.value);
+                ensureAbsent(values, action.newValue);
+
+                renamed.value = action.newValue;
+                description = 'Rename \'' + action.value + '\' to \'' + action.newValue + '\'';
+
+            } else if (action.action === 'SET_INACTIVE' || action.action === 'SET_ACTIVE') {
+                findValue(values, action.value).inactive = action.action === 'SET_INACTIVE';
+                description = 'Mark \'' + action.value + '\' ' + (action.action === 'SET_INACTIVE' ? 'inactive' : 'active');
+
+            } else if (action.action === 'REORDER') {
+                action.order.forEach(function(value, index) {
+                    findValue(values, value);
+                    if (action.order.indexOf(value) !== index) {
+                        throw error.create({
+                            name: 'INVALID_ALTER_LIST_SYNTAX',
+                            message: 'REORDER lists \'' + value + '\' more than once'
+                        });
+                    }
+                });
+
+                var reordered = reorderValues(values, action.order);
+                values.length = 0;
+                Array.prototype.push.apply(values, reordered);
+                description = 'Reorder values (moved values get new internal IDs): ' + values.map(function(entry) {
+                    return entry.value;
+                }).join(', ');
+
+            } else {
+                findValue(values, action.value);
+                if (!createList.isLanguageSupported(action.language)) {
+                    throw error.create({
+                        name: 'INVALID_LANGUAGE',
+                        message: 'Unsupported language: ' + action.language
+                    });
+                }
+                description = action.action === 'SET_TRANSLATION' ?
+                    'Translate \'' + action.value + '\' to ' + action.language + ' as \'' + action.translation + '\'' :
+                    'Remove the ' + action.language + ' translation of \'' + action.value + '\'';
+            }
+
+            changes.push({
+                action: action.action,
+                value: action.value,
+                description: description
+            });
+        });
+
+        return {
+            changes: changes,
+            values: values
+        };
+    }
+
+    /**
+     * Apply the actions to the loaded list record
+     *
+     * @param {Object} customList - Custom list record
+     * @param {Array} actions - Parsed ALTER LIST actions, already checked by planActions
+     */
+    function applyActions(customList, actions) {
+        actions.forEach(function(action) {
+            if (action.action === 'ADD') {
+                createList.addListValues(customList, [action.listValue], customList.getLineCount({ sublistId: 'customvalue' }));
+
+            } else if (action.action === 'RENAME') {
+                setLineValue(customList, findLine(customList, action.value), 'value', action.newValue);
+
+            } else if (action.action === 'SET_INACTIVE' || action.action === 'SET_ACTIVE') {
+                setLineValue(customList, findLine(customList, action.value), 'isinactive', action.action === 'SET_INACTIVE');
+
+            } else if (action.action === 'REORDER') {
+                moveLines(customList, action.order);
+
+            } else {
+                createList.addValueTranslations(customList, findLine(customList, action.value), [{
+                    language: action.language,
+                    value: action.action === 'SET_TRANSLATION' ? action.translation : ''
+                }]);
+            }
+        });
+    }
+
+    /**
+     * Refuse to reorder a list that custom fields use
+     *
+     * Moving a line removes the value and inserts a new one, so records that
+     * hold the old internal ID would lose their value.
+     *
+     * @param {string} listId - Custom list script ID
+     * @param {string} listTypeId - Custom list internal ID
+     * @throws {Error} If any custom field is sourced from the list
+     */
+    function ensureListUnused(listId, listTypeId) {
+        var fieldIds = query.runSuiteQL({
+            query: 'SELECT customfield.scriptid FROM customfield WHERE customfield.fieldvaluetyperecord = ?',
+            params: [listTypeId]
+        }).asMappedResults().map(function(result) {
+            return String(result.scriptid).toLowerCase();
+        });
+
+        if (fieldIds.length > 0) {
+            throw error.create({
+                name: 'LIST_IN_USE',
+                message: 'REORDER recreates the moved values with new internal IDs, so it cannot change ' + listId +
+                    ', which is used by ' + fieldIds.join(', ') + '. Reorder the values in NetSuite instead.'
+            });
+        }
+    }
+
+    /**
+     * Move list lines so the given values come first, in the given order
+     *
+     * Lines are moved with all of their fields, and the list is switched to
+     * use the order entered so NetSuite shows the new order. A moved line is
+     * a new value with a new internal ID, so callers check ensureListUnused
+     * first.
+     *
+     * @param {Object} customList - Custom list record
+     * @param {Array} order - Values to put first
+     */
+    function moveLines(customList, order) {
+        order.forEach(function(value, position) {
+            var line = findLine(customList, value);
+
+            if (line === position) {
+                return;
+            }
+
+            var fields = {};
+            customList.getSublistFields({ sublistId: 'customvalue' }).forEach(function(fieldId) {
+                fields[fieldId] = customList.getSublistValue({ sublistId: 'customvalue', fieldId: fieldId, line: line });
+            });
+
+            customList.removeLine({ sublistId: 'customvalue', line: line });
+            customList.insertLine({ sublistId: 'customvalue', line: position });
+
+            Object.keys(fields).forEach(function(fieldId) {
+                if (fields[fieldId] !== null && fields[fieldId] !== undefined && fields[fieldId] !== '') {
+                    setLineValue(customList, position, fieldId, fields[fieldId]);
+                }
+            });
+        });
+
+        customList.setValue({
+            fieldId: 'isordered',
+            value: true
+        });
+    }
+
+    /**
+     * Put the given values first, followed by the rest in their current order
+     *
+     * @param {Array} values - List values
+     * @param {Array} order - Values to put first
+     * @returns {Array} Reordered list values
+     */
+    function reorderValues(values, order) {
+        var first = order.map(function(value) {
+            return findValue(values, value);
+        });
+
+        return first.concat(values.filter(function(entry) {
+            return first.indexOf(entry) === -1;
+        }));
+    }
+
+    /**
+     * Find a planned list value by its text
+     *
+     * @param {Array} values - List values
+     * @param {string} value - Value text
+     * @returns {Object} List value
+     */
+    function findValue(values, value) {
+        for (var i = 0; i < values.length; i++) {
+            if (values[i].value === value) {
+                return values[i];
+            }
+        }
+
+        throw error.create({
+            name: 'VALUE_NOT_FOUND',
+            message: 'The list has no value \'' + value + '\''
+        });
+    }
+
+    /**
+     * Make sure no list value has the given text
+     *
+     * @param {Array} values - List values
+     * @param {string} value - Value text
+     */
+    function ensureAbsent(values, value) {
+        values.forEach(function(entry) {
+            if (entry.value === value) {
+                throw error.create({
+                    name: 'VALUE_EXISTS',
+                    message: 'The list already has a value \'' + value + '\''
+                });
+            }
+        });
+    }
+
+    /**
+     * Find the line of a value in the loaded list record
+     *
+     * @param {Object} customList - Custom list record
+     * @param {string} value - Value text
+     * @returns {number} Line index
+     */
+    function findLine(customList, value) {
+        var line = customList.findSublistLineWithValue({
+            sublistId: 'customvalue',
+            fieldId: 'value',
+            value: value
+        });
+
+        if (line === -1) {
+            throw error.create({
+                name: 'VALUE_NOT_FOUND',
+                message: 'The list has no value \'' + value + '\''
+            });
+        }
+
+        return line;
+    }
+
+    /**
+     * Set a field on a list line
+     *
+     * @param {Object} customList - Custom list record
+     * @param {number} line - Line index
+     * @param {string} fieldId - Field ID
+     * @param {*} value - Field value
+     */
+    function setLineValue(customList, line, fieldId, value) {
+        customList.setSublistValue({
+            sublistId: 'customvalue',
+            fieldId: fieldId,
+            line: line,
+            value: value
+        });
+    }
+
+    // Public API
+    return {
+        execute: execute
+    };
+});
@@ -0,0 +1,272 @@
+/**
+ * @fileoverview ALTER RECORD Operation
+ *
+ * Handles ALTER RECORD statements, which add, drop and modify the custom
+ * fields of an existing custom record type.
+ *
+ * Syntax examples:
+ * - ALTER RECORD customrecord_project ADD FIELD budget CURRENCY LABEL 'Budget', DROP FIELD legacy_code COMMIT
+ * - ALTER RECORD customrecord_project MODIFY FIELD notes TEXTAREA LABEL 'Project Notes'
+ *
+ * Statements only preview the changes until COMMIT is added. New fields are
+ * created the same way CREATE RECORD creates them.
+ *
+ * @author Enhanced SuiteQL Tool
+ * @version 1.0.0
+ */
+
+define([
+    'N/log',
+    'N/error',
+    'N/record',
+    '../dmlUtils',
+    './createRecord'
+], function(log, error, record, dmlUtils, createRecord) {
+    'use strict';
+
+    /**
+     * Execute ALTER RECORD operation
+     *
+     * @param {Object} parsedStatement - Parsed ALTER RECORD statement
+     * @returns {Object} Execution result
+     */
+    function execute(parsedStatement) {
+        log.debug({
+            title: 'Executing ALTER RECORD',
+            details: 'Record type: ' + parsedStatement.recordType + ', Actions: ' + parsedStatement.actions.length
+        });
+
+        try {
+            var recordTypeId = dmlUtils.findCustomRecordTypeId(parsedStatement.recordType);
+
+            if (!recordTypeId) {
+                throw error.create({
+                    name: 'RECORD_TYPE_NOT_FOUND',
+                    message: 'Custom record type not found: ' + parsedStatement.recordType
+                });
+            }
+
+            var plan = planActions(parsedStatement);
+
+            if (parsedStatement.isPreview) {
+                log.audit({
+                    title: 'ALTER RECORD PREVIEW - NO RECORDS CHANGED',
+                    details: 'Record type: ' + parsedStatement.recordType + ', Actions: ' + JSON.stringify(plan)
+                });
+
+                return {
+                    success: true,
+                    result: {
+                        isPreview: true,
+                        recordType: parsedStatement.recordType,
+                        recordTypeId: recordTypeId,
+                        actions: plan
+                    },
+                    error: null,
+                    message: '🔍 PREVIEW ONLY - NO RECORDS CHANGED. Would make ' + plan.length + ' field change(s) to ' +
+                        parsedStatement.recordType + '. Add COMMIT to actually alter the record type.',
+                    metadata: {
+                        operation: 'ALTER_RECORD_PREVIEW',
+                        recordType: parsedStatement.recordType,
+                        isPreviewOnly: true
+                    }
+                };
+            }
+
+            var result = applyActions(plan, parsedStatement.recordType, recordTypeId);
+
+            log.audit({
+                title: 'ALTER RECORD Success',
+                details: 'Record type: ' + parsedStatement.recordType + ', Changed: ' + result.actionsApplied + ', Errors: ' + result.errors.length
+            });
+
+            return {
+                success: true,
+                result: result,
+                error: null,
+                message: 'Altered ' + parsedStatement.recordType + ': ' + result.actionsApplied + ' field change(s) applied' +
+                    (result.errors.length > 0 ? ', ' + result.errors.length + ' failed' : ''),
+                metadata: {
+                    operation: 'ALTER_RECORD',
+                    recordType: parsedStatement.recordType,
+                    recordTypeId: recordTypeId
+                }
+            };
+
+        } catch (executionError) {
+            log.error({
+                title: 'ALTER RECORD Error',
+                details: 'Record type: ' + parsedStatement.recordType + ', Error: ' + executionError.message
+            });
+
+            return {
+                success: false,
+                result: null,
+                error: executionError.message,
+                message: null,
+                metadata: {
+                    operation: 'ALTER_RECORD',
+                    recordType: parsedStatement.recordType,
+                    errorType: executionError.name || 'EXECUTION_ERROR'
+                }
+            };
+        }
+    }
+
+    /**
+     * Check each action against the fields that exist and describe the change
+     *
+     * @param {Object} parsedStatement - Parsed ALTER RECORD statement
+     * @returns {Array} [{ action, scriptId, fieldId, before, after, field, label }]
+     */
+    function planActions(parsedStatement) {
+        var existing = dmlUtils.findCustomFields(parsedStatement.actions.map(function(action) {
+            return action.scriptId;
+        }));
+
+        return parsedStatement.actions.map(function(action) {
+            var current = existing[action.scriptId] || null;
+
+            if (action.field && action.field.type && !createRecord.isFieldTypeSupported(action.field.type)) {
+                throw error.create({
+                    name: 'INVALID_FIELD_TYPE',
+                    message: 'Unsupported field type: ' + action.field.type + '. Supported types: ' + createRecord.getSupportedFieldTypes().join(', ')
+                });
+            }
+
+            if (action.action === 'ADD' && current) {
+                throw error.create({
+                    name: 'FIELD_EXISTS',
+                    message: 'Field ' + action.scriptId + ' already exists. Use MODIFY FIELD to change it.'
+                });
+            }
+
+            if (action.action !== 'ADD' && !current) {
+                throw error.create({
+                    name: 'FIELD_NOT_FOUND',
+                    message: 'Field ' + action.scriptId + ' does not exist on ' + parsedStatement.recordType
+                });
+            }
+
+            return {
+                action: action.action,
+                scriptId: action.scriptId,
+                fieldId: current ? current.id : null,
+                before: current ? describeField(current.label, current.type) : null,
+                after: action.action === 'DROP' ? null : describeField(
+                    action.label !== null ? action.label : current ? current.label : action.field.name,
+                    action.field.type || (current ? current.type : null)
+                ),
+                field: action.field,
+                label: action.action === 'DROP' ? null : action.label
+            };
+        });
+    }
+
+    /**
+     * Apply each planned action
+     *
+     * An action that fails is reported and the rest still run. Field changes
+     * cannot be rolled back, so failures say what to finish by hand.
+     *
+     * @param {Array} plan - Planned actions from planActions
+     * @param {string} recordType - Custom record type script ID
+     * @param {string} recordTypeId - Custom record type internal ID
+     * @returns {Object} { recordType, actions, actionsApplied, errors }
+     */
+    function applyActions(plan, recordType, recordTypeId) {
+        var errors = [];
+        var applied = 0;
+
+        plan.forEach(function(planned) {
+            try {
+                if (planned.action === 'ADD') {
+                    planned.fieldId = createRecord.createCustomField(planned.field, recordType.replace(/^customrecord_/, ''), recordTypeId);
+                } else if (planned.action === 'DROP') {
+                    record.delete({
+                        type: 'customfield',
+                        id: planned.fieldId
+                    });
+                } else {
+                    modifyField(planned);
+                }
+                applied++;
+
+            } catch (actionError) {
+                planned.error = actionError.message;
+                errors.push({
+                    action: planned.action,
+                    scriptId: planned.scriptId,
+                    error: actionError.message + ' (' + planned.action + ' FIELD ' + planned.scriptId + ' must be finished in Customization > Lists, Records, & Fields)'
+                });
+
+                log.error({
+                    title: 'Error altering field',
+                    details: 'Action: ' + planned.action + ', Field: ' + planned.scriptId + ', Error: ' + actionError.message
+                });
+            }
+        });
+
+        if (errors.length > 0 && applied === 0) {
+            throw error.create({
+                name: 'ALTER_RECORD_FAILED',
+                message: 'Failed to apply any field changes. First error: ' + errors[0].error
+            });
+        }
+
+        return {
+            recordType: recordType,
+            actions: plan,
+            actionsApplied: applied,
+            errors: errors
+        };
+    }
+
+    /**
+     * Change the label and type of an existing custom field
+     *
+     * @param {Object} planned - Planned MODIFY action
+     */
+    function modifyField(planned) {
+        var customField = record.load({
+            type: 'customfield',
+            id: planned.fieldId,
+            isDynamic: true
+        });
+
+        if (planned.field.type) {
+            customField.setValue({
+                fieldId: 'type',
+                value: createRecord.FIELD_TYPE_MAP[planned.field.type]
+            });
+        }
+
+        if (planned.label !== null) {
+            customField.setValue({
+                fieldId: 'label',
+                value: planned.label
+            });
+        }
+
+        customField.save();
+    }
+
+    /**
+     * Describe a field for the preview
+     *
+     * @param {string} label - Field label
+     * @param {string} type - Field type
+     * @returns {Object} { label, type }
+     */
+    function describeField(label, type) {
+        return {
+            label: label,
+            type: type
+        };
+    }
+
+    // Public API
+    return {
+        execute: execute
+    };
+});
@@ -145,9 +145,12 @@ define(['N/record', 'N/error', 'N/log', 'N/search'], function(record, error, log
      * 
      * @param {Object} customList - Custom list record
      * @param {Array} values - Array of value objects
+     * @param {number} [startLine] - Line to add the first value at (after the existing values of a loaded list)
      */
-    function addListValues(customList, values) {
-        values.forEach(function(value, index) {
+    function addListValues(customList, values, startLine) {
+        values.forEach(function(value, valueIndex) {
+            var index = (startLine || 0) + valueIndex;
+
             try {
                 // Set basic value properties
                 customList.setSublistValue({
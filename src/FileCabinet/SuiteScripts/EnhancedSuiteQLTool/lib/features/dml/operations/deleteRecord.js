@@ -23,16 +23,24 @@
  * ✅ BETWEEN Ranges: WHERE id BETWEEN 1 AND 10, WHERE date BETWEEN '2024-01-01' AND '2024-12-31'
  * ✅ Static IN Clauses: WHERE name IN ('val1', 'val2', 'val3')
  * ✅ NULL Checks: WHERE field IS NULL, WHERE field IS NOT NULL
+ * ✅ Subqueries: WHERE field IN (SELECT column FROM table WHERE condition)
+ * ✅ Scalar Subqueries: WHERE field = (SELECT MAX(value) FROM table WHERE condition)
  * ✅ Auto Date Formatting: Converts YYYY-MM-DD to MM/DD/YYYY for NetSuite compatibility
+ * ✅ SuiteQL Lookup: Records (other than custom list values) are found with
+ *    SELECT id FROM <table> WHERE <clause>, so any WHERE that works in a SELECT works here
  *
  * FUTURE ROADMAP - ADVANCED WHERE CLAUSE FEATURES:
  *
- * 🚧 Phase 1: Subquery Support (HIGH PRIORITY)
+ * ✅ Phase 1: Subquery Support (DONE)
  * - WHERE field IN (SELECT column FROM table WHERE condition)
  * - WHERE field = (SELECT MAX(value) FROM table WHERE condition)
- * - Requirements: Subquery parser, SELECT execution engine integration, result mapping
- * - Implementation: Parse nested SELECT, execute subquery, use results in main WHERE
- * - Complexity: HIGH - Requires mini SQL execution engine
+ * - Implementation: dmlUtils.resolveSubqueries runs each SELECT through N/query
+ *   and replaces it with a static IN list or value before the record lookup.
+ *   Preview results list the values each subquery resolved to.
+ *
+ * ✅ Phases 2-4 for records: handled natively by the SuiteQL lookup
+ *   (dmlUtils.findRecordIdsWithSuiteQL). The phases below remain open for
+ *   custom list values, which are still found with N/search filters.
  *
  * 🚧 Phase 2: Complex Logic Operators (MEDIUM PRIORITY)
  * - WHERE (field1 = 'A' OR field2 = 'B') AND field3 > 10
@@ -69,8 +77,9 @@ define([
     'N/error',
     'N/record',
     'N/search',
-    '../dmlUtils'
-], function(log, error, record, search, dmlUtils) {
+    '../dmlUtils',
+    '../dmlJobs'
+], function(log, error, record, search, dmlUtils, dmlJobs) {
     'use strict';
 
     /**
@@ -88,12 +97,35 @@ define([
         try {
             // Determine record type and operation
             var recordType = dmlUtils.determineRecordType(parsedStatement.tableName);
+
+            // Custom list values, and statements without WHERE clause text, are found
+            // with N/search, so run WHERE clause subqueries first to give it plain values.
+            // SuiteQL lookups run subqueries themselves; previews still resolve them to
+            // list the values they match.
+            var resolved = { condition: parsedStatement.whereCondition, subqueries: [] };
+            if (!parsedStatement.whereClause || !dmlUtils.canFindWithSuiteQL(recordType)) {
+                resolved = dmlUtils.resolveSubqueries(parsedStatement.whereCondition);
+                parsedStatement = Object.assign({}, parsedStatement, { whereCondition: resolved.condition });
+            } else if (parsedStatement.isPreview) {
+                try {
+                    resolved.subqueries = dmlUtils.resolveSubqueries(parsedStatement.whereCondition).subqueries;
+                } catch (e) {
+                    log.warn({
+                        title: 'Subquery preview skipped',
+                        details: e.message
+                    });
+                }
+            }
+
             var result;
             if (recordType.isCustomList) {
                 result = deleteCustomListValues(parsedStatement, recordType);
             } else {
                 result = deleteRecords(parsedStatement, recordType);
             }
+            if (resolved.subqueries.length > 0) {
+                result.subqueries = resolved.subqueries;
+            }
 
             // Handle preview vs actual delete results
             if (result.isPreview) {
@@ -112,10 +144,30 @@ define([
                         recordType: recordType.type,
                         recordsToDelete: result.previewRecords ? result.previewRecords.length : result.recordIds.length,
                         previewRecords: result.previewRecords || result.recordIds,
+                        subqueries: resolved.subqueries,
                         isPreviewOnly: true,
                         instructionToDelete: 'Add COMMIT to the end of your DELETE statement to actually delete these records'
                     }
                 };
+            } else if (result.job) {
+                log.audit({
+                    title: 'DELETE handed off to job',
+                    details: 'Table: ' + parsedStatement.tableName + ', Records: ' + result.recordsQueued + ', Job: ' + result.job.jobId
+                });
+                return {
+                    success: true,
+                    result: result,
+                    error: null,
+                    message: 'Deleting ' + result.recordsQueued + ' record(s) from ' + parsedStatement.tableName + ' in the background as job ' + result.job.jobId +
+                        '. Jobs are not journaled, so this change cannot be undone',
+                    metadata: {
+                        operation: 'DELETE_JOB',
+                        tableName: parsedStatement.tableName,
+                        recordType: recordType.type,
+                        recordsQueued: result.recordsQueued,
+                        jobId: result.job.jobId
+                    }
+                };
             } else {
                 log.audit({
                     title: 'DELETE Success',
@@ -166,8 +218,8 @@ define([
             details: 'Type: ' + recordType.type + ', WHERE: ' + JSON.stringify(parsedStatement.whereCondition)
         });
 
-        // Find records matching WHERE condition
-        var recordIds = findRecordsToDelete(parsedStatement, recordType);
+        // Find records matching WHERE condition, unless a batch already found and journaled them
+        var recordIds = parsedStatement.recordIds || findRecordsToDelete(parsedStatement, recordType);
 
         if (recordIds.length === 0) {
             return {
@@ -191,6 +243,16 @@ define([
             };
         }
 
+        // executeJournaledStatement decided to hand the records to a job
+        if (parsedStatement.runAsJob) {
+            return {
+                recordsDeleted: 0,
+                recordIds: [],
+                recordsQueued: recordIds.length,
+                job: dmlJobs.submitJob('DELETE', parsedStatement, recordType, recordIds)
+            };
+        }
+
         var deletedRecords = [];
         var errors = [];
 
@@ -206,6 +268,11 @@ define([
                     details: 'ID: ' + recordId + ', Type: ' + recordType.type
                 });
             } catch (deleteError) {
+                // Batches stop at the first failure so the journal can roll back
+                if (parsedStatement.stopOnError) {
+                    throw deleteError;
+                }
+
                 errors.push({
                     recordId: recordIds[i],
                     error: deleteError.message
@@ -248,6 +315,12 @@ define([
             });
         }
 
+        // Look up with SuiteQL when the WHERE clause text is available and the
+        // record type isn't a custom list; custom lists use N/search below
+        if (parsedStatement.whereClause && dmlUtils.canFindWithSuiteQL(recordType)) {
+            return dmlUtils.findRecordIdsWithSuiteQL(recordType, parsedStatement.whereClause);
+        }
+
         // Handle compound conditions (AND/OR)
         if (whereCondition.type === 'COMPOUND') {
             return findRecordsWithCompoundCondition(whereCondition, recordType);
@@ -369,9 +442,14 @@ define([
         for (var i = 0; i < conditions.length; i++) {
             var condition = conditions[i];
             var filter = convertConditionToFilter(condition, recordType);
-            if (filter) {
-                searchFilters.push(filter);
+            if (!filter) {
+                // Leaving a condition out would widen the match, so use the intersection method instead
+                throw error.create({
+                    name: 'UNSUPPORTED_COMBINED_FILTER',
+                    message: 'Condition cannot be combined into a single search: ' + JSON.stringify(condition)
+                });
             }
+            searchFilters.push(filter);
         }
 
         if (searchFilters.length === 0) {
@@ -430,7 +508,20 @@ define([
                 case 'EQUALS':
                 case 'COMPARISON':
                     if (condition.field === 'id' || condition.field === 'internalid') {
-                        return null; // Skip ID conditions for combined search
+                        var idOperatorMapping = {
+                            '=': search.Operator.EQUALTO,
+                            '>': search.Operator.GREATERTHAN,
+                            '>=': search.Operator.GREATERTHANOREQUALTO,
+                            '<': search.Operator.LESSTHAN,
+                            '<=': search.Operator.LESSTHANOREQUALTO,
+                            '!=': search.Operator.NOTEQUALTO,
+                            '<>': search.Operator.NOTEQUALTO
+                        };
+                        return search.createFilter({
+                            name: 'internalidnumber',
+                            operator: idOperatorMapping[condition.operator || '='],
+                            values: [condition.value]
+                        });
                     }
                     var operator = condition.operator || '=';
                     var operatorMapping = {
@@ -467,6 +558,18 @@ define([
                         operator: searchOperator,
                         values: [value]
                     });
+                case 'IN':
+                    if (condition.values.length === 0) {
+                        return null; // An empty list matches nothing
+                    }
+                    if (isTextIdField(condition.field)) {
+                        return null; // ANYOF only matches list fields; text values are searched one by one
+                    }
+                    return search.createFilter({
+                        name: (condition.field === 'id' || condition.field === 'internalid') ? 'internalid' : condition.field,
+                        operator: search.Operator.ANYOF,
+                        values: condition.values
+                    });
                 case 'IS_NULL':
                     return search.createFilter({
                         name: condition.field,
@@ -529,12 +632,18 @@ define([
         switch (condition.type) {
             case 'EQUALS':
             case 'COMPARISON':
-                if (condition.field === 'id' || condition.field === 'internalid') {
+                if ((condition.field === 'id' || condition.field === 'internalid') && (condition.operator || '=') === '=') {
                     return [condition.value];
+                } else if (condition.field === 'id' || condition.field === 'internalid') {
+                    // Range comparisons on the ID run as an internalidnumber search
+                    return findRecordsWithCombinedAndConditions([condition], recordType);
                 } else {
                     return searchRecordsByField(recordType.type, condition.field, condition.value, condition.operator || '=');
                 }
             case 'IN':
+                if (condition.values.length === 0) {
+                    return []; // An empty list (e.g. a subquery with no rows) matches nothing
+                }
                 if (condition.field === 'id' || condition.field === 'internalid') {
                     return condition.values;
                 } else {
@@ -672,11 +781,22 @@ define([
      * @returns {Array} Array of record internal IDs
      */
     function searchRecordsByFieldValues(recordType, fieldId, values) {
+        var filters = [[fieldId, 'anyof', values]];
+
+        // ANYOF only matches list fields, so text fields match any of the values with IS
+        if (isTextIdField(fieldId)) {
+            filters = [];
+            values.forEach(function(value, index) {
+                if (index > 0) {
+                    filters.push('OR');
+                }
+                filters.push([fieldId, 'is', value]);
+            });
+        }
+
         var searchObj = search.create({
             type: recordType,
-            filters: [
-                [fieldId, 'anyof', values]
-            ],
+            filters: filters,
             columns: ['internalid']
         });
 
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview DROP RECORD Operation
+ *
+ * Handles DROP RECORD statements, which delete a custom record type.
+ *
+ * Syntax examples:
+ * - DROP RECORD customrecord_project COMMIT
+ * - DROP RECORD customrecord_project FORCE COMMIT
+ *
+ * A record type that still has records is refused unless FORCE is given,
+ * and like the other DML statements nothing is deleted until COMMIT is added.
+ *
+ * @author Enhanced SuiteQL Tool
+ * @version 1.0.0
+ */
+
+define([
+    'N/log',
+    'N/error',
+    'N/record',
+    'N/query',
+    '../dmlUtils'
+], function(log, error, record, query, dmlUtils) {
+    'use strict';
+
+    /**
+     * Execute DROP RECORD operation
+     *
+     * @param {Object} parsedStatement - Parsed DROP RECORD statement
+     * @returns {Object} Execution result
+     */
+    function execute(parsedStatement) {
+        log.debug({
+            title: 'Executing DROP RECORD',
+            details: 'Record type: ' + parsedStatement.recordType + ', Force: ' + parsedStatement.force
+        });
+
+        try {
+            var recordTypeId = dmlUtils.findCustomRecordTypeId(parsedStatement.recordType);
+
+            if (!recordTypeId) {
+                throw error.create({
+                    name: 'RECORD_TYPE_NOT_FOUND',
+                    message: 'Custom record type not found: ' + parsedStatement.recordType
+                });
+            }
+
+            var instanceCount = countRecords(parsedStatement.recordType);
+
+            if (instanceCount > 0 && !parsedStatement.force) {
+                throw error.create({
+                    name: 'RECORD_TYPE_NOT_EMPTY',
+                    message: parsedStatement.recordType + ' still has ' + instanceCount + ' record(s). Delete them first, or add FORCE to drop the record type and its records.'
+                });
+            }
+
+            var result = {
+                recordType: parsedStatement.recordType,
+                recordTypeId: recordTypeId,
+                instanceCount: instanceCount,
+                force: parsedStatement.force
+            };
+
+            if (parsedStatement.isPreview) {
+                result.isPreview = true;
+
+                log.audit({
+                    title: 'DROP RECORD PREVIEW - NO RECORDS DELETED',
+                    details: 'Record type: ' + parsedStatement.recordType + ', Records: ' + instanceCount
+                });
+
+                return {
+                    success: true,
+                    result: result,
+                    error: null,
+                    message: '🔍 PREVIEW ONLY - NO RECORDS DELETED. Would drop ' + parsedStatement.recordType +
+                        (instanceCount > 0 ? ' and its ' + instanceCount + ' record(s)' : '') + '. Add COMMIT to actually drop the record type.',
+                    metadata: {
+                        operation: 'DROP_RECORD_PREVIEW',
+                        recordType: parsedStatement.recordType,
+                        isPreviewOnly: true
+                    }
+                };
+            }
+
+            record.delete({
+                type: 'customrecordtype',
+                id: recordTypeId
+            });
+
+            log.audit({
+                title: 'DROP RECORD Success',
+                details: 'Record type: ' + parsedStatement.recordType + ', ID: ' + recordTypeId + ', Records: ' + instanceCount
+            });
+
+            return {
+                success: true,
+                result: result,
+                error: null,
+                message: 'Dropped ' + parsedStatement.recordType + (instanceCount > 0 ? ' and its ' + instanceCount + ' record(s)' : ''),
+                metadata: {
+                    operation: 'DROP_RECORD',
+                    recordType: parsedStatement.recordType,
+                    recordTypeId: recordTypeId
+                }
+            };
+
+        } catch (executionError) {
+            log.error({
+                title: 'DROP RECORD Error',
+                details: 'Record type: ' + parsedStatement.recordType + ', Error: ' + executionError.message
+            });
+
+            return {
+                success: false,
+                result: null,
+                error: executionError.message,
+                message: null,
+                metadata: {
+                    operation: 'DROP_RECORD',
+                    recordType: parsedStatement.recordType,
+                    errorType: executionError.name || 'EXECUTION_ERROR'
+                }
+            };
+        }
+    }
+
+    /**
+     * Count the records of a custom record type
+     *
+     * @param {string} recordType - Custom record type script ID
+     * @returns {number} Record count
+     */
+    function countRecords(recordType) {
+        var results = query.runSuiteQL({
+            query: 'SELECT COUNT(*) AS total FROM ' + recordType
+        }).asMappedResults();
+
+        return results.length > 0 ? parseInt(results[0].total, 10) || 0 : 0;
+    }
+
+    // Public API
+    return {
+        execute: execute
+    };
+});
@@ -8,17 +8,19 @@
  * - INSERT INTO customer (companyname, email) VALUES ('Acme Corp', 'contact@acme.com')
  * - INSERT INTO customrecord_employee SET name='John Doe', department='Engineering'
  * - INSERT INTO customlist_departments VALUES ('Engineering', 'Marketing')
+ * - INSERT INTO customrecord_x (name, custrecord_amount) SELECT companyname, balance FROM customer WHERE ...
  * 
  * @author Enhanced SuiteQL Tool
  * @version 1.0.0
  */
 
 define([
+    'require',
     'N/log',
     'N/error',
     'N/record',
     '../dmlUtils'
-], function(log, error, record, dmlUtils) {
+], function(require, log, error, record, dmlUtils) {
     'use strict';
 
     /**
@@ -38,12 +40,44 @@ define([
             var recordType = dmlUtils.determineRecordType(parsedStatement.tableName);
             var result;
 
+            // INSERT ... SELECT: run the query now and insert one record per row
+            if (parsedStatement.selectQuery) {
+                parsedStatement = Object.assign({}, parsedStatement, {
+                    multipleValues: selectRows(parsedStatement)
+                });
+
+                if (parsedStatement.multipleValues.length === 0 && !parsedStatement.isPreview) {
+                    return {
+                        success: true,
+                        result: {
+                            recordIds: [],
+                            recordType: recordType.type,
+                            recordsCreated: 0,
+                            selectQuery: parsedStatement.selectQuery
+                        },
+                        error: null,
+                        message: 'No records inserted into ' + parsedStatement.tableName + ': the SELECT returned no rows',
+                        metadata: {
+                            operation: 'INSERT',
+                            tableName: parsedStatement.tableName,
+                            recordType: recordType.type,
+                            recordIds: [],
+                            recordCount: 0
+                        }
+                    };
+                }
+            }
+
             if (recordType.isCustomList) {
                 result = insertCustomListValues(parsedStatement, recordType);
             } else {
                 result = insertRecord(parsedStatement, recordType);
             }
 
+            if (parsedStatement.selectQuery) {
+                result.selectQuery = parsedStatement.selectQuery;
+            }
+
             // Handle preview vs actual insert results
             if (result.isPreview) {
                 // Calculate the actual number of records that would be inserted
@@ -92,6 +126,9 @@ define([
                 } else {
                     message = recordCount + ' records inserted successfully into ' + parsedStatement.tableName + '. Record IDs: ' + recordIds.join(', ');
                 }
+                if (result.errors && result.errors.length > 0) {
+                    message += '. ' + result.errors.length + ' record' + (result.errors.length === 1 ? '' : 's') + ' failed';
+                }
 
                 return {
                     success: true,
@@ -177,107 +214,135 @@ define([
 
         // Process each record
         var createdRecords = [];
+        var errors = [];
         var totalFieldsSet = 0;
 
         for (var i = 0; i < valuesToProcess.length; i++) {
-            var fieldsToSet = valuesToProcess[i];
+            // For INSERT ... SELECT, a record that fails is reported and the
+            // rest are still created; a VALUES list stops at the first failure
+            try {
+                var fieldsToSet = valuesToProcess[i];
 
-            log.debug({
-                title: 'Creating record ' + (i + 1) + ' of ' + valuesToProcess.length,
-                details: 'Fields: ' + JSON.stringify(fieldsToSet)
-            });
+                log.debug({
+                    title: 'Creating record ' + (i + 1) + ' of ' + valuesToProcess.length,
+                    details: 'Fields: ' + JSON.stringify(fieldsToSet)
+                });
 
-            // Create new record
-            var newRecord = record.create({
-                type: recordType.type,
-                isDynamic: false
-            });
+                // Create new record
+                var newRecord = record.create({
+                    type: recordType.type,
+                    isDynamic: false
+                });
 
-            // Set field values for this record
-            for (var fieldId in fieldsToSet) {
-                var value = fieldsToSet[fieldId];
-
-                // Validate field before attempting to set it
-                if (!dmlUtils.validateField(recordType.type, fieldId)) {
-                    log.warn({
-                        title: 'Invalid field detected',
-                        details: 'Field: ' + fieldId + ', Record Type: ' + recordType.type
-                    });
-                    // Continue anyway - NetSuite will provide the definitive validation
-                }
+                // Set field values for this record
+                for (var fieldId in fieldsToSet) {
+                    var value = fieldsToSet[fieldId];
 
-                // Format date fields for NetSuite record.setValue()
-                if (isDateField(fieldId) && isDateString(value)) {
-                    var originalValue = value;
-                    value = formatDateForRecordSetValue(value);
-                    log.audit({
-                        title: 'Date field formatted for INSERT',
-                        details: 'Field: ' + fieldId + ', Original: ' + originalValue + ', Formatted: ' + value + ', Type: ' + typeof value
-                    });
-                }
+                    // Validate field before attempting to set it
+                    if (!dmlUtils.validateField(recordType.type, fieldId)) {
+                        log.warn({
+                            title: 'Invalid field detected',
+                            details: 'Field: ' + fieldId + ', Record Type: ' + recordType.type
+                        });
+                        // Continue anyway - NetSuite will provide the definitive validation
+                    }
 
-                try {
-                    newRecord.setValue({
-                        fieldId: fieldId,
-                        value: value
-                    });
-
-                    log.debug({
-                        title: 'Field set',
-                        details: 'Record ' + (i + 1) + ', Field: ' + fieldId + ', Value: ' + value
-                    });
-                } catch (fieldError) {
-                    log.error({
-                        title: 'Error setting field',
-                        details: 'Record ' + (i + 1) + ', Field: ' + fieldId + ', Value: ' + value + ' (type: ' + typeof value + '), Error: ' + fieldError.message + ', Error Code: ' + (fieldError.name || 'N/A')
-                    });
-
-                    // If it's a date field error, try alternative formats
-                    if (isDateField(fieldId) && fieldError.message && fieldError.message.toLowerCase().includes('date')) {
+                    // Format date fields for NetSuite record.setValue()
+                    if (isDateField(fieldId) && isDateString(value)) {
+                        var originalValue = value;
+                        value = formatDateForRecordSetValue(value);
                         log.audit({
-                            title: 'Attempting alternative date format',
-                            details: 'Field: ' + fieldId + ', Original value: ' + fieldsToSet[fieldId]
+                            title: 'Date field formatted for INSERT',
+                            details: 'Field: ' + fieldId + ', Original: ' + originalValue + ', Formatted: ' + value + ', Type: ' + typeof value
                         });
+                    }
 
-                        try {
-                            // Try with string format M/D/YYYY
-                            var dateObj = formatDateForRecordSetValue(fieldsToSet[fieldId]);
-                            var dateString = (dateObj.getMonth() + 1) + '/' + dateObj.getDate() + '/' + dateObj.getFullYear();
+                    try {
+                        newRecord.setValue({
+                            fieldId: fieldId,
+                            value: value
+                        });
 
-                            newRecord.setValue({
-                                fieldId: fieldId,
-                                value: dateString
-                            });
+                        log.debug({
+                            title: 'Field set',
+                            details: 'Record ' + (i + 1) + ', Field: ' + fieldId + ', Value: ' + value
+                        });
+                    } catch (fieldError) {
+                        log.error({
+                            title: 'Error setting field',
+                            details: 'Record ' + (i + 1) + ', Field: ' + fieldId + ', Value: ' + value + ' (type: ' + typeof value + '), Error: ' + fieldError.message + ', Error Code: ' + (fieldError.name || 'N/A')
+                        });
 
+                        // If it's a date field error, try alternative formats
+                        if (isDateField(fieldId) && fieldError.message && fieldError.message.toLowerCase().includes('date')) {
                             log.audit({
-                                title: 'Alternative date format succeeded',
-                                details: 'Field: ' + fieldId + ', Used string format: ' + dateString
+                                title: 'Attempting alternative date format',
+                                details: 'Field: ' + fieldId + ', Original value: ' + fieldsToSet[fieldId]
                             });
 
-                            continue; // Skip the error throwing
-                        } catch (altError) {
-                            log.error({
-                                title: 'Alternative date format also failed',
-                                details: 'Field: ' + fieldId + ', Alt Error: ' + altError.message
-                            });
+                            try {
+                                // Try with string format M/D/YYYY
+                                var dateObj = formatDateForRecordSetValue(fieldsToSet[fieldId]);
+                                var dateString = (dateObj.getMonth() + 1) + '/' + dateObj.getDate() + '/' + dateObj.getFullYear();
+
+                                newRecord.setValue({
+                                    fieldId: fieldId,
+                                    value: dateString
+                                });
+
+                                log.audit({
+                                    title: 'Alternative date format succeeded',
+                                    details: 'Field: ' + fieldId + ', Used string format: ' + dateString
+                                });
+
+                                continue; // Skip the error throwing
+                            } catch (altError) {
+                                log.error({
+                                    title: 'Alternative date format also failed',
+                                    details: 'Field: ' + fieldId + ', Alt Error: ' + altError.message
+                                });
+                            }
                         }
+
+                        throw error.create({
+                            name: 'FIELD_SET_ERROR',
+                            message: 'Error setting field "' + fieldId + '" on record ' + (i + 1) + ': ' + fieldError.message
+                        });
                     }
+                }
 
-                    throw error.create({
-                        name: 'FIELD_SET_ERROR',
-                        message: 'Error setting field "' + fieldId + '" on record ' + (i + 1) + ': ' + fieldError.message
-                    });
+                // Save the record
+                var recordId = newRecord.save();
+                createdRecords.push(recordId);
+                totalFieldsSet += Object.keys(fieldsToSet).length;
+
+                log.debug({
+                    title: 'Record created successfully',
+                    details: 'Record ' + (i + 1) + ' ID: ' + recordId
+                });
+            } catch (recordError) {
+                if (!parsedStatement.selectQuery) {
+                    throw recordError;
                 }
-            }
 
-            // Save the record
-            var recordId = newRecord.save();
-            createdRecords.push(recordId);
-            totalFieldsSet += Object.keys(fieldsToSet).length;
+                errors.push({
+                    valueIndex: i + 1,
+                    valueData: valuesToProcess[i],
+                    error: recordError.message
+                });
 
-            log.debug({
-                title: 'Record created successfully',
-                details: 'Record ' + (i + 1) + ' ID: ' + recordId
+                log.error({
+                    title: 'Error creating record',
+                    details: 'Record ' + (i + 1) + ': ' + recordError.message
+                });
+            }
+        }
+
+        // Check if any records were successfully created
+        if (createdRecords.length === 0 && errors.length > 0) {
+            throw error.create({
+                name: 'INSERT_FAILED',
+                message: 'Failed to create any records. First error: ' + errors[0].error
             });
         }
 
@@ -286,10 +351,58 @@ define([
             recordIds: createdRecords,
             recordType: recordType.type,
             recordsCreated: createdRecords.length,
-            fieldsSet: totalFieldsSet
+            fieldsSet: totalFieldsSet,
+            errors: errors.length > 0 ? errors : null
         };
     }
 
+    /**
+     * Run the SELECT of an INSERT ... SELECT statement
+     *
+     * The query runs through SuiteQL with any synthetic functions applied,
+     * and its columns are matched to the INSERT columns by position. NULL
+     * values are left unset so the field keeps its default.
+     *
+     * @param {Object} parsedStatement - Parsed INSERT statement with selectQuery and fieldNames
+     * @returns {Array} Field values for each record to insert
+     */
+    function selectRows(parsedStatement) {
+        var fieldNames = parsedStatement.fieldNames;
+
+        // Loaded here rather than in define(): syntheticProcessor reaches this
+        // module through executionEngine and dmlProcessor, so it would still be
+        // undefined when this module is loaded from the Suitelet or a job script
+        var syntheticProcessor = require('../../synthetic/syntheticProcessor');
+        var rows = syntheticProcessor.runQueryWithFunctions(parsedStatement.selectQuery, []);
+
+        log.debug({
+            title: 'INSERT SELECT query executed',
+            details: 'Rows: ' + rows.length + ', Query: ' + parsedStatement.selectQuery
+        });
+
+        return rows.map(function(row) {
+            var columns = Object.keys(row);
+
+            if (columns.length !== fieldNames.length) {
+                throw error.create({
+                    name: 'FIELD_VALUE_MISMATCH',
+                    message: 'Number of fields (' + fieldNames.length + ') does not match number of columns returned by the SELECT (' + columns.length +
+                        '). Give each selected column a distinct name.'
+                });
+            }
+
+            var fields = {};
+            fieldNames.forEach(function(fieldName, index) {
+                var value = row[columns[index]];
+                if (value !== null && value !== undefined) {
+                    fields[fieldName] = value;
+                }
+            });
+
+            return fields;
+        });
+    }
+
     /**
      * Insert values into custom list
      *
@@ -0,0 +1,529 @@
+/**
+ * @fileoverview Sublist Line Operation
+ *
+ * Handles INSERT, UPDATE and DELETE statements that target the lines of a
+ * sublist instead of body fields. The table names the record type and the
+ * sublist, and the parent record is named by a column called after the
+ * record type.
+ *
+ * Syntax examples:
+ * - INSERT INTO salesorder.item (salesorder, item, quantity, rate) VALUES (123, 45, 2, 9.99)
+ * - UPDATE salesorder.item SET quantity = 5 WHERE salesorder = 123 AND line = 2
+ * - DELETE FROM salesorder.item WHERE salesorder = 123 AND item = 45
+ * - UPDATE transactionline SET rate = 10 WHERE transaction = 123 AND line = 2
+ *
+ * transactionline is the item sublist of any transaction. In WHERE clauses,
+ * line is the 1-based position of the line on the sublist and any other
+ * field is compared with the line's value. Records are edited in dynamic
+ * mode (selectNewLine/selectLine, setCurrentSublistValue, commitLine) and
+ * saved once per record; the preview shows each line before and after.
+ *
+ * @author Enhanced SuiteQL Tool
+ * @version 1.0.0
+ */
+
+define([
+    'N/log',
+    'N/error',
+    'N/record',
+    'N/query',
+    '../dmlUtils'
+], function(log, error, record, query, dmlUtils) {
+    'use strict';
+
+    /**
+     * Verbs for messages, by operation
+     */
+    var VERBS = {
+        INSERT: { preview: 'insert', done: 'Inserted' },
+        UPDATE: { preview: 'update', done: 'Updated' },
+        DELETE: { preview: 'delete', done: 'Deleted' }
+    };
+
+    /**
+     * Execute a sublist INSERT, UPDATE or DELETE
+     *
+     * @param {Object} parsedStatement - Parsed statement with sublistId and parentField
+     * @returns {Object} Execution result
+     */
+    function execute(parsedStatement) {
+        var operation = parsedStatement.operation;
+
+        log.debug({
+            title: 'Executing sublist ' + operation,
+            details: 'Table: ' + parsedStatement.tableName + ', Sublist: ' + parsedStatement.sublistId + ', Preview: ' + parsedStatement.isPreview
+        });
+
+        try {
+            var targets = operation === 'INSERT' ? planInserts(parsedStatement) : planLineChanges(parsedStatement);
+            var lines = summarizeLines(targets);
+            var recordIds = targets.map(function(target) {
+                return target.recordId;
+            });
+
+            if (parsedStatement.isPreview) {
+                log.audit({
+                    title: 'Sublist ' + operation + ' PREVIEW - NO RECORDS CHANGED',
+                    details: 'Sublist: ' + parsedStatement.sublistId + ', Lines: ' + lines.length + ', Records: ' + recordIds.length
+                });
+
+                return {
+                    success: true,
+                    result: {
+                        isPreview: true,
+                        sublistId: parsedStatement.sublistId,
+                        recordType: getRecordTypeLabel(targets),
+                        recordIds: recordIds,
+                        lines: lines
+                    },
+                    error: null,
+                    message: '🔍 PREVIEW ONLY - NO RECORDS CHANGED. Would ' + VERBS[operation].preview + ' ' + lines.length + ' line(s) on the ' +
+                        parsedStatement.sublistId + ' sublist of ' + recordIds.length + ' record(s). Add COMMIT to actually change these lines.',
+                    metadata: {
+                        operation: 'SUBLIST_' + operation + '_PREVIEW',
+                        tableName: parsedStatement.tableName,
+                        sublistId: parsedStatement.sublistId,
+                        isPreviewOnly: true
+                    }
+                };
+            }
+
+            var result = applyChanges(parsedStatement, targets);
+
+            log.audit({
+                title: 'Sublist ' + operation + ' Success',
+                details: 'Sublist: ' + parsedStatement.sublistId + ', Lines: ' + result.linesChanged + ', Records: ' + result.recordIds.length + ', Errors: ' + result.errors.length
+            });
+
+            return {
+                success: true,
+                result: result,
+                error: null,
+                message: VERBS[operation].done + ' ' + result.linesChanged + ' line(s) on the ' + parsedStatement.sublistId + ' sublist of ' +
+                    result.recordIds.length + ' record(s)' + (result.errors.length > 0 ? ', ' + result.errors.length + ' record(s) failed' : ''),
+                metadata: {
+                    operation: 'SUBLIST_' + operation,
+                    tableName: parsedStatement.tableName,
+                    sublistId: parsedStatement.sublistId,
+                    recordIds: result.recordIds
+                }
+            };
+
+        } catch (executionError) {
+            log.error({
+                title: 'Sublist ' + operation + ' Error',
+                details: 'Table: ' + parsedStatement.tableName + ', Sublist: ' + parsedStatement.sublistId + ', Error: ' + executionError.message
+            });
+
+            return {
+                success: false,
+                result: null,
+                error: executionError.message,
+                message: null,
+                metadata: {
+                    operation: 'SUBLIST_' + operation,
+                    tableName: parsedStatement.tableName,
+                    errorType: executionError.name || 'EXECUTION_ERROR'
+                }
+            };
+        }
+    }
+
+    /**
+     * Plan the new lines of a sublist INSERT, grouped by parent record
+     *
+     * @param {Object} parsedStatement - Parsed INSERT statement
+     * @returns {Array} Targets ({ recordType, recordId, record, lines })
+     */
+    function planInserts(parsedStatement) {
+        var rows = parsedStatement.multipleValues || [parsedStatement.fields];
+        var byParent = {};
+        var parentIds = [];
+
+        rows.forEach(function(row, index) {
+            var parentKey = findParentKey(row, parsedStatement.parentField);
+
+            if (!parentKey || row[parentKey] === null || row[parentKey] === '') {
+                throw error.create({
+                    name: 'SUBLIST_PARENT_REQUIRED',
+                    message: 'Row ' + (index + 1) + ' has no ' + parsedStatement.parentField + '. Sublist INSERT rows name the record to add the line to in a ' +
+                        parsedStatement.parentField + ' column.'
+                });
+            }
+
+            var parentId = String(row[parentKey]);
+            var fields = {};
+            Object.keys(row).forEach(function(fieldId) {
+                if (fieldId !== parentKey) {
+                    fields[fieldId] = row[fieldId];
+                }
+            });
+
+            if (!byParent[parentId]) {
+                byParent[parentId] = [];
+                parentIds.push(parentId);
+            }
+            byParent[parentId].push(fields);
+        });
+
+        return loadTargets(parsedStatement, parentIds).map(function(target) {
+            var lineCount = target.record.getLineCount({ sublistId: parsedStatement.sublistId });
+
+            target.lines = byParent[target.recordId].map(function(fields, offset) {
+                return {
+                    line: lineCount + offset + 1,
+                    action: 'INSERT',
+                    before: null,
+                    after: fields
+                };
+            });
+
+            return target;
+        });
+    }
+
+    /**
+     * Plan the lines matched by a sublist UPDATE or DELETE
+     *
+     * @param {Object} parsedStatement - Parsed UPDATE or DELETE statement
+     * @returns {Array} Targets ({ recordType, recordId, record, lines }) for records with matching lines
+     */
+    function planLineChanges(parsedStatement) {
+        var sublistId = parsedStatement.sublistId;
+        var where = splitWhereCondition(parsedStatement);
+
+        return loadTargets(parsedStatement, where.parentIds).filter(function(target) {
+            var lineCount = target.record.getLineCount({ sublistId: sublistId });
+            target.lines = [];
+
+            for (var index = 0; index < lineCount; index++) {
+                if (!lineMatches(target.record, sublistId, index, where.lineFilters)) {
+                    continue;
+                }
+
+                target.lines.push({
+                    line: index + 1,
+                    index: index,
+                    action: parsedStatement.operation,
+                    before: parsedStatement.operation === 'UPDATE' ?
+                        readLineValues(target.record, sublistId, index, Object.keys(parsedStatement.setFields)) :
+                        readLineValues(target.record, sublistId, index, null),
+                    after: parsedStatement.operation === 'UPDATE' ? parsedStatement.setFields : null
+                });
+            }
+
+            return target.lines.length > 0;
+        });
+    }
+
+    /**
+     * Split a sublist WHERE condition into the parent records and line filters
+     *
+     * @param {Object} parsedStatement - Parsed UPDATE or DELETE statement
+     * @returns {Object} { parentIds, lineFilters: [{ field, value }] }
+     */
+    function splitWhereCondition(parsedStatement) {
+        var condition = parsedStatement.whereCondition;
+        var conditions = condition.type === 'COMPOUND' && condition.operator === 'AND' ? condition.conditions : [condition];
+        var parentIds = null;
+        var lineFilters = [];
+
+        conditions.forEach(function(part) {
+            var isParent = part.field && part.field.toLowerCase() === parsedStatement.parentField;
+
+            if (isParent && part.type === 'IN') {
+                parentIds = part.values.map(String);
+            } else if (part.type === 'COMPARISON' && part.operator === '=') {
+                if (isParent) {
+                    parentIds = [String(part.value)];
+                } else {
+                    lineFilters.push({ field: part.field.toLowerCase(), value: part.value });
+                }
+            } else {
+                throw error.create({
+                    name: 'UNSUPPORTED_SUBLIST_CONDITION',
+                    message: 'Sublist WHERE clauses support field = value conditions joined with AND, and ' + parsedStatement.parentField +
+                        ' IN (...). Unsupported condition: ' + parsedStatement.whereClause
+                });
+            }
+        });
+
+        if (!parentIds) {
+            throw error.create({
+                name: 'SUBLIST_PARENT_REQUIRED',
+                message: 'Sublist ' + parsedStatement.operation + ' statements need WHERE ' + parsedStatement.parentField + ' = <internal id> (or IN (...)) to name the records to change'
+            });
+        }
+
+        return {
+            parentIds: parentIds,
+            lineFilters: lineFilters
+        };
+    }
+
+    /**
+     * Check a line against the line filters
+     *
+     * @param {Object} rec - Loaded record
+     * @param {string} sublistId - Sublist ID
+     * @param {number} index - 0-based line index
+     * @param {Array} lineFilters - Line filters from splitWhereCondition
+     * @returns {boolean} True if every filter matches
+     */
+    function lineMatches(rec, sublistId, index, lineFilters) {
+        return lineFilters.every(function(filter) {
+            if (filter.field === 'line') {
+                return Number(filter.value) === index + 1;
+            }
+
+            var value = rec.getSublistValue({ sublistId: sublistId, fieldId: filter.field, line: index });
+            return String(value) === String(filter.value);
+        });
+    }
+
+    /**
+     * Read the values of a line
+     *
+     * @param {Object} rec - Loaded record
+     * @param {string} sublistId - Sublist ID
+     * @param {number} index - 0-based line index
+     * @param {Array|null} fieldIds - Fields to read, or null for every field with a value
+     * @returns {Object} Values by field ID
+     */
+    function readLineValues(rec, sublistId, index, fieldIds) {
+        var values = {};
+
+        (fieldIds || rec.getSublistFields({ sublistId: sublistId })).forEach(function(fieldId) {
+            var value = rec.getSublistValue({ sublistId: sublistId, fieldId: fieldId, line: index });
+
+            if (fieldIds || (value !== null && value !== undefined && value !== '')) {
+                values[fieldId] = value;
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Load the parent records in dynamic mode
+     *
+     * @param {Object} parsedStatement - Parsed statement
+     * @param {Array} parentIds - Parent record internal IDs
+     * @returns {Array} Targets ({ recordType, recordId, record })
+     */
+    function loadTargets(parsedStatement, parentIds) {
+        var recordTypes = resolveRecordTypes(parsedStatement, parentIds);
+
+        return parentIds.map(function(parentId) {
+            return {
+                recordType: recordTypes[parentId],
+                recordId: parentId,
+                record: record.load({
+                    type: recordTypes[parentId],
+                    id: parentId,
+                    isDynamic: true
+                })
+            };
+        });
+    }
+
+    /**
+     * Find the record type of each parent record
+     *
+     * transactionline statements can touch any transaction type, so their
+     * types are looked up with SuiteQL; otherwise the table names the type.
+     *
+     * @param {Object} parsedStatement - Parsed statement
+     * @param {Array} parentIds - Parent record internal IDs
+     * @returns {Object} Record type by parent ID
+     */
+    function resolveRecordTypes(parsedStatement, parentIds) {
+        var recordTypes = {};
+
+        if (parsedStatement.tableName.toLowerCase() !== 'transaction') {
+            var recordType = dmlUtils.determineRecordType(parsedStatement.tableName);
+
+            if (recordType.isCustomList) {
+                throw error.create({
+                    name: 'UNSUPPORTED_SUBLIST_TARGET',
+                    message: 'Custom lists have no sublists'
+                });
+            }
+
+            parentIds.forEach(function(parentId) {
+                recordTypes[parentId] = recordType.type;
+            });
+            return recordTypes;
+        }
+
+        if (parentIds.length > 0) {
+            query.runSuiteQL({
+                query: 'SELECT transaction.id, transaction.recordtype FROM transaction WHERE transaction.id IN ( ' +
+                    parentIds.map(function() { return '?'; }).join(', ') + ' )',
+                params: parentIds
+            }).asMappedResults().forEach(function(result) {
+                recordTypes[String(result.id)] = result.recordtype;
+            });
+        }
+
+        parentIds.forEach(function(parentId) {
+            if (!recordTypes[parentId]) {
+                throw error.create({
+                    name: 'RECORD_NOT_FOUND',
+                    message: 'Transaction ' + parentId + ' was not found'
+                });
+            }
+        });
+
+        return recordTypes;
+    }
+
+    /**
+     * Apply the planned line changes and save each record
+     *
+     * Each record is saved once with all of its line changes. A record that
+     * fails is reported and the rest are still saved.
+     *
+     * @param {Object} parsedStatement - Parsed statement
+     * @param {Array} targets - Planned targets
+     * @returns {Object} Change result
+     */
+    function applyChanges(parsedStatement, targets) {
+        var sublistId = parsedStatement.sublistId;
+        var recordIds = [];
+        var errors = [];
+        var linesChanged = 0;
+
+        targets.forEach(function(target) {
+            try {
+                var rec = target.record;
+
+                if (parsedStatement.operation === 'DELETE') {
+                    // Remove from the bottom up so the remaining indexes stay valid
+                    target.lines.slice().reverse().forEach(function(line) {
+                        rec.removeLine({ sublistId: sublistId, line: line.index });
+                    });
+                } else {
+                    target.lines.forEach(function(line) {
+                        if (line.action === 'INSERT') {
+                            rec.selectNewLine({ sublistId: sublistId });
+                        } else {
+                            rec.selectLine({ sublistId: sublistId, line: line.index });
+                        }
+
+                        Object.keys(line.after).forEach(function(fieldId) {
+                            rec.setCurrentSublistValue({
+                                sublistId: sublistId,
+                                fieldId: fieldId,
+                                value: line.after[fieldId]
+                            });
+                        });
+
+                        rec.commitLine({ sublistId: sublistId });
+                    });
+                }
+
+                rec.save();
+                recordIds.push(target.recordId);
+                linesChanged += target.lines.length;
+
+            } catch (recordError) {
+                target.error = recordError.message;
+                errors.push({
+                    recordType: target.recordType,
+                    recordId: target.recordId,
+                    error: recordError.message
+                });
+
+                log.error({
+                    title: 'Error changing sublist lines',
+                    details: 'Record: ' + target.recordType + ' ' + target.recordId + ', Sublist: ' + sublistId + ', Error: ' + recordError.message
+                });
+            }
+        });
+
+        if (errors.length > 0 && recordIds.length === 0) {
+            throw error.create({
+                name: 'SUBLIST_CHANGE_FAILED',
+                message: 'Failed to change the lines of any record. First error: ' + errors[0].error
+            });
+        }
+
+        return {
+            sublistId: sublistId,
+            recordType: getRecordTypeLabel(targets),
+            recordIds: recordIds,
+            lines: summarizeLines(targets),
+            linesChanged: linesChanged,
+            errors: errors
+        };
+    }
+
+    /**
+     * Flatten the planned lines for the result
+     *
+     * @param {Array} targets - Planned targets
+     * @returns {Array} [{ recordType, recordId, line, action, before, after }] (error is added to lines of records that failed)
+     */
+    function summarizeLines(targets) {
+        var lines = [];
+
+        targets.forEach(function(target) {
+            target.lines.forEach(function(line) {
+                var summary = {
+                    recordType: target.recordType,
+                    recordId: target.recordId,
+                    line: line.line,
+                    action: line.action,
+                    before: line.before,
+                    after: line.after
+                };
+
+                if (target.error) {
+                    summary.error = target.error;
+                }
+                lines.push(summary);
+            });
+        });
+
+        return lines;
+    }
+
+    /**
+     * Describe the record types of the targets
+     *
+     * @param {Array} targets - Planned targets
+     * @returns {string|null} The record type, a comma-separated list, or null when there are no targets
+     */
+    function getRecordTypeLabel(targets) {
+        var recordTypes = [];
+
+        targets.forEach(function(target) {
+            if (recordTypes.indexOf(target.recordType) === -1) {
+                recordTypes.push(target.recordType);
+            }
+        });
+
+        return recordTypes.length > 0 ? recordTypes.join(', ') : null;
+    }
+
+    /**
+     * Find the column that names the parent record in an INSERT row
+     *
+     * @param {Object} row - INSERT row
+     * @param {string} parentField - Parent column name (lowercase)
+     * @returns {string|null} The column as written, or null if missing
+     */
+    function findParentKey(row, parentField) {
+        var keys = Object.keys(row).filter(function(fieldId) {
+            return fieldId.toLowerCase() === parentField;
+        });
+
+        return keys.length > 0 ? keys[0] : null;
+    }
+
+    // Public API
+    return {
+        execute: execute
+    };
+});
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview UPSERT Record Operation
+ *
+ * Handles UPSERT INTO and MERGE INTO statements, which match each row to an
+ * existing record by external ID and either update it or insert a new one.
+ * Loads from integrations can be rerun without creating duplicates.
+ *
+ * Syntax examples:
+ * - UPSERT INTO customer (externalid, companyname, email) VALUES ('C-1', 'Acme Corp', 'ap@acme.com'), ('C-2', 'Globex', 'ap@globex.com')
+ * - MERGE INTO customer (externalid, companyname) VALUES ('C-1', 'Acme Corp')
+ *     WHEN MATCHED THEN UPDATE WHEN NOT MATCHED THEN INSERT
+ *
+ * Like INSERT, UPDATE and DELETE, statements only preview (listing which
+ * rows would be inserted, updated or skipped) until COMMIT is added.
+ *
+ * @author Enhanced SuiteQL Tool
+ * @version 1.0.0
+ */
+
+define([
+    'N/log',
+    'N/error',
+    'N/record',
+    '../dmlUtils',
+    './insertRecord'
+], function(log, error, record, dmlUtils, insertRecord) {
+    'use strict';
+
+    /**
+     * Execute UPSERT operation
+     *
+     * @param {Object} parsedStatement - Parsed UPSERT statement
+     * @returns {Object} Execution result
+     */
+    function execute(parsedStatement) {
+        log.debug({
+            title: 'Executing UPSERT',
+            details: 'Table: ' + parsedStatement.tableName + ', Rows: ' + parsedStatement.rows.length +
+                ', When matched: ' + parsedStatement.whenMatched + ', When not matched: ' + parsedStatement.whenNotMatched
+        });
+
+        try {
+            var recordType = dmlUtils.determineRecordType(parsedStatement.tableName);
+
+            if (recordType.isCustomList) {
+                throw error.create({
+                    name: 'UNSUPPORTED_UPSERT_TARGET',
+                    message: 'UPSERT is not supported for custom lists. Use INSERT and UPDATE instead.'
+                });
+            }
+
+            var plan = planRows(parsedStatement, recordType);
+            var counts = countActions(plan);
+
+            if (parsedStatement.isPreview) {
+                log.audit({
+                    title: 'UPSERT PREVIEW - NO RECORDS CHANGED',
+                    details: 'Table: ' + parsedStatement.tableName + ', Insert: ' + counts.INSERT + ', Update: ' + counts.UPDATE + ', Skip: ' + counts.SKIP
+                });
+
+                return {
+                    success: true,
+                    result: {
+                        isPreview: true,
+                        rows: plan,
+                        recordIds: plan.filter(function(row) {
+                            return row.action === 'UPDATE';
+                        }).map(function(row) {
+                            return row.recordId;
+                        }),
+                        recordsToInsert: counts.INSERT,
+                        recordsToUpdate: counts.UPDATE,
+                        recordsSkipped: counts.SKIP
+                    },
+                    error: null,
+                    message: '🔍 PREVIEW ONLY - NO RECORDS CHANGED. Would insert ' + counts.INSERT + ' and update ' + counts.UPDATE +
+                        ' record(s) in ' + parsedStatement.tableName + (counts.SKIP > 0 ? ', skipping ' + counts.SKIP : '') + '. Add COMMIT to actually upsert.',
+                    metadata: {
+                        operation: 'UPSERT_PREVIEW',
+                        tableName: parsedStatement.tableName,
+                        recordType: recordType.type,
+                        isPreviewOnly: true
+                    }
+                };
+            }
+
+            var result = upsertRows(parsedStatement, recordType, plan);
+
+            log.audit({
+                title: 'UPSERT Success',
+                details: 'Table: ' + parsedStatement.tableName + ', Inserted: ' + result.recordsInserted + ', Updated: ' + result.recordsUpdated +
+                    ', Skipped: ' + result.recordsSkipped + ', Errors: ' + result.errors.length
+            });
+
+            return {
+                success: true,
+                result: result,
+                error: null,
+                message: 'Upserted ' + result.recordIds.length + ' record(s) in ' + parsedStatement.tableName + ': ' + result.recordsInserted +
+                    ' inserted, ' + result.recordsUpdated + ' updated' + (result.recordsSkipped > 0 ? ', ' + result.recordsSkipped + ' skipped' : '') +
+                    (result.errors.length > 0 ? ', ' + result.errors.length + ' failed' : ''),
+                metadata: {
+                    operation: 'UPSERT',
+                    tableName: parsedStatement.tableName,
+                    recordType: recordType.type,
+                    recordIds: result.recordIds
+                }
+            };
+
+        } catch (executionError) {
+            log.error({
+                title: 'UPSERT Error',
+                details: 'Table: ' + parsedStatement.tableName + ', Error: ' + executionError.message
+            });
+
+            return {
+                success: false,
+                result: null,
+                error: executionError.message,
+                message: null,
+                metadata: {
+                    operation: 'UPSERT',
+                    tableName: parsedStatement.tableName,
+                    errorType: executionError.name || 'EXECUTION_ERROR'
+                }
+            };
+        }
+    }
+
+    /**
+     * Match each row to an existing record and decide what to do with it
+     *
+     * @param {Object} parsedStatement - Parsed UPSERT statement
+     * @param {Object} recordType - Record type information
+     * @returns {Array} [{ row, externalId, action: 'INSERT'|'UPDATE'|'SKIP', recordId }] (error is added to rows that fail)
+     */
+    function planRows(parsedStatement, recordType) {
+        var keyField = parsedStatement.keyField;
+        var externalIds = parsedStatement.rows.map(function(row, index) {
+            var externalId = row[keyField];
+
+            if (externalId === null || externalId === undefined || String(externalId).trim() === '') {
+                throw error.create({
+                    name: 'MISSING_EXTERNAL_ID',
+                    message: 'Row ' + (index + 1) + ' has no ' + keyField + '. Every UPSERT row needs an external ID to match on.'
+                });
+            }
+
+            return String(externalId);
+        });
+
+        externalIds.forEach(function(externalId, index) {
+            if (externalIds.indexOf(externalId) !== index) {
+                throw error.create({
+                    name: 'DUPLICATE_EXTERNAL_ID',
+                    message: 'External ID ' + externalId + ' appears in more than one row'
+                });
+            }
+        });
+
+        var existing = dmlUtils.findRecordIdsByExternalId(recordType, externalIds);
+
+        return externalIds.map(function(externalId, index) {
+            var recordId = existing[externalId] || null;
+            var action = recordId ? parsedStatement.whenMatched : parsedStatement.whenNotMatched;
+
+            return {
+                row: index + 1,
+                externalId: externalId,
+                action: action || 'SKIP',
+                recordId: recordId
+            };
+        });
+    }
+
+    /**
+     * Insert or update each planned row
+     *
+     * A row that fails is reported and the rest still run, the same as a
+     * multi-record UPDATE.
+     *
+     * @param {Object} parsedStatement - Parsed UPSERT statement
+     * @param {Object} recordType - Record type information
+     * @param {Array} plan - Planned rows from planRows
+     * @returns {Object} Upsert result
+     */
+    function upsertRows(parsedStatement, recordType, plan) {
+        var recordIds = [];
+        var errors = [];
+        var counts = { INSERT: 0, UPDATE: 0, SKIP: 0 };
+
+        plan.forEach(function(planned) {
+            var row = parsedStatement.rows[planned.row - 1];
+
+            if (planned.action === 'SKIP') {
+                counts.SKIP++;
+                return;
+            }
+
+            try {
+                if (planned.action === 'UPDATE') {
+                    var values = {};
+                    Object.keys(row).forEach(function(fieldId) {
+                        if (fieldId !== parsedStatement.keyField) {
+                            values[fieldId] = row[fieldId];
+                        }
+                    });
+
+                    record.submitFields({
+                        type: recordType.type,
+                        id: planned.recordId,
+                        values: values
+                    });
+                } else {
+                    var inserted = insertRecord.execute({
+                        operation: 'INSERT',
+                        tableName: parsedStatement.tableName,
+                        fields: row,
+                        isPreview: false
+                    });
+
+                    if (!inserted.success) {
+                        throw error.create({
+                            name: 'UPSERT_INSERT_FAILED',
+                            message: inserted.error
+                        });
+                    }
+                    planned.recordId = inserted.result.recordIds[0];
+                }
+
+                counts[planned.action]++;
+                recordIds.push(planned.recordId);
+
+            } catch (rowError) {
+                planned.error = rowError.message;
+                errors.push({
+                    row: planned.row,
+                    externalId: planned.externalId,
+                    error: rowError.message
+                });
+
+                log.error({
+                    title: 'Error upserting row',
+                    details: 'Row: ' + planned.row + ', External ID: ' + planned.externalId + ', Action: ' + planned.action + ', Error: ' + rowError.message
+                });
+            }
+        });
+
+        if (errors.length > 0 && recordIds.length === 0) {
+            throw error.create({
+                name: 'UPSERT_FAILED',
+                message: 'Failed to upsert any rows. First error: ' + errors[0].error
+            });
+        }
+
+        return {
+            rows: plan,
+            recordIds: recordIds,
+            recordType: recordType.type,
+            recordsInserted: counts.INSERT,
+            recordsUpdated: counts.UPDATE,
+            recordsSkipped: counts.SKIP,
+            errors: errors
+        };
+    }
+
+    /**
+     * Count planned rows by action
+     *
+     * @param {Array} plan - Planned rows
+     * @returns {Object} { INSERT, UPDATE, SKIP }
+     */
+    function countActions(plan) {
+        var counts = { INSERT: 0, UPDATE: 0, SKIP: 0 };
+
+        plan.forEach(function(planned) {
+            counts[planned.action]++;
+        });
+
+        return counts;
+    }
+
+    // Public API
+    return {
+        execute: execute
+    };
+});
@@ -137,6 +137,13 @@ define([
                 codeEditor.on('cursorActivity', function(cm) {
                     updateCursorPosition();
                 });
+
+                // Suggest virtual views when a # is typed
+                codeEditor.on('inputRead', function(cm, change) {
+                    if (change.text.join('') === '#' && isViewsEnabled()) {
+                        showVirtualViewHints(cm);
+                    }
+                });
                 
                 // Focus the editor
                 setTimeout(function() {
@@ -147,6 +154,86 @@ define([
         `;
     }
     
+    /**
+     * Generate the virtual view autocomplete JavaScript
+     * 
+     * @returns {string} JavaScript code for suggesting #view names
+     */
+    function getVirtualViewAutocompleteJS() {
+        return `
+            let virtualViewList = null;
+
+            function loadVirtualViews(callback) {
+                if (virtualViewList !== null) {
+                    callback(virtualViewList);
+                    return;
+                }
+
+                fetch(window.location.href, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ 'function': '` + constants.REQUEST_FUNCTIONS.VIEWS_LIST + `' })
+                })
+                .then(response => response.json())
+                .then(data => {
+                    virtualViewList = data.error ? [] : data.views;
+                    callback(virtualViewList);
+                })
+                .catch(() => {
+                    callback([]);
+                });
+            }
+
+            function getVirtualViewCompletion(view) {
+                if (!view.parameters || view.parameters.length === 0) {
+                    return '#' + view.name;
+                }
+
+                return '#' + view.name + '(' + view.parameters.map(parameter => parameter.name + ' => ' + (parameter.defaultValue || '')).join(', ') + ')';
+            }
+
+            function showVirtualViewHints(cm) {
+                if (typeof CodeMirror.showHint !== 'function') {
+                    return;
+                }
+
+                loadVirtualViews(views => {
+                    if (views.length === 0) {
+                        return;
+                    }
+
+                    cm.showHint({
+                        completeSingle: false,
+                        hint: function(editor) {
+                            const cursor = editor.getCursor();
+                            const before = editor.getLine(cursor.line).substring(0, cursor.ch);
+                            const match = before.match(/#(\\w*)$/);
+
+                            if (!match) {
+                                return null;
+                            }
+
+                            const prefix = match[1].toLowerCase();
+
+                            return {
+                                list: views
+                                    .filter(view => view.name.toLowerCase().indexOf(prefix) === 0)
+                                    .map(view => ({
+                                        text: getVirtualViewCompletion(view),
+                                        displayText: '#' + view.name + (view.description ? ' - ' + view.description : '')
+                                    })),
+                                from: CodeMirror.Pos(cursor.line, cursor.ch - match[0].length),
+                                to: cursor
+                            };
+                        }
+                    });
+                });
+            }
+        `;
+    }
+    
     /**
      * Generate the default query set JavaScript
      * 
@@ -323,7 +410,8 @@ define([
                getCursorPositionJS() + '\n' +
                getFileInfoRefreshJS() + '\n' +
                getZoomControlsJS() + '\n' +
-               getThemeToggleJS();
+               getThemeToggleJS() + '\n' +
+               getVirtualViewAutocompleteJS();
     }
     
     /**
@@ -336,6 +424,7 @@ define([
         getFileInfoRefreshJS: getFileInfoRefreshJS,
         getZoomControlsJS: getZoomControlsJS,
         getThemeToggleJS: getThemeToggleJS,
+        getVirtualViewAutocompleteJS: getVirtualViewAutocompleteJS,
         getAllEditorJS: getAllEditorJS
     };
     
@@ -97,7 +97,7 @@ define([
                 tbody += '</tbody>';
 
                 // Update the header with results info
-                updateQueryResultsHeader(records.length, queryResponsePayload.totalRecordCount, queryResponsePayload.elapsedTime);
+                updateQueryResultsHeader(records.length, queryResponsePayload.totalRecordCount, queryResponsePayload.elapsedTime, queryResponsePayload.telemetry);
 
                 // Create single table with sticky header
                 let content = '<div class="codeoss-table-wrapper" style="height: calc(100% - 5px);">';
@@ -5,6 +5,7 @@
  * @param {number} context.params.amount - Amount to calculate tax on
  * @param {string} context.params.state - State code for tax calculation
  * @returns {number} Calculated tax amount
+ * @example calculate_tax(100, 'CA') => 8.75
  */
 function calculate_tax(context) {
     var amount = parseFloat(context.params.amount) || 0;
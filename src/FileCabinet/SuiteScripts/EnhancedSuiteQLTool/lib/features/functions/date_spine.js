@@ -0,0 +1,52 @@
+/**
+ * Generate one row per day between two dates, for use with TABLE()
+ *
+ * @param {Object} context - Execution context
+ * @param {string} context.params.start_date - First date (YYYY-MM-DD)
+ * @param {string} context.params.end_date - Last date (YYYY-MM-DD)
+ * @param {number} context.params.step_days - Days between rows (default 1)
+ * @returns {Array} Rows of { date, year, month, day, weekday }
+ * @example date_spine('2025-01-01', '2025-01-02') => [{"date": "2025-01-01", "weekday": "Wednesday"}, {"date": "2025-01-02", "weekday": "Thursday"}]
+ * @example date_spine('01/01/2025', '2025-01-02') => ERROR 'YYYY-MM-DD'
+ */
+function date_spine(context) {
+    var start = parseDate(context.params.start_date);
+    var end = parseDate(context.params.end_date);
+    var step = parseInt(context.params.step_days, 10) || 1;
+    var maxRows = 10000;
+
+    if (!start || !end) {
+        throw new Error('date_spine expects dates as YYYY-MM-DD');
+    }
+
+    if (step < 1) {
+        throw new Error('date_spine step_days must be at least 1');
+    }
+
+    var rows = [];
+    var weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+    for (var current = start; current <= end; current = new Date(current.getTime() + step * 86400000)) {
+        if (rows.length >= maxRows) {
+            throw new Error('date_spine is limited to ' + maxRows + ' rows');
+        }
+
+        rows.push({
+            date: current.toISOString().substring(0, 10),
+            year: current.getUTCFullYear(),
+            month: current.getUTCMonth() + 1,
+            day: current.getUTCDate(),
+            weekday: weekdays[current.getUTCDay()]
+        });
+    }
+
+    return rows;
+}
+
+/**
+ * Parse a YYYY-MM-DD date as UTC midnight
+ */
+function parseDate(value) {
+    var match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return match ? new Date(Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10))) : null;
+}
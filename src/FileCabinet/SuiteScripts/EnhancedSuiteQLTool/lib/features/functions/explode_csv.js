@@ -0,0 +1,31 @@
+/**
+ * Split a delimited string into one row per value, for use with TABLE()
+ *
+ * @param {Object} context - Execution context
+ * @param {string} context.params.text - Delimited values (e.g. a multi-select field's IDs)
+ * @param {string} context.params.delimiter - Delimiter (default ',')
+ * @returns {Array} Rows of { position, value }, skipping empty values
+ * @example explode_csv('a, b,,c') => [{"position": 1, "value": "a"}, {"position": 2, "value": "b"}, {"position": 3, "value": "c"}]
+ */
+function explode_csv(context) {
+    var text = context.params.text;
+    var delimiter = context.params.delimiter || ',';
+
+    if (text === null || text === undefined || text === '') {
+        return [];
+    }
+
+    var rows = [];
+
+    String(text).split(delimiter).forEach(function(value) {
+        value = value.trim();
+        if (value !== '') {
+            rows.push({
+                position: rows.length + 1,
+                value: value
+            });
+        }
+    });
+
+    return rows;
+}
@@ -5,6 +5,8 @@
  * @param {string} context.params.phone_number - Phone number to format
  * @param {string} context.params.format - Format type ('us', 'international', 'digits')
  * @returns {string} Formatted phone number
+ * @example format_phone('5551234567', 'us') => '(555) 123-4567'
+ * @example format_phone('(555) 123-4567', 'digits') => '5551234567'
  */
 function format_phone(context) {
     var phone_number = context.params.phone_number || '';
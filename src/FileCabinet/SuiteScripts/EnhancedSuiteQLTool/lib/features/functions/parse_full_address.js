@@ -4,6 +4,7 @@
  * @param {Object} context - Execution context
  * @param {string} context.params.full_address - Full address string to parse
  * @returns {Object} Address components (street, city, state, zip, country)
+ * @example parse_full_address('1 Main St, Springfield, IL 62701') => {"street": "1 Main St", "city": "Springfield", "state": "IL", "zip": "62701"}
  */
 function parse_full_address(context) {
     var full_address = context.params.full_address || '';
@@ -4,6 +4,8 @@
  * @param {Object} context - Execution context
  * @param {string} context.params.country - Country abbreviation (e.g., 'US') or name (e.g., 'United States')
  * @returns {string} Standardized full country name or original input if not found
+ * @example standardize_country_full_name('US') => 'United States'
+ * @example standardize_country_full_name('Narnia') => 'Narnia'
  */
 function standardize_country_full_name(context) {
     var country = context.params.country || '';
@@ -0,0 +1,32 @@
+/**
+ * Join the distinct non-empty values of a column, per group
+ *
+ * @aggregate
+ * @param {Object} context - Execution context
+ * @param {string} context.params.value - Value to collect
+ * @param {string} context.params.separator - Separator between values (default ', ')
+ * @returns {Object} Aggregate hooks returning the sorted values joined by the separator
+ */
+function string_agg_distinct(context) {
+    return {
+        init: function() {
+            return { values: {}, separator: ', ' };
+        },
+
+        accumulate: function(state, params) {
+            if (params.value !== null && params.value !== undefined && params.value !== '') {
+                state.values[String(params.value)] = true;
+            }
+
+            if (params.separator !== undefined) {
+                state.separator = params.separator;
+            }
+
+            return state;
+        },
+
+        finalize: function(state) {
+            return Object.keys(state.values).sort().join(state.separator);
+        }
+    };
+}
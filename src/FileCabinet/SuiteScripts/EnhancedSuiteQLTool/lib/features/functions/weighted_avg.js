@@ -0,0 +1,33 @@
+/**
+ * Average of a value weighted by another column, per group
+ *
+ * @aggregate
+ * @param {Object} context - Execution context
+ * @param {number} context.params.value - Value to average
+ * @param {number} context.params.weight - Weight of each value
+ * @returns {Object} Aggregate hooks returning the weighted average, or null if the weights total zero
+ */
+function weighted_avg(context) {
+    return {
+        init: function() {
+            return { total: 0, weight: 0 };
+        },
+
+        accumulate: function(state, params) {
+            var value = parseFloat(params.value);
+            var weight = parseFloat(params.weight);
+
+            // Rows missing either number don't count
+            if (!isNaN(value) && !isNaN(weight)) {
+                state.total += value * weight;
+                state.weight += weight;
+            }
+
+            return state;
+        },
+
+        finalize: function(state) {
+            return state.weight !== 0 ? state.total / state.weight : null;
+        }
+    };
+}
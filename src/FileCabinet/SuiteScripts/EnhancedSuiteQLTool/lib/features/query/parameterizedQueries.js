@@ -529,11 +529,15 @@ define([
                     rowEnd: getRowEnd(),
                     paginationEnabled: isPaginationEnabled(),
                     returnTotals: isReturnTotalsEnabled(),
-                    viewsEnabled: isViewsEnabled()
+                    viewsEnabled: isViewsEnabled(),
+                    paginationStrategy: getPaginationStrategy(),
+                    keyColumn: getKeyColumn(),
+                    bypassCache: isCacheBypassed()
                 };
 
                 // Track execution start time
                 const executionStartTime = Date.now();
+                const execution = startQueryExecution(requestPayload);
 
                 // Execute the query
                 fetch(window.location.href, {
@@ -541,7 +545,8 @@ define([
                     headers: {
                         'Content-Type': 'application/json',
                     },
-                    body: JSON.stringify(requestPayload)
+                    body: JSON.stringify(requestPayload),
+                    signal: execution.controller.signal
                 })
                 .then(response => {
                     if (!response.ok) {
@@ -551,6 +556,7 @@ define([
                 })
                 .then(data => {
                     const executionTime = Date.now() - executionStartTime;
+                    finishQueryExecution(execution);
                     window.queryResponsePayload = data;
 
                     // Add to query history with execution details (same as regular queries)
@@ -565,6 +571,10 @@ define([
                         }
                     }
 
+                    if (typeof updateNextPageState === 'function') {
+                        updateNextPageState(requestPayload, data);
+                    }
+
                     // Handle the response the same way as regular queries
                     if (typeof handleQueryResponse === 'function') {
                         handleQueryResponse(data);
@@ -578,6 +588,15 @@ define([
                 })
                 .catch(error => {
                     const executionTime = Date.now() - executionStartTime;
+                    finishQueryExecution(execution);
+
+                    if (isQueryAborted(error)) {
+                        handleQueryAborted(execution);
+                        window.currentParameterizedQuery = null;
+                        window.currentParameters = null;
+                        return;
+                    }
+
                     console.error('Error executing parameterized query:', error);
 
                     // Add failed query to history
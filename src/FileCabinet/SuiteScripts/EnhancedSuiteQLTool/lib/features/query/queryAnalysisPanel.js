@@ -0,0 +1,179 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ */
+
+/**
+ * Enhanced SuiteQL Query Tool - Query Analysis Panel
+ *
+ * This module handles the Analyze action, which requests an
+ * EXPLAIN-style breakdown of the current query from the server
+ * and renders its tables, joins, filters, functions and warnings
+ * in the results panel without running the query.
+ *
+ * @author Matt Owen - Web Solutions Group, LLC
+ * @version 2025.1
+ */
+
+define([
+    '../../core/constants'
+], function(constants) {
+
+    /**
+     * Generate the query analysis request JavaScript
+     *
+     * @returns {string} JavaScript code for requesting a query analysis
+     */
+    function getAnalyzeQueryJS() {
+        return `
+            function analyzeQuery() {
+                let query = '';
+
+                // Get query text from CodeMirror or textarea
+                if (codeEditor) {
+                    const selectedText = codeEditor.getSelection();
+                    query = selectedText || codeEditor.getValue();
+                } else {
+                    const textarea = document.getElementById('${constants.ELEMENT_IDS.QUERY_TEXTAREA}');
+                    query = textarea ? textarea.value : '';
+                }
+
+                if (!query || query.trim() === '') {
+                    alert('${constants.ERROR_MESSAGES.QUERY_EMPTY}');
+                    return;
+                }
+
+                const requestPayload = {
+                    'function': '${constants.REQUEST_FUNCTIONS.QUERY_ANALYZE}',
+                    query: query.trim(),
+                    viewsEnabled: isViewsEnabled()
+                };
+
+                document.getElementById('${constants.ELEMENT_IDS.STATUS_TEXT}').textContent = 'Analyzing query...';
+
+                fetch(window.location.href, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify(requestPayload)
+                })
+                .then(response => response.json())
+                .then(data => {
+                    if (data.error) {
+                        handleQueryError(data.error);
+                        return;
+                    }
+
+                    renderQueryAnalysis(data.analysis);
+                })
+                .catch(error => {
+                    handleQueryError(error);
+                });
+            }
+        `;
+    }
+
+    /**
+     * Generate the query analysis rendering JavaScript
+     *
+     * @returns {string} JavaScript code for rendering a query analysis
+     */
+    function getRenderQueryAnalysisJS() {
+        return `
+            function renderAnalysisSection(title, items, renderItem) {
+                if (!items || items.length === 0) {
+                    return '';
+                }
+
+                return \`
+                    <div style="margin-bottom: 16px;">
+                        <div style="font-size: 11px; font-weight: bold; text-transform: uppercase; color: var(--codeoss-text-secondary); margin-bottom: 6px;">\${title} (\${items.length})</div>
+                        <ul style="margin: 0; padding-left: 18px; font-size: 12px; color: var(--codeoss-text-primary);">
+                            \${items.map(item => \`<li style="margin-bottom: 4px;">\${renderItem(item)}</li>\`).join('')}
+                        </ul>
+                    </div>
+                \`;
+            }
+
+            function renderQueryAnalysis(analysis) {
+                const levelColors = {
+                    error: 'var(--codeoss-error)',
+                    warning: 'var(--codeoss-warning)',
+                    info: 'var(--codeoss-accent)'
+                };
+                const code = text => \`<code style="font-family: monospace;">\${escapeHTML(text)}</code>\`;
+
+                const warningsHTML = analysis.warnings.length === 0 ?
+                    \`<div style="border-left: 3px solid var(--codeoss-success); padding: 8px 12px; margin-bottom: 16px; font-size: 12px; color: var(--codeoss-text-primary);">No problems found.</div>\` :
+                    analysis.warnings.map(warning => \`
+                        <div style="border-left: 3px solid \${levelColors[warning.level] || levelColors.info}; padding: 8px 12px; margin-bottom: 8px; font-size: 12px; color: var(--codeoss-text-primary);">
+                            <strong>\${warning.level.toUpperCase()}:</strong> \${escapeHTML(warning.message)}
+                        </div>
+                    \`).join('');
+
+                const clausesHTML = [
+                    analysis.groupBy ? { name: 'GROUP BY', text: analysis.groupBy } : null,
+                    analysis.having ? { name: 'HAVING', text: analysis.having } : null,
+                    analysis.orderBy ? { name: 'ORDER BY', text: analysis.orderBy } : null
+                ].filter(clause => clause !== null);
+
+                const analysisHTML = \`
+                    <div style="padding: 20px; background-color: var(--codeoss-panel-bg); overflow: auto; width: 100%;">
+                        <h4 style="margin: 0 0 12px 0; font-size: 14px; color: var(--codeoss-text-primary);">🔍 Query Analysis - \${analysis.statementType}</h4>
+                        \${warningsHTML}
+                        \${renderAnalysisSection('Virtual Views', analysis.virtualViews, view => code('#' + view.name + (view.arguments !== null ? '(' + view.arguments + ')' : '')) + (view.resolved ? ' (resolved)' : ' (not resolved)'))}
+                        \${renderAnalysisSection('Common Table Expressions', analysis.commonTableExpressions, code)}
+                        \${renderAnalysisSection('Tables', analysis.tables, table =>
+                            \`<strong>\${escapeHTML(table.joinType)}</strong> \${code(table.name)}\${table.alias ? ' AS ' + code(table.alias) : ''}\${table.condition ? ' ON ' + code(table.condition) : ''}\`)}
+                        \${renderAnalysisSection('Columns', analysis.columns, code)}
+                        \${renderAnalysisSection('Filters', analysis.filters, filter =>
+                            (filter.connector ? \`<strong>\${filter.connector}</strong> \` : '') + code(filter.condition))}
+                        \${renderAnalysisSection('Grouping and Sorting', clausesHTML, clause => \`<strong>\${clause.name}</strong> \${code(clause.text)}\`)}
+                        \${renderAnalysisSection('Set Operations', analysis.setOperations, code)}
+                        \${renderAnalysisSection('BUILTIN Functions', analysis.builtinFunctions, builtin => code(builtin.name) + (builtin.count > 1 ? \` x\${builtin.count}\` : ''))}
+                        \${renderAnalysisSection('Synthetic Functions', analysis.syntheticFunctions, call =>
+                            code(call.call) + (call.registered ? '' : ' (not registered)') + (call.inWhereClause ? ' (in WHERE)' : ''))}
+                        \${renderAnalysisSection('Stored Procedures', analysis.storedProcedures, code)}
+                        \${analysis.virtualViews.some(view => view.resolved) ? \`
+                            <div style="font-size: 11px; font-weight: bold; text-transform: uppercase; color: var(--codeoss-text-secondary); margin-bottom: 6px;">Resolved Query</div>
+                            <pre style="margin: 0; padding: 8px; font-size: 11px; background-color: var(--codeoss-bg-secondary); color: var(--codeoss-text-primary); white-space: pre-wrap;">\${escapeHTML(analysis.resolvedQuery)}</pre>
+                        \` : ''}
+                    </div>
+                \`;
+
+                const problemCount = analysis.warnings.filter(warning => warning.level !== 'info').length;
+
+                document.getElementById('${constants.ELEMENT_IDS.RESULTS_DIV}').innerHTML = analysisHTML;
+                document.getElementById('${constants.ELEMENT_IDS.RESULTS_DIV}').style.display = 'flex';
+                document.getElementById('${constants.ELEMENT_IDS.WELCOME_MESSAGE}').style.display = 'none';
+                document.getElementById('${constants.ELEMENT_IDS.COPY_CLIPBOARD_BTN}').style.display = 'none';
+                document.getElementById('${constants.ELEMENT_IDS.QUERY_RESULTS_HEADER}').textContent = 'Query Analysis';
+                renderExecutionDetails(null);
+                document.getElementById('${constants.ELEMENT_IDS.STATUS_TEXT}').textContent = problemCount === 0 ?
+                    'Analysis complete: no problems found' :
+                    \`Analysis complete: \${problemCount} warning\${problemCount === 1 ? '' : 's'}\`;
+            }
+        `;
+    }
+
+    /**
+     * Get all query analysis JavaScript functions
+     *
+     * @returns {string} Complete JavaScript code for query analysis functionality
+     */
+    function getAllQueryAnalysisJS() {
+        return getAnalyzeQueryJS() + '\n' +
+               getRenderQueryAnalysisJS();
+    }
+
+    /**
+     * Export the query analysis panel functions
+     */
+    return {
+        getAnalyzeQueryJS: getAnalyzeQueryJS,
+        getRenderQueryAnalysisJS: getRenderQueryAnalysisJS,
+        getAllQueryAnalysisJS: getAllQueryAnalysisJS
+    };
+
+});
@@ -77,11 +77,15 @@ define([
                     rowEnd: getRowEnd(),
                     paginationEnabled: isPaginationEnabled(),
                     returnTotals: isReturnTotalsEnabled(),
-                    viewsEnabled: isViewsEnabled()
+                    viewsEnabled: isViewsEnabled(),
+                    paginationStrategy: getPaginationStrategy(),
+                    keyColumn: getKeyColumn(),
+                    bypassCache: isCacheBypassed()
                 };
 
                 // Track execution start time
                 const executionStartTime = Date.now();
+                const execution = startQueryExecution(requestPayload);
 
                 // Execute the query
                 fetch(window.location.href, {
@@ -89,11 +93,13 @@ define([
                     headers: {
                         'Content-Type': 'application/json',
                     },
-                    body: JSON.stringify(requestPayload)
+                    body: JSON.stringify(requestPayload),
+                    signal: execution.controller.signal
                 })
                 .then(response => response.json())
                 .then(data => {
                     const executionTime = Date.now() - executionStartTime;
+                    finishQueryExecution(execution);
                     queryResponsePayload = data;
 
                     // Add to query history with execution details
@@ -104,10 +110,17 @@ define([
                         updateQueryHistory(query.trim(), executionTime, recordCount, true, null, 'table');
                     }
 
+                    updateNextPageState(requestPayload, data);
                     handleQueryResponse(data);
                 })
                 .catch(error => {
                     const executionTime = Date.now() - executionStartTime;
+                    finishQueryExecution(execution);
+
+                    if (isQueryAborted(error)) {
+                        handleQueryAborted(execution);
+                        return;
+                    }
 
                     // Add failed query to history
                     updateQueryHistory(query.trim(), executionTime, 0, false, error.message || 'Network error', 'table');
@@ -293,6 +306,13 @@ define([
     function getHandleDMLResponseJS() {
         return `
             function handleDMLResponse(data) {
+                // Statements handed off to a DML job show the job's progress instead
+                if (data.result && data.result.job) {
+                    renderQueryJob(data.result.job);
+                    scheduleQueryJobPoll(data.result.job.jobId);
+                    return;
+                }
+
                 // Calculate record count and get IDs
                 let recordCount = 0;
                 let recordIds = [];
@@ -306,6 +326,32 @@ define([
                                  (data.result.recordIds ? data.result.recordIds.length : 0) ||
                                  (data.result.recordId ? 1 : 0);
 
+                    // UPSERT counts every row it writes (or would write), inserted or updated
+                    if (data.dmlType === 'UPSERT' && data.result.rows) {
+                        recordCount = data.result.isPreview ?
+                            data.result.recordsToInsert + data.result.recordsToUpdate :
+                            data.result.recordIds.length;
+                    }
+
+                    // INSERT previews count the rows they would insert
+                    if (data.dmlType === 'INSERT' && data.result.isPreview && Array.isArray(data.result.previewData)) {
+                        recordCount = data.result.previewData.length;
+                    }
+
+                    // Sublist statements count the lines they change
+                    if (data.result.sublistId && data.result.lines) {
+                        recordCount = data.result.isPreview ? data.result.lines.length : data.result.linesChanged;
+                    }
+
+                    // ALTER RECORD and ALTER LIST count their changes and DROP RECORD the record type it drops
+                    if (data.dmlType === 'ALTER_RECORD' && data.result.actions) {
+                        recordCount = data.result.isPreview ? data.result.actions.length : data.result.actionsApplied;
+                    } else if (data.dmlType === 'DROP_RECORD') {
+                        recordCount = 1;
+                    } else if (data.dmlType === 'ALTER_LIST' && data.result.changes) {
+                        recordCount = data.result.changes.length;
+                    }
+
                     // Get record IDs
                     if (data.result.recordIds && Array.isArray(data.result.recordIds)) {
                         recordIds = data.result.recordIds;
@@ -316,17 +362,19 @@ define([
 
                 // Check if this is a preview operation
                 const isPreview = (data.metadata && (data.metadata.operation === 'DELETE_PREVIEW' || data.metadata.operation === 'UPDATE_PREVIEW' || data.metadata.operation === 'INSERT_PREVIEW' || data.metadata.isPreviewOnly)) ||
-                                 (data.message && (data.message.includes('PREVIEW ONLY - NO RECORDS DELETED') || data.message.includes('PREVIEW ONLY - NO RECORDS UPDATED') || data.message.includes('PREVIEW ONLY - NO RECORDS INSERTED')));
+                                 (data.message && (data.message.includes('PREVIEW ONLY - NO RECORDS DELETED') || data.message.includes('PREVIEW ONLY - NO RECORDS UPDATED') || data.message.includes('PREVIEW ONLY - NO RECORDS INSERTED') || data.message.includes('PREVIEW ONLY - NO RECORDS CHANGED')));
                 const elapsedTime = data.elapsedTime || 'N/A';
                 let dmlType = data.dmlType || 'DML';
-                const recordText = recordCount === 1 ? 'record' : 'records';
+                const recordNoun = data.result && data.result.sublistId ? 'line' :
+                    (data.dmlType === 'ALTER_RECORD' ? 'field change' : (data.dmlType === 'ALTER_LIST' ? 'list change' : (data.dmlType === 'DROP_RECORD' ? 'record type' : 'record')));
+                const recordText = recordCount === 1 ? recordNoun : recordNoun + 's';
 
                 // Modify display for preview operations
                 if (isPreview) {
                     dmlType = dmlType + ' PREVIEW';
                     const previewRecordCount = (data.metadata && (data.metadata.recordsToDelete || data.metadata.recordsToUpdate || data.metadata.recordsToInsert)) || recordCount;
-                    const actionText = dmlType.includes('DELETE') ? 'deleted' : (dmlType.includes('UPDATE') ? 'updated' : 'inserted');
-                    const noActionText = dmlType.includes('DELETE') ? 'NO RECORDS DELETED' : (dmlType.includes('UPDATE') ? 'NO RECORDS UPDATED' : 'NO RECORDS INSERTED');
+                    const actionText = dmlType.includes('DELETE') || dmlType.includes('DROP') ? 'deleted' : (dmlType.includes('UPDATE') ? 'updated' : (dmlType.includes('BATCH') || dmlType.includes('UPSERT') || dmlType.includes('ALTER') ? 'changed' : 'inserted'));
+                    const noActionText = dmlType.includes('DELETE') || dmlType.includes('DROP') ? 'NO RECORDS DELETED' : (dmlType.includes('UPDATE') ? 'NO RECORDS UPDATED' : (dmlType.includes('BATCH') || dmlType.includes('UPSERT') || dmlType.includes('ALTER') ? 'NO RECORDS CHANGED' : 'NO RECORDS INSERTED'));
                     document.getElementById('${constants.ELEMENT_IDS.STATUS_TEXT}').textContent = \`\${dmlType} completed: \${previewRecordCount} \${recordText} found in \${elapsedTime}ms\`;
                     document.getElementById('${constants.ELEMENT_IDS.QUERY_RESULTS_HEADER}').textContent = \`\${dmlType} - \${noActionText} (\${previewRecordCount} \${recordText} found)\`;
                 } else {
@@ -342,9 +390,11 @@ define([
                     if (isPreview) {
                         // Special styling for preview operations
                         resultHTML = '<div class="alert alert-warning" style="margin: 20px; border-left: 5px solid #ff9800;">';
-                        const actionText = dmlType.includes('DELETE') ? 'DELETED' : (dmlType.includes('UPDATE') ? 'UPDATED' : 'INSERTED');
-                        const actionVerb = dmlType.includes('DELETE') ? 'deleted' : (dmlType.includes('UPDATE') ? 'updated' : 'inserted');
-                        const statementType = dmlType.includes('DELETE') ? 'DELETE' : (dmlType.includes('UPDATE') ? 'UPDATE' : 'INSERT');
+                        const actionText = dmlType.includes('DELETE') || dmlType.includes('DROP') ? 'DELETED' : (dmlType.includes('UPDATE') ? 'UPDATED' : (dmlType.includes('BATCH') || dmlType.includes('UPSERT') || dmlType.includes('ALTER') ? 'CHANGED' : 'INSERTED'));
+                        const actionVerb = dmlType.includes('DELETE') || dmlType.includes('DROP') ? 'deleted' : (dmlType.includes('UPDATE') ? 'updated' : (dmlType.includes('BATCH') || dmlType.includes('UPSERT') || dmlType.includes('ALTER') ? 'changed' : 'inserted'));
+                        const statementType = dmlType.includes('DELETE') ? 'DELETE' : (dmlType.includes('UPDATE') ? 'UPDATE' : (dmlType.includes('BATCH') ? 'BEGIN ... COMMIT' :
+                            (dmlType.includes('UPSERT') ? 'UPSERT' : (dmlType.includes('ALTER_LIST') ? 'ALTER LIST' :
+                            (dmlType.includes('ALTER') ? 'ALTER RECORD' : (dmlType.includes('DROP') ? 'DROP RECORD' : 'INSERT'))))));
                         resultHTML += '<h5><i class="fas fa-eye"></i> 🔍 ' + dmlType + ' - NO RECORDS ' + actionText + '</h5>';
 
                         // Show preview count prominently
@@ -356,7 +406,9 @@ define([
                         // Add instruction to actually perform the action
                         resultHTML += '<div class="mb-3" style="background-color: #fff3cd; padding: 10px; border-radius: 5px; border-left: 4px solid #ffc107;">';
                         resultHTML += '<strong>💡 To actually ' + actionVerb.toLowerCase() + ' these records:</strong><br>';
-                        resultHTML += 'Add <code>COMMIT</code> to the end of your ' + statementType + ' statement';
+                        resultHTML += statementType === 'BEGIN ... COMMIT' ?
+                            'End the batch with <code>COMMIT</code>' :
+                            'Add <code>COMMIT</code> to the end of your ' + statementType + ' statement';
                         resultHTML += '</div>';
                     } else {
                         resultHTML = '<div class="alert alert-success" style="margin: 20px;">';
@@ -399,11 +451,98 @@ define([
                         if (data.result.recordType) {
                             resultHTML += '<li>Record Type: <code>' + data.result.recordType + '</code></li>';
                         }
+                        if (data.result.subqueries && data.result.subqueries.length > 0) {
+                            data.result.subqueries.forEach(function(subquery) {
+                                const shownValues = subquery.values.slice(0, 50).map(escapeHTML).join(', ');
+                                resultHTML += '<li>Subquery <code>' + escapeHTML(subquery.field + ' ' + subquery.operator + ' (' + subquery.query + ')') + '</code> resolved to ' +
+                                    subquery.values.length + ' value' + (subquery.values.length === 1 ? '' : 's') +
+                                    (subquery.values.length > 0 ? ': ' + shownValues + (subquery.values.length > 50 ? ', ...' : '') : '') + '</li>';
+                            });
+                        }
+                        if (data.result.selectQuery) {
+                            resultHTML += '<li>Rows from: <code>' + escapeHTML(data.result.selectQuery) + '</code></li>';
+                        }
+                        if (data.dmlType === 'INSERT' && data.result.isPreview && Array.isArray(data.result.previewData) && data.result.previewData.length > 0) {
+                            resultHTML += '<li>Would insert (' + data.result.previewData.length + '):<ol class="mb-0">' + data.result.previewData.slice(0, 50).map(function(row) {
+                                return '<li>' + escapeHTML(Object.keys(row).map(fieldId => fieldId + ' = ' + row[fieldId]).join(', ')) + '</li>';
+                            }).join('') + '</ol>' + (data.result.previewData.length > 50 ? '<small class="text-muted">... and ' + (data.result.previewData.length - 50) + ' more</small>' : '') + '</li>';
+                        }
+                        if (data.result.batchId) {
+                            resultHTML += '<li>' + (data.dmlType === 'UPDATE' || data.dmlType === 'DELETE' ? 'Change ID' : 'Batch ID') + ': <code>' + escapeHTML(data.result.batchId) + '</code></li>';
+                        }
+                        if (data.result.statements && data.result.statements.length > 0) {
+                            data.result.statements.forEach(function(statement, index) {
+                                resultHTML += '<li>Statement ' + (index + 1) + ' (' + escapeHTML(statement.dmlType + ' ' + statement.tableName) + '): ' + escapeHTML(statement.message) + '</li>';
+                            });
+                        }
+                        if (data.result.rows && data.result.rows.length > 0) {
+                            const rowLabels = data.result.isPreview ?
+                                { INSERT: 'Would insert', UPDATE: 'Would update', SKIP: 'Would skip' } :
+                                { INSERT: 'Inserted', UPDATE: 'Updated', SKIP: 'Skipped' };
+                            ['INSERT', 'UPDATE', 'SKIP'].forEach(function(action) {
+                                const rows = data.result.rows.filter(row => row.action === action && !row.error);
+                                if (rows.length > 0) {
+                                    resultHTML += '<li>' + rowLabels[action] + ' (' + rows.length + '): ' + rows.slice(0, 50).map(function(row) {
+                                        return escapeHTML(row.externalId) + (row.recordId ? ' → ' + escapeHTML(row.recordId) : '');
+                                    }).join(', ') + (rows.length > 50 ? ', ...' : '') + '</li>';
+                                }
+                            });
+                        }
+                        if (data.result.sublistId && data.result.lines && data.result.lines.length > 0) {
+                            const formatLineValues = function(values) {
+                                const fieldIds = Object.keys(values);
+                                return fieldIds.slice(0, 8).map(fieldId => fieldId + ' = ' + values[fieldId]).join(', ') + (fieldIds.length > 8 ? ', ...' : '');
+                            };
+                            const lines = data.result.lines.filter(line => !line.error);
+                            lines.slice(0, 50).forEach(function(line) {
+                                let change;
+                                if (line.action === 'UPDATE') {
+                                    change = Object.keys(line.after).map(fieldId => fieldId + ': ' + line.before[fieldId] + ' → ' + line.after[fieldId]).join(', ');
+                                } else if (line.action === 'INSERT') {
+                                    change = 'new line: ' + formatLineValues(line.after);
+                                } else {
+                                    change = 'removed: ' + formatLineValues(line.before);
+                                }
+                                resultHTML += '<li>' + escapeHTML(line.recordType + ' ' + line.recordId + ' ' + data.result.sublistId + ' line ' + line.line + ' - ' + change) + '</li>';
+                            });
+                            if (lines.length > 50) {
+                                resultHTML += '<li>... and ' + (lines.length - 50) + ' more lines</li>';
+                            }
+                        }
+                        if (data.dmlType === 'ALTER_RECORD' && data.result.actions) {
+                            data.result.actions.filter(action => !action.error).forEach(function(action) {
+                                const describe = field => field.label + (field.type ? ' (' + field.type + ')' : '');
+                                const change = action.action === 'ADD' ? describe(action.after) :
+                                    (action.action === 'DROP' ? describe(action.before) : describe(action.before) + ' → ' + describe(action.after));
+                                resultHTML += '<li>' + escapeHTML(action.action + ' FIELD ' + action.scriptId + ': ' + change) + '</li>';
+                            });
+                        }
+                        if (data.dmlType === 'ALTER_LIST' && data.result.changes) {
+                            data.result.changes.forEach(function(change) {
+                                resultHTML += '<li>' + escapeHTML(change.description) + '</li>';
+                            });
+                        }
+                        if (data.dmlType === 'DROP_RECORD' && data.result.instanceCount !== undefined) {
+                            resultHTML += '<li>Records of this type: ' + data.result.instanceCount + (data.result.force ? ' (FORCE)' : '') + '</li>';
+                        }
+                        if (data.result.recreated && data.result.recreated.length > 0) {
+                            data.result.recreated.forEach(function(entry) {
+                                resultHTML += '<li>Recreated deleted ' + escapeHTML(entry.recordType) + ' ' + escapeHTML(entry.originalId) + ' as ' + escapeHTML(entry.newId) + '</li>';
+                            });
+                        }
                         if (data.message) {
                             resultHTML += '<li>Message: ' + data.message + '</li>';
                         }
                         if (data.result.errors && data.result.errors.length > 0) {
-                            resultHTML += '<li>Warnings: ' + data.result.errors.length + ' non-critical issues</li>';
+                            const failedRows = data.result.errors.filter(entry => entry.valueIndex || entry.recordId || entry.scriptId);
+                            if (failedRows.length > 0) {
+                                resultHTML += '<li>Failed (' + failedRows.length + '): ' + failedRows.slice(0, 50).map(function(entry) {
+                                    return (entry.valueIndex ? 'Row ' + entry.valueIndex :
+                                        escapeHTML(entry.scriptId ? entry.action + ' FIELD ' + entry.scriptId : (entry.recordType ? entry.recordType + ' ' : '') + entry.recordId)) + ': ' + escapeHTML(entry.error);
+                                }).join('; ') + (failedRows.length > 50 ? '; ...' : '') + '</li>';
+                            } else {
+                                resultHTML += '<li>Warnings: ' + data.result.errors.length + ' non-critical issues</li>';
+                            }
                         }
 
                         resultHTML += '</ul></div>';
@@ -418,6 +557,11 @@ define([
                 if (typeof saveResultsToCurrentTab === 'function') {
                     saveResultsToCurrentTab();
                 }
+
+                // Journaled changes and rollbacks update the change log
+                if (data.result && data.result.batchId && typeof loadChangeLog === 'function') {
+                    loadChangeLog();
+                }
             }
         `;
     }
@@ -430,6 +574,8 @@ define([
     function getHandleQueryResponseJS() {
         return `
             function handleQueryResponse(data) {
+                renderExecutionDetails(data.telemetry);
+
                 if (data.error) {
                     handleQueryError(data.error);
                     return;
@@ -462,7 +608,9 @@ define([
                 const recordCount = data.records.length;
                 const elapsedTime = data.elapsedTime || 'N/A';
                 const totalCount = data.totalRecordCount ? \` (Total: \${data.totalRecordCount})\` : '';
-                document.getElementById('${constants.ELEMENT_IDS.STATUS_TEXT}').textContent = \`Query completed: \${recordCount} records in \${elapsedTime}ms\${totalCount}\`;
+                const pageInfo = data.paginationStrategy ? \` - page \${data.pageIndex + 1}\${data.nextPageToken ? '' : ' (last)'}\` : '';
+                const cacheInfo = data.fromCache ? \` - from cache (\${new Date(data.cachedAt).toLocaleTimeString()})\` : '';
+                document.getElementById('${constants.ELEMENT_IDS.STATUS_TEXT}').textContent = \`Query completed: \${recordCount} records in \${elapsedTime}ms\${totalCount}\${pageInfo}\${cacheInfo}\`;
                 
                 // Update query results header
                 document.getElementById('${constants.ELEMENT_IDS.QUERY_RESULTS_HEADER}').textContent = \`Query Results (\${recordCount} records)\`;
@@ -590,6 +738,21 @@ define([
                 return viewsElement ? viewsElement.checked : false;
             }
             
+            function getPaginationStrategy() {
+                const strategyElement = document.getElementById('${constants.ELEMENT_IDS.PAGINATION_STRATEGY}');
+                return strategyElement ? strategyElement.value : '${constants.CONFIG.PAGINATION.DEFAULT_STRATEGY}';
+            }
+            
+            function getKeyColumn() {
+                const keyColumnElement = document.getElementById('${constants.ELEMENT_IDS.KEY_COLUMN}');
+                return keyColumnElement ? keyColumnElement.value.trim() : '';
+            }
+            
+            function isCacheBypassed() {
+                const bypassCacheElement = document.getElementById('${constants.ELEMENT_IDS.BYPASS_CACHE}');
+                return bypassCacheElement ? bypassCacheElement.checked : false;
+            }
+            
             function isReturnAllEnabled() {
                 const returnAllElement = document.getElementById('${constants.ELEMENT_IDS.RETURN_ALL}');
                 return returnAllElement ? returnAllElement.checked : false;
@@ -597,6 +760,171 @@ define([
         `;
     }
     
+    /**
+     * Generate the query cancellation JavaScript
+     * 
+     * @returns {string} JavaScript code for cancelling and timing out query executions
+     */
+    function getQueryCancellationJS() {
+        return `
+            let activeQueryExecution = null;
+            
+            function getQueryTimeoutSeconds() {
+                const timeoutElement = document.getElementById('${constants.ELEMENT_IDS.QUERY_TIMEOUT}');
+                const timeoutSeconds = timeoutElement ? parseInt(timeoutElement.value, 10) : NaN;
+                return timeoutSeconds > 0 ? timeoutSeconds : ${constants.CONFIG.QUERY_CANCELLATION.CLIENT_TIMEOUT_SECONDS};
+            }
+            
+            function isReadOnlyQuery(query) {
+                // A single SELECT or WITH statement; anything else (DML, scripts, CREATE, CALL) may write data.
+                // The backslashes are doubled so they survive this template literal.
+                return /^\\s*(SELECT|WITH)\\b[^;]*;?\\s*$/i.test(query || '');
+            }
+            
+            function startQueryExecution(requestPayload) {
+                // Only one execution is tracked at a time
+                if (activeQueryExecution) {
+                    cancelQueryExecution('superseded');
+                }
+                
+                const timeoutSeconds = getQueryTimeoutSeconds();
+                const execution = {
+                    controller: new AbortController(),
+                    executionId: Date.now().toString(36) + Math.random().toString(36).substring(2, 8),
+                    timeoutSeconds: timeoutSeconds,
+                    mayWrite: !isReadOnlyQuery(requestPayload.query),
+                    reason: null
+                };
+                
+                // The server only stops paginated reads, so statements that may write
+                // are never timed out; they can still be cancelled explicitly
+                if (!execution.mayWrite) {
+                    execution.timeoutId = setTimeout(function() {
+                        if (activeQueryExecution === execution) {
+                            cancelQueryExecution('timeout');
+                        }
+                    }, timeoutSeconds * 1000);
+                }
+                
+                requestPayload.executionId = execution.executionId;
+                activeQueryExecution = execution;
+                
+                const cancelBtn = document.getElementById('${constants.ELEMENT_IDS.CANCEL_QUERY_BTN}');
+                if (cancelBtn) cancelBtn.style.display = 'inline-block';
+                
+                return execution;
+            }
+            
+            function finishQueryExecution(execution) {
+                clearTimeout(execution.timeoutId);
+                
+                if (activeQueryExecution === execution) {
+                    activeQueryExecution = null;
+                    const cancelBtn = document.getElementById('${constants.ELEMENT_IDS.CANCEL_QUERY_BTN}');
+                    if (cancelBtn) cancelBtn.style.display = 'none';
+                }
+            }
+            
+            function cancelQueryExecution(reason) {
+                const execution = activeQueryExecution;
+                if (!execution) return;
+                
+                execution.reason = reason || 'user';
+                execution.controller.abort();
+                finishQueryExecution(execution);
+                
+                // Ask the server to stop paging; the response is not needed
+                fetch(window.location.href, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        'function': '${constants.REQUEST_FUNCTIONS.QUERY_CANCEL}',
+                        executionId: execution.executionId
+                    })
+                }).catch(error => console.error('Error sending query cancellation:', error));
+            }
+            
+            function isQueryAborted(error) {
+                return error && error.name === 'AbortError';
+            }
+            
+            function handleQueryAborted(execution) {
+                // A newer execution has taken over the results panel
+                if (execution.reason === 'superseded') return;
+                
+                const message = execution.mayWrite ?
+                    '${constants.ERROR_MESSAGES.STATEMENT_CANCELLED}' :
+                    execution.reason === 'timeout' ?
+                        \`${constants.ERROR_MESSAGES.QUERY_TIMED_OUT} \${execution.timeoutSeconds} seconds.\` :
+                        '${constants.ERROR_MESSAGES.QUERY_CANCELLED}';
+                
+                document.getElementById('${constants.ELEMENT_IDS.STATUS_TEXT}').textContent = message;
+                document.getElementById('${constants.ELEMENT_IDS.RESULTS_DIV}').innerHTML = \`<div style="padding: 20px; text-align: center; color: var(--codeoss-text-secondary);">⏹ \${message}</div>\`;
+                document.getElementById('${constants.ELEMENT_IDS.RESULTS_DIV}').style.display = 'flex';
+            }
+        `;
+    }
+    
+    /**
+     * Generate the next page navigation JavaScript
+     * 
+     * @returns {string} JavaScript code for fetching token-based pages
+     */
+    function getNextPageJS() {
+        return `
+            let nextPageRequestPayload = null;
+            
+            function updateNextPageState(requestPayload, data) {
+                const nextPageBtn = document.getElementById('${constants.ELEMENT_IDS.NEXT_PAGE_BTN}');
+                
+                if (requestPayload && data && data.nextPageToken) {
+                    nextPageRequestPayload = Object.assign({}, requestPayload, { pageToken: data.nextPageToken });
+                } else {
+                    nextPageRequestPayload = null;
+                }
+                
+                if (nextPageBtn) {
+                    nextPageBtn.style.display = nextPageRequestPayload ? 'inline-block' : 'none';
+                }
+            }
+            
+            function fetchNextPage() {
+                if (!nextPageRequestPayload) return;
+                
+                const requestPayload = nextPageRequestPayload;
+                document.getElementById('${constants.ELEMENT_IDS.STATUS_TEXT}').textContent = 'Fetching next page...';
+                const execution = startQueryExecution(requestPayload);
+                
+                fetch(window.location.href, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify(requestPayload),
+                    signal: execution.controller.signal
+                })
+                .then(response => response.json())
+                .then(data => {
+                    finishQueryExecution(execution);
+                    queryResponsePayload = data;
+                    updateNextPageState(requestPayload, data);
+                    handleQueryResponse(data);
+                })
+                .catch(error => {
+                    finishQueryExecution(execution);
+                    if (isQueryAborted(error)) {
+                        handleQueryAborted(execution);
+                        return;
+                    }
+                    updateNextPageState(null, null);
+                    handleQueryError(error);
+                });
+            }
+        `;
+    }
+    
     /**
      * Generate the query validation JavaScript
      * 
@@ -996,6 +1324,8 @@ define([
                getHandleCreateStatementResponseJS() + '\n' +
                getHandleQueryErrorJS() + '\n' +
                getQueryParameterHelpersJS() + '\n' +
+               getNextPageJS() + '\n' +
+               getQueryCancellationJS() + '\n' +
                getQueryValidationJS() + '\n' +
                getResponseGenerateJS() + '\n' +
                getParameterDetectionJS();
@@ -1012,6 +1342,8 @@ define([
         getHandleCreateStatementResponseJS: getHandleCreateStatementResponseJS,
         getHandleQueryErrorJS: getHandleQueryErrorJS,
         getQueryParameterHelpersJS: getQueryParameterHelpersJS,
+        getNextPageJS: getNextPageJS,
+        getQueryCancellationJS: getQueryCancellationJS,
         getQueryValidationJS: getQueryValidationJS,
         getResponseGenerateJS: getResponseGenerateJS,
         getParameterDetectionJS: getParameterDetectionJS,
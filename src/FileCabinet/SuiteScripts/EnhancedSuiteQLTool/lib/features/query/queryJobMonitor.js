@@ -0,0 +1,217 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ */
+
+/**
+ * Enhanced SuiteQL Query Tool - Query Job Monitor
+ *
+ * This module handles submitting long-running queries as
+ * asynchronous jobs, polling their progress, and offering
+ * the result file for download when the job completes.
+ *
+ * @author Matt Owen - Web Solutions Group, LLC
+ * @version 2025.1
+ */
+
+define([
+    '../../core/constants'
+], function(constants) {
+
+    /**
+     * Generate the query job submit JavaScript
+     *
+     * @returns {string} JavaScript code for submitting query jobs
+     */
+    function getSubmitQueryJobJS() {
+        return `
+            function submitQueryJob() {
+                let query = '';
+
+                // Get query text from CodeMirror or textarea
+                if (codeEditor) {
+                    const selectedText = codeEditor.getSelection();
+                    query = selectedText || codeEditor.getValue();
+                } else {
+                    const textarea = document.getElementById('${constants.ELEMENT_IDS.QUERY_TEXTAREA}');
+                    query = textarea ? textarea.value : '';
+                }
+
+                if (!query || query.trim() === '') {
+                    alert('${constants.ERROR_MESSAGES.QUERY_EMPTY}');
+                    return;
+                }
+
+                // Use JSON output when the JSON result format is selected, otherwise CSV
+                const selectedFormat = document.querySelector('input[name="resultFormat"]:checked');
+
+                const requestPayload = {
+                    'function': '${constants.REQUEST_FUNCTIONS.QUERY_JOB_SUBMIT}',
+                    query: query.trim(),
+                    format: selectedFormat && selectedFormat.value === 'json' ? 'json' : 'csv',
+                    viewsEnabled: isViewsEnabled()
+                };
+
+                document.getElementById('${constants.ELEMENT_IDS.STATUS_TEXT}').textContent = 'Submitting query job...';
+
+                fetch(window.location.href, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify(requestPayload)
+                })
+                .then(response => response.json())
+                .then(data => {
+                    if (data.error) {
+                        handleQueryError(data.error);
+                        return;
+                    }
+
+                    renderQueryJob(data.job);
+                    scheduleQueryJobPoll(data.job.jobId);
+                })
+                .catch(error => {
+                    handleQueryError(error);
+                });
+            }
+        `;
+    }
+
+    /**
+     * Generate the query job polling JavaScript
+     *
+     * @returns {string} JavaScript code for polling query job status
+     */
+    function getQueryJobPollingJS() {
+        return `
+            let queryJobPollTimer = null;
+
+            function scheduleQueryJobPoll(jobId) {
+                clearTimeout(queryJobPollTimer);
+                queryJobPollTimer = setTimeout(function() {
+                    pollQueryJob(jobId);
+                }, ${constants.CONFIG.QUERY_JOBS.POLL_INTERVAL_MS});
+            }
+
+            function pollQueryJob(jobId) {
+                fetch(window.location.href, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        'function': '${constants.REQUEST_FUNCTIONS.QUERY_JOB_STATUS}',
+                        jobId: jobId
+                    })
+                })
+                .then(response => response.json())
+                .then(data => {
+                    if (data.error) {
+                        handleQueryError(data.error);
+                        return;
+                    }
+
+                    renderQueryJob(data.job);
+
+                    if (data.job.status !== '${constants.CONFIG.QUERY_JOBS.STATUS.COMPLETE}' && data.job.status !== '${constants.CONFIG.QUERY_JOBS.STATUS.FAILED}') {
+                        scheduleQueryJobPoll(jobId);
+                    }
+                })
+                .catch(error => {
+                    // Keep polling through transient network errors
+                    console.error('Error polling query job:', error);
+                    scheduleQueryJobPoll(jobId);
+                });
+            }
+        `;
+    }
+
+    /**
+     * Generate the query job rendering JavaScript
+     *
+     * @returns {string} JavaScript code for rendering query job status
+     */
+    function getRenderQueryJobJS() {
+        return `
+            function renderQueryJob(job) {
+                const isComplete = job.status === '${constants.CONFIG.QUERY_JOBS.STATUS.COMPLETE}';
+                const isFailed = job.status === '${constants.CONFIG.QUERY_JOBS.STATUS.FAILED}';
+                const percent = job.percentComplete !== null && job.percentComplete !== undefined ? Math.round(job.percentComplete) : 0;
+                const stage = job.stage ? \` (\${job.stage})\` : '';
+                const jobLabel = job.dmlType ? \`\${job.dmlType} Job\` : 'Query Job';
+
+                let detailsHTML = '';
+                if (isComplete && job.resultFileUrl && job.dmlType) {
+                    detailsHTML = \`
+                        <div style="font-size: 12px; color: var(--codeoss-text-primary); margin-bottom: 12px;">\${job.successCount} record(s) succeeded, \${job.errorCount} failed</div>
+                        <a href="\${job.resultFileUrl}" target="_blank" class="${constants.CSS_CLASSES.CODEOSS_BTN}" style="display: inline-block; text-decoration: none;">📥 Download Results CSV (\${job.rowCount} rows)</a>
+                    \`;
+                } else if (isComplete && job.resultFiles && job.resultFiles.length > 1) {
+                    detailsHTML = \`
+                        <div style="font-size: 12px; color: var(--codeoss-text-primary); margin-bottom: 12px;">\${job.rowCount} rows in \${job.resultFiles.length} files</div>
+                        <div style="display: flex; flex-wrap: wrap; gap: 8px;">
+                            \${job.resultFiles.map((resultFile, index) => \`<a href="\${resultFile.url}" target="_blank" class="${constants.CSS_CLASSES.CODEOSS_BTN}" style="display: inline-block; text-decoration: none;">📥 \${job.format.toUpperCase()} part \${index + 1} (\${resultFile.rowCount} rows)</a>\`).join('')}
+                        </div>
+                    \`;
+                } else if (isComplete && job.resultFileUrl) {
+                    detailsHTML = \`<a href="\${job.resultFileUrl}" target="_blank" class="${constants.CSS_CLASSES.CODEOSS_BTN}" style="display: inline-block; text-decoration: none;">📥 Download \${job.format.toUpperCase()} (\${job.rowCount} rows)</a>\`;
+                } else if (isFailed) {
+                    detailsHTML = \`<div style="background-color: var(--codeoss-error); color: white; padding: 12px; border-radius: 4px; font-size: 12px;">\${job.error || \`The \${jobLabel.toLowerCase()} failed.\`}</div>\`;
+                } else {
+                    detailsHTML = \`
+                        <div style="background-color: var(--codeoss-border); border-radius: 4px; height: 8px; overflow: hidden; margin-bottom: 8px;">
+                            <div style="background-color: var(--codeoss-accent); height: 100%; width: \${percent}%;"></div>
+                        </div>
+                        <div style="font-size: 11px; color: var(--codeoss-text-secondary);">\${percent}% complete\${stage}. You can keep working; this page checks the job every ${constants.CONFIG.QUERY_JOBS.POLL_INTERVAL_MS / 1000} seconds.</div>
+                    \`;
+                }
+
+                const jobHTML = \`
+                    <div style="padding: 20px; background-color: var(--codeoss-panel-bg);">
+                        <h4 style="margin: 0 0 12px 0; font-size: 14px; color: var(--codeoss-text-primary);">⏱ \${jobLabel} \${job.status}</h4>
+                        <div style="font-size: 11px; color: var(--codeoss-text-secondary); margin-bottom: 12px;">
+                            <div><strong>Job ID:</strong> \${job.jobId}</div>
+                            <div><strong>Submitted:</strong> \${new Date(job.createdDate).toLocaleString()}</div>
+                            \${job.dmlType ? \`<div><strong>Statement:</strong> \${escapeHTML(job.queryPreview)}</div>\` : ''}
+                            \${job.rowCount !== null ? \`<div><strong>\${job.dmlType ? 'Records' : 'Rows'}:</strong> \${job.rowCount}</div>\` : ''}
+                            \${job.dmlType ? '<div>This statement ran as a job, which is not journaled: it cannot be undone from the Change log.</div>' : ''}
+                        </div>
+                        \${detailsHTML}
+                    </div>
+                \`;
+
+                document.getElementById('${constants.ELEMENT_IDS.RESULTS_DIV}').innerHTML = jobHTML;
+                document.getElementById('${constants.ELEMENT_IDS.RESULTS_DIV}').style.display = 'flex';
+                document.getElementById('${constants.ELEMENT_IDS.WELCOME_MESSAGE}').style.display = 'none';
+                document.getElementById('${constants.ELEMENT_IDS.COPY_CLIPBOARD_BTN}').style.display = 'none';
+                document.getElementById('${constants.ELEMENT_IDS.QUERY_RESULTS_HEADER}').textContent = \`\${jobLabel} - \${job.status}\`;
+                document.getElementById('${constants.ELEMENT_IDS.STATUS_TEXT}').textContent = isComplete ?
+                    (job.dmlType ? \`\${jobLabel} complete: \${job.successCount} succeeded, \${job.errorCount} failed\` : \`Query job complete: \${job.rowCount} rows\`) :
+                    (isFailed ? \`\${jobLabel} failed\` : \`\${jobLabel} \${job.status.toLowerCase()}: \${percent}%\`);
+            }
+        `;
+    }
+
+    /**
+     * Get all query job JavaScript functions
+     *
+     * @returns {string} Complete JavaScript code for query job functionality
+     */
+    function getAllQueryJobsJS() {
+        return getSubmitQueryJobJS() + '\n' +
+               getQueryJobPollingJS() + '\n' +
+               getRenderQueryJobJS();
+    }
+
+    /**
+     * Export the query job monitor functions
+     */
+    return {
+        getSubmitQueryJobJS: getSubmitQueryJobJS,
+        getQueryJobPollingJS: getQueryJobPollingJS,
+        getRenderQueryJobJS: getRenderQueryJobJS,
+        getAllQueryJobsJS: getAllQueryJobsJS
+    };
+
+});
@@ -0,0 +1,162 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ */
+
+/**
+ * Enhanced SuiteQL Query Tool - Saved Search Import
+ *
+ * This module handles the saved search picker modal: listing saved
+ * searches and opening the SuiteQL conversion of the selected search
+ * in a new query tab.
+ *
+ * @author Matt Owen - Web Solutions Group, LLC
+ * @version 2025.1
+ */
+
+define([
+    '../../core/constants'
+], function(constants) {
+
+    /**
+     * Generate the saved search list JavaScript
+     *
+     * @returns {string} JavaScript code for listing saved searches
+     */
+    function getSavedSearchesListJS() {
+        return `
+            function savedSearchesListGet() {
+                const listDiv = document.getElementById('savedSearchesList');
+                const keywordInput = document.getElementById('savedSearchesKeyword');
+
+                listDiv.innerHTML = '<p>Loading saved searches...</p>';
+
+                const requestPayload = {
+                    'function': '${constants.REQUEST_FUNCTIONS.SAVED_SEARCHES_GET}',
+                    keyword: keywordInput ? keywordInput.value.trim() : ''
+                };
+
+                fetch(window.location.href, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify(requestPayload)
+                })
+                .then(response => response.json())
+                .then(data => {
+                    if (data.error) {
+                        listDiv.innerHTML = '<p class="text-danger">' + escapeHTML(data.error.message || data.error) + '</p>';
+                        return;
+                    }
+
+                    renderSavedSearchesList(data.records);
+                })
+                .catch(error => {
+                    listDiv.innerHTML = '<p class="text-danger">' + escapeHTML(error.message || error) + '</p>';
+                });
+            }
+
+            function renderSavedSearchesList(records) {
+                let content = '<div class="table-responsive"><table class="table table-sm table-hover">';
+                content += '<thead><tr><th>Title</th><th>Type</th><th>Owner</th><th>ID</th><th></th></tr></thead><tbody>';
+
+                records.forEach(function(record) {
+                    const searchId = record.scriptid || record.id;
+                    content += '<tr>';
+                    content += '<td>' + escapeHTML(record.title) + '</td>';
+                    content += '<td>' + escapeHTML(record.recordtype) + '</td>';
+                    content += '<td>' + escapeHTML(record.owner) + '</td>';
+                    content += '<td>' + escapeHTML(searchId) + '</td>';
+                    content += '<td style="text-align: right;"><button type="button" class="btn btn-sm btn-primary" onclick="savedSearchConvert(\\'' + escapeHTML(searchId).replace(/'/g, '') + '\\');">Convert</button></td>';
+                    content += '</tr>';
+                });
+
+                content += '</tbody></table></div>';
+
+                document.getElementById('savedSearchesList').innerHTML = content;
+            }
+        `;
+    }
+
+    /**
+     * Generate the saved search conversion JavaScript
+     *
+     * @returns {string} JavaScript code for converting a saved search
+     */
+    function getSavedSearchConvertJS() {
+        return `
+            function savedSearchConvert(searchId) {
+                const requestPayload = {
+                    'function': '${constants.REQUEST_FUNCTIONS.SAVED_SEARCH_CONVERT}',
+                    searchId: searchId
+                };
+
+                document.getElementById('${constants.ELEMENT_IDS.STATUS_TEXT}').textContent = 'Converting saved search...';
+
+                fetch(window.location.href, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify(requestPayload)
+                })
+                .then(response => response.json())
+                .then(data => {
+                    if (data.error) {
+                        alert('Error: ' + (data.error.message || data.error));
+                        document.getElementById('${constants.ELEMENT_IDS.STATUS_TEXT}').textContent = 'Ready';
+                        return;
+                    }
+
+                    $('#${constants.MODAL_IDS.SAVED_SEARCHES}').modal('hide');
+
+                    addNewQueryTab(data.title, getSavedSearchHeader(data, searchId) + data.sql);
+
+                    document.getElementById('${constants.ELEMENT_IDS.STATUS_TEXT}').textContent = data.untranslated.length > 0 ?
+                        \`Saved search converted: \${data.untranslated.length} construct(s) not translated\` :
+                        'Saved search converted';
+                })
+                .catch(error => {
+                    alert('Error: ' + (error.message || error));
+                    document.getElementById('${constants.ELEMENT_IDS.STATUS_TEXT}').textContent = 'Ready';
+                });
+            }
+
+            function getSavedSearchHeader(data, searchId) {
+                // Keep the search text from closing the comment early
+                const clean = value => String(value).replace(/\\*\\//g, '* /');
+                let header = '/*\\n  Converted from saved search: ' + clean(data.title) + ' (' + clean(searchId) + ')\\n';
+
+                if (data.untranslated.length > 0) {
+                    header += '\\n  Not translated:\\n';
+                    data.untranslated.forEach(function(item) {
+                        header += '  - ' + clean(item.construct) + ': ' + clean(item.reason) + '\\n';
+                    });
+                }
+
+                return header + '*/\\n';
+            }
+        `;
+    }
+
+    /**
+     * Get all saved search import JavaScript functions
+     *
+     * @returns {string} Complete JavaScript code for saved search import
+     */
+    function getAllSavedSearchImportJS() {
+        return getSavedSearchesListJS() + '\n' +
+               getSavedSearchConvertJS();
+    }
+
+    /**
+     * Export the saved search import functions
+     */
+    return {
+        getSavedSearchesListJS: getSavedSearchesListJS,
+        getSavedSearchConvertJS: getSavedSearchConvertJS,
+        getAllSavedSearchImportJS: getAllSavedSearchImportJS
+    };
+
+});
@@ -0,0 +1,185 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ */
+
+/**
+ * Enhanced SuiteQL Query Tool - Script Execution
+ *
+ * This module handles running the editor contents as a
+ * multi-statement script and rendering one result set or
+ * message per statement in the results panel.
+ *
+ * @author Matt Owen - Web Solutions Group, LLC
+ * @version 2025.1
+ */
+
+define([
+    '../../core/constants'
+], function(constants) {
+
+    /**
+     * Generate the script submit JavaScript
+     *
+     * @returns {string} JavaScript code for submitting scripts
+     */
+    function getRunScriptJS() {
+        return `
+            function runScript() {
+                let script = '';
+
+                // Get script text from CodeMirror or textarea
+                if (codeEditor) {
+                    const selectedText = codeEditor.getSelection();
+                    script = selectedText || codeEditor.getValue();
+                } else {
+                    const textarea = document.getElementById('${constants.ELEMENT_IDS.QUERY_TEXTAREA}');
+                    script = textarea ? textarea.value : '';
+                }
+
+                if (!script || script.trim() === '') {
+                    alert('${constants.ERROR_MESSAGES.QUERY_EMPTY}');
+                    return;
+                }
+
+                const stopOnErrorCheckbox = document.getElementById('${constants.ELEMENT_IDS.STOP_ON_ERROR}');
+
+                const requestPayload = {
+                    'function': '${constants.REQUEST_FUNCTIONS.SCRIPT_EXECUTE}',
+                    script: script,
+                    stopOnError: stopOnErrorCheckbox ? stopOnErrorCheckbox.checked : ${constants.CONFIG.SCRIPT_RUNNER.STOP_ON_ERROR_DEFAULT},
+                    viewsEnabled: isViewsEnabled()
+                };
+
+                document.getElementById('${constants.ELEMENT_IDS.STATUS_TEXT}').textContent = 'Running script...';
+
+                fetch(window.location.href, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify(requestPayload)
+                })
+                .then(response => response.json())
+                .then(data => {
+                    if (data.error) {
+                        handleQueryError(data.error);
+                        return;
+                    }
+
+                    renderScriptResults(data);
+                })
+                .catch(error => {
+                    handleQueryError(error);
+                });
+            }
+        `;
+    }
+
+    /**
+     * Generate the script results rendering JavaScript
+     *
+     * @returns {string} JavaScript code for rendering script results
+     */
+    function getRenderScriptResultsJS() {
+        return `
+            function renderScriptRecords(records) {
+                if (records.length === 0) {
+                    return '<div style="font-size: 12px; color: var(--codeoss-text-secondary);">No records returned.</div>';
+                }
+
+                const columns = Object.keys(records[0]);
+
+                return \`
+                    <div style="overflow: auto; max-height: 300px;">
+                        <table class="${constants.CSS_CLASSES.CODEOSS_TABLE}" style="width: auto;">
+                            <thead><tr>\${columns.map(column => \`<th>\${escapeHTML(column)}</th>\`).join('')}</tr></thead>
+                            <tbody>
+                                \${records.map(record => \`<tr>\${columns.map(column => \`<td>\${escapeHTML(record[column])}</td>\`).join('')}</tr>\`).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                \`;
+            }
+
+            function renderScriptStatement(result) {
+                const statusColors = {
+                    success: 'var(--codeoss-success)',
+                    error: 'var(--codeoss-error)',
+                    skipped: 'var(--codeoss-text-secondary)'
+                };
+
+                let bodyHTML = '';
+                if (result.status === 'error') {
+                    bodyHTML = \`<div style="background-color: var(--codeoss-error); color: white; padding: 8px 12px; border-radius: 4px; font-size: 12px;">\${escapeHTML(result.error)}</div>\`;
+                } else if (result.status === 'skipped') {
+                    bodyHTML = '<div style="font-size: 12px; color: var(--codeoss-text-secondary);">Skipped after an earlier statement failed.</div>';
+                } else {
+                    if (result.message) {
+                        bodyHTML += \`<div style="font-size: 12px; color: var(--codeoss-text-primary); margin-bottom: 8px;">\${escapeHTML(result.message)}</div>\`;
+                    }
+                    if (result.outputLog && result.outputLog.length > 0) {
+                        bodyHTML += \`<pre style="margin: 0 0 8px 0; padding: 8px; font-size: 11px; background-color: var(--codeoss-bg-secondary); color: var(--codeoss-text-primary); white-space: pre-wrap;">\${result.outputLog.map(line => escapeHTML(typeof line === 'string' ? line : JSON.stringify(line))).join('\\n')}</pre>\`;
+                    }
+                    if (Array.isArray(result.records)) {
+                        bodyHTML += renderScriptRecords(result.records);
+                    }
+                }
+
+                const rowInfo = Array.isArray(result.records) ? \` - \${result.records.length} rows\` : '';
+                const timeInfo = result.elapsedTime !== undefined ? \` in \${result.elapsedTime}ms\` : '';
+                const typeInfo = result.dmlType ? result.dmlType : (result.type || '');
+
+                return \`
+                    <div style="border-left: 3px solid \${statusColors[result.status]}; padding: 8px 12px; margin-bottom: 16px;">
+                        <div style="font-size: 11px; font-weight: bold; text-transform: uppercase; color: var(--codeoss-text-secondary); margin-bottom: 6px;">
+                            Statement \${result.index}: \${result.status}\${typeInfo ? ' (' + escapeHTML(typeInfo) + ')' : ''}\${rowInfo}\${timeInfo}
+                        </div>
+                        <pre style="margin: 0 0 8px 0; font-size: 11px; color: var(--codeoss-text-primary); white-space: pre-wrap; max-height: 80px; overflow: auto;">\${escapeHTML(result.statement)}</pre>
+                        \${bodyHTML}
+                    </div>
+                \`;
+            }
+
+            function renderScriptResults(data) {
+                const scriptHTML = \`
+                    <div style="padding: 20px; background-color: var(--codeoss-panel-bg); overflow: auto; width: 100%;">
+                        \${data.statements.map(renderScriptStatement).join('')}
+                    </div>
+                \`;
+
+                const succeeded = data.statements.filter(result => result.status === 'success').length;
+                const summary = \`Script completed: \${succeeded} of \${data.statementCount} statements succeeded in \${data.elapsedTime}ms\` +
+                    (data.stoppedOnError ? ' (stopped on first error)' : '');
+
+                document.getElementById('${constants.ELEMENT_IDS.RESULTS_DIV}').innerHTML = scriptHTML;
+                document.getElementById('${constants.ELEMENT_IDS.RESULTS_DIV}').style.display = 'flex';
+                document.getElementById('${constants.ELEMENT_IDS.WELCOME_MESSAGE}').style.display = 'none';
+                document.getElementById('${constants.ELEMENT_IDS.COPY_CLIPBOARD_BTN}').style.display = 'none';
+                document.getElementById('${constants.ELEMENT_IDS.QUERY_RESULTS_HEADER}').textContent = \`Script Results (\${data.statementCount} statements)\`;
+                renderExecutionDetails(null);
+                document.getElementById('${constants.ELEMENT_IDS.STATUS_TEXT}').textContent = summary;
+            }
+        `;
+    }
+
+    /**
+     * Get all script execution JavaScript functions
+     *
+     * @returns {string} Complete JavaScript code for script execution functionality
+     */
+    function getAllScriptExecutionJS() {
+        return getRunScriptJS() + '\n' +
+               getRenderScriptResultsJS();
+    }
+
+    /**
+     * Export the script execution functions
+     */
+    return {
+        getRunScriptJS: getRunScriptJS,
+        getRenderScriptResultsJS: getRenderScriptResultsJS,
+        getAllScriptExecutionJS: getAllScriptExecutionJS
+    };
+
+});
@@ -6,6 +6,9 @@
  * @param {boolean} context.params.update_records - Whether to actually update records (default: false for dry run)
  * @param {boolean} context.params.show_output - Whether to display real-time output (default: false)
  * @returns {Object} Processing results
+ * @example deactivateTestCategories(name='') => {"success": false, "found_count": 0, "errors": ["Name parameter is required and cannot be empty"]}
+ * @modules N/query, N/record, N/log
+ * @capabilities read, dml
  */
 function deactivateTestCategories(context) {
     // Import NetSuite modules
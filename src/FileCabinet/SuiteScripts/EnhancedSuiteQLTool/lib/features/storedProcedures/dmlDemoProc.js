@@ -14,6 +14,7 @@
  * 
  * @param {Object} context - Execution context
  * @returns {Object} Procedure result
+ * @capabilities read, dml
  */
 function dmlDemoProc(context) {
     var result = {
@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Aggregate Function Queries
+ *
+ * Plans and merges the queries behind SELECT statements that call aggregate
+ * synthetic functions (function files tagged @aggregate). Two queries run:
+ *
+ * - The grouped query is the statement with each synthetic function call
+ *   replaced by a placeholder, and its GROUP BY expressions added to the
+ *   select list as sq_group_0, sq_group_1, ...
+ * - The detail query selects the same GROUP BY expressions and every
+ *   aggregate argument (as sq_arg_<call>_<argument>) from the statement's
+ *   FROM and WHERE clauses, one row per source row.
+ *
+ * Detail rows are matched to the grouped row with the same sq_group values
+ * and passed through the aggregate's hooks. Without GROUP BY every detail
+ * row belongs to a single group, and the grouped query returns one row.
+ *
+ * @author Enhanced SuiteQL Tool
+ * @version 1.0.0
+ */
+
+define([
+    'N/log',
+    './queryParser',
+    './resultJoins'
+], function(log, queryParser, resultJoins) {
+    'use strict';
+
+    /**
+     * Aggregate query plan structure
+     * @typedef {Object} AggregatePlan
+     * @property {string} groupedQuery - Statement to run for the result rows
+     * @property {Array} groupedParams - Parameters for the grouped query
+     * @property {string} detailQuery - Statement to run for the rows of every group
+     * @property {Array} detailParams - Parameters for the detail query
+     * @property {Array} groupColumns - Aliases of the GROUP BY columns (sq_group_0, ...)
+     * @property {boolean} hasGroupBy - Whether the statement has a GROUP BY clause
+     * @property {Array} aggregates - Aggregate calls ({ call, placeholder, alias, parameters })
+     */
+
+    /**
+     * Plan the grouped and detail queries for a statement
+     *
+     * @param {string} sql - Original statement
+     * @param {Array} functionCalls - All detected function calls, aggregates flagged with isAggregate
+     * @param {string} baseQuery - Statement with every function call replaced by its placeholder
+     * @param {Array} params - Query parameters
+     * @returns {AggregatePlan} Query plan
+     * @throws {Error} If the statement can't be split into grouped and detail queries
+     */
+    function planAggregateQuery(sql, functionCalls, baseQuery, params) {
+        var original = queryParser.splitSelectClauses(sql);
+        var clauses = queryParser.splitSelectClauses(baseQuery);
+
+        if (!original || !clauses || !clauses.from) {
+            throw new Error('Aggregate functions are only supported in a single SELECT ... FROM statement');
+        }
+
+        if (params && params.length > 0 &&
+            (resultJoins.countPlaceholders(original.select) > 0 || resultJoins.countPlaceholders(original.groupBy || '') > 0)) {
+            throw new Error('Query parameters can only be used in the FROM and WHERE clauses of a query with aggregate functions');
+        }
+
+        // Checked on the original text, as ROLLUP(...) also looks like a function call
+        (original.groupBy ? resultJoins.splitList(original.groupBy) : []).forEach(function(expression) {
+            if (/^(ROLLUP|CUBE|GROUPING\s+SETS)\s*\(/i.test(expression)) {
+                throw new Error('GROUP BY ' + expression.split('(')[0].trim().toUpperCase() + ' is not supported with aggregate functions');
+            }
+        });
+
+        var groupExpressions = clauses.groupBy ? resultJoins.splitList(clauses.groupBy) : [];
+
+        var groupColumns = groupExpressions.map(function(expression, index) {
+            return 'sq_group_' + index;
+        });
+        var detailColumns = groupExpressions.map(function(expression, index) {
+            return expression + ' AS ' + groupColumns[index];
+        });
+
+        var aggregates = [];
+        functionCalls.forEach(function(call, callIndex) {
+            if (!call.isAggregate) {
+                return;
+            }
+
+            // Literal arguments are passed as they are; anything else is read from the detail rows
+            var parameters = call.rawParameters.map(function(raw, argIndex) {
+                if (/^('([^']|'')*'|"[^"]*"|-?\d+(\.\d+)?)$/.test(raw)) {
+                    return call.parameters[argIndex];
+                }
+
+                var column = 'sq_arg_' + callIndex + '_' + argIndex;
+                detailColumns.push(raw + ' AS ' + column);
+                return column;
+            });
+
+            var aliasMatch = sql.substring(call.endIndex).match(/^\s+as\s+(\w+)/i);
+
+            aggregates.push({
+                call: call,
+                placeholder: 'FUNCTION_PLACEHOLDER_' + callIndex,
+                alias: (aliasMatch ? aliasMatch[1] : call.name + '_result').toLowerCase(),
+                parameters: parameters
+            });
+        });
+
+        var groupedClauses = Object.assign({}, clauses);
+        if (groupColumns.length > 0) {
+            groupedClauses.select = clauses.select + ', ' + detailColumns.slice(0, groupColumns.length).join(', ');
+        }
+
+        var groupedQuery = queryParser.joinSelectClauses(groupedClauses);
+        if (!clauses.groupBy) {
+            // The whole result is one group, so only one row is needed
+            groupedQuery = 'SELECT * FROM ( ' + groupedQuery + ' ) WHERE ( ROWNUM <= 1 )';
+        }
+
+        var detailQuery = queryParser.joinSelectClauses({
+            select: detailColumns.length > 0 ? detailColumns.join(', ') : '1 AS sq_row',
+            from: clauses.from,
+            where: clauses.where
+        });
+
+        var plan = {
+            groupedQuery: groupedQuery,
+            groupedParams: params || [],
+            detailQuery: detailQuery,
+            detailParams: (params || []).slice(0, resultJoins.countPlaceholders(clauses.from) + resultJoins.countPlaceholders(clauses.where || '')),
+            groupColumns: groupColumns,
+            hasGroupBy: !!clauses.groupBy,
+            aggregates: aggregates
+        };
+
+        log.debug({
+            title: 'Aggregate query planned',
+            details: 'Grouped: ' + plan.groupedQuery + '\nDetail: ' + plan.detailQuery
+        });
+
+        return plan;
+    }
+
+    /**
+     * Collect the detail rows of each grouped row
+     *
+     * Without GROUP BY a statement always returns one row, so an empty
+     * grouped result is replaced by a row holding only the aggregate columns.
+     *
+     * @param {AggregatePlan} plan - Query plan
+     * @param {Array} groupedRows - Rows of the grouped query, changed in place when empty
+     * @param {Array} detailRows - Rows of the detail query
+     * @returns {Array} Detail rows of each grouped row, in the same order
+     */
+    function groupDetailRows(plan, groupedRows, detailRows) {
+        if (!plan.hasGroupBy) {
+            if (groupedRows.length === 0) {
+                var emptyRow = {};
+                plan.aggregates.forEach(function(aggregate) {
+                    emptyRow[aggregate.alias] = aggregate.placeholder;
+                });
+                groupedRows.push(emptyRow);
+            }
+
+            return [detailRows];
+        }
+
+        var index = {};
+        detailRows.forEach(function(row) {
+            var key = getGroupKey(plan, row);
+            (index[key] = index[key] || []).push(row);
+        });
+
+        return groupedRows.map(function(row) {
+            return index[getGroupKey(plan, row)] || [];
+        });
+    }
+
+    /**
+     * Replace an aggregate's placeholder with its value in each grouped row
+     *
+     * @param {Array} groupedRows - Rows of the grouped query
+     * @param {Object} aggregate - Aggregate from the plan
+     * @param {Array} values - Value for each row, in the same order
+     */
+    function fillAggregateColumn(groupedRows, aggregate, values) {
+        groupedRows.forEach(function(row, rowIndex) {
+            for (var key in row) {
+                if (row[key] === aggregate.placeholder) {
+                    row[key] = values[rowIndex];
+                    break;
+                }
+            }
+        });
+    }
+
+    /**
+     * Remove the GROUP BY columns the plan added to the grouped rows
+     *
+     * @param {AggregatePlan} plan - Query plan
+     * @param {Array} groupedRows - Rows of the grouped query
+     * @returns {Array} The same rows
+     */
+    function removeGroupColumns(plan, groupedRows) {
+        groupedRows.forEach(function(row) {
+            plan.groupColumns.forEach(function(column) {
+                delete row[column];
+            });
+        });
+
+        return groupedRows;
+    }
+
+    /**
+     * Build a key from a row's GROUP BY column values
+     *
+     * @param {AggregatePlan} plan - Query plan
+     * @param {Object} row - Grouped or detail row
+     * @returns {string} Group key
+     */
+    function getGroupKey(plan, row) {
+        return JSON.stringify(plan.groupColumns.map(function(column) {
+            return row[column] === undefined ? null : row[column];
+        }));
+    }
+
+    // Public API
+    return {
+        planAggregateQuery: planAggregateQuery,
+        groupDetailRows: groupDetailRows,
+        fillAggregateColumn: fillAggregateColumn,
+        removeGroupColumns: removeGroupColumns
+    };
+});
@@ -12,6 +12,9 @@
  * CREATE OR REPLACE PROCEDURE procedure_name AS  
  * function procedure_name(context) { ... }
  * 
+ * The modules and capabilities the code uses are declared in its doc
+ * comment with @modules and @capabilities tags, which are checked here.
+ * 
  * @author Enhanced SuiteQL Tool
  * @version 1.0.0
  */
@@ -143,6 +146,15 @@ define(['N/file', 'N/log', 'N/query', './syntheticFunctions'], function(file, lo
                 };
             }
 
+            // Reject manifests the execution engine would refuse to run
+            var manifest = syntheticFunctions.parseManifest(content);
+            if (manifest.errors.length > 0) {
+                return {
+                    success: false,
+                    error: 'Invalid manifest: ' + manifest.errors.join('; ')
+                };
+            }
+
             return {
                 success: true,
                 name: name,
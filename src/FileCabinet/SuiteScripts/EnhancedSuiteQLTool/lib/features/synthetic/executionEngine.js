@@ -1,8 +1,19 @@
 /**
  * @fileoverview JavaScript Execution Engine for Synthetic Functions
  * 
- * This module provides secure execution environment for JavaScript functions
+ * This module provides the execution environment for JavaScript functions
  * and stored procedures with NetSuite module access.
+ *
+ * Code only gets the modules its manifest declares (see
+ * syntheticFunctions.parseManifest), and only runs when the current role is
+ * allowed every capability it declares (CONFIG.SYNTHETIC_PERMISSIONS).
+ * Stored procedures get context.dml with the dml capability and
+ * context.suiteql with the read capability.
+ *
+ * This gates what code is given, not what it can reach: compiled code runs
+ * in the Suitelet's own realm, where Function('return this')() or the
+ * constructor of any object it is passed still leads to the global scope.
+ * Function and procedure files are trusted code.
  * 
  * @author Enhanced SuiteQL Tool
  * @version 1.0.0
@@ -13,14 +24,35 @@ define([
     './syntheticFunctions',
     './queryParser',
     './syntheticProcessor',
-    '../dml/dmlProcessor'
-], function(file, log, record, query, search, format, runtime, syntheticFunctions, queryParser, syntheticProcessor, dmlProcessor) {
+    '../dml/dmlProcessor',
+    '../../core/constants'
+], function(file, log, record, query, search, format, runtime, syntheticFunctions, queryParser, syntheticProcessor, dmlProcessor, constants) {
     'use strict';
 
     // Cache for compiled functions
     var compiledFunctionCache = {};
     var CACHE_DURATION = 10 * 60 * 1000; // 10 minutes
 
+    // Modules a manifest can declare
+    var NETSUITE_MODULES = {
+        'N/record': record,
+        'N/query': query,
+        'N/search': search,
+        'N/log': log,
+        'N/format': format,
+        'N/runtime': runtime,
+        'N/file': file
+    };
+
+    /**
+     * Execution permissions structure
+     * @typedef {Object} ExecutionPermissions
+     * @property {string} name - Function or procedure name
+     * @property {string} type - 'function' or 'procedure'
+     * @property {Object} modules - Declared modules by name (N/query)
+     * @property {Array} capabilities - Declared capabilities
+     */
+
     /**
      * Execution context structure
      * @typedef {Object} ExecutionContext
@@ -55,20 +87,7 @@ define([
         try {
             // Get function registry
             var registry = syntheticFunctions.buildFunctionRegistry();
-            var functionMeta = registry.functions[functionName];
-
-            // If not found with exact case, try case-insensitive lookup
-            if (!functionMeta) {
-                var lowerFunctionName = functionName.toLowerCase();
-                var functionNames = Object.keys(registry.functions);
-
-                for (var i = 0; i < functionNames.length; i++) {
-                    if (functionNames[i].toLowerCase() === lowerFunctionName) {
-                        functionMeta = registry.functions[functionNames[i]];
-                        break;
-                    }
-                }
-            }
+            var functionMeta = findMetadata(registry.functions, functionName);
 
             if (!functionMeta) {
                 return {
@@ -79,6 +98,9 @@ define([
                 };
             }
 
+            // Refuse to run unless the role allows everything the function declares
+            var permissions = resolvePermissions(functionMeta);
+
             // Load and compile function
             var compiledFunction = getCompiledFunction(functionMeta);
             if (!compiledFunction) {
@@ -91,10 +113,10 @@ define([
             }
 
             // Create execution context
-            var context = createExecutionContext(parameters, functionMeta.parameters, rowData);
+            var context = createExecutionContext(parameters, functionMeta.parameters, permissions, rowData);
 
             // Execute function
-            var result = compiledFunction(context);
+            var result = compiledFunction(context, permissions);
 
             // Debug function result
             log.debug({
@@ -137,20 +159,7 @@ define([
         try {
             // Get function registry
             var registry = syntheticFunctions.buildFunctionRegistry();
-            var procedureMeta = registry.procedures[procedureName];
-
-            // If not found with exact case, try case-insensitive lookup
-            if (!procedureMeta) {
-                var lowerProcedureName = procedureName.toLowerCase();
-                var procedureNames = Object.keys(registry.procedures);
-
-                for (var i = 0; i < procedureNames.length; i++) {
-                    if (procedureNames[i].toLowerCase() === lowerProcedureName) {
-                        procedureMeta = registry.procedures[procedureNames[i]];
-                        break;
-                    }
-                }
-            }
+            var procedureMeta = findMetadata(registry.procedures, procedureName);
 
             if (!procedureMeta) {
                 return {
@@ -162,6 +171,9 @@ define([
                 };
             }
 
+            // Refuse to run unless the role allows everything the procedure declares
+            var permissions = resolvePermissions(procedureMeta);
+
             // Load and compile procedure
             var compiledProcedure = getCompiledFunction(procedureMeta);
             if (!compiledProcedure) {
@@ -179,10 +191,10 @@ define([
             var outputLog = [];
 
             // Create execution context with output capture
-            var context = createExecutionContextWithOutput(parameters, procedureMeta.parameters, showOutput, outputLog);
+            var context = createExecutionContextWithOutput(parameters, procedureMeta.parameters, showOutput, outputLog, permissions);
 
             // Execute procedure
-            var result = compiledProcedure(context);
+            var result = compiledProcedure(context, permissions);
 
             // Debug procedure result
             log.debug({
@@ -215,6 +227,129 @@ define([
         }
     }
 
+    /**
+     * Execute an aggregate function over groups of rows
+     *
+     * The function returns its hooks instead of a value:
+     * init() gives the starting state, accumulate(state, params, row) returns
+     * the state after each row, and finalize(state) gives the group's value.
+     *
+     * @param {FunctionCall} funcCall - Aggregate function call
+     * @param {Array} parameters - Positional parameters, column names resolved against each row
+     * @param {Array} groups - Rows of each group
+     * @returns {ExecutionResult} Execution result, with the value of each group as its result
+     */
+    function executeAggregate(funcCall, parameters, groups) {
+        var startTime = Date.now();
+
+        try {
+            var registry = syntheticFunctions.buildFunctionRegistry();
+            var functionMeta = findMetadata(registry.functions, funcCall.name);
+
+            if (!functionMeta) {
+                throw new Error('Function not found: ' + funcCall.name);
+            }
+
+            if (!functionMeta.isAggregate) {
+                throw new Error(funcCall.name + ' is not an aggregate function (@aggregate)');
+            }
+
+            // Refuse to run unless the role allows everything the function declares
+            var permissions = resolvePermissions(functionMeta);
+
+            var compiledFunction = getCompiledFunction(functionMeta);
+            if (!compiledFunction) {
+                throw new Error('Failed to compile function: ' + funcCall.name);
+            }
+
+            var values = groups.map(function(rows) {
+                var hooks = compiledFunction(createExecutionContext([], functionMeta.parameters, permissions), permissions);
+
+                if (!hooks || typeof hooks.accumulate !== 'function' || typeof hooks.finalize !== 'function') {
+                    throw new Error('Aggregate function ' + funcCall.name + ' must return { init, accumulate, finalize } hooks');
+                }
+
+                var state = typeof hooks.init === 'function' ? hooks.init() : null;
+
+                rows.forEach(function(row) {
+                    state = hooks.accumulate(state, mapParameters(parameters, functionMeta.parameters, row), row);
+                });
+
+                return readPropertyAccess(hooks.finalize(state), funcCall.propertyAccess);
+            });
+
+            log.debug({
+                title: 'Aggregate execution result',
+                details: 'Function: ' + funcCall.name + ', Groups: ' + groups.length + ', Time: ' + (Date.now() - startTime) + 'ms'
+            });
+
+            return {
+                success: true,
+                result: values,
+                error: null,
+                executionTime: Date.now() - startTime
+            };
+
+        } catch (error) {
+            log.error({
+                title: 'Aggregate execution error',
+                details: 'Function: ' + funcCall.name + ', Error: ' + error.message
+            });
+
+            return {
+                success: false,
+                result: null,
+                error: error.message,
+                executionTime: Date.now() - startTime
+            };
+        }
+    }
+
+    /**
+     * Check if a function is tagged as an aggregate
+     *
+     * @param {string} functionName - Function name
+     * @returns {boolean} True if the function is an aggregate
+     */
+    function isAggregateFunction(functionName) {
+        var functionMeta = findMetadata(syntheticFunctions.buildFunctionRegistry().functions, functionName);
+        return !!(functionMeta && functionMeta.isAggregate);
+    }
+
+    /**
+     * Check if a synthetic function exists
+     *
+     * @param {string} functionName - Function name
+     * @returns {boolean} True if the registry has the function
+     */
+    function isSyntheticFunction(functionName) {
+        return !!findMetadata(syntheticFunctions.buildFunctionRegistry().functions, functionName);
+    }
+
+    /**
+     * Find function or procedure metadata by name, ignoring case if needed
+     *
+     * @param {Object} entries - Registry functions or procedures
+     * @param {string} name - Name to find
+     * @returns {FunctionMetadata|undefined} Metadata
+     */
+    function findMetadata(entries, name) {
+        if (entries[name]) {
+            return entries[name];
+        }
+
+        var lowerName = name.toLowerCase();
+        var names = Object.keys(entries);
+
+        for (var i = 0; i < names.length; i++) {
+            if (names[i].toLowerCase() === lowerName) {
+                return entries[names[i]];
+            }
+        }
+
+        return undefined;
+    }
+
     /**
      * Get compiled function from cache or compile it
      * 
@@ -258,28 +393,19 @@ define([
     }
 
     /**
-     * Compile JavaScript function with NetSuite modules in scope
+     * Compile JavaScript function with its declared NetSuite modules in scope
      * 
      * @param {string} content - JavaScript file content
      * @param {string} functionName - Function name for error reporting
-     * @returns {Function} Compiled function
+     * @returns {Function} Compiled function, called with (context, permissions)
      */
     function compileFunction(content, functionName) {
         try {
-            // Create a simpler, more reliable compilation approach
+            // Hand the code the manifest's require in place of the script's own.
+            // This is not a sandbox; see the note at the top of this module.
             var functionCode =
-                'var require = function(module) {\n' +
-                '    switch(module) {\n' +
-                '        case "N/record": return modules.record;\n' +
-                '        case "N/query": return modules.query;\n' +
-                '        case "N/search": return modules.search;\n' +
-                '        case "N/log": return modules.log;\n' +
-                '        case "N/format": return modules.format;\n' +
-                '        case "N/runtime": return modules.runtime;\n' +
-                '        case "N/file": return modules.file;\n' +
-                '        default: throw new Error("Module not available: " + module);\n' +
-                '    }\n' +
-                '};\n' +
+                'var require = modules.require;\n' +
+                'var define;\n' +
                 'var exports = {};\n' +
                 'var module = { exports: exports };\n' +
                 'var console = modules.console || { log: function() {}, error: function() {}, info: function() {} };\n' +
@@ -292,16 +418,16 @@ define([
             // Compile the function
             var compiledWrapper = new Function('modules', functionCode);
 
-            return function(context) {
-                // Provide NetSuite modules and enhanced capabilities to the function
+            return function(context, permissions) {
+                // Provide the declared NetSuite modules and enhanced capabilities to the function
                 var modules = {
-                    record: record,
-                    query: query,
-                    search: search,
-                    log: log,
-                    format: format,
-                    runtime: runtime,
-                    file: file,
+                    require: function(moduleName) {
+                        if (!permissions.modules.hasOwnProperty(moduleName)) {
+                            throw new Error('Module not available: ' + moduleName +
+                                (NETSUITE_MODULES[moduleName] ? ' (not declared with @modules in ' + functionName + ')' : ''));
+                        }
+                        return permissions.modules[moduleName];
+                    },
                     console: context.console || { log: function() {}, error: function() {}, info: function() {} },
                     // Enhanced capabilities for stored procedures
                     dml: context.dml || {},
@@ -330,26 +456,87 @@ define([
         }
     }
 
+    /**
+     * Work out what a function or procedure may use from its manifest
+     *
+     * @param {Object} meta - Function or procedure metadata from the registry
+     * @returns {ExecutionPermissions} Permissions
+     * @throws {Error} If the manifest is invalid or the role is not allowed a declared capability
+     */
+    function resolvePermissions(meta) {
+        var manifest = meta.manifest || syntheticFunctions.parseManifest('');
+
+        if (manifest.errors.length > 0) {
+            throw new Error('Invalid manifest in ' + meta.type + ' ' + meta.name + ': ' + manifest.errors.join('; '));
+        }
+
+        var allowed = getRoleCapabilities();
+        var denied = manifest.capabilities.filter(function(capability) {
+            return allowed.indexOf(capability) === -1;
+        });
+
+        if (denied.length > 0) {
+            throw new Error('The current role is not allowed the ' + denied.join(', ') + ' capability needed by ' + meta.type + ' ' + meta.name);
+        }
+
+        var modules = {};
+        manifest.modules.forEach(function(moduleName) {
+            modules[moduleName] = NETSUITE_MODULES[moduleName];
+        });
+
+        return {
+            name: meta.name,
+            type: meta.type,
+            modules: modules,
+            capabilities: manifest.capabilities
+        };
+    }
+
+    /**
+     * Get the capabilities the current role allows
+     *
+     * @returns {Array} Capabilities
+     */
+    function getRoleCapabilities() {
+        var settings = constants.CONFIG.SYNTHETIC_PERMISSIONS;
+        var user = runtime.getCurrentUser();
+
+        return settings.ROLE_CAPABILITIES[String(user.role)] ||
+            settings.ROLE_CAPABILITIES[user.roleId] ||
+            settings.DEFAULT_CAPABILITIES;
+    }
+
+    /**
+     * Build a stand-in for a context method whose capability was not declared
+     *
+     * @param {ExecutionPermissions} permissions - Permissions
+     * @param {string} capability - Capability the method needs
+     * @returns {Function} Function that throws
+     */
+    function refuseCapability(permissions, capability) {
+        return function() {
+            throw new Error(permissions.type + ' ' + permissions.name + ' does not declare the ' + capability + ' capability (@capabilities ' + capability + ')');
+        };
+    }
+
     /**
      * Create execution context for function/procedure
      * 
      * @param {Array|Object} parameters - Function parameters
      * @param {Array} expectedParams - Expected parameter definitions
+     * @param {ExecutionPermissions} permissions - Declared modules and capabilities
      * @param {Object} rowData - Current row data (optional)
      * @returns {ExecutionContext} Execution context
      */
-    function createExecutionContext(parameters, expectedParams, rowData) {
+    function createExecutionContext(parameters, expectedParams, permissions, rowData) {
+        var declaredModules = {};
+        Object.keys(permissions.modules).forEach(function(moduleName) {
+            declaredModules[moduleName.replace('N/', '')] = permissions.modules[moduleName];
+        });
+
         var context = {
             params: {},
-            modules: {
-                record: record,
-                query: query,
-                search: search,
-                log: log,
-                format: format,
-                runtime: runtime,
-                file: file
-            },
+            modules: declaredModules,
             row: rowData || {},
             userId: runtime.getCurrentUser().id,
             roleId: runtime.getCurrentUser().role,
@@ -359,7 +546,22 @@ define([
             }
         };
 
-        // Map parameters to context
+        context.params = mapParameters(parameters, expectedParams, rowData);
+
+        return context;
+    }
+
+    /**
+     * Map call parameters to the function's parameter names
+     *
+     * @param {Array|Object} parameters - Positional or named parameters
+     * @param {Array} expectedParams - Expected parameter definitions
+     * @param {Object} rowData - Current row data (optional)
+     * @returns {Object} Parameters by name
+     */
+    function mapParameters(parameters, expectedParams, rowData) {
+        var params = {};
+
         if (Array.isArray(parameters)) {
             // Positional parameters
             for (var i = 0; i < parameters.length && i < expectedParams.length; i++) {
@@ -380,14 +582,14 @@ define([
                     }
                 }
 
-                context.params[expectedParams[i].name] = paramValue;
+                params[expectedParams[i].name] = paramValue;
             }
         } else if (typeof parameters === 'object' && parameters !== null) {
             // Named parameters
-            context.params = parameters;
+            params = parameters;
         }
 
-        return context;
+        return params;
     }
 
     /**
@@ -397,11 +599,12 @@ define([
      * @param {Array} expectedParams - Expected parameter definitions
      * @param {boolean} showOutput - Whether to capture output
      * @param {Array} outputLog - Array to capture output messages
+     * @param {ExecutionPermissions} permissions - Declared modules and capabilities
      * @param {Object} rowData - Current row data (optional)
      * @returns {ExecutionContext} Execution context with output capture
      */
-    function createExecutionContextWithOutput(parameters, expectedParams, showOutput, outputLog, rowData) {
-        var context = createExecutionContext(parameters, expectedParams, rowData);
+    function createExecutionContextWithOutput(parameters, expectedParams, showOutput, outputLog, permissions, rowData) {
+        var context = createExecutionContext(parameters, expectedParams, permissions, rowData);
 
         // Add output capture functionality
         if (showOutput && outputLog) {
@@ -468,8 +671,12 @@ define([
             context.output = function() {};
         }
 
-        // Add DML execution capabilities to stored procedures
-        context.dml = {
+        // Add DML execution capabilities to stored procedures that declare them
+        context.dml = permissions.capabilities.indexOf('dml') === -1 ? {
+            insert: refuseCapability(permissions, 'dml'),
+            update: refuseCapability(permissions, 'dml'),
+            delete: refuseCapability(permissions, 'dml')
+        } : {
             /**
              * Execute INSERT statement within stored procedure
              * @param {string} sql - INSERT SQL statement
@@ -511,8 +718,10 @@ define([
             }
         };
 
-        // Add SuiteQL execution capabilities
-        context.suiteql = {
+        // Add SuiteQL execution capabilities to stored procedures that declare them
+        context.suiteql = permissions.capabilities.indexOf('read') === -1 ? {
+            query: refuseCapability(permissions, 'read')
+        } : {
             /**
              * Execute SuiteQL query within stored procedure
              * @param {string} sql - SuiteQL query
@@ -597,22 +806,16 @@ define([
                 var modifiedRow = Object.assign({}, row);
 
                 functionCalls.forEach(function(funcCall, index) {
+                    // Aggregates are filled in per group by the processor
+                    if (funcCall.isAggregate) {
+                        return;
+                    }
+
                     var result = executeFunction(funcCall.name, funcCall.parameters, row);
 
                     if (result.success) {
                         // Handle property access (e.g., function().property)
-                        var value = result.result;
-                        if (funcCall.propertyAccess && typeof value === 'object' && value !== null) {
-                            var properties = funcCall.propertyAccess.substring(1).split('.');
-                            for (var i = 0; i < properties.length; i++) {
-                                if (value && typeof value === 'object') {
-                                    value = value[properties[i]];
-                                } else {
-                                    value = null;
-                                    break;
-                                }
-                            }
-                        }
+                        var value = readPropertyAccess(result.result, funcCall.propertyAccess);
 
                         // Look for placeholder column to replace
                         var placeholderKey = 'FUNCTION_PLACEHOLDER_' + index;
@@ -665,6 +868,30 @@ define([
         }
     }
 
+    /**
+     * Follow a property access chain (e.g., '.city') into a function result
+     *
+     * @param {any} value - Function result
+     * @param {string} propertyAccess - Property access chain
+     * @returns {any} Property value, or null if the chain can't be followed
+     */
+    function readPropertyAccess(value, propertyAccess) {
+        if (!propertyAccess || typeof value !== 'object' || value === null) {
+            return value;
+        }
+
+        var properties = propertyAccess.substring(1).split('.');
+        for (var i = 0; i < properties.length; i++) {
+            if (value && typeof value === 'object') {
+                value = value[properties[i]];
+            } else {
+                return null;
+            }
+        }
+
+        return value;
+    }
+
     /**
      * Execute DML statement within stored procedure
      *
@@ -822,18 +1049,8 @@ define([
                     });
                 }
 
-                // Remove function calls from query to get base query
-                var baseQuery = syntheticProcessor.removeFunctionCallsFromQuery(sql, analysis.functions);
-
-                // Execute base query
-                var queryObj = params ?
-                    query.runSuiteQL({ query: baseQuery, params: params }) :
-                    query.runSuiteQL({ query: baseQuery });
-
-                var baseResults = queryObj.asMappedResults();
-
-                // Execute functions for each row and add results
-                results = executeFunctionsForResultSet(analysis.functions, baseResults);
+                // Run the query and apply its functions, including any in WHERE or ORDER BY
+                results = syntheticProcessor.runQueryWithFunctions(sql, params || []);
                 recordCount = results.length;
 
                 if (showOutput && outputLog) {
@@ -895,6 +1112,9 @@ define([
         executeFunction: executeFunction,
         executeProcedure: executeProcedure,
         executeFunctionsForResultSet: executeFunctionsForResultSet,
+        executeAggregate: executeAggregate,
+        isAggregateFunction: isAggregateFunction,
+        isSyntheticFunction: isSyntheticFunction,
         validateParameters: validateParameters,
         clearCache: clearCache
     };
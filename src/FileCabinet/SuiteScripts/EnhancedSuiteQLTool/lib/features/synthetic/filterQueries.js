@@ -0,0 +1,440 @@
+/**
+ * @fileoverview Synthetic Function Filters
+ *
+ * Plans queries whose WHERE or ORDER BY clauses call synthetic functions.
+ * SuiteQL can't run those clauses, so the base query fetches a superset and
+ * the tool finishes the query:
+ *
+ * - WHERE conditions (joined by AND) that call a synthetic function are
+ *   removed from the base query and evaluated on each fetched row. The other
+ *   conditions stay in SuiteQL.
+ * - An ORDER BY that calls a synthetic function, or sorts by a synthetic
+ *   select column, is evaluated in the tool. Other ORDER BY items are added
+ *   to the base query's select list as sq_ord_0, sq_ord_1, ...
+ * - Row limits (OFFSET / FETCH) are applied after filtering and sorting.
+ *
+ * Function arguments are added to the base query's select list as
+ * sq_arg_0, sq_arg_1, ..., and other columns the tool reads as sq_ref_0,
+ * sq_ref_1, ..., so any SuiteQL expression can be passed to a function.
+ * These columns are removed from the final rows.
+ *
+ * @author Enhanced SuiteQL Tool
+ * @version 1.0.0
+ */
+
+define([
+    'N/log',
+    './queryParser',
+    './resultJoins',
+    './rowExpressions'
+], function(log, queryParser, resultJoins, rowExpressions) {
+    'use strict';
+
+    /**
+     * Filter query plan structure
+     * @typedef {Object} FilterPlan
+     * @property {string} baseQuery - Statement to run in SuiteQL
+     * @property {Array} baseParams - Parameters for the base query
+     * @property {Array} filters - WHERE conditions evaluated in the tool
+     * @property {Array|null} orderBy - ORDER BY items sorted in the tool, null if SuiteQL sorts
+     * @property {Object|null} limit - Row limit ({ offset, fetch }) applied in the tool
+     * @property {boolean} distinct - Whether duplicate rows are removed
+     * @property {Object} references - Base query column of each column the tool reads
+     */
+
+    /**
+     * SuiteQL aggregate functions, which summarize rows before a WHERE run in the tool could filter them
+     */
+    var AGGREGATE_PATTERN = /\b(COUNT|SUM|AVG|MIN|MAX|LISTAGG|MEDIAN|STDDEV|VARIANCE)\s*\(/ig;
+
+    /**
+     * Plan the base query and in-memory clauses for a statement
+     *
+     * @param {string} baseQuery - Statement with its SELECT list function calls replaced by placeholders
+     * @param {Array} functionCalls - Synthetic function calls outside the SELECT list
+     * @param {Array} params - Query parameters
+     * @returns {FilterPlan|null} Plan, or null if SuiteQL can run the WHERE and ORDER BY clauses
+     * @throws {Error} If synthetic functions are used in a clause that can't be evaluated in the tool
+     */
+    function planFilterQuery(baseQuery, functionCalls, params) {
+        var names = functionCalls.map(function(call) {
+            return call.name.toLowerCase();
+        }).filter(function(name, index, all) {
+            return all.indexOf(name) === index;
+        });
+
+        var clauses = queryParser.splitSelectClauses(baseQuery);
+        if (!clauses) {
+            return null;
+        }
+
+        if (callsFunction(clauses.groupBy || '', names) || callsFunction(clauses.having || '', names)) {
+            throw new Error('Synthetic functions can\'t be used in GROUP BY or HAVING');
+        }
+
+        var distinct = /^DISTINCT\s+/i.test(clauses.select);
+        var selectItems = resultJoins.splitList(clauses.select.replace(/^(DISTINCT|ALL)\s+/i, '')).map(describeSelectItem);
+        var selectAll = selectItems.some(function(item) {
+            return item.text === '*';
+        });
+
+        var conditions = rowExpressions.splitConjuncts(clauses.where || '');
+        var filterConditions = conditions.filter(function(condition) {
+            return callsFunction(condition, names);
+        });
+
+        var orderTexts = clauses.orderBy ? resultJoins.splitList(clauses.orderBy) : [];
+        var sortsInTool = orderTexts.some(function(text) {
+            var key = splitOrderItem(text).expression;
+            var selected = findSelectItem(key, selectItems);
+            return callsFunction(key, names) || (selected !== null && selected.isSynthetic);
+        });
+
+        if (filterConditions.length === 0 && !sortsInTool) {
+            return null;
+        }
+
+        if (!clauses.from) {
+            throw new Error('Synthetic functions in WHERE or ORDER BY need a FROM clause');
+        }
+
+        if (filterConditions.length > 0 && (clauses.groupBy || hasAggregate(clauses.select))) {
+            throw new Error('Synthetic functions in WHERE can\'t be combined with GROUP BY or aggregate functions');
+        }
+
+        filterConditions.concat(sortsInTool ? orderTexts : []).forEach(function(text) {
+            if (resultJoins.countPlaceholders(text) > 0) {
+                throw new Error('Query parameters can\'t be used in WHERE conditions or ORDER BY clauses that call synthetic functions');
+            }
+        });
+
+        var outputNames = selectItems.map(function(item) {
+            return item.name;
+        });
+        var references = {};
+        var extraColumns = [];
+
+        /**
+         * Move each argument of a synthetic function call to the base query,
+         * so the tool only has to evaluate the call itself
+         */
+        function pushArguments(text, allowOutputNames) {
+            if (selectAll || names.length === 0) {
+                return text;
+            }
+
+            var masked = resultJoins.maskLiterals(text);
+            var callPattern = new RegExp('(^|[^\\w.$#])(' + names.join('|') + ')\\s*\\(', 'ig');
+            var output = '';
+            var copied = 0;
+            var match;
+
+            while ((match = callPattern.exec(masked)) !== null) {
+                var openIndex = match.index + match[0].length - 1;
+                var closeIndex = resultJoins.findClosingParen(masked, openIndex);
+                if (closeIndex === -1) {
+                    break;
+                }
+
+                var args = resultJoins.splitList(text.substring(openIndex + 1, closeIndex)).map(function(arg) {
+                    if (/^('([^']|'')*'|-?\d+(\.\d+)?|NULL)$/i.test(arg)) {
+                        return arg;
+                    }
+                    if (callsFunction(arg, names)) {
+                        return pushArguments(arg, allowOutputNames);
+                    }
+                    if (allowOutputNames && /^\w+$/.test(arg) && outputNames.indexOf(arg.toLowerCase()) !== -1) {
+                        // A select column, read from the final rows
+                        return arg;
+                    }
+
+                    var column = 'sq_arg_' + Object.keys(references).length;
+                    references[column] = column;
+                    extraColumns.push(arg + ' AS ' + column);
+                    return column;
+                });
+
+                output += text.substring(copied, openIndex + 1) + args.join(', ') + ')';
+                copied = closeIndex + 1;
+                callPattern.lastIndex = closeIndex + 1;
+            }
+
+            return output + text.substring(copied);
+        }
+
+        /**
+         * Make a base query column for each column an expression reads
+         */
+        function addReferences(expression, allowOutputNames) {
+            rowExpressions.collectColumns(expression).forEach(function(name) {
+                var lowerName = name.toLowerCase();
+                if (selectAll || references[lowerName] ||
+                    (allowOutputNames && lowerName.indexOf('.') === -1 && outputNames.indexOf(lowerName) !== -1)) {
+                    return;
+                }
+                references[lowerName] = 'sq_ref_' + Object.keys(references).length;
+                extraColumns.push(name + ' AS ' + references[lowerName]);
+            });
+        }
+
+        var filters = filterConditions.map(function(condition) {
+            var expression = rowExpressions.parseExpression(pushArguments(condition, false));
+            addReferences(expression, false);
+            return expression;
+        });
+
+        var orderBy = null;
+        if (sortsInTool) {
+            orderBy = orderTexts.map(function(text, index) {
+                var parts = splitOrderItem(text);
+                var selected = findSelectItem(parts.expression, selectItems);
+                var item;
+
+                if (selected === null && /^\d+$/.test(parts.expression)) {
+                    throw new Error('ORDER BY position ' + parts.expression + ' must refer to a column of the select list');
+                }
+
+                if (selected !== null && selected.name !== null) {
+                    // Sorted by a select column, which the final rows already have
+                    item = rowExpressions.parseOrderBy(selected.name + parts.direction)[0];
+                } else if (callsFunction(parts.expression, names) || selectAll) {
+                    item = rowExpressions.parseOrderBy(pushArguments(parts.expression, true) + parts.direction)[0];
+                    addReferences(item.expression, true);
+                } else {
+                    var column = 'sq_ord_' + index;
+                    references[column] = column;
+                    extraColumns.push((selected !== null ? selected.expression : parts.expression) + ' AS ' + column);
+                    item = rowExpressions.parseOrderBy(column + parts.direction)[0];
+                }
+
+                return item;
+            });
+        }
+
+        var inTool = filters.length > 0 || orderBy !== null;
+        var plan = {
+            baseQuery: queryParser.joinSelectClauses({
+                select: clauses.select + (extraColumns.length > 0 ? ', ' + extraColumns.join(', ') : ''),
+                from: clauses.from,
+                where: conditions.filter(function(condition) {
+                    return filterConditions.indexOf(condition) === -1;
+                }).join(' AND '),
+                groupBy: clauses.groupBy,
+                having: clauses.having,
+                orderBy: orderBy ? null : clauses.orderBy
+            }),
+            baseParams: params || [],
+            filters: filters,
+            orderBy: orderBy,
+            limit: inTool && clauses.limit ? rowExpressions.parseLimit(clauses.limit) : null,
+            distinct: distinct,
+            // SELECT * can't add columns, so columns are read by name instead
+            references: selectAll ? {} : references
+        };
+
+        log.debug({
+            title: 'Filter query planned',
+            details: 'Base: ' + plan.baseQuery + ', Filters: ' + filters.length + ', Sorted in tool: ' + (orderBy !== null)
+        });
+
+        return plan;
+    }
+
+    /**
+     * Keep the rows that pass the plan's WHERE conditions
+     *
+     * @param {FilterPlan} plan - Query plan
+     * @param {Array} rows - Rows of the base query
+     * @param {Function} callFunction - (name, args) => synthetic function result
+     * @returns {Array} Matching rows
+     */
+    function filterRows(plan, rows, callFunction) {
+        if (plan.filters.length === 0) {
+            return rows;
+        }
+
+        return rows.filter(function(row) {
+            var scope = createScope(plan, row, callFunction);
+            return plan.filters.every(function(filter) {
+                return rowExpressions.isTrue(rowExpressions.evaluate(filter, scope));
+            });
+        });
+    }
+
+    /**
+     * Sort the rows, remove the plan's own columns and apply DISTINCT and the row limit
+     *
+     * @param {FilterPlan} plan - Query plan
+     * @param {Array} rows - Filtered rows, with their SELECT list functions filled in
+     * @param {Function} callFunction - (name, args) => synthetic function result
+     * @returns {Array} Result rows
+     */
+    function finishRows(plan, rows, callFunction) {
+        if (plan.orderBy) {
+            rows = rowExpressions.sortRows(rows, plan.orderBy, function(row, item) {
+                return rowExpressions.evaluate(item.expression, createScope(plan, row, callFunction));
+            });
+        }
+
+        rows = rows.map(function(row) {
+            var output = {};
+            Object.keys(row).forEach(function(column) {
+                if (!/^sq_(ref|arg|ord)_\d+$/i.test(column)) {
+                    output[column] = row[column];
+                }
+            });
+            return output;
+        });
+
+        if (plan.distinct) {
+            var seen = {};
+            rows = rows.filter(function(row) {
+                var key = JSON.stringify(row);
+                return seen.hasOwnProperty(key) ? false : (seen[key] = true);
+            });
+        }
+
+        return plan.limit ? rowExpressions.applyLimit(rows, plan.limit) : rows;
+    }
+
+    /**
+     * Create the expression scope for a row
+     *
+     * @param {FilterPlan} plan - Query plan
+     * @param {Object} row - Base query row
+     * @param {Function} callFunction - (name, args) => synthetic function result
+     * @returns {Object} Expression scope
+     */
+    function createScope(plan, row, callFunction) {
+        return {
+            column: function(name) {
+                var lowerName = name.toLowerCase();
+
+                if (plan.references[lowerName]) {
+                    return readColumn(row, plan.references[lowerName]);
+                }
+
+                var value = readColumn(row, lowerName);
+                return value !== undefined ? value : readColumn(row, lowerName.split('.').pop());
+            },
+            call: callFunction
+        };
+    }
+
+    /**
+     * Describe a select list item
+     *
+     * @param {string} text - Item text
+     * @returns {Object} { text, expression, name, isSynthetic }, name null when SuiteQL picks it
+     */
+    function describeSelectItem(text) {
+        var placeholder = text.match(/^'FUNCTION_PLACEHOLDER_\d+'\s+AS\s+(\w+)$/i);
+        if (placeholder) {
+            return { text: text, expression: text, name: placeholder[1].toLowerCase(), isSynthetic: true };
+        }
+
+        var aliased = text.match(/^([\s\S]*?[\w)'"])\s+(?:AS\s+)?("?)([A-Za-z_]\w*)\2$/i);
+        if (aliased && aliased[3].toUpperCase() !== 'END') {
+            return { text: text, expression: aliased[1], name: aliased[3].toLowerCase(), isSynthetic: false };
+        }
+
+        var column = text.match(/^(?:\w+\.)*(\w+)$/);
+
+        return { text: text, expression: text, name: column ? column[1].toLowerCase() : null, isSynthetic: false };
+    }
+
+    /**
+     * Find the select item an ORDER BY key names, by alias or position
+     *
+     * @param {string} key - ORDER BY expression text
+     * @param {Array} selectItems - Items from describeSelectItem
+     * @returns {Object|null} Select item, or null if the key is an expression or a position outside the list
+     */
+    function findSelectItem(key, selectItems) {
+        if (/^\d+$/.test(key)) {
+            var selected = selectItems[parseInt(key, 10) - 1];
+            return selected && selected.text !== '*' ? selected : null;
+        }
+
+        if (/^\w+$/.test(key)) {
+            for (var i = 0; i < selectItems.length; i++) {
+                if (selectItems[i].name === key.toLowerCase()) {
+                    return selectItems[i];
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Split an ORDER BY item into its expression and direction
+     *
+     * @param {string} text - ORDER BY item
+     * @returns {Object} { expression, direction }, direction including its leading space
+     */
+    function splitOrderItem(text) {
+        var match = text.match(/^([\s\S]*?)((?:\s+(?:ASC|DESC))?(?:\s+NULLS\s+(?:FIRST|LAST))?)\s*$/i);
+        return { expression: match[1].trim(), direction: match[2] };
+    }
+
+    /**
+     * Check if SQL text calls any of the named functions
+     *
+     * @param {string} text - SQL text
+     * @param {Array} names - Lowercase function names
+     * @returns {boolean} True if one of the functions is called
+     */
+    function callsFunction(text, names) {
+        var masked = resultJoins.maskLiterals(text).toLowerCase();
+        return names.some(function(name) {
+            return new RegExp('(^|[^\\w.$#])' + name + '\\s*\\(').test(masked);
+        });
+    }
+
+    /**
+     * Check if a select list calls a SuiteQL aggregate function outside subqueries
+     *
+     * @param {string} select - Select list
+     * @returns {boolean} True if the select list aggregates rows
+     */
+    function hasAggregate(select) {
+        var masked = resultJoins.maskLiterals(select);
+        var match;
+
+        AGGREGATE_PATTERN.lastIndex = 0;
+        while ((match = AGGREGATE_PATTERN.exec(masked)) !== null) {
+            if (resultJoins.getDepth(masked, match.index) === 0) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Read a column from a row, ignoring case
+     *
+     * @param {Object} row - Row
+     * @param {string} column - Lowercase column name
+     * @returns {*} Value, or undefined if the row has no such column
+     */
+    function readColumn(row, column) {
+        if (row.hasOwnProperty(column)) {
+            return row[column];
+        }
+        for (var key in row) {
+            if (key.toLowerCase() === column) {
+                return row[key];
+            }
+        }
+        return undefined;
+    }
+
+    // Public API
+    return {
+        planFilterQuery: planFilterQuery,
+        filterRows: filterRows,
+        finishRows: finishRows
+    };
+});
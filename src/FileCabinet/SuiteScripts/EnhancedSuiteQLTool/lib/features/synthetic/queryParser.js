@@ -13,7 +13,7 @@
  * @version 1.0.0
  */
 
-define(['N/log'], function(log) {
+define(['N/log', './resultJoins'], function(log, resultJoins) {
     'use strict';
 
     /**
@@ -32,6 +32,7 @@ define(['N/log'], function(log) {
      * @typedef {Object} FunctionCall
      * @property {string} name - Function name
      * @property {Array} parameters - Array of parameter values
+     * @property {Array} rawParameters - Parameter text as written in the query
      * @property {string} fullMatch - Full matched text
      * @property {number} startIndex - Start position in query
      * @property {number} endIndex - End position in query
@@ -129,10 +130,15 @@ define(['N/log'], function(log) {
 
         // Check for DML statements first (these should not be processed by synthetic functions)
         if (upperQuery.startsWith('INSERT INTO') ||
+            upperQuery.startsWith('UPSERT INTO') ||
+            upperQuery.startsWith('MERGE INTO') ||
             upperQuery.startsWith('UPDATE ') ||
             upperQuery.startsWith('DELETE FROM') ||
             upperQuery.startsWith('CREATE RECORD') ||
-            upperQuery.startsWith('CREATE LIST')) {
+            upperQuery.startsWith('CREATE LIST') ||
+            upperQuery.startsWith('ALTER RECORD') ||
+            upperQuery.startsWith('DROP RECORD') ||
+            upperQuery.startsWith('ALTER LIST')) {
             return 'DML';
         }
 
@@ -312,6 +318,9 @@ define(['N/log'], function(log) {
                 var functionCall = {
                     name: functionName,
                     parameters: parameters,
+                    rawParameters: parametersString.trim() ? splitParameterString(parametersString).map(function(value) {
+                        return value.trim();
+                    }) : [],
                     fullMatch: fullMatch,
                     startIndex: startIndex,
                     endIndex: endIndex,
@@ -631,6 +640,94 @@ define(['N/log'], function(log) {
         return false;
     }
 
+    /**
+     * Split a single SELECT statement into its top-level clauses
+     *
+     * Clause text excludes its keyword, except limit, which holds a trailing
+     * OFFSET or FETCH clause in full.
+     *
+     * @param {string} sql - SQL query
+     * @returns {Object|null} { select, from, where, groupBy, having, orderBy, limit }, or null if the query is not a single SELECT
+     */
+    function splitSelectClauses(sql) {
+        var masked = resultJoins.maskLiterals(sql);
+        var keywordPattern = /\b(SELECT|FROM|WHERE|GROUP\s+BY|HAVING|ORDER\s+BY|OFFSET|FETCH|UNION|MINUS|INTERSECT|EXCEPT)\b/ig;
+        var clauseNames = {
+            'SELECT': 'select',
+            'FROM': 'from',
+            'WHERE': 'where',
+            'GROUP BY': 'groupBy',
+            'HAVING': 'having',
+            'ORDER BY': 'orderBy',
+            'OFFSET': 'limit',
+            'FETCH': 'limit'
+        };
+        var clauseOrder = ['select', 'from', 'where', 'groupBy', 'having', 'orderBy', 'limit'];
+        var found = [];
+        var match;
+
+        while ((match = keywordPattern.exec(masked)) !== null) {
+            if (resultJoins.getDepth(masked, match.index) !== 0) {
+                continue;
+            }
+
+            var name = clauseNames[match[1].toUpperCase().replace(/\s+/g, ' ')];
+            if (!name) {
+                // Set operators combine several statements
+                return null;
+            }
+
+            var textStart = name === 'limit' ? match.index : match.index + match[0].length;
+            var previous = found[found.length - 1];
+
+            if (previous && clauseOrder.indexOf(name) <= clauseOrder.indexOf(previous.name)) {
+                return null;
+            }
+
+            found.push({ name: name, start: match.index, textStart: textStart });
+
+            if (name === 'limit') {
+                break;
+            }
+        }
+
+        if (found.length === 0 || found[0].name !== 'select' || masked.substring(0, found[0].start).trim() !== '') {
+            return null;
+        }
+
+        var clauses = {};
+        found.forEach(function(clause, index) {
+            var end = index + 1 < found.length ? found[index + 1].start : sql.length;
+            clauses[clause.name] = sql.substring(clause.textStart, end).trim().replace(/;$/, '').trim();
+        });
+
+        return clauses;
+    }
+
+    /**
+     * Rebuild a SELECT statement from clauses split by splitSelectClauses
+     *
+     * @param {Object} clauses - Statement clauses
+     * @returns {string} SQL query
+     */
+    function joinSelectClauses(clauses) {
+        var keywords = [
+            ['select', 'SELECT '],
+            ['from', 'FROM '],
+            ['where', 'WHERE '],
+            ['groupBy', 'GROUP BY '],
+            ['having', 'HAVING '],
+            ['orderBy', 'ORDER BY '],
+            ['limit', '']
+        ];
+
+        return keywords.filter(function(keyword) {
+            return clauses[keyword[0]];
+        }).map(function(keyword) {
+            return keyword[1] + clauses[keyword[0]];
+        }).join(' ');
+    }
+
     /**
      * Create empty analysis result
      * 
@@ -657,6 +754,8 @@ define(['N/log'], function(log) {
         parsePositionalParameters: parsePositionalParameters,
         isSQLBuiltinFunction: isSQLBuiltinFunction,
         isInSubqueryContext: isInSubqueryContext,
-        isSQLKeywordInContext: isSQLKeywordInContext
+        isSQLKeywordInContext: isSQLKeywordInContext,
+        splitSelectClauses: splitSelectClauses,
+        joinSelectClauses: joinSelectClauses
     };
 });
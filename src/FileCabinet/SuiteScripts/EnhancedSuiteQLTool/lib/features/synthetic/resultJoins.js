@@ -0,0 +1,407 @@
+/**
+ * @fileoverview Cross-Query Result Joins
+ *
+ * Joins the results of separately executed SuiteQL queries inside the
+ * tool, for record types SuiteQL cannot join directly. Named result
+ * queries are declared in a leading WITH RESULT block and joined to the
+ * main query with JOIN RESULT clauses:
+ *
+ *   WITH RESULT a AS ( SELECT entity, COUNT(*) AS orders FROM transaction GROUP BY entity )
+ *   SELECT id, companyname FROM customer b
+ *   LEFT JOIN RESULT a ON a.entity = b.id
+ *
+ * The JOIN RESULT clauses are removed before the main query runs, and
+ * each result's columns are added to the joined rows as "a.column".
+ * ON conditions are equality comparisons combined with AND.
+ *
+ * @author Enhanced SuiteQL Tool
+ * @version 1.0.0
+ */
+
+define(['N/log', 'N/query'], function(log, query) {
+    'use strict';
+
+    /**
+     * Rows fetched per page when reading a query's full result set
+     */
+    var PAGE_SIZE = 1000;
+
+    /**
+     * Maximum rows read from any one query, and produced by the join
+     */
+    var MAX_ROWS = 20000;
+
+    /**
+     * Result join analysis structure
+     * @typedef {Object} ResultJoinAnalysis
+     * @property {Array} results - Named result queries ({ name, query, params })
+     * @property {string} baseQuery - Main query with the JOIN RESULT clauses removed
+     * @property {Array} baseParams - Parameters for the main query
+     * @property {Array} joins - Joins in order ({ type, name, conditions })
+     */
+
+    /**
+     * Detect and parse a query that joins named results
+     *
+     * @param {string} sqlQuery - SQL query to analyze
+     * @param {Array} [queryParams] - Query parameters, in placeholder order
+     * @returns {ResultJoinAnalysis|null} Analysis, or null if the query has no WITH RESULT block
+     */
+    function analyzeResultJoin(sqlQuery, queryParams) {
+        var masked = maskLiterals(sqlQuery);
+        var header = masked.match(/^\s*WITH\s+RESULT\s+/i);
+
+        if (!header) {
+            return null;
+        }
+
+        var params = (queryParams || []).slice();
+        var results = [];
+        var position = 0;
+        var definition;
+        var definitionPattern = /^(\s*WITH|\s*,)\s+RESULT\s+(\w+)\s+AS\s*\(/i;
+
+        while ((definition = masked.substring(position).match(definitionPattern)) !== null) {
+            var open = position + definition[0].length - 1;
+            var close = findClosingParen(masked, open);
+
+            if (close === -1) {
+                throw new Error('Unclosed RESULT definition: ' + definition[2]);
+            }
+
+            var resultQuery = sqlQuery.substring(open + 1, close).trim();
+
+            results.push({
+                name: definition[2].toLowerCase(),
+                query: resultQuery,
+                params: params.splice(0, countPlaceholders(resultQuery))
+            });
+
+            position = close + 1;
+        }
+
+        var base = extractJoinClauses(sqlQuery.substring(position), results);
+
+        return {
+            results: results,
+            baseQuery: base.query,
+            baseParams: params,
+            joins: base.joins
+        };
+    }
+
+    /**
+     * Remove the JOIN RESULT clauses from the main query and parse them
+     *
+     * @param {string} sql - The main query
+     * @param {Array} results - Named result queries
+     * @returns {Object} { query, joins }
+     */
+    function extractJoinClauses(sql, results) {
+        var masked = maskLiterals(sql);
+        var joinPattern = /\b((LEFT\s+(OUTER\s+)?|INNER\s+)?JOIN\s+RESULT\s+(\w+)\s+ON\s+)/ig;
+        var clauseEnd = /\b(LEFT|RIGHT|FULL|INNER|CROSS|JOIN|WHERE|GROUP|HAVING|ORDER|UNION|MINUS|INTERSECT|FETCH|OFFSET)\b/ig;
+        var joins = [];
+        var query = '';
+        var position = 0;
+        var match;
+
+        while ((match = joinPattern.exec(masked)) !== null) {
+            var name = match[4].toLowerCase();
+            var conditionStart = match.index + match[0].length;
+
+            if (getDepth(masked, match.index) !== 0) {
+                throw new Error('JOIN RESULT is only supported in the outer query');
+            }
+
+            var known = results.some(function(result) {
+                return result.name === name;
+            });
+            if (!known) {
+                throw new Error('JOIN RESULT references an undefined result: ' + name);
+            }
+
+            // The condition runs to the next top-level clause keyword
+            clauseEnd.lastIndex = conditionStart;
+            var conditionEnd = masked.length;
+            var end;
+            while ((end = clauseEnd.exec(masked)) !== null) {
+                if (getDepth(masked, end.index) === 0) {
+                    conditionEnd = end.index;
+                    break;
+                }
+            }
+
+            joins.push({
+                type: /^LEFT/i.test(match[1]) ? 'LEFT' : 'INNER',
+                name: name,
+                conditions: parseJoinConditions(sql.substring(conditionStart, conditionEnd), name)
+            });
+
+            query += sql.substring(position, match.index);
+            position = conditionEnd;
+            joinPattern.lastIndex = conditionEnd;
+        }
+
+        if (joins.length === 0) {
+            throw new Error('WITH RESULT requires at least one JOIN RESULT clause in the main query');
+        }
+
+        return {
+            query: (query + sql.substring(position)).trim(),
+            joins: joins
+        };
+    }
+
+    /**
+     * Parse an ON condition into equality comparisons
+     *
+     * Each comparison is normalized so that "result" is the column of the
+     * result being joined and "row" is the column on the rows joined so far.
+     *
+     * @param {string} conditionText - The ON condition
+     * @param {string} name - Name of the result being joined
+     * @returns {Array} Conditions ({ result, row })
+     */
+    function parseJoinConditions(conditionText, name) {
+        return conditionText.trim().split(/\s+AND\s+/i).map(function(comparison) {
+            var parts = comparison.trim().replace(/^\(\s*|\s*\)$/g, '').match(/^(\w+\.)?(\w+)\s*=\s*(\w+\.)?(\w+)$/);
+
+            if (!parts) {
+                throw new Error('JOIN RESULT conditions must be column equality comparisons joined with AND: ' + comparison.trim());
+            }
+
+            var left = { qualifier: parts[1] ? parts[1].slice(0, -1).toLowerCase() : null, column: parts[2].toLowerCase() };
+            var right = { qualifier: parts[3] ? parts[3].slice(0, -1).toLowerCase() : null, column: parts[4].toLowerCase() };
+
+            if (left.qualifier === name && right.qualifier !== name) {
+                return { result: left.column, row: right };
+            }
+            if (right.qualifier === name && left.qualifier !== name) {
+                return { result: right.column, row: left };
+            }
+
+            throw new Error('Each JOIN RESULT condition must compare one column of ' + name + ' with another column: ' + comparison.trim());
+        });
+    }
+
+    /**
+     * Join the main query's rows with the named results
+     *
+     * @param {Array} baseRows - Rows of the main query
+     * @param {Object} resultRows - Rows of each named result, by name
+     * @param {Array} joins - Joins from analyzeResultJoin
+     * @returns {Array} Joined rows
+     */
+    function joinResults(baseRows, resultRows, joins) {
+        var joinedNames = [];
+
+        return joins.reduce(function(rows, join) {
+            var rightRows = resultRows[join.name] || [];
+            var columns = rightRows.length > 0 ? Object.keys(rightRows[0]) : [];
+            var index = {};
+
+            rightRows.forEach(function(rightRow) {
+                var key = getJoinKey(join.conditions.map(function(condition) {
+                    return rightRow[condition.result];
+                }));
+                if (key !== null) {
+                    (index[key] = index[key] || []).push(rightRow);
+                }
+            });
+
+            var joined = [];
+
+            rows.forEach(function(row) {
+                var key = getJoinKey(join.conditions.map(function(condition) {
+                    return getRowValue(row, condition.row, joinedNames);
+                }));
+                var matches = key !== null ? (index[key] || []) : [];
+
+                if (matches.length === 0 && join.type === 'LEFT') {
+                    matches = [null];
+                }
+
+                matches.forEach(function(rightRow) {
+                    var merged = Object.assign({}, row);
+                    columns.forEach(function(column) {
+                        merged[join.name + '.' + column] = rightRow ? rightRow[column] : null;
+                    });
+                    joined.push(merged);
+                });
+
+                if (joined.length > MAX_ROWS) {
+                    throw new Error('The joined result exceeds ' + MAX_ROWS + ' rows. Add conditions to narrow the join.');
+                }
+            });
+
+            joinedNames.push(join.name);
+
+            return joined;
+        }, baseRows);
+    }
+
+    /**
+     * Read a column from a joined row
+     *
+     * Columns qualified with an already joined result read that result's
+     * "name.column" key; any other qualifier refers to the main query.
+     *
+     * @param {Object} row - Row joined so far
+     * @param {Object} reference - Column reference ({ qualifier, column })
+     * @param {Array} joinedNames - Results joined so far
+     * @returns {*} Column value
+     */
+    function getRowValue(row, reference, joinedNames) {
+        if (reference.qualifier && joinedNames.indexOf(reference.qualifier) !== -1) {
+            return row[reference.qualifier + '.' + reference.column];
+        }
+        return row[reference.column];
+    }
+
+    /**
+     * Build a hash key from join column values
+     *
+     * @param {Array} values - Join column values
+     * @returns {string|null} Key, or null if any value is null (null never matches)
+     */
+    function getJoinKey(values) {
+        for (var i = 0; i < values.length; i++) {
+            if (values[i] === null || values[i] === undefined || values[i] === '') {
+                return null;
+            }
+        }
+        // Compare as strings so numeric IDs match text IDs from either side
+        return JSON.stringify(values.map(String));
+    }
+
+    /**
+     * Run a query and read all of its rows
+     *
+     * @param {string} sql - SuiteQL query
+     * @param {Array} params - Query parameters
+     * @returns {Array} Mapped result rows
+     */
+    function fetchAllRows(sql, params) {
+        var pagedData = query.runSuiteQLPaged({
+            query: sql,
+            params: params || [],
+            pageSize: PAGE_SIZE
+        });
+
+        if (pagedData.count > MAX_ROWS) {
+            throw new Error('The query returns ' + pagedData.count + ' rows, more than the ' + MAX_ROWS + ' row limit. Add a WHERE clause to narrow it.');
+        }
+
+        var rows = [];
+        pagedData.pageRanges.forEach(function(pageRange) {
+            rows = rows.concat(pagedData.fetch({ index: pageRange.index }).data.asMappedResults());
+        });
+
+        log.debug({
+            title: 'Result join query fetched',
+            details: 'Rows: ' + rows.length + ', Query: ' + sql.substring(0, 100) + '...'
+        });
+
+        return rows;
+    }
+
+    /**
+     * Count the ? placeholders outside literals and comments
+     *
+     * @param {string} sql - SQL text
+     * @returns {number} Placeholder count
+     */
+    function countPlaceholders(sql) {
+        return (maskLiterals(sql).match(/\?/g) || []).length;
+    }
+
+    /**
+     * Get the parenthesis depth at a position
+     *
+     * @param {string} masked - SQL with literals masked
+     * @param {number} position - Position to check
+     * @returns {number} Depth
+     */
+    function getDepth(masked, position) {
+        var depth = 0;
+        for (var i = 0; i < position; i++) {
+            if (masked[i] === '(') depth++;
+            else if (masked[i] === ')') depth--;
+        }
+        return depth;
+    }
+
+    /**
+     * Find the parenthesis that closes the one at an index
+     *
+     * @param {string} masked - SQL with literals masked
+     * @param {number} openIndex - Index of the opening parenthesis
+     * @returns {number} Index of the closing parenthesis, or -1
+     */
+    function findClosingParen(masked, openIndex) {
+        var depth = 0;
+        for (var i = openIndex; i < masked.length; i++) {
+            if (masked[i] === '(') {
+                depth++;
+            } else if (masked[i] === ')' && --depth === 0) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Split a comma-separated list at its top level
+     *
+     * @param {string} text - List text
+     * @returns {Array} Trimmed items
+     */
+    function splitList(text) {
+        var masked = maskLiterals(text);
+        var items = [];
+        var depth = 0;
+        var start = 0;
+
+        for (var i = 0; i < masked.length; i++) {
+            if (masked[i] === '(') {
+                depth++;
+            } else if (masked[i] === ')') {
+                depth--;
+            } else if (masked[i] === ',' && depth === 0) {
+                items.push(text.substring(start, i).trim());
+                start = i + 1;
+            }
+        }
+
+        items.push(text.substring(start).trim());
+
+        return items.filter(function(item) {
+            return item !== '';
+        });
+    }
+
+    /**
+     * Blank out string literals, quoted identifiers and comments, keeping positions
+     *
+     * @param {string} sql - SQL text
+     * @returns {string} Masked SQL of the same length
+     */
+    function maskLiterals(sql) {
+        return sql.replace(/'([^']|'')*'?|"[^"]*"?|--[^\n]*|\/\*[\s\S]*?(\*\/|$)/g, function(token) {
+            return token.replace(/[^\n]/g, ' ');
+        });
+    }
+
+    // Public API
+    return {
+        analyzeResultJoin: analyzeResultJoin,
+        joinResults: joinResults,
+        fetchAllRows: fetchAllRows,
+        countPlaceholders: countPlaceholders,
+        maskLiterals: maskLiterals,
+        getDepth: getDepth,
+        findClosingParen: findClosingParen,
+        splitList: splitList
+    };
+});
@@ -0,0 +1,989 @@
+/**
+ * @fileoverview In-Memory Row Expressions
+ *
+ * Parses and evaluates the parts of a query that run inside the tool rather
+ * than in SuiteQL: select items, WHERE conditions and ORDER BY keys over rows
+ * that were fetched or produced by synthetic functions.
+ *
+ * Supported expressions:
+ * - Columns (value, t.value), string and number literals, NULL, TRUE, FALSE
+ * - Arithmetic (+ - * /), concatenation (||) and comparisons (= <> != < > <= >=)
+ * - AND, OR, NOT, IN (...), BETWEEN, LIKE ... [ESCAPE], IS [NOT] NULL, CASE
+ * - Common SQL functions (UPPER, NVL, ROUND, ...) and, through the caller,
+ *   synthetic functions with optional property access (fn(x).city)
+ *
+ * Comparisons follow SQL: anything compared with NULL is unknown, and only
+ * conditions that are true keep a row.
+ *
+ * @author Enhanced SuiteQL Tool
+ * @version 1.0.0
+ */
+
+define(['./resultJoins'], function(resultJoins) {
+    'use strict';
+
+    /**
+     * Evaluation scope structure
+     * @typedef {Object} ExpressionScope
+     * @property {Function} column - (name) => value of a column reference
+     * @property {Function} call - (name, args) => result of a function that is not a built-in
+     */
+
+    /**
+     * SQL functions evaluated in the tool
+     */
+    var NATIVE_FUNCTIONS = {
+        UPPER: function(value) { return value === null ? null : String(value).toUpperCase(); },
+        LOWER: function(value) { return value === null ? null : String(value).toLowerCase(); },
+        TRIM: function(value) { return value === null ? null : String(value).trim(); },
+        LTRIM: function(value) { return value === null ? null : String(value).replace(/^\s+/, ''); },
+        RTRIM: function(value) { return value === null ? null : String(value).replace(/\s+$/, ''); },
+        LENGTH: function(value) { return value === null ? null : String(value).length; },
+        SUBSTR: function(value, start, length) {
+            if (value === null || start === null) {
+                return null;
+            }
+            var text = String(value);
+            var from = start > 0 ? start - 1 : (start < 0 ? Math.max(text.length + start, 0) : 0);
+            return length === undefined ? text.substring(from) : text.substr(from, length);
+        },
+        INSTR: function(value, search) {
+            return value === null || search === null ? null : String(value).indexOf(String(search)) + 1;
+        },
+        REPLACE: function(value, search, replacement) {
+            return value === null ? null : String(value).split(search === null ? '' : String(search)).join(replacement === null || replacement === undefined ? '' : String(replacement));
+        },
+        CONCAT: function(first, second) { return (first === null ? '' : String(first)) + (second === null ? '' : String(second)); },
+        NVL: function(value, fallback) { return value === null ? fallback : value; },
+        COALESCE: function() {
+            for (var i = 0; i < arguments.length; i++) {
+                if (arguments[i] !== null) {
+                    return arguments[i];
+                }
+            }
+            return null;
+        },
+        NULLIF: function(first, second) { return compareValues(first, second) === 0 ? null : first; },
+        ABS: function(value) { return numeric(value, Math.abs); },
+        FLOOR: function(value) { return numeric(value, Math.floor); },
+        CEIL: function(value) { return numeric(value, Math.ceil); },
+        ROUND: function(value, places) {
+            return numeric(value, function(number) {
+                var factor = Math.pow(10, places || 0);
+                return Math.round(number * factor) / factor;
+            });
+        },
+        TRUNC: function(value, places) {
+            return numeric(value, function(number) {
+                var factor = Math.pow(10, places || 0);
+                return (number < 0 ? Math.ceil(number * factor) : Math.floor(number * factor)) / factor;
+            });
+        },
+        MOD: function(value, divisor) { return value === null || divisor === null ? null : Number(value) % Number(divisor); },
+        TO_NUMBER: function(value) { return numeric(value, function(number) { return number; }); },
+        TO_CHAR: function(value) { return value === null ? null : String(value); }
+    };
+
+    /**
+     * Words that end an expression rather than name a column or alias
+     */
+    var RESERVED_WORDS = ['AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'LIKE', 'ESCAPE', 'BETWEEN', 'TRUE', 'FALSE',
+        'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'AS', 'ASC', 'DESC', 'NULLS', 'FIRST', 'LAST', 'FROM', 'WHERE'];
+
+    /**
+     * Parse an expression
+     *
+     * @param {string} text - Expression text
+     * @returns {Object} Expression tree
+     * @throws {Error} If the expression can't be parsed
+     */
+    function parseExpression(text) {
+        var parser = createParser(text);
+        var expression = parser.parseExpression();
+        parser.expectEnd();
+        return expression;
+    }
+
+    /**
+     * Parse a select list
+     *
+     * @param {string} text - Select list, without SELECT or DISTINCT
+     * @returns {Array} Items: { type: 'all' }, { type: 'allOf', qualifier } or { type: 'expression', expression, text, name }
+     * @throws {Error} If the list can't be parsed
+     */
+    function parseSelectList(text) {
+        var parser = createParser(text);
+        var items = [];
+
+        do {
+            var start = parser.position();
+            var token = parser.peek();
+
+            if (token && token.type === 'operator' && token.value === '*') {
+                parser.next();
+                items.push({ type: 'all' });
+            } else if (token && token.type === 'identifier' && /\.\*$/.test(token.value)) {
+                parser.next();
+                items.push({ type: 'allOf', qualifier: token.value.slice(0, -2).toLowerCase() });
+            } else {
+                var expression = parser.parseExpression();
+                var itemText = parser.textFrom(start);
+                var alias = parser.parseAlias();
+
+                items.push({
+                    type: 'expression',
+                    expression: expression,
+                    text: itemText,
+                    name: (alias || defaultName(expression, itemText)).toLowerCase()
+                });
+            }
+        } while (parser.accept('operator', ','));
+
+        parser.expectEnd();
+
+        return items;
+    }
+
+    /**
+     * Parse an ORDER BY list
+     *
+     * @param {string} text - ORDER BY list, without the keywords
+     * @returns {Array} Items: { expression, text, descending, nullsFirst }
+     * @throws {Error} If the list can't be parsed
+     */
+    function parseOrderBy(text) {
+        var parser = createParser(text);
+        var items = [];
+
+        do {
+            var start = parser.position();
+            var expression = parser.parseExpression();
+            var itemText = parser.textFrom(start);
+            var descending = false;
+
+            if (parser.acceptWord('DESC')) {
+                descending = true;
+            } else {
+                parser.acceptWord('ASC');
+            }
+
+            // Oracle puts NULLs last when ascending and first when descending
+            var nullsFirst = descending;
+            if (parser.acceptWord('NULLS')) {
+                if (parser.acceptWord('FIRST')) {
+                    nullsFirst = true;
+                } else {
+                    parser.expectWord('LAST');
+                    nullsFirst = false;
+                }
+            }
+
+            items.push({
+                expression: expression,
+                text: itemText,
+                descending: descending,
+                nullsFirst: nullsFirst
+            });
+        } while (parser.accept('operator', ','));
+
+        parser.expectEnd();
+
+        return items;
+    }
+
+    /**
+     * Parse an OFFSET / FETCH clause
+     *
+     * @param {string} text - Clause text, including its keywords
+     * @returns {Object} { offset, fetch }, fetch null when unlimited
+     * @throws {Error} If the clause is not supported
+     */
+    function parseLimit(text) {
+        var match = (text || '').trim().match(/^(?:OFFSET\s+(\d+)\s+ROWS?\s*)?(?:FETCH\s+(?:FIRST|NEXT)\s+(\d+)\s+ROWS?\s+ONLY)?$/i);
+
+        if (!match) {
+            throw new Error('Unsupported row limit: ' + text);
+        }
+
+        return {
+            offset: match[1] ? parseInt(match[1], 10) : 0,
+            fetch: match[2] ? parseInt(match[2], 10) : null
+        };
+    }
+
+    /**
+     * Split a condition into the conditions joined by its top-level ANDs
+     *
+     * @param {string} text - Condition text
+     * @returns {Array} Condition texts
+     */
+    function splitConjuncts(text) {
+        var masked = resultJoins.maskLiterals(text);
+        var wordPattern = /\b(AND|BETWEEN)\b/ig;
+        var conjuncts = [];
+        var start = 0;
+        var pendingBetween = 0;
+        var match;
+
+        while ((match = wordPattern.exec(masked)) !== null) {
+            if (resultJoins.getDepth(masked, match.index) !== 0) {
+                continue;
+            }
+
+            if (match[1].toUpperCase() === 'BETWEEN') {
+                pendingBetween++;
+            } else if (pendingBetween > 0) {
+                // The AND of BETWEEN ... AND ...
+                pendingBetween--;
+            } else {
+                conjuncts.push(text.substring(start, match.index).trim());
+                start = match.index + match[0].length;
+            }
+        }
+
+        conjuncts.push(text.substring(start).trim());
+
+        return conjuncts.filter(function(conjunct) {
+            return conjunct !== '';
+        });
+    }
+
+    /**
+     * Evaluate an expression
+     *
+     * @param {Object} node - Expression tree
+     * @param {ExpressionScope} scope - Column and function lookup
+     * @returns {*} Value, null for SQL NULL or unknown
+     */
+    function evaluate(node, scope) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+
+            case 'column':
+                return normalize(scope.column(node.name));
+
+            case 'call':
+                var args = node.args.map(function(arg) {
+                    return evaluate(arg, scope);
+                });
+                var upperName = node.name.toUpperCase();
+                var value = NATIVE_FUNCTIONS.hasOwnProperty(upperName) ?
+                    NATIVE_FUNCTIONS[upperName].apply(null, args) :
+                    scope.call(node.name, args);
+                return normalize(readProperties(value, node.properties));
+
+            case 'unary':
+                var operand = evaluate(node.operand, scope);
+                if (node.operator === 'NOT') {
+                    return operand === null ? null : !isTrue(operand);
+                }
+                return operand === null ? null : -Number(operand);
+
+            case 'and':
+                var leftAnd = toCondition(evaluate(node.left, scope));
+                if (leftAnd === false) {
+                    return false;
+                }
+                var rightAnd = toCondition(evaluate(node.right, scope));
+                if (rightAnd === false) {
+                    return false;
+                }
+                return leftAnd === null || rightAnd === null ? null : true;
+
+            case 'or':
+                var leftOr = toCondition(evaluate(node.left, scope));
+                if (leftOr === true) {
+                    return true;
+                }
+                var rightOr = toCondition(evaluate(node.right, scope));
+                if (rightOr === true) {
+                    return true;
+                }
+                return leftOr === null || rightOr === null ? null : false;
+
+            case 'binary':
+                return evaluateBinary(node.operator, evaluate(node.left, scope), evaluate(node.right, scope));
+
+            case 'in':
+                var needle = evaluate(node.operand, scope);
+                if (needle === null) {
+                    return null;
+                }
+                var sawNull = false;
+                for (var i = 0; i < node.list.length; i++) {
+                    var comparison = compareValues(needle, evaluate(node.list[i], scope));
+                    if (comparison === 0) {
+                        return !node.negated;
+                    }
+                    sawNull = sawNull || comparison === null;
+                }
+                return sawNull ? null : node.negated;
+
+            case 'between':
+                var subject = evaluate(node.operand, scope);
+                var low = compareValues(subject, evaluate(node.low, scope));
+                var high = compareValues(subject, evaluate(node.high, scope));
+                if (low === null || high === null) {
+                    return null;
+                }
+                return (low >= 0 && high <= 0) !== node.negated;
+
+            case 'like':
+                var text = evaluate(node.operand, scope);
+                var pattern = evaluate(node.pattern, scope);
+                if (text === null || pattern === null) {
+                    return null;
+                }
+                return likeToRegExp(String(pattern), node.escape ? evaluate(node.escape, scope) : null).test(String(text)) !== node.negated;
+
+            case 'isNull':
+                return (evaluate(node.operand, scope) === null) !== node.negated;
+
+            case 'case':
+                var caseOperand = node.operand ? evaluate(node.operand, scope) : null;
+                for (var w = 0; w < node.whens.length; w++) {
+                    var matched = node.operand ?
+                        compareValues(caseOperand, evaluate(node.whens[w].when, scope)) === 0 :
+                        isTrue(evaluate(node.whens[w].when, scope));
+                    if (matched) {
+                        return evaluate(node.whens[w].then, scope);
+                    }
+                }
+                return node.otherwise ? evaluate(node.otherwise, scope) : null;
+        }
+
+        throw new Error('Unsupported expression: ' + node.type);
+    }
+
+    /**
+     * Check whether an evaluated condition keeps a row
+     *
+     * @param {*} value - Condition value
+     * @returns {boolean} True only for a true condition
+     */
+    function isTrue(value) {
+        return toCondition(value) === true;
+    }
+
+    /**
+     * Sort rows by ORDER BY items
+     *
+     * Rows with equal keys keep their order.
+     *
+     * @param {Array} rows - Rows to sort
+     * @param {Array} items - Items from parseOrderBy
+     * @param {Function} readKey - (row, item, index) => sort key value
+     * @returns {Array} Sorted copy of the rows
+     */
+    function sortRows(rows, items, readKey) {
+        var keyed = rows.map(function(row, position) {
+            return {
+                row: row,
+                position: position,
+                keys: items.map(function(item, index) {
+                    return normalize(readKey(row, item, index));
+                })
+            };
+        });
+
+        keyed.sort(function(a, b) {
+            for (var i = 0; i < items.length; i++) {
+                var left = a.keys[i];
+                var right = b.keys[i];
+
+                if (left === null || right === null) {
+                    if (left !== right) {
+                        return (left === null) === items[i].nullsFirst ? -1 : 1;
+                    }
+                    continue;
+                }
+
+                var comparison = compareValues(left, right);
+                if (comparison !== 0) {
+                    return items[i].descending ? -comparison : comparison;
+                }
+            }
+            return a.position - b.position;
+        });
+
+        return keyed.map(function(entry) {
+            return entry.row;
+        });
+    }
+
+    /**
+     * Apply an OFFSET / FETCH limit
+     *
+     * @param {Array} rows - Rows
+     * @param {Object} limit - Limit from parseLimit
+     * @returns {Array} Limited rows
+     */
+    function applyLimit(rows, limit) {
+        return rows.slice(limit.offset, limit.fetch === null ? undefined : limit.offset + limit.fetch);
+    }
+
+    /**
+     * List the column references in an expression
+     *
+     * @param {Object} node - Expression tree
+     * @returns {Array} Column names as written
+     */
+    function collectColumns(node) {
+        var columns = [];
+
+        (function visit(current) {
+            if (!current || typeof current !== 'object') {
+                return;
+            }
+            if (current.type === 'column') {
+                columns.push(current.name);
+                return;
+            }
+            Object.keys(current).forEach(function(key) {
+                var child = current[key];
+                if (Array.isArray(child)) {
+                    child.forEach(visit);
+                } else if (child && typeof child === 'object') {
+                    visit(child);
+                }
+            });
+        })(node);
+
+        return columns;
+    }
+
+    /**
+     * Compare two values the way SQL does
+     *
+     * @param {*} left - Left value
+     * @param {*} right - Right value
+     * @returns {number|null} Negative, zero or positive, or null if either is NULL
+     */
+    function compareValues(left, right) {
+        left = normalize(left);
+        right = normalize(right);
+
+        if (left === null || right === null) {
+            return null;
+        }
+
+        if (typeof left === 'number' || typeof right === 'number') {
+            var leftNumber = Number(left);
+            var rightNumber = Number(right);
+            if (!isNaN(leftNumber) && !isNaN(rightNumber)) {
+                return leftNumber - rightNumber;
+            }
+        }
+
+        var leftText = String(left);
+        var rightText = String(right);
+        return leftText < rightText ? -1 : (leftText > rightText ? 1 : 0);
+    }
+
+    /**
+     * Evaluate an arithmetic, concatenation or comparison operator
+     *
+     * @param {string} operator - Operator
+     * @param {*} left - Left value
+     * @param {*} right - Right value
+     * @returns {*} Result
+     */
+    function evaluateBinary(operator, left, right) {
+        if (operator === '||') {
+            return (left === null ? '' : String(left)) + (right === null ? '' : String(right));
+        }
+
+        if (left === null || right === null) {
+            return null;
+        }
+
+        switch (operator) {
+            case '+': return Number(left) + Number(right);
+            case '-': return Number(left) - Number(right);
+            case '*': return Number(left) * Number(right);
+            case '/': return Number(right) === 0 ? null : Number(left) / Number(right);
+        }
+
+        var comparison = compareValues(left, right);
+        switch (operator) {
+            case '=': return comparison === 0;
+            case '<>':
+            case '!=': return comparison !== 0;
+            case '<': return comparison < 0;
+            case '>': return comparison > 0;
+            case '<=': return comparison <= 0;
+            case '>=': return comparison >= 0;
+        }
+
+        throw new Error('Unsupported operator: ' + operator);
+    }
+
+    /**
+     * Read a value as a condition
+     *
+     * @param {*} value - Value
+     * @returns {boolean|null} Condition, null when unknown
+     */
+    function toCondition(value) {
+        if (value === null) {
+            return null;
+        }
+        if (value === 'T' || value === 'F') {
+            // NetSuite checkbox values
+            return value === 'T';
+        }
+        return !!value;
+    }
+
+    /**
+     * Treat undefined as NULL
+     *
+     * @param {*} value - Value
+     * @returns {*} Value, or null
+     */
+    function normalize(value) {
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Apply a numeric function, keeping NULL
+     *
+     * @param {*} value - Value
+     * @param {Function} operation - Numeric operation
+     * @returns {number|null} Result
+     */
+    function numeric(value, operation) {
+        if (value === null || value === '' || isNaN(Number(value))) {
+            return null;
+        }
+        return operation(Number(value));
+    }
+
+    /**
+     * Follow a property access chain into a function result
+     *
+     * @param {*} value - Function result
+     * @param {Array} properties - Property names
+     * @returns {*} Property value, or null if the chain can't be followed
+     */
+    function readProperties(value, properties) {
+        for (var i = 0; i < properties.length; i++) {
+            if (value === null || typeof value !== 'object') {
+                return null;
+            }
+            value = value[properties[i]];
+        }
+        return value;
+    }
+
+    /**
+     * Convert a LIKE pattern to a regular expression
+     *
+     * @param {string} pattern - LIKE pattern
+     * @param {string} escape - Escape character (optional)
+     * @returns {RegExp} Regular expression
+     */
+    function likeToRegExp(pattern, escape) {
+        var source = '';
+
+        for (var i = 0; i < pattern.length; i++) {
+            var character = pattern[i];
+
+            if (escape && character === escape && i + 1 < pattern.length) {
+                source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            } else if (character === '%') {
+                source += '[\\s\\S]*';
+            } else if (character === '_') {
+                source += '[\\s\\S]';
+            } else {
+                source += character.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+
+        return new RegExp('^' + source + '$');
+    }
+
+    /**
+     * Name a select item that has no alias
+     *
+     * @param {Object} expression - Expression tree
+     * @param {string} text - Item text
+     * @returns {string} Column name
+     */
+    function defaultName(expression, text) {
+        if (expression.type === 'column') {
+            return expression.name.split('.').pop();
+        }
+        if (expression.type === 'call' && !NATIVE_FUNCTIONS.hasOwnProperty(expression.name.toUpperCase())) {
+            return expression.name + '_result';
+        }
+        return text;
+    }
+
+    /**
+     * Split expression text into tokens
+     *
+     * @param {string} text - Expression text
+     * @returns {Array} Tokens ({ type, value, start, end })
+     */
+    function tokenize(text) {
+        var tokens = [];
+        var patterns = [
+            ['space', /^\s+/],
+            ['string', /^'(?:[^']|'')*'/],
+            ['quoted', /^"[^"]*"/],
+            ['number', /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/],
+            ['identifier', /^[A-Za-z_][\w$#]*(?:\.(?:[A-Za-z_][\w$#]*|\*))*/],
+            ['operator', /^(?:<>|!=|<=|>=|\|\||[=<>+\-*\/(),.?])/]
+        ];
+        var position = 0;
+
+        while (position < text.length) {
+            var rest = text.substring(position);
+            var matched = false;
+
+            for (var i = 0; i < patterns.length; i++) {
+                var match = rest.match(patterns[i][1]);
+                if (!match) {
+                    continue;
+                }
+
+                var type = patterns[i][0];
+                var value = match[0];
+
+                if (type === 'string') {
+                    value = value.slice(1, -1).replace(/''/g, '\'');
+                } else if (type === 'quoted') {
+                    type = 'identifier';
+                    value = value.slice(1, -1);
+                } else if (type === 'number') {
+                    value = parseFloat(value);
+                }
+
+                if (type !== 'space') {
+                    tokens.push({ type: type, value: value, start: position, end: position + match[0].length });
+                }
+
+                position += match[0].length;
+                matched = true;
+                break;
+            }
+
+            if (!matched) {
+                throw new Error('Unexpected character \'' + text[position] + '\' in: ' + text);
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Create a recursive descent parser over expression text
+     *
+     * @param {string} text - Expression text
+     * @returns {Object} Parser
+     */
+    function createParser(text) {
+        var tokens = tokenize(text);
+        var index = 0;
+
+        function peek(offset) {
+            return tokens[index + (offset || 0)] || null;
+        }
+
+        function next() {
+            return tokens[index++] || null;
+        }
+
+        function isWord(token, word) {
+            return !!token && token.type === 'identifier' && token.value.toUpperCase() === word;
+        }
+
+        function accept(type, value) {
+            var token = peek();
+            if (token && token.type === type && token.value === value) {
+                index++;
+                return true;
+            }
+            return false;
+        }
+
+        function acceptWord(word) {
+            if (isWord(peek(), word)) {
+                index++;
+                return true;
+            }
+            return false;
+        }
+
+        function expect(type, value) {
+            if (!accept(type, value)) {
+                fail('Expected ' + value);
+            }
+        }
+
+        function expectWord(word) {
+            if (!acceptWord(word)) {
+                fail('Expected ' + word);
+            }
+        }
+
+        function fail(message) {
+            var token = peek();
+            throw new Error(message + (token ? ' near \'' + text.substring(token.start, token.start + 20) + '\'' : ' at end') + ' in: ' + text);
+        }
+
+        function parseOr() {
+            var left = parseAnd();
+            while (acceptWord('OR')) {
+                left = { type: 'or', left: left, right: parseAnd() };
+            }
+            return left;
+        }
+
+        function parseAnd() {
+            var left = parseNot();
+            while (acceptWord('AND')) {
+                left = { type: 'and', left: left, right: parseNot() };
+            }
+            return left;
+        }
+
+        function parseNot() {
+            if (acceptWord('NOT')) {
+                return { type: 'unary', operator: 'NOT', operand: parseNot() };
+            }
+            return parsePredicate();
+        }
+
+        function parsePredicate() {
+            var left = parseAdditive();
+            var token = peek();
+
+            if (token && token.type === 'operator' && /^(=|<>|!=|<|>|<=|>=)$/.test(token.value)) {
+                next();
+                return { type: 'binary', operator: token.value, left: left, right: parseAdditive() };
+            }
+
+            if (acceptWord('IS')) {
+                var negatedNull = acceptWord('NOT');
+                expectWord('NULL');
+                return { type: 'isNull', operand: left, negated: negatedNull };
+            }
+
+            var negated = false;
+            if (isWord(token, 'NOT') && (isWord(peek(1), 'IN') || isWord(peek(1), 'LIKE') || isWord(peek(1), 'BETWEEN'))) {
+                next();
+                negated = true;
+            }
+
+            if (acceptWord('IN')) {
+                expect('operator', '(');
+                var list = [parseAdditive()];
+                while (accept('operator', ',')) {
+                    list.push(parseAdditive());
+                }
+                expect('operator', ')');
+                return { type: 'in', operand: left, list: list, negated: negated };
+            }
+
+            if (acceptWord('LIKE')) {
+                var pattern = parseAdditive();
+                var escape = acceptWord('ESCAPE') ? parseAdditive() : null;
+                return { type: 'like', operand: left, pattern: pattern, escape: escape, negated: negated };
+            }
+
+            if (acceptWord('BETWEEN')) {
+                var low = parseAdditive();
+                expectWord('AND');
+                return { type: 'between', operand: left, low: low, high: parseAdditive(), negated: negated };
+            }
+
+            if (negated) {
+                fail('Expected IN, LIKE or BETWEEN');
+            }
+
+            return left;
+        }
+
+        function parseAdditive() {
+            var left = parseMultiplicative();
+            var token;
+            while ((token = peek()) && token.type === 'operator' && /^(\+|-|\|\|)$/.test(token.value)) {
+                next();
+                left = { type: 'binary', operator: token.value, left: left, right: parseMultiplicative() };
+            }
+            return left;
+        }
+
+        function parseMultiplicative() {
+            var left = parseUnary();
+            var token;
+            while ((token = peek()) && token.type === 'operator' && /^(\*|\/)$/.test(token.value)) {
+                next();
+                left = { type: 'binary', operator: token.value, left: left, right: parseUnary() };
+            }
+            return left;
+        }
+
+        function parseUnary() {
+            if (accept('operator', '-')) {
+                return { type: 'unary', operator: '-', operand: parseUnary() };
+            }
+            accept('operator', '+');
+            return parsePrimary();
+        }
+
+        function parsePrimary() {
+            var token = next();
+
+            if (!token) {
+                index--;
+                fail('Expected an expression');
+            }
+
+            if (token.type === 'string' || token.type === 'number') {
+                return { type: 'literal', value: token.value };
+            }
+
+            if (token.type === 'operator' && token.value === '(') {
+                var inner = parseOr();
+                expect('operator', ')');
+                return inner;
+            }
+
+            if (token.type === 'operator' && token.value === '?') {
+                index--;
+                fail('Query parameters are not supported in conditions evaluated by the tool');
+            }
+
+            if (token.type !== 'identifier' || /\.\*$/.test(token.value)) {
+                index--;
+                fail('Unexpected token');
+            }
+
+            var word = token.value.toUpperCase();
+
+            if (word === 'NULL') {
+                return { type: 'literal', value: null };
+            }
+            if (word === 'TRUE' || word === 'FALSE') {
+                return { type: 'literal', value: word === 'TRUE' };
+            }
+            if (word === 'CASE') {
+                return parseCase();
+            }
+            if (RESERVED_WORDS.indexOf(word) !== -1) {
+                index--;
+                fail('Unexpected keyword');
+            }
+
+            if (accept('operator', '(')) {
+                var args = [];
+                if (!accept('operator', ')')) {
+                    do {
+                        args.push(parseOr());
+                    } while (accept('operator', ','));
+                    expect('operator', ')');
+                }
+
+                var properties = [];
+                while (peek() && peek().type === 'operator' && peek().value === '.' && peek(1) && peek(1).type === 'identifier') {
+                    next();
+                    properties = properties.concat(next().value.split('.'));
+                }
+
+                return { type: 'call', name: token.value, args: args, properties: properties };
+            }
+
+            return { type: 'column', name: token.value };
+        }
+
+        function parseCase() {
+            var node = { type: 'case', operand: null, whens: [], otherwise: null };
+
+            if (!isWord(peek(), 'WHEN')) {
+                node.operand = parseAdditive();
+            }
+
+            while (acceptWord('WHEN')) {
+                var when = parseOr();
+                expectWord('THEN');
+                node.whens.push({ when: when, then: parseOr() });
+            }
+
+            if (node.whens.length === 0) {
+                fail('Expected WHEN');
+            }
+
+            if (acceptWord('ELSE')) {
+                node.otherwise = parseOr();
+            }
+
+            expectWord('END');
+
+            return node;
+        }
+
+        return {
+            peek: peek,
+            next: next,
+            accept: accept,
+            acceptWord: acceptWord,
+            expectWord: expectWord,
+            parseExpression: parseOr,
+
+            position: function() {
+                return index;
+            },
+
+            textFrom: function(startIndex) {
+                var first = tokens[startIndex];
+                var last = tokens[index - 1];
+                return first && last ? text.substring(first.start, last.end) : '';
+            },
+
+            parseAlias: function() {
+                if (acceptWord('AS')) {
+                    var alias = next();
+                    if (!alias || alias.type !== 'identifier') {
+                        index--;
+                        fail('Expected an alias');
+                    }
+                    return alias.value;
+                }
+
+                var token = peek();
+                if (token && token.type === 'identifier' && token.value.indexOf('.') === -1 &&
+                    RESERVED_WORDS.indexOf(token.value.toUpperCase()) === -1) {
+                    next();
+                    return token.value;
+                }
+
+                return null;
+            },
+
+            expectEnd: function() {
+                if (index < tokens.length) {
+                    fail('Unexpected text');
+                }
+            }
+        };
+    }
+
+    // Public API
+    return {
+        parseExpression: parseExpression,
+        parseSelectList: parseSelectList,
+        parseOrderBy: parseOrderBy,
+        parseLimit: parseLimit,
+        splitConjuncts: splitConjuncts,
+        evaluate: evaluate,
+        isTrue: isTrue,
+        sortRows: sortRows,
+        applyLimit: applyLimit,
+        collectColumns: collectColumns,
+        compareValues: compareValues
+    };
+});
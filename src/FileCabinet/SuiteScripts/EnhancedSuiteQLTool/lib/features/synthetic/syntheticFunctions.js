@@ -24,6 +24,25 @@ define(['N/query', 'N/file', 'N/log'], function(query, file, log) {
     var registryCacheExpiry = null;
     var CACHE_DURATION = 10 * 1000; // 10 seconds for debugging
 
+    /**
+     * Capabilities a function or procedure can declare:
+     * read (SuiteQL and searches), dml (record changes) and file-write (File Cabinet)
+     */
+    var CAPABILITIES = ['read', 'dml', 'file-write'];
+
+    /**
+     * Modules a function or procedure can declare, and the capability each needs
+     */
+    var MODULE_CAPABILITIES = {
+        'N/log': null,
+        'N/format': null,
+        'N/runtime': null,
+        'N/query': 'read',
+        'N/search': 'read',
+        'N/record': 'dml',
+        'N/file': 'file-write'
+    };
+
     /**
      * Function registry structure
      * @typedef {Object} FunctionRegistry
@@ -42,6 +61,18 @@ define(['N/query', 'N/file', 'N/log'], function(query, file, log) {
      * @property {string} returnType - Expected return type
      * @property {string} description - Function description
      * @property {Date} lastModified - File last modified date
+     * @property {FunctionManifest} manifest - Declared modules and capabilities
+     * @property {boolean} isAggregate - Whether the function is tagged @aggregate
+     * @property {Array} examples - Test cases from @example tags, as written
+     */
+
+    /**
+     * Function manifest structure, declared in the file's doc comment with
+     * `@modules N/query, N/record` and `@capabilities read, dml` tags
+     * @typedef {Object} FunctionManifest
+     * @property {Array} modules - Modules the code may require
+     * @property {Array} capabilities - Capabilities the code may use
+     * @property {Array} errors - Problems with the declaration
      */
 
     /**
@@ -274,6 +305,9 @@ define(['N/query', 'N/file', 'N/log'], function(query, file, log) {
                 parameters: extractParametersFromContent(content),
                 returnType: type === 'function' ? 'any' : 'object',
                 description: extractDescriptionFromContent(content),
+                manifest: parseManifest(content),
+                isAggregate: type === 'function' && /@aggregate\b/.test(content),
+                examples: readExampleTags(content),
                 lastModified: new Date(fileInfo.lastModifiedDate),
                 type: type
             };
@@ -361,6 +395,75 @@ define(['N/query', 'N/file', 'N/log'], function(query, file, log) {
         }
     }
 
+    /**
+     * Read the declared modules and capabilities from function content
+     *
+     * A declared module needs its capability declared too, so the
+     * capabilities alone say what the code can do.
+     *
+     * @param {string} content - JavaScript file content
+     * @returns {FunctionManifest} Function manifest
+     */
+    function parseManifest(content) {
+        var manifest = {
+            modules: readManifestTag(content, 'modules'),
+            capabilities: readManifestTag(content, 'capabilities').map(function(capability) {
+                return capability.toLowerCase();
+            }),
+            errors: []
+        };
+
+        manifest.capabilities.forEach(function(capability) {
+            if (CAPABILITIES.indexOf(capability) === -1) {
+                manifest.errors.push('Unknown capability: ' + capability + '. Capabilities: ' + CAPABILITIES.join(', '));
+            }
+        });
+
+        manifest.modules.forEach(function(moduleName) {
+            if (!MODULE_CAPABILITIES.hasOwnProperty(moduleName)) {
+                manifest.errors.push('Unknown module: ' + moduleName + '. Modules: ' + Object.keys(MODULE_CAPABILITIES).join(', '));
+            } else if (MODULE_CAPABILITIES[moduleName] && manifest.capabilities.indexOf(MODULE_CAPABILITIES[moduleName]) === -1) {
+                manifest.errors.push(moduleName + ' needs the ' + MODULE_CAPABILITIES[moduleName] + ' capability');
+            }
+        });
+
+        return manifest;
+    }
+
+    /**
+     * Read the comma-separated values of a manifest tag
+     *
+     * @param {string} content - JavaScript file content
+     * @param {string} tag - Tag name without the @
+     * @returns {Array} Tag values
+     */
+    function readManifestTag(content, tag) {
+        var match = content.match(new RegExp('@' + tag + '[ \\t]+([^\\r\\n]*)'));
+        if (!match) {
+            return [];
+        }
+
+        return match[1].replace(/\*\/.*$/, '').split(',').map(function(value) {
+            return value.trim();
+        }).filter(function(value) {
+            return value !== '';
+        });
+    }
+
+    /**
+     * Read the test cases of @example tags, one per tag
+     *
+     * @param {string} content - JavaScript file content
+     * @returns {Array} Example texts
+     */
+    function readExampleTags(content) {
+        return (content.match(/@example[ \t]+[^\r\n]*/g) || []).map(function(tag) {
+            return tag.replace(/^@example[ \t]+/, '').replace(/\*\/.*$/, '').trim();
+        }).filter(function(example) {
+            return example !== '';
+        });
+    }
+
     /**
      * Clear registry cache to force rebuild on next access
      */
@@ -379,6 +482,8 @@ define(['N/query', 'N/file', 'N/log'], function(query, file, log) {
         findFolderByPath: findFolderByPath,
         scanDirectoryForJSFiles: scanDirectoryForJSFiles,
         extractFunctionMetadata: extractFunctionMetadata,
+        parseManifest: parseManifest,
+        MODULE_CAPABILITIES: MODULE_CAPABILITIES,
         clearRegistryCache: clearRegistryCache
     };
 });
@@ -13,8 +13,13 @@ define([
     './queryParser',
     './executionEngine',
     './syntheticFunctions',
-    './createStatements'
-], function(log, query, queryParser, executionEngine, syntheticFunctions, createStatements) {
+    './createStatements',
+    './resultJoins',
+    './aggregateQueries',
+    './tableFunctions',
+    './filterQueries',
+    './syntheticTests'
+], function(log, query, queryParser, executionEngine, syntheticFunctions, createStatements, resultJoins, aggregateQueries, tableFunctions, filterQueries, syntheticTests) {
     'use strict';
 
     /**
@@ -50,6 +55,24 @@ define([
                 return processCreateStatement(sqlQuery, startTime);
             }
 
+            // Check for RUN TESTS commands
+            var testCommand = syntheticTests.analyzeTestCommand(sqlQuery);
+            if (testCommand) {
+                return processTestCommand(testCommand, startTime);
+            }
+
+            // Check for cross-query result joins (WITH RESULT ... JOIN RESULT)
+            var joinAnalysis = resultJoins.analyzeResultJoin(sqlQuery, queryParams);
+            if (joinAnalysis) {
+                return processResultJoinQuery(joinAnalysis, startTime);
+            }
+
+            // Check for table-valued functions in FROM (TABLE(function(...)))
+            var tablePlan = tableFunctions.analyzeTableQuery(sqlQuery, queryParams);
+            if (tablePlan) {
+                return processTableFunctionQuery(tablePlan, startTime);
+            }
+
             // Analyze query for synthetic elements
             var analysis = queryParser.analyzeQuery(sqlQuery);
 
@@ -150,6 +173,69 @@ define([
         }
     }
 
+    /**
+     * Process RUN TESTS command
+     *
+     * Runs the @example test cases of one or all functions and procedures
+     * and returns a report row for each.
+     *
+     * @param {Object} testCommand - Command from syntheticTests.analyzeTestCommand
+     * @param {number} startTime - Processing start time
+     * @returns {ProcessResult} Processing result
+     */
+    function processTestCommand(testCommand, startTime) {
+        var analysis = { queryType: 'RUN_TESTS', target: testCommand.name };
+
+        try {
+            var tests = syntheticTests.collectTests(syntheticFunctions.buildFunctionRegistry(), testCommand.name);
+
+            var report = tests.map(function(testCase) {
+                return syntheticTests.runTest(testCase, function(type, name, parameters) {
+                    return type === 'procedure' ?
+                        executionEngine.executeProcedure(name, parameters) :
+                        executionEngine.executeFunction(name, parameters);
+                });
+            });
+
+            analysis.passed = report.filter(function(row) {
+                return row.status === 'PASS';
+            }).length;
+            analysis.skipped = report.filter(function(row) {
+                return row.status === 'SKIP';
+            }).length;
+            analysis.failed = report.length - analysis.passed - analysis.skipped;
+
+            log.audit({
+                title: 'Synthetic tests run',
+                details: 'Target: ' + (testCommand.name || 'all') + ', Passed: ' + analysis.passed + ', Failed: ' + analysis.failed + ', Skipped: ' + analysis.skipped
+            });
+
+            return {
+                success: true,
+                result: report,
+                error: null,
+                executionTime: Date.now() - startTime,
+                wasSynthetic: true,
+                analysis: analysis
+            };
+
+        } catch (error) {
+            log.error({
+                title: 'Error running synthetic tests',
+                details: error.message
+            });
+
+            return {
+                success: false,
+                result: null,
+                error: error.message,
+                executionTime: Date.now() - startTime,
+                wasSynthetic: true,
+                analysis: analysis
+            };
+        }
+    }
+
     /**
      * Process stored procedure call
      *
@@ -224,28 +310,41 @@ define([
      */
     function processFunctionQuery(analysis, queryParams, startTime) {
         try {
-            // Remove function calls from query to get base query
-            var baseQuery = removeFunctionCallsFromQuery(analysis.originalQuery, analysis.functions);
-            
+            var prepared = prepareFunctionQuery(analysis.originalQuery, analysis.functions, queryParams);
+            var baseQuery = prepared.filterPlan ? prepared.filterPlan.baseQuery : prepared.baseQuery;
+
             log.debug({
                 title: 'Executing base query',
                 details: 'Original: ' + analysis.originalQuery.substring(0, 100) + '...\n' +
                         'Base: ' + baseQuery.substring(0, 100) + '...'
             });
 
-            // Execute base query
-            var queryResult = query.runSuiteQL({
-                query: baseQuery,
-                params: queryParams || []
-            });
-            
-            var resultSet = queryResult.asMappedResults();
-            
-            // Execute functions for each row and add results
-            var enhancedResultSet = executionEngine.executeFunctionsForResultSet(
-                analysis.functions,
-                resultSet
-            );
+            var enhancedResultSet;
+
+            if (prepared.filterPlan) {
+                // WHERE or ORDER BY calls synthetic functions, so the tool finishes the query
+                enhancedResultSet = runFilterQuery(prepared.filterPlan, prepared.selectCalls);
+            } else {
+                var resultSet;
+
+                if (prepared.hasAggregates) {
+                    resultSet = runAggregateQuery(analysis.originalQuery, prepared.selectCalls, baseQuery, queryParams);
+                } else {
+                    // Execute base query
+                    var queryResult = query.runSuiteQL({
+                        query: baseQuery,
+                        params: queryParams || []
+                    });
+
+                    resultSet = queryResult.asMappedResults();
+                }
+
+                // Execute functions for each row and add results
+                enhancedResultSet = executionEngine.executeFunctionsForResultSet(
+                    prepared.selectCalls,
+                    resultSet
+                );
+            }
 
             return {
                 success: true,
@@ -253,7 +352,8 @@ define([
                 error: null,
                 executionTime: Date.now() - startTime,
                 wasSynthetic: true,
-                analysis: analysis
+                analysis: analysis,
+                baseQuery: baseQuery
             };
 
         } catch (error) {
@@ -273,6 +373,272 @@ define([
         }
     }
 
+    /**
+     * Process a query that joins the results of named queries
+     *
+     * Each named result and the main query run separately, with synthetic
+     * functions applied to their rows as usual, and the rows are then
+     * joined in the tool.
+     *
+     * @param {Object} joinAnalysis - Analysis from resultJoins.analyzeResultJoin
+     * @param {number} startTime - Processing start time
+     * @returns {ProcessResult} Processing result
+     */
+    function processResultJoinQuery(joinAnalysis, startTime) {
+        var analysis = { queryType: 'RESULT_JOIN', joins: joinAnalysis.joins };
+
+        try {
+            var resultRows = {};
+            joinAnalysis.results.forEach(function(result) {
+                resultRows[result.name] = runQueryWithFunctions(result.query, result.params);
+            });
+
+            var baseRows = runQueryWithFunctions(joinAnalysis.baseQuery, joinAnalysis.baseParams);
+
+            return {
+                success: true,
+                result: resultJoins.joinResults(baseRows, resultRows, joinAnalysis.joins),
+                error: null,
+                executionTime: Date.now() - startTime,
+                wasSynthetic: true,
+                analysis: analysis,
+                baseQuery: joinAnalysis.baseQuery
+            };
+
+        } catch (error) {
+            log.error({
+                title: 'Error processing result join query',
+                details: error.message
+            });
+
+            return {
+                success: false,
+                result: null,
+                error: error.message,
+                executionTime: Date.now() - startTime,
+                wasSynthetic: true,
+                analysis: analysis
+            };
+        }
+    }
+
+    /**
+     * Process a query with TABLE() sources in its FROM clause
+     *
+     * @param {Object} tablePlan - Plan from tableFunctions.analyzeTableQuery
+     * @param {number} startTime - Processing start time
+     * @returns {ProcessResult} Processing result
+     */
+    function processTableFunctionQuery(tablePlan, startTime) {
+        var analysis = { queryType: 'TABLE_FUNCTION', sources: tablePlan.sources.map(function(source) {
+            return source.name;
+        }) };
+
+        try {
+            return {
+                success: true,
+                result: runTableFunctionQuery(tablePlan),
+                error: null,
+                executionTime: Date.now() - startTime,
+                wasSynthetic: true,
+                analysis: analysis,
+                baseQuery: tablePlan.baseQuery
+            };
+
+        } catch (error) {
+            log.error({
+                title: 'Error processing table function query',
+                details: error.message
+            });
+
+            return {
+                success: false,
+                result: null,
+                error: error.message,
+                executionTime: Date.now() - startTime,
+                wasSynthetic: true,
+                analysis: analysis
+            };
+        }
+    }
+
+    /**
+     * Run the base query of a TABLE() query and evaluate the rest in the tool
+     *
+     * @param {Object} tablePlan - Plan from tableFunctions.analyzeTableQuery
+     * @returns {Array} Result rows
+     */
+    function runTableFunctionQuery(tablePlan) {
+        var baseRows = tablePlan.baseQuery ? resultJoins.fetchAllRows(tablePlan.baseQuery, tablePlan.baseParams) : [{}];
+
+        return tableFunctions.evaluateTableQuery(tablePlan, baseRows, callFunction);
+    }
+
+    /**
+     * Run the base query of a query whose WHERE or ORDER BY calls synthetic
+     * functions, and filter, sort and limit its rows in the tool
+     *
+     * @param {Object} filterPlan - Plan from filterQueries.planFilterQuery
+     * @param {Array} selectCalls - Function calls in the SELECT list
+     * @returns {Array} Result rows
+     */
+    function runFilterQuery(filterPlan, selectCalls) {
+        var rows = resultJoins.fetchAllRows(filterPlan.baseQuery, filterPlan.baseParams);
+
+        rows = filterQueries.filterRows(filterPlan, rows, callFunction);
+        rows = executionEngine.executeFunctionsForResultSet(selectCalls, rows);
+
+        return filterQueries.finishRows(filterPlan, rows, callFunction);
+    }
+
+    /**
+     * Call a synthetic function with evaluated arguments
+     *
+     * @param {string} name - Function name
+     * @param {Array} args - Argument values
+     * @returns {*} Function result
+     * @throws {Error} If the function fails
+     */
+    function callFunction(name, args) {
+        var result = executionEngine.executeFunction(name, args);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.result;
+    }
+
+    /**
+     * Run a query and apply any synthetic functions to its rows
+     *
+     * @param {string} sql - SQL query, which may contain synthetic function calls
+     * @param {Array} params - Query parameters
+     * @returns {Array} Result rows
+     */
+    function runQueryWithFunctions(sql, params) {
+        var tablePlan = tableFunctions.analyzeTableQuery(sql, params);
+        if (tablePlan) {
+            return runTableFunctionQuery(tablePlan);
+        }
+
+        var analysis = queryParser.analyzeQuery(sql);
+
+        if (!analysis.hasSyntheticFunctions) {
+            return resultJoins.fetchAllRows(sql, params);
+        }
+
+        var prepared = prepareFunctionQuery(sql, analysis.functions, params);
+        if (prepared.filterPlan) {
+            return runFilterQuery(prepared.filterPlan, prepared.selectCalls);
+        }
+
+        var rows = prepared.hasAggregates ?
+            runAggregateQuery(sql, prepared.selectCalls, prepared.baseQuery, params) :
+            resultJoins.fetchAllRows(prepared.baseQuery, params);
+
+        return executionEngine.executeFunctionsForResultSet(prepared.selectCalls, rows);
+    }
+
+    /**
+     * Work out how a query with synthetic functions runs
+     *
+     * Function calls in the SELECT list become placeholder columns of the
+     * base query. Synthetic functions called anywhere else need a filter
+     * plan, which evaluates them in the tool. Other names that look like
+     * calls there (ROLLUP, SuiteQL functions) are left to SuiteQL.
+     *
+     * @param {string} sql - SQL query
+     * @param {Array} functionCalls - Detected function calls
+     * @param {Array} params - Query parameters
+     * @returns {Object} { selectCalls, baseQuery, hasAggregates, filterPlan }, filterPlan null if not needed
+     * @throws {Error} If the functions are used in a way that can't be run
+     */
+    function prepareFunctionQuery(sql, functionCalls, params) {
+        var hasAggregates = markAggregateCalls(sql, functionCalls);
+        var selectCalls = [];
+        var otherCalls = [];
+
+        functionCalls.forEach(function(funcCall) {
+            if (isInSelectClause(sql, funcCall.startIndex)) {
+                selectCalls.push(funcCall);
+            } else if (executionEngine.isSyntheticFunction(funcCall.name)) {
+                otherCalls.push(funcCall);
+            }
+        });
+
+        var prepared = {
+            selectCalls: selectCalls,
+            baseQuery: removeFunctionCallsFromQuery(sql, selectCalls),
+            hasAggregates: hasAggregates,
+            filterPlan: null
+        };
+
+        if (hasAggregates) {
+            if (otherCalls.length > 0) {
+                throw new Error('Synthetic functions in WHERE or ORDER BY can\'t be combined with aggregate functions');
+            }
+            return prepared;
+        }
+
+        prepared.filterPlan = filterQueries.planFilterQuery(prepared.baseQuery, otherCalls, params);
+
+        if (!prepared.filterPlan && otherCalls.length > 0) {
+            throw new Error('Synthetic function ' + otherCalls[0].name + ' can only be used in the SELECT list, WHERE or ORDER BY');
+        }
+
+        return prepared;
+    }
+
+    /**
+     * Flag the calls to aggregate functions
+     *
+     * @param {string} sql - SQL query
+     * @param {Array} functionCalls - Detected function calls, flagged in place with isAggregate
+     * @returns {boolean} True if any call is to an aggregate function
+     * @throws {Error} If an aggregate function is called outside the SELECT list
+     */
+    function markAggregateCalls(sql, functionCalls) {
+        var hasAggregates = false;
+
+        functionCalls.forEach(function(funcCall) {
+            funcCall.isAggregate = executionEngine.isAggregateFunction(funcCall.name);
+
+            if (funcCall.isAggregate) {
+                if (!isInSelectClause(sql, funcCall.startIndex)) {
+                    throw new Error('Aggregate function ' + funcCall.name + ' can only be used in the SELECT list');
+                }
+                hasAggregates = true;
+            }
+        });
+
+        return hasAggregates;
+    }
+
+    /**
+     * Run a query with aggregate functions and fill in their values
+     *
+     * @param {string} sql - SQL query
+     * @param {Array} functionCalls - Detected function calls, aggregates flagged
+     * @param {string} baseQuery - Query with the function calls replaced by placeholders
+     * @param {Array} params - Query parameters
+     * @returns {Array} Result rows, with scalar function placeholders still to fill
+     */
+    function runAggregateQuery(sql, functionCalls, baseQuery, params) {
+        var plan = aggregateQueries.planAggregateQuery(sql, functionCalls, baseQuery, params);
+        var groupedRows = resultJoins.fetchAllRows(plan.groupedQuery, plan.groupedParams);
+        var detailRows = resultJoins.fetchAllRows(plan.detailQuery, plan.detailParams);
+        var groups = aggregateQueries.groupDetailRows(plan, groupedRows, detailRows);
+
+        plan.aggregates.forEach(function(aggregate) {
+            var result = executionEngine.executeAggregate(aggregate.call, aggregate.parameters, groups);
+
+            aggregateQueries.fillAggregateColumn(groupedRows, aggregate, result.success ? result.result : groups.map(function() {
+                return 'ERROR: ' + result.error;
+            }));
+        });
+
+        return aggregateQueries.removeGroupColumns(plan, groupedRows);
+    }
+
     /**
      * Format stored procedure result for display
      *
@@ -343,7 +709,9 @@ define([
         });
 
         // Replace each function call with a placeholder or remove it
-        sortedCalls.forEach(function(funcCall, index) {
+        sortedCalls.forEach(function(funcCall) {
+            // Placeholders are numbered in query order, as executeFunctionsForResultSet expects
+            var index = functionCalls.indexOf(funcCall);
             var before = modifiedQuery.substring(0, funcCall.startIndex);
             var after = modifiedQuery.substring(funcCall.endIndex);
 
@@ -458,6 +826,7 @@ define([
         processQuery: processQuery,
         getAvailableFunctions: getAvailableFunctions,
         validateQuery: validateQuery,
-        removeFunctionCallsFromQuery: removeFunctionCallsFromQuery
+        removeFunctionCallsFromQuery: removeFunctionCallsFromQuery,
+        runQueryWithFunctions: runQueryWithFunctions
     };
 });
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Synthetic Function and Procedure Tests
+ *
+ * Runs the test cases that function and procedure files carry in their doc
+ * comments, one @example tag per case:
+ *
+ *   @example format_phone('5551234567', 'us') => '(555) 123-4567'
+ *   @example parse_full_address('1 Main St, Springfield, IL 62701') => {"city": "Springfield"}
+ *   @example deactivateTestCategories() => {"success": false}
+ *   @example calculate_tax('abc') => ERROR 'must be a number'
+ *
+ * The left side is written the way the tool calls the code: positional
+ * arguments for functions, named arguments (name=value) for procedures.
+ * The right side is a quoted string, a JSON value, or ERROR with an optional
+ * quoted text the error message must contain. Expected objects only need
+ * the properties they list.
+ *
+ * `RUN TESTS` runs every case and `RUN TESTS name` the cases of one function
+ * or procedure. The report has one row per case. Cases run the code for
+ * real, so `RUN TESTS` on its own skips code that declares the dml or
+ * file-write capability; those cases only run when the code is named.
+ *
+ * @author Enhanced SuiteQL Tool
+ * @version 1.0.0
+ */
+
+define(['N/log', './queryParser'], function(log, queryParser) {
+    'use strict';
+
+    /**
+     * Capabilities whose code is only tested when it is named
+     */
+    var WRITE_CAPABILITIES = ['dml', 'file-write'];
+
+    /**
+     * Test case structure
+     * @typedef {Object} TestCase
+     * @property {string} name - Function or procedure name
+     * @property {string} type - 'function' or 'procedure'
+     * @property {string} example - Text of the @example tag
+     * @property {Array|Object} parameters - Arguments, positional for functions and named for procedures
+     * @property {*} expected - Expected result
+     * @property {boolean} expectsError - Whether the call should fail
+     * @property {string|null} errorText - Text the error message should contain
+     * @property {string|null} problem - Why the example can't be run, if it can't
+     * @property {string|null} skipped - Why the example isn't run this time, if it isn't
+     */
+
+    /**
+     * Parse a RUN TESTS command
+     *
+     * @param {string} sql - Statement text
+     * @returns {Object|null} { name }, name null for all tests, or null if not a RUN TESTS command
+     */
+    function analyzeTestCommand(sql) {
+        var match = (sql || '').match(/^\s*RUN\s+TESTS(?:\s+(\w+))?\s*;?\s*$/i);
+        if (!match) {
+            return null;
+        }
+
+        return { name: match[1] || null };
+    }
+
+    /**
+     * Collect the test cases of the registry's functions and procedures
+     *
+     * @param {Object} registry - Registry from syntheticFunctions.buildFunctionRegistry
+     * @param {string|null} name - Function or procedure to test, null for all
+     * @returns {Array<TestCase>} Test cases
+     * @throws {Error} If the named function or procedure doesn't exist or nothing has tests
+     */
+    function collectTests(registry, name) {
+        var entries = [];
+
+        ['functions', 'procedures'].forEach(function(group) {
+            Object.keys(registry[group] || {}).sort().forEach(function(key) {
+                var meta = registry[group][key];
+                if (!name || meta.name.toLowerCase() === name.toLowerCase()) {
+                    entries.push(meta);
+                }
+            });
+        });
+
+        if (name && entries.length === 0) {
+            throw new Error('Function or procedure not found: ' + name);
+        }
+
+        var tests = [];
+        entries.forEach(function(meta) {
+            var writes = getWriteCapabilities(meta);
+
+            (meta.examples || []).forEach(function(example) {
+                var testCase = parseExample(example, meta);
+
+                if (!name && writes.length > 0) {
+                    testCase.skipped = 'Declares the ' + writes.join(' and ') + ' capabilit' + (writes.length === 1 ? 'y' : 'ies') +
+                        ', so it only runs with RUN TESTS ' + meta.name;
+                }
+
+                tests.push(testCase);
+            });
+        });
+
+        log.debug({
+            title: 'Synthetic tests collected',
+            details: 'Target: ' + (name || 'all') + ', Files: ' + entries.length + ', Tests: ' + tests.length
+        });
+
+        if (tests.length === 0) {
+            throw new Error('No tests found' + (name ? ' for ' + name : '') + '. Add @example tags to the doc comment, e.g. @example format_phone(\'5551234567\') => \'(555) 123-4567\'');
+        }
+
+        return tests;
+    }
+
+    /**
+     * Get the capabilities a function or procedure declares that let it write data
+     *
+     * @param {Object} meta - Function or procedure metadata
+     * @returns {Array} Declared write capabilities
+     */
+    function getWriteCapabilities(meta) {
+        var capabilities = (meta.manifest && meta.manifest.capabilities) || [];
+
+        return WRITE_CAPABILITIES.filter(function(capability) {
+            return capabilities.indexOf(capability) !== -1;
+        });
+    }
+
+    /**
+     * Run a test case and build its report row
+     *
+     * @param {TestCase} testCase - Test case
+     * @param {Function} execute - (type, name, parameters) => execution result ({ success, result, error })
+     * @returns {Object} Report row
+     */
+    function runTest(testCase, execute) {
+        var row = {
+            status: 'FAIL',
+            name: testCase.name,
+            type: testCase.type,
+            example: testCase.example,
+            expected: testCase.expectsError ? 'ERROR' + (testCase.errorText ? ' ' + JSON.stringify(testCase.errorText) : '') : formatValue(testCase.expected),
+            actual: null,
+            message: null
+        };
+
+        if (testCase.problem) {
+            row.message = testCase.problem;
+            return row;
+        }
+
+        if (testCase.skipped) {
+            row.status = 'SKIP';
+            row.message = testCase.skipped;
+            return row;
+        }
+
+        var outcome;
+        try {
+            outcome = execute(testCase.type, testCase.name, testCase.parameters);
+        } catch (error) {
+            outcome = { success: false, result: null, error: error.message };
+        }
+
+        if (!outcome.success) {
+            row.actual = 'ERROR ' + JSON.stringify(outcome.error);
+            if (testCase.expectsError && (!testCase.errorText || String(outcome.error).indexOf(testCase.errorText) !== -1)) {
+                row.status = 'PASS';
+            } else {
+                row.message = testCase.expectsError ? 'The error message doesn\'t contain the expected text' : outcome.error;
+            }
+            return row;
+        }
+
+        // Compare plain data, as the result would be shown
+        var actual = outcome.result === undefined ? null : JSON.parse(JSON.stringify(outcome.result));
+        row.actual = formatValue(actual);
+
+        if (testCase.expectsError) {
+            row.message = 'Expected an error, but the call succeeded';
+        } else if (matchesExpected(testCase.expected, actual)) {
+            row.status = 'PASS';
+        } else {
+            row.message = 'The result doesn\'t match the expected value';
+        }
+
+        return row;
+    }
+
+    /**
+     * Parse an @example tag into a test case
+     *
+     * @param {string} example - Tag text
+     * @param {Object} meta - Function or procedure metadata
+     * @returns {TestCase} Test case, with a problem if the example can't be read
+     */
+    function parseExample(example, meta) {
+        var testCase = {
+            name: meta.name,
+            type: meta.type,
+            example: example,
+            parameters: meta.type === 'procedure' ? {} : [],
+            expected: null,
+            expectsError: false,
+            errorText: null,
+            problem: null,
+            skipped: null
+        };
+
+        var match = example.match(/^(\w+)\s*\(([\s\S]*)\)\s*=>\s*([\s\S]+)$/);
+        if (!match) {
+            testCase.problem = 'Examples must look like ' + meta.name + '(arguments) => expected';
+            return testCase;
+        }
+
+        if (match[1].toLowerCase() !== meta.name.toLowerCase()) {
+            testCase.problem = 'The example calls ' + match[1] + ' instead of ' + meta.name;
+            return testCase;
+        }
+
+        testCase.parameters = meta.type === 'procedure' ?
+            queryParser.parseNamedParameters(match[2]) :
+            queryParser.parsePositionalParameters(match[2]);
+
+        var expected = match[3].trim();
+        var errorMatch = expected.match(/^ERROR(?:\s+'((?:[^']|'')*)')?$/i);
+
+        if (errorMatch) {
+            testCase.expectsError = true;
+            testCase.errorText = errorMatch[1] !== undefined ? errorMatch[1].replace(/''/g, '\'') : null;
+        } else if (/^'(?:[^']|'')*'$/.test(expected)) {
+            testCase.expected = expected.slice(1, -1).replace(/''/g, '\'');
+        } else {
+            try {
+                testCase.expected = JSON.parse(expected);
+            } catch (error) {
+                testCase.problem = 'The expected value must be a quoted string, a JSON value or ERROR: ' + expected;
+            }
+        }
+
+        return testCase;
+    }
+
+    /**
+     * Check a result against the expected value
+     *
+     * Objects match when every expected property matches; arrays need the
+     * same length and matching items; other values must be equal.
+     *
+     * @param {*} expected - Expected value
+     * @param {*} actual - Actual value
+     * @returns {boolean} True if the result matches
+     */
+    function matchesExpected(expected, actual) {
+        if (Array.isArray(expected)) {
+            return Array.isArray(actual) && actual.length === expected.length && expected.every(function(item, index) {
+                return matchesExpected(item, actual[index]);
+            });
+        }
+
+        if (expected !== null && typeof expected === 'object') {
+            return actual !== null && typeof actual === 'object' && !Array.isArray(actual) && Object.keys(expected).every(function(key) {
+                return actual.hasOwnProperty(key) && matchesExpected(expected[key], actual[key]);
+            });
+        }
+
+        return expected === actual;
+    }
+
+    /**
+     * Format a value for the report
+     *
+     * @param {*} value - Value
+     * @returns {string} JSON text
+     */
+    function formatValue(value) {
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    // Public API
+    return {
+        analyzeTestCommand: analyzeTestCommand,
+        collectTests: collectTests,
+        runTest: runTest
+    };
+});
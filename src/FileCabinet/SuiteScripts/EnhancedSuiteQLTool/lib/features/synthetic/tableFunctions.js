@@ -0,0 +1,629 @@
+/**
+ * @fileoverview Table-Valued Synthetic Functions
+ *
+ * Lets synthetic functions that return rows be used as sources in FROM:
+ *
+ *   SELECT * FROM TABLE(date_spine('2025-01-01', '2025-03-31')) d
+ *
+ *   SELECT c.id, t.value
+ *   FROM customer c
+ *   CROSS JOIN TABLE(explode_csv(c.custentity_tags)) t
+ *   WHERE t.value LIKE 'VIP%'
+ *   ORDER BY t.value
+ *
+ * TABLE() sources follow the record tables in FROM, joined with a comma,
+ * CROSS JOIN, JOIN ... ON or LEFT JOIN ... ON. Their arguments can use the
+ * columns of the tables before them, so the function runs once per row.
+ *
+ * The record tables run in SuiteQL as the base query, together with the WHERE
+ * conditions that don't mention a TABLE() alias. The tool then calls the
+ * functions, joins their rows, and applies the remaining conditions, the
+ * select list, ORDER BY and any OFFSET / FETCH limit. Select items and ORDER
+ * BY keys that only use record columns are still computed by SuiteQL.
+ *
+ * A function's rows can be objects or plain values, which become a "value"
+ * column.
+ *
+ * @author Enhanced SuiteQL Tool
+ * @version 1.0.0
+ */
+
+define([
+    'N/log',
+    './queryParser',
+    './resultJoins',
+    './rowExpressions'
+], function(log, queryParser, resultJoins, rowExpressions) {
+    'use strict';
+
+    /**
+     * Maximum rows produced by the TABLE() sources of a query
+     */
+    var MAX_ROWS = 20000;
+
+    /**
+     * Table query plan structure
+     * @typedef {Object} TablePlan
+     * @property {string|null} baseQuery - SuiteQL query for the record tables, null when FROM only has TABLE() sources
+     * @property {Array} baseParams - Parameters for the base query
+     * @property {Array} sources - TABLE() sources in join order ({ alias, name, args, joinType, condition })
+     * @property {Array} filters - Conditions evaluated by the tool
+     * @property {Array} selectItems - Select items from rowExpressions.parseSelectList, with pushed-down columns
+     * @property {boolean} distinct - Whether duplicate rows are removed
+     * @property {Array} orderBy - ORDER BY items, with pushed-down columns
+     * @property {Object|null} limit - OFFSET / FETCH limit
+     * @property {Object} references - Base query column for each record column the tool reads, by lowercase name
+     */
+
+    /**
+     * Detect and plan a query with TABLE() sources in its FROM clause
+     *
+     * @param {string} sql - SQL query
+     * @param {Array} params - Query parameters
+     * @returns {TablePlan|null} Plan, or null if the query has no TABLE() source
+     * @throws {Error} If the query uses TABLE() in a way that isn't supported
+     */
+    function analyzeTableQuery(sql, params) {
+        var masked = resultJoins.maskLiterals(sql);
+        if (!/\bTABLE\s*\(/i.test(masked)) {
+            return null;
+        }
+
+        var clauses = queryParser.splitSelectClauses(sql);
+        if (!clauses || !clauses.from || !/\bTABLE\s*\(/i.test(resultJoins.maskLiterals(clauses.from))) {
+            return null;
+        }
+
+        if (clauses.groupBy || clauses.having) {
+            throw new Error('GROUP BY and HAVING are not supported in queries with TABLE() sources');
+        }
+
+        var from = parseFromClause(clauses.from);
+        var aliases = from.sources.map(function(source) {
+            return source.alias;
+        });
+        var references = {};
+        var baseColumns = [];
+        var inMemoryText = [];
+
+        /**
+         * Make a base query column for each record column an expression reads
+         */
+        function addReferences(expression) {
+            rowExpressions.collectColumns(expression).forEach(function(name) {
+                var parts = name.toLowerCase().split('.');
+                if (parts.length < 2 || aliases.indexOf(parts[0]) !== -1 || references[name.toLowerCase()]) {
+                    return;
+                }
+                references[name.toLowerCase()] = 'sq_ref_' + Object.keys(references).length;
+                baseColumns.push(name + ' AS ' + references[name.toLowerCase()]);
+            });
+        }
+
+        from.sources.forEach(function(source) {
+            source.args.forEach(addReferences);
+            if (source.condition) {
+                addReferences(source.condition);
+            }
+            inMemoryText.push(source.text);
+        });
+
+        // WHERE conditions on TABLE() columns run in the tool; the rest stay in SuiteQL
+        var baseConditions = [];
+        var filters = [];
+        rowExpressions.splitConjuncts(clauses.where || '').forEach(function(condition) {
+            if (!from.baseFrom || mentionsAlias(condition, aliases)) {
+                var expression = rowExpressions.parseExpression(condition);
+                addReferences(expression);
+                filters.push(expression);
+                inMemoryText.push(condition);
+            } else {
+                baseConditions.push(condition);
+            }
+        });
+
+        var distinct = /^DISTINCT\s+/i.test(clauses.select);
+        var selectItems = rowExpressions.parseSelectList(clauses.select.replace(/^(DISTINCT|ALL)\s+/i, ''));
+        var selectAll = selectItems.some(function(item) {
+            return item.type === 'all';
+        });
+
+        selectItems.forEach(function(item, index) {
+            if (item.type === 'expression') {
+                if (from.baseFrom && !selectAll && !mentionsAlias(item.text, aliases)) {
+                    item.column = 'sq_col_' + index;
+                    baseColumns.push(item.text + ' AS ' + item.column);
+                } else {
+                    addReferences(item.expression);
+                    inMemoryText.push(item.text);
+                }
+            } else if (item.type === 'allOf' && aliases.indexOf(item.qualifier) === -1) {
+                if (!from.baseFrom) {
+                    throw new Error('Unknown table alias: ' + item.qualifier);
+                }
+                baseColumns.push(item.qualifier + '.*');
+            }
+        });
+
+        var orderBy = clauses.orderBy ? rowExpressions.parseOrderBy(clauses.orderBy) : [];
+        orderBy.forEach(function(item, index) {
+            var outputName = findOutputName(item, selectItems);
+
+            if (outputName !== null) {
+                item.outputName = outputName;
+            } else if (from.baseFrom && !selectAll && !mentionsAlias(item.text, aliases)) {
+                item.column = 'sq_ord_' + index;
+                baseColumns.push(item.text + ' AS ' + item.column);
+                // Moved ahead of WHERE, so it can't take parameters either
+                inMemoryText.push(item.text);
+            } else {
+                addReferences(item.expression);
+                inMemoryText.push(item.text);
+            }
+        });
+
+        inMemoryText.forEach(function(text) {
+            if (resultJoins.countPlaceholders(text) > 0) {
+                throw new Error('Query parameters can only be used in conditions on record columns in queries with TABLE() sources');
+            }
+        });
+
+        var baseQuery = null;
+        if (from.baseFrom) {
+            baseQuery = queryParser.joinSelectClauses({
+                select: selectAll ? '*' : (baseColumns.length > 0 ? baseColumns.join(', ') : '1 AS sq_row'),
+                from: from.baseFrom,
+                where: baseConditions.join(' AND ')
+            });
+        }
+
+        var plan = {
+            baseQuery: baseQuery,
+            baseParams: params || [],
+            sources: from.sources,
+            filters: filters,
+            selectItems: selectItems,
+            distinct: distinct,
+            orderBy: orderBy,
+            limit: clauses.limit ? rowExpressions.parseLimit(clauses.limit) : null,
+            // SELECT * can't add columns, so record columns are read by name instead
+            references: selectAll ? {} : references
+        };
+
+        log.debug({
+            title: 'Table function query planned',
+            details: 'Base: ' + (baseQuery || '(none)') + ', Sources: ' + aliases.join(', ') + ', Filters: ' + filters.length
+        });
+
+        return plan;
+    }
+
+    /**
+     * Join the TABLE() sources to the base rows and finish the query
+     *
+     * @param {TablePlan} plan - Query plan
+     * @param {Array} baseRows - Rows of the base query ([{}] when there is none)
+     * @param {Function} callFunction - (name, args) => synthetic function result
+     * @returns {Array} Result rows
+     */
+    function evaluateTableQuery(plan, baseRows, callFunction) {
+        var contexts = baseRows.map(function(row) {
+            return { base: row, tables: {} };
+        });
+
+        plan.sources.forEach(function(source) {
+            var joined = [];
+
+            contexts.forEach(function(context) {
+                var scope = createScope(plan, context, callFunction);
+                var rows = toRows(callFunction(source.name, source.args.map(function(arg) {
+                    return rowExpressions.evaluate(arg, scope);
+                })));
+                var matched = false;
+
+                rows.forEach(function(row) {
+                    var candidate = { base: context.base, tables: Object.assign({}, context.tables) };
+                    candidate.tables[source.alias] = row;
+
+                    if (!source.condition || rowExpressions.isTrue(rowExpressions.evaluate(source.condition, createScope(plan, candidate, callFunction)))) {
+                        joined.push(candidate);
+                        matched = true;
+                    }
+                });
+
+                if (!matched && source.joinType === 'LEFT') {
+                    var unmatched = { base: context.base, tables: Object.assign({}, context.tables) };
+                    unmatched.tables[source.alias] = null;
+                    joined.push(unmatched);
+                }
+
+                if (joined.length > MAX_ROWS) {
+                    throw new Error('TABLE(' + source.name + ') produces more than ' + MAX_ROWS + ' rows. Add conditions to narrow the query.');
+                }
+            });
+
+            contexts = joined;
+        });
+
+        contexts = contexts.filter(function(context) {
+            var scope = createScope(plan, context, callFunction);
+            return plan.filters.every(function(filter) {
+                return rowExpressions.isTrue(rowExpressions.evaluate(filter, scope));
+            });
+        });
+
+        var entries = contexts.map(function(context) {
+            return { context: context, output: projectRow(plan, context, callFunction) };
+        });
+
+        if (plan.distinct) {
+            var seen = {};
+            entries = entries.filter(function(entry) {
+                var key = JSON.stringify(entry.output);
+                return seen[key] ? false : (seen[key] = true);
+            });
+        }
+
+        if (plan.orderBy.length > 0) {
+            entries = rowExpressions.sortRows(entries, plan.orderBy, function(entry, item) {
+                if (item.outputName !== undefined) {
+                    return entry.output[item.outputName];
+                }
+                if (item.column) {
+                    return entry.context.base[item.column];
+                }
+                return rowExpressions.evaluate(item.expression, createScope(plan, entry.context, callFunction, entry.output));
+            });
+        }
+
+        if (plan.limit) {
+            entries = rowExpressions.applyLimit(entries, plan.limit);
+        }
+
+        return entries.map(function(entry) {
+            return entry.output;
+        });
+    }
+
+    /**
+     * Split a FROM clause into the record tables and the TABLE() sources after them
+     *
+     * @param {string} fromText - FROM clause text
+     * @returns {Object} { baseFrom, sources }
+     * @throws {Error} If a TABLE() source is malformed or comes before a record table
+     */
+    function parseFromClause(fromText) {
+        var masked = resultJoins.maskLiterals(fromText);
+        var tablePattern = /\bTABLE\s*\(/ig;
+        var joinPattern = /(^|,|\bCROSS\s+JOIN|\b(?:LEFT\s+(?:OUTER\s+)?|INNER\s+)?JOIN)\s*$/i;
+        var sources = [];
+        var baseFrom = null;
+        var position = 0;
+        var match;
+
+        while ((match = tablePattern.exec(masked)) !== null) {
+            if (resultJoins.getDepth(masked, match.index) !== 0) {
+                continue;
+            }
+
+            var before = masked.substring(position, match.index);
+            var join = before.match(joinPattern);
+
+            if (!join) {
+                throw new Error('TABLE() must be joined with a comma, CROSS JOIN, JOIN or LEFT JOIN');
+            }
+
+            if (baseFrom === null) {
+                baseFrom = fromText.substring(0, match.index - join[0].length).trim();
+                if (baseFrom === '' && join[1] !== '') {
+                    throw new Error('Unexpected ' + join[1].trim() + ' before TABLE()');
+                }
+            } else if (before.substring(0, before.length - join[0].length).trim() !== '') {
+                throw new Error('TABLE() sources must come after the record tables in FROM');
+            }
+
+            var open = match.index + match[0].length - 1;
+            var close = resultJoins.findClosingParen(masked, open);
+            if (close === -1) {
+                throw new Error('Unclosed TABLE(');
+            }
+
+            var call = fromText.substring(open + 1, close).trim().match(/^([A-Za-z_]\w*)\s*\(([\s\S]*)\)$/);
+            if (!call) {
+                throw new Error('TABLE() must contain a single function call: TABLE(function_name(...))');
+            }
+
+            var rest = fromText.substring(close + 1);
+            var aliasMatch = rest.match(/^\s*(?:AS\s+)?([A-Za-z_]\w*)/i);
+            var alias = call[1].toLowerCase();
+            var end = close + 1;
+
+            if (aliasMatch && !/^(ON|JOIN|CROSS|LEFT|INNER|RIGHT|FULL)$/i.test(aliasMatch[1])) {
+                alias = aliasMatch[1].toLowerCase();
+                end += aliasMatch[0].length;
+            }
+
+            var joinType = /LEFT/i.test(join[1]) ? 'LEFT' : (/^(INNER\s+)?JOIN$/i.test(join[1].trim()) ? 'INNER' : 'CROSS');
+            var condition = null;
+            var onMatch = masked.substring(end).match(/^\s*ON\b/i);
+
+            if (joinType !== 'CROSS') {
+                if (!onMatch) {
+                    throw new Error((joinType === 'LEFT' ? 'LEFT JOIN' : 'JOIN') + ' TABLE(' + call[1] + ') requires an ON condition');
+                }
+
+                var conditionStart = end + onMatch[0].length;
+                var conditionEnd = findSourceEnd(masked, conditionStart);
+                condition = rowExpressions.parseExpression(fromText.substring(conditionStart, conditionEnd));
+                end = conditionEnd;
+            } else if (onMatch) {
+                throw new Error('CROSS JOIN TABLE(' + call[1] + ') does not take an ON condition');
+            }
+
+            if (findSourceEnd(masked, end) !== end && masked.substring(end, findSourceEnd(masked, end)).trim() !== '') {
+                throw new Error('Unexpected text after TABLE(' + call[1] + '): ' + fromText.substring(end, findSourceEnd(masked, end)).trim());
+            }
+
+            sources.forEach(function(source) {
+                if (source.alias === alias) {
+                    throw new Error('Duplicate TABLE() alias: ' + alias);
+                }
+            });
+
+            sources.push({
+                alias: alias,
+                name: call[1],
+                args: splitArguments(call[2]).map(rowExpressions.parseExpression),
+                joinType: joinType,
+                condition: condition,
+                text: fromText.substring(match.index, end)
+            });
+
+            position = end;
+            tablePattern.lastIndex = end;
+        }
+
+        if (masked.substring(position).trim() !== '') {
+            throw new Error('TABLE() sources must come after the record tables in FROM');
+        }
+
+        return {
+            baseFrom: baseFrom,
+            sources: sources
+        };
+    }
+
+    /**
+     * Create the scope expressions of one joined row are evaluated in
+     *
+     * Qualified columns read the TABLE() row with that alias, or the record
+     * column fetched by the base query. Unqualified columns are looked up in
+     * the output row (for ORDER BY aliases), then the TABLE() rows, then the
+     * base row.
+     *
+     * @param {TablePlan} plan - Query plan
+     * @param {Object} context - Joined row ({ base, tables })
+     * @param {Function} callFunction - (name, args) => synthetic function result
+     * @param {Object} output - Projected row (optional)
+     * @returns {Object} Expression scope
+     */
+    function createScope(plan, context, callFunction, output) {
+        return {
+            column: function(name) {
+                var lowerName = name.toLowerCase();
+                var parts = lowerName.split('.');
+
+                if (parts.length > 1) {
+                    var qualifier = parts.slice(0, -1).join('.');
+                    if (context.tables.hasOwnProperty(qualifier)) {
+                        return readColumn(context.tables[qualifier], parts[parts.length - 1]);
+                    }
+                    if (plan.references[lowerName]) {
+                        return context.base[plan.references[lowerName]];
+                    }
+                    return readColumn(context.base, parts[parts.length - 1]);
+                }
+
+                if (output && output.hasOwnProperty(lowerName)) {
+                    return output[lowerName];
+                }
+
+                var aliases = Object.keys(context.tables);
+                for (var i = aliases.length - 1; i >= 0; i--) {
+                    var value = readColumn(context.tables[aliases[i]], lowerName);
+                    if (value !== undefined) {
+                        return value;
+                    }
+                }
+
+                return readColumn(context.base, lowerName);
+            },
+            call: callFunction
+        };
+    }
+
+    /**
+     * Build the output row of a joined row from the select list
+     *
+     * @param {TablePlan} plan - Query plan
+     * @param {Object} context - Joined row ({ base, tables })
+     * @param {Function} callFunction - (name, args) => synthetic function result
+     * @returns {Object} Output row
+     */
+    function projectRow(plan, context, callFunction) {
+        var output = {};
+        var scope = null;
+
+        plan.selectItems.forEach(function(item) {
+            if (item.type === 'all') {
+                copyColumns(output, context.base, null);
+                plan.sources.forEach(function(source) {
+                    copyColumns(output, context.tables[source.alias], source.alias);
+                });
+            } else if (item.type === 'allOf') {
+                if (context.tables.hasOwnProperty(item.qualifier)) {
+                    copyColumns(output, context.tables[item.qualifier], null);
+                } else {
+                    copyColumns(output, context.base, null);
+                }
+            } else if (item.column) {
+                output[item.name] = context.base[item.column];
+            } else {
+                scope = scope || createScope(plan, context, callFunction);
+                output[item.name] = rowExpressions.evaluate(item.expression, scope);
+            }
+        });
+
+        return output;
+    }
+
+    /**
+     * Copy a row's columns to the output, leaving out the tool's own columns
+     *
+     * @param {Object} output - Output row
+     * @param {Object|null} row - Source row (null for an unmatched LEFT JOIN)
+     * @param {string|null} alias - Prefix used when a column name is already taken
+     */
+    function copyColumns(output, row, alias) {
+        Object.keys(row || {}).forEach(function(column) {
+            if (/^sq_(ref|col|ord|row)/.test(column)) {
+                return;
+            }
+            var name = alias && output.hasOwnProperty(column.toLowerCase()) ? alias + '.' + column.toLowerCase() : column.toLowerCase();
+            output[name] = row[column];
+        });
+    }
+
+    /**
+     * Turn a function result into rows
+     *
+     * @param {*} result - Function result
+     * @returns {Array} Row objects
+     */
+    function toRows(result) {
+        if (result === null || result === undefined) {
+            return [];
+        }
+
+        return (Array.isArray(result) ? result : [result]).map(function(row) {
+            return row !== null && typeof row === 'object' ? row : { value: row };
+        });
+    }
+
+    /**
+     * Read a column from a row, ignoring case
+     *
+     * @param {Object|null} row - Row
+     * @param {string} column - Lowercase column name
+     * @returns {*} Value, or undefined if the row has no such column
+     */
+    function readColumn(row, column) {
+        if (!row) {
+            return row === null ? null : undefined;
+        }
+        if (row.hasOwnProperty(column)) {
+            return row[column];
+        }
+        for (var key in row) {
+            if (key.toLowerCase() === column) {
+                return row[key];
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Check if SQL text refers to any of the TABLE() aliases
+     *
+     * @param {string} text - SQL text
+     * @param {Array} aliases - Lowercase aliases
+     * @returns {boolean} True if a column of a TABLE() source is used
+     */
+    function mentionsAlias(text, aliases) {
+        var masked = resultJoins.maskLiterals(text).toLowerCase();
+        return aliases.some(function(alias) {
+            return new RegExp('(^|[^\\w.$#])' + alias + '\\.').test(masked);
+        });
+    }
+
+    /**
+     * Find the select item an ORDER BY item names, by alias or position
+     *
+     * @param {Object} item - ORDER BY item
+     * @param {Array} selectItems - Select items
+     * @returns {string|null} Output column name, or null
+     */
+    function findOutputName(item, selectItems) {
+        var expression = item.expression;
+
+        if (expression.type === 'literal' && typeof expression.value === 'number') {
+            var selected = selectItems[expression.value - 1];
+            if (!selected || selected.type !== 'expression') {
+                throw new Error('ORDER BY position ' + expression.value + ' must refer to a column of the select list');
+            }
+            return selected.name;
+        }
+
+        if (expression.type === 'column' && expression.name.indexOf('.') === -1) {
+            for (var i = 0; i < selectItems.length; i++) {
+                if (selectItems[i].type === 'expression' && selectItems[i].name === expression.name.toLowerCase()) {
+                    return selectItems[i].name;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Split function arguments at their top-level commas
+     *
+     * @param {string} text - Argument list
+     * @returns {Array} Argument texts
+     */
+    function splitArguments(text) {
+        var masked = resultJoins.maskLiterals(text);
+        var args = [];
+        var start = 0;
+
+        for (var i = 0; i < masked.length; i++) {
+            if (masked[i] === ',' && resultJoins.getDepth(masked, i) === 0) {
+                args.push(text.substring(start, i).trim());
+                start = i + 1;
+            }
+        }
+
+        if (text.trim() !== '') {
+            args.push(text.substring(start).trim());
+        }
+
+        return args;
+    }
+
+    /**
+     * Find where a FROM source or ON condition ends
+     *
+     * @param {string} masked - FROM clause with literals masked
+     * @param {number} start - Position to search from
+     * @returns {number} Position of the next top-level join or comma, or the end
+     */
+    function findSourceEnd(masked, start) {
+        var endPattern = /,|\b(LEFT|RIGHT|FULL|INNER|CROSS|JOIN)\b/ig;
+        var match;
+
+        endPattern.lastIndex = start;
+        while ((match = endPattern.exec(masked)) !== null) {
+            if (resultJoins.getDepth(masked, match.index) === 0) {
+                return match.index;
+            }
+        }
+
+        return masked.length;
+    }
+
+    // Public API
+    return {
+        analyzeTableQuery: analyzeTableQuery,
+        evaluateTableQuery: evaluateTableQuery
+    };
+});
@@ -267,6 +267,11 @@ define([
                 $('#${constants.MODAL_IDS.WORKBOOKS}').on('show.bs.modal', function() {
                     workbooksListGet();
                 });
+                
+                // Saved searches modal handler
+                $('#${constants.MODAL_IDS.SAVED_SEARCHES}').on('show.bs.modal', function() {
+                    savedSearchesListGet();
+                });
             }
         `;
     }
@@ -376,14 +381,17 @@ define([
     }
 
     /**
-     * Generate the query results header update JavaScript
+     * Generate the query results header and execution details JavaScript
      *
      * @returns {string} JavaScript code for updating query results header
      */
     function getUpdateQueryResultsHeaderJS() {
         return `
-            function updateQueryResultsHeader(recordCount, totalCount, elapsedTime) {
+            function updateQueryResultsHeader(recordCount, totalCount, elapsedTime, telemetry) {
                 const header = document.getElementById('${constants.ELEMENT_IDS.QUERY_RESULTS_HEADER}');
+                if (telemetry !== undefined) {
+                    renderExecutionDetails(telemetry);
+                }
                 if (header && recordCount !== undefined && elapsedTime !== undefined) {
                     let headerText = 'Query Results - Retrieved ' + recordCount;
                     if (totalCount !== undefined && document.getElementById('${constants.ELEMENT_IDS.RETURN_TOTALS}') && document.getElementById('${constants.ELEMENT_IDS.RETURN_TOTALS}').checked) {
@@ -395,6 +403,58 @@ define([
                     header.textContent = 'Query Results';
                 }
             }
+
+            function renderExecutionDetails(telemetry) {
+                const details = document.getElementById('${constants.ELEMENT_IDS.EXECUTION_DETAILS}');
+                if (!details) {
+                    return;
+                }
+
+                if (!telemetry) {
+                    details.style.display = 'none';
+                    details.open = false;
+                    return;
+                }
+
+                const expansions = [
+                    telemetry.viewsExpanded ? 'virtual views' : null,
+                    telemetry.syntheticExpanded ? 'synthetic functions' : null,
+                    telemetry.fromCache ? 'result cache' : null
+                ].filter(expansion => expansion !== null);
+
+                const rows = [
+                    ['Governance used', telemetry.governanceUsed + ' units'],
+                    ['Governance remaining', telemetry.governanceRemaining + ' units'],
+                    ['Pages fetched', telemetry.pagesFetched],
+                    ['Expanded', expansions.length > 0 ? expansions.join(', ') : 'none']
+                ];
+
+                details.querySelector('.codeoss-execution-details-body').innerHTML = \`
+                    <table style="font-size: 11px; border-collapse: collapse; margin-bottom: 8px;">
+                        \${rows.map(row => \`<tr><td style="padding: 2px 12px 2px 0; color: var(--codeoss-text-secondary);">\${row[0]}</td><td>\${escapeHTML(row[1])}</td></tr>\`).join('')}
+                    </table>
+                    <div style="font-size: 11px; color: var(--codeoss-text-secondary); margin-bottom: 4px;">Final SQL</div>
+                    <pre style="margin: 0; padding: 8px; font-size: 11px; max-height: 200px; overflow: auto; white-space: pre-wrap; background-color: var(--codeoss-bg-secondary);">\${telemetry.finalSQL ? escapeHTML(telemetry.finalSQL) : 'No SQL was sent to N/query'}</pre>
+                \`;
+                details.style.display = '';
+            }
+        `;
+    }
+    
+    /**
+     * Generate HTML escaping JavaScript
+     *
+     * @returns {string} JavaScript code for escaping text inserted into HTML
+     */
+    function getEscapeHTMLJS() {
+        return `
+            function escapeHTML(value) {
+                return String(value === null || value === undefined ? '' : value)
+                    .replace(/&/g, '&amp;')
+                    .replace(/</g, '&lt;')
+                    .replace(/>/g, '&gt;')
+                    .replace(/"/g, '&quot;');
+            }
         `;
     }
     
@@ -410,7 +470,8 @@ define([
                getModalHandlersJS() + '\n' +
                getKeyboardHandlersJS() + '\n' +
                getFullScreenUtilitiesJS() + '\n' +
-               getUpdateQueryResultsHeaderJS();
+               getUpdateQueryResultsHeaderJS() + '\n' +
+               getEscapeHTMLJS();
     }
     
     /**
@@ -425,6 +486,7 @@ define([
         getKeyboardHandlersJS: getKeyboardHandlersJS,
         getFullScreenUtilitiesJS: getFullScreenUtilitiesJS,
         getUpdateQueryResultsHeaderJS: getUpdateQueryResultsHeaderJS,
+        getEscapeHTMLJS: getEscapeHTMLJS,
         getAllLayoutUtilitiesJS: getAllLayoutUtilitiesJS
     };
     
@@ -23,6 +23,9 @@
  * - custrecord_sqrt_history_shared_with_roles (Multiple Select - Role) - Shared roles
  * - custrecord_sqrt_history_shared_with_users (Multiple Select - Employee) - Shared users
  * - custrecord_sqrt_history_sharing_level (List) - None/Role/Individual/Public
+ * - custrecord_sqrt_history_governance_used (Integer) - Governance units used by the request
+ * - custrecord_sqrt_history_pages_fetched (Integer) - Pages fetched from N/query
+ * - custrecord_sqrt_history_exec_flags (Text) - Expansions applied (views, synthetic, cache)
  * 
  * @author Matt Owen - Web Solutions Group, LLC
  * @version 2025.1
@@ -45,7 +48,10 @@ define(['N/record', 'N/search', 'N/runtime', 'N/log'], function(record, search,
         SESSION_ID: 'custrecord_sqrt_history_session_id',
         SHARED_WITH_ROLES: 'custrecord_sqrt_history_shared_with_roles',
         SHARED_WITH_USERS: 'custrecord_sqrt_history_shared_with_users',
-        SHARING_LEVEL: 'custrecord_sqrt_history_sharing_level'
+        SHARING_LEVEL: 'custrecord_sqrt_history_sharing_level',
+        GOVERNANCE_USED: 'custrecord_sqrt_history_governance_used',
+        PAGES_FETCHED: 'custrecord_sqrt_history_pages_fetched',
+        EXECUTION_FLAGS: 'custrecord_sqrt_history_exec_flags'
     };
 
     // Sharing levels (using numeric IDs from custom list)
@@ -97,6 +103,9 @@ define(['N/record', 'N/search', 'N/runtime', 'N/log'], function(record, search,
      * @param {string} [historyData.errorMessage] - Error message if failed
      * @param {string} [historyData.resultFormat] - Result format (table, csv, json)
      * @param {string} [historyData.sessionId] - Browser session identifier
+     * @param {number} [historyData.governanceUsed] - Governance units used by the request
+     * @param {number} [historyData.pagesFetched] - Pages fetched from N/query
+     * @param {string} [historyData.executionFlags] - Comma-separated expansions applied
      * @returns {number} Record internal ID
      */
     function addQueryToHistory(historyData) {
@@ -166,6 +175,27 @@ define(['N/record', 'N/search', 'N/runtime', 'N/log'], function(record, search,
                 });
             }
             
+            if (historyData.governanceUsed !== undefined) {
+                newRecord.setValue({
+                    fieldId: FIELDS.GOVERNANCE_USED,
+                    value: historyData.governanceUsed
+                });
+            }
+            
+            if (historyData.pagesFetched !== undefined) {
+                newRecord.setValue({
+                    fieldId: FIELDS.PAGES_FETCHED,
+                    value: historyData.pagesFetched
+                });
+            }
+            
+            if (historyData.executionFlags) {
+                newRecord.setValue({
+                    fieldId: FIELDS.EXECUTION_FLAGS,
+                    value: historyData.executionFlags
+                });
+            }
+            
             const recordId = newRecord.save();
             
             log.debug('Query History Added', 'Record ID: ' + recordId);
@@ -220,7 +250,10 @@ define(['N/record', 'N/search', 'N/runtime', 'N/log'], function(record, search,
                     search.createColumn({ name: FIELDS.ERROR_MESSAGE }),
                     search.createColumn({ name: FIELDS.RESULT_FORMAT }),
                     search.createColumn({ name: FIELDS.QUERY_HASH }),
-                    search.createColumn({ name: FIELDS.SESSION_ID })
+                    search.createColumn({ name: FIELDS.SESSION_ID }),
+                    search.createColumn({ name: FIELDS.GOVERNANCE_USED }),
+                    search.createColumn({ name: FIELDS.PAGES_FETCHED }),
+                    search.createColumn({ name: FIELDS.EXECUTION_FLAGS })
                 ]
             });
             
@@ -266,7 +299,10 @@ define(['N/record', 'N/search', 'N/runtime', 'N/log'], function(record, search,
                     errorMessage: result.getValue(FIELDS.ERROR_MESSAGE),
                     resultFormat: result.getValue(FIELDS.RESULT_FORMAT),
                     queryHash: result.getValue(FIELDS.QUERY_HASH),
-                    sessionId: result.getValue(FIELDS.SESSION_ID)
+                    sessionId: result.getValue(FIELDS.SESSION_ID),
+                    governanceUsed: result.getValue(FIELDS.GOVERNANCE_USED),
+                    pagesFetched: result.getValue(FIELDS.PAGES_FETCHED),
+                    executionFlags: result.getValue(FIELDS.EXECUTION_FLAGS)
                 });
                 
                 count++;
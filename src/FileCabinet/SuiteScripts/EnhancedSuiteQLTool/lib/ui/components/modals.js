@@ -7,7 +7,7 @@
  * Enhanced SuiteQL Query Tool - Modal Components
  * 
  * This module contains all modal dialog HTML generators including
- * local load, remote load, save, and workbooks modals.
+ * local load, remote load, save, workbooks and saved searches modals.
  * 
  * @author Matt Owen - Web Solutions Group, LLC
  * @version 2025.1
@@ -123,6 +123,35 @@ define([
         `;
     }
     
+    /**
+     * Generate the saved searches modal HTML
+     * 
+     * @returns {string} HTML string for the saved searches modal
+     */
+    function htmlSavedSearchesModal() {
+        return `
+            <div class="modal fade" id="${constants.MODAL_IDS.SAVED_SEARCHES}">
+                <div class="modal-dialog modal-lg">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h4 class="modal-title">Convert Saved Search</h4>
+                            <button type="button" class="close" data-dismiss="modal">&times;</button>
+                        </div>
+                        <div class="modal-body">
+                            <form class="row" style="margin-bottom: 12px;" onsubmit="savedSearchesListGet(); return false;">
+                                <div class="col-12">
+                                    <input type="text" class="form-control" id="savedSearchesKeyword" placeholder="Filter by title" style="width: 300px; padding: 3px; display: inline-block;">
+                                    <button type="submit" class="btn btn-sm btn-secondary">Search</button>
+                                </div>
+                            </form>
+                            <div id="savedSearchesList"></div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+    
     /**
      * Generate all modals HTML
      * 
@@ -132,7 +161,8 @@ define([
         return htmlLocalLoadModal() + 
                htmlRemoteLoadModal() + 
                htmlSaveModal() + 
-               htmlWorkbooksModal();
+               htmlWorkbooksModal() + 
+               htmlSavedSearchesModal();
     }
     
     /**
@@ -245,6 +275,7 @@ define([
         htmlRemoteLoadModal: htmlRemoteLoadModal,
         htmlSaveModal: htmlSaveModal,
         htmlWorkbooksModal: htmlWorkbooksModal,
+        htmlSavedSearchesModal: htmlSavedSearchesModal,
         getAllModals: getAllModals,
         getModalStyles: getModalStyles
     };
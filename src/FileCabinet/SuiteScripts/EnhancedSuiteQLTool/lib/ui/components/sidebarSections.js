@@ -7,7 +7,7 @@
  * Enhanced SuiteQL Query Tool - Sidebar Sections
  * 
  * This module handles the expandable/collapsible sidebar sections
- * functionality including Query History and Saved Queries.
+ * functionality including Query History, Change Log and Saved Queries.
  * 
  * @author Matt Owen - Web Solutions Group, LLC
  * @version 2025.1
@@ -27,6 +27,7 @@ define([
             // Track section states (only one expanded at a time - accordion behavior)
             var sidebarSectionStates = {
                 queryHistory: false,
+                changeLog: false,
                 savedQueries: true  // Default to saved queries expanded
             };
 
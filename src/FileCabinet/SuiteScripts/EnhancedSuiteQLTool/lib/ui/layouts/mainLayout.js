@@ -39,6 +39,7 @@ define([
                     <div class="toolbar-buttons">
                         <button type="button" class="${constants.CSS_CLASSES.CODEOSS_BTN_SECONDARY}" onclick="toggleSidebar();" title="Toggle Sidebar">☰</button>
                         ${getWorkbooksButton()}
+                        ${getSavedSearchesButton()}
                         <button type="button" class="${constants.CSS_CLASSES.CODEOSS_BTN_SECONDARY}" onclick="toggleTheme();">🌓 Theme</button>
                     </div>
                 </div>
@@ -61,6 +62,7 @@ define([
                             </div>
                         </div>
 
+                        ${getChangeLogSection()}
 
 
                         <!-- Saved Queries Section -->
@@ -93,6 +95,10 @@ define([
                                           ondblclick="startInlineTabEdit()"
                                           title="Double-click to edit query name">Untitled query</span>
                                     <button type="button" class="${constants.CSS_CLASSES.CODEOSS_BTN}" onclick="querySubmit();" accesskey="r" title="Run Query (Ctrl+R)">▶ Run Query</button>
+                                    <button type="button" id="${constants.ELEMENT_IDS.CANCEL_QUERY_BTN}" class="${constants.CSS_CLASSES.CODEOSS_BTN_SECONDARY}" onclick="cancelQueryExecution('user');" title="Cancel the running query" style="display: none;">⏹ Cancel</button>
+                                    <button type="button" class="${constants.CSS_CLASSES.CODEOSS_BTN_SECONDARY}" onclick="runScript();" title="Run each semicolon-separated statement in order">▶▶ Run Script</button>
+                                    <button type="button" class="${constants.CSS_CLASSES.CODEOSS_BTN_SECONDARY}" onclick="submitQueryJob();" title="Run as a background job and download the results when finished">⏱ Run as Job</button>
+                                    <button type="button" class="${constants.CSS_CLASSES.CODEOSS_BTN_SECONDARY}" onclick="analyzeQuery();" title="Analyze the query without running it">🔍 Analyze</button>
                                     <button type="button" class="${constants.CSS_CLASSES.CODEOSS_BTN_SECONDARY}" onclick="saveCurrentTabAsQuery();" title="Save Query">💾</button>
                                     <div id="${constants.ELEMENT_IDS.FILE_INFO}" style="font-size: 10px; color: var(--codeoss-text-secondary);"></div>
                                 </div>
@@ -114,8 +120,15 @@ define([
                         <!-- Results Container -->
                         <div class="${constants.CSS_CLASSES.CODEOSS_RESULTS}">
                             <div class="codeoss-results-header">
-                                <span id="${constants.ELEMENT_IDS.QUERY_RESULTS_HEADER}">Query Results</span>
+                                <div style="display: flex; gap: 12px; align-items: center;">
+                                    <span id="${constants.ELEMENT_IDS.QUERY_RESULTS_HEADER}">Query Results</span>
+                                    <details class="codeoss-execution-details" id="${constants.ELEMENT_IDS.EXECUTION_DETAILS}" style="display: none;">
+                                        <summary>Execution details</summary>
+                                        <div class="codeoss-execution-details-body"></div>
+                                    </details>
+                                </div>
                                 <div style="display: flex; gap: 8px; align-items: center;">
+                                    <button type="button" class="${constants.CSS_CLASSES.CODEOSS_BTN_SECONDARY}" onclick="fetchNextPage(); return false;" id="${constants.ELEMENT_IDS.NEXT_PAGE_BTN}" style="display: none;">Next Page ▶</button>
                                     <button type="button" class="${constants.CSS_CLASSES.CODEOSS_BTN_SECONDARY}" onclick="copyResultsToClipboard(); return false;" id="${constants.ELEMENT_IDS.COPY_CLIPBOARD_BTN}" style="display: none;">📋 Copy to Clipboard</button>
                                     <div class="csv-export-group" style="display: none; position: relative;" id="csvExportGroup">
                                         <button type="button" class="${constants.CSS_CLASSES.CODEOSS_BTN_SECONDARY}" onclick="downloadCSV(); return false;" id="downloadCSVBtn">📥 Download CSV</button>
@@ -293,6 +306,39 @@ define([
         return '';
     }
     
+    /**
+     * Get saved searches button HTML (if enabled)
+     * 
+     * @returns {string} HTML string for saved searches button
+     */
+    function getSavedSearchesButton() {
+        if (constants.CONFIG.SAVED_SEARCHES.ENABLED) {
+            return `<button type="button" class="${constants.CSS_CLASSES.CODEOSS_BTN_SECONDARY}" data-toggle="modal" data-target="#${constants.MODAL_IDS.SAVED_SEARCHES}" title="Convert a saved search to SuiteQL">🔎 Saved Searches</button>`;
+        }
+        return '';
+    }
+    
+    /**
+     * Get change log sidebar section HTML (if enabled)
+     * 
+     * @returns {string} HTML string for the change log section
+     */
+    function getChangeLogSection() {
+        if (constants.CONFIG.CHANGE_LOG.ENABLED) {
+            return `<!-- Change Log Section -->
+                        <div class="codeoss-sidebar-section">
+                            <div class="codeoss-sidebar-section-header" onclick="toggleSidebarSection('changeLog')">
+                                <span class="codeoss-sidebar-section-icon" id="changeLogIcon">▼</span>
+                                <span class="codeoss-sidebar-section-title">CHANGE LOG</span>
+                            </div>
+                            <div class="codeoss-sidebar-section-content" id="changeLogContent">
+                                <div id="${constants.ELEMENT_IDS.CHANGE_LOG_LIST}"></div>
+                            </div>
+                        </div>`;
+        }
+        return '';
+    }
+    
     /**
      * Get remote library button HTML (if enabled)
      *
@@ -327,6 +373,8 @@ define([
         htmlQueryUI: htmlQueryUI,
         getWelcomeMessage: getWelcomeMessage,
         getWorkbooksButton: getWorkbooksButton,
+        getSavedSearchesButton: getSavedSearchesButton,
+        getChangeLogSection: getChangeLogSection,
         getRemoteLibraryButton: getRemoteLibraryButton,
         getLocalLibraryButtons: getLocalLibraryButtons
     };
@@ -30,9 +30,14 @@ define([
     '../../features/controls/options',
     '../../features/query/queryExecution',
     '../../features/query/parameterizedQueries',
+    '../../features/query/queryJobMonitor',
+    '../../features/query/savedSearchImport',
+    '../../features/query/queryAnalysisPanel',
+    '../../features/query/scriptExecution',
     '../../features/savedQueries/savedQueriesManager',
+    '../../features/changeLog/changeLogManager',
     '../../features/ui/layoutUtils'
-], function(constants, themes, modals, sidebarSections, queryTabs, mainLayout, editorSetup, historyManager, csvExporter, csvOptionsModal, jsonExporter, tableRenderer, controlsOptions, queryExecution, parameterizedQueries, savedQueriesManager, layoutUtils) {
+], function(constants, themes, modals, sidebarSections, queryTabs, mainLayout, editorSetup, historyManager, csvExporter, csvOptionsModal, jsonExporter, tableRenderer, controlsOptions, queryExecution, parameterizedQueries, queryJobMonitor, savedSearchImport, queryAnalysisPanel, scriptExecution, savedQueriesManager, changeLogManager, layoutUtils) {
 
     /**
      * Get all JavaScript functions from feature modules
@@ -64,7 +69,13 @@ define([
 
             ${queryExecution.getAllQueryExecutionJS()}
 
+            ${queryJobMonitor.getAllQueryJobsJS()}
+            ${savedSearchImport.getAllSavedSearchImportJS()}
+            ${queryAnalysisPanel.getAllQueryAnalysisJS()}
+            ${scriptExecution.getAllScriptExecutionJS()}
+
             ${savedQueriesManager.getAllSavedQueriesJS()}
+            ${changeLogManager.getAllChangeLogJS()}
 
             ${layoutUtils.getAllLayoutUtilitiesJS()}
 
@@ -82,6 +93,7 @@ define([
                 // Sidebar and history
                 try { initializeSidebarSections(); } catch(e) { /* Silently handle initialization errors */ }
                 try { initializeQueryHistory(); } catch(e) { /* Silently handle initialization errors */ }
+                try { initializeChangeLog(); } catch(e) { /* Silently handle initialization errors */ }
 
                 // Layout and handlers
                 try { initializeResponsiveLayout(); } catch(e) { console.warn('initializeResponsiveLayout failed:', e); }
@@ -190,7 +202,12 @@ define([
                 ${controlsOptions.getAllControlsJS()}
                 ${queryExecution.getAllQueryExecutionJS()}
                 ${parameterizedQueries.getParameterModalJS()}
+                ${queryJobMonitor.getAllQueryJobsJS()}
+                ${savedSearchImport.getAllSavedSearchImportJS()}
+                ${queryAnalysisPanel.getAllQueryAnalysisJS()}
+                ${scriptExecution.getAllScriptExecutionJS()}
                 ${savedQueriesManager.getAllSavedQueriesJS()}
+                ${changeLogManager.getAllChangeLogJS()}
                 ${layoutUtils.getAllLayoutUtilitiesJS()}
 
                 // ========================================================================
@@ -207,6 +224,7 @@ define([
                     // Sidebar and history
                     try { initializeSidebarSections(); } catch(e) { console.warn('initializeSidebarSections failed:', e); }
                     try { initializeQueryHistory(); } catch(e) { console.warn('initializeQueryHistory failed:', e); }
+                    try { initializeChangeLog(); } catch(e) { console.warn('initializeChangeLog failed:', e); }
 
                     // Layout and handlers
                     try { initializeResponsiveLayout(); } catch(e) { console.warn('initializeResponsiveLayout failed:', e); }
@@ -514,6 +532,32 @@ define([
                     color: var(--codeoss-text-secondary);
                 }
 
+                .codeoss-execution-details {
+                    position: relative;
+                    text-transform: none;
+                    font-weight: normal;
+                }
+
+                .codeoss-execution-details summary {
+                    cursor: pointer;
+                    color: var(--codeoss-accent);
+                }
+
+                .codeoss-execution-details-body {
+                    position: absolute;
+                    top: 100%;
+                    left: 0;
+                    z-index: 100;
+                    width: 480px;
+                    margin-top: 6px;
+                    padding: 8px 12px;
+                    background-color: var(--codeoss-panel-bg);
+                    border: 1px solid var(--codeoss-border);
+                    border-radius: 4px;
+                    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+                    color: var(--codeoss-text-primary);
+                }
+
                 .codeoss-results-content {
                     flex: 1;
                     display: flex;
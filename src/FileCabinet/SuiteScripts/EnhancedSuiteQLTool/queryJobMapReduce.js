@@ -0,0 +1,166 @@
+/**
+* @NApiVersion 2.1
+* @NScriptType MapReduceScript
+* @NModuleScope Public
+*/
+
+/*
+
+------------------------------------------------------------------------------------------
+Script Information
+------------------------------------------------------------------------------------------
+
+Name:
+Enhanced SuiteQL Query Tool - Query Job
+
+ID:
+_sqrt_query_job_mr
+
+Description
+Runs a SuiteQL query submitted through the tool's queryJobSubmit request
+function outside of the Suitelet's governance and time limits.
+
+- getInputData: runs the query once and writes each page of results to its
+  own CSV/JSON file, so every page comes from the same execution.
+- map: passes each page file on to summarize.
+- summarize: lists the page files on the job and marks it complete or failed.
+
+*/
+
+define([
+    './lib/core/constants',
+    './lib/core/modules',
+    './lib/data/jobFiles',
+    './lib/data/queryJobs'
+], function(constants, nsModules, jobFiles, queryJobs) {
+
+    /**
+     * Get the job status file ID passed in by the Suitelet
+     *
+     * @returns {string} - The status file ID
+     */
+    function getJobFileId() {
+        return nsModules.runtime.getCurrentScript().getParameter({
+            name: constants.CONFIG.QUERY_JOBS.JOB_FILE_PARAMETER
+        });
+    }
+
+    /**
+     * Run the query through the paged API and write its result files
+     *
+     * The query runs once and all its pages are fetched from that one
+     * PagedData, so pages can't overlap or skip rows when the data changes
+     * while the job runs. Each page gets its own file so no stage holds the
+     * whole result in memory and no file grows past the File Cabinet's size
+     * limit. A page costs a fetch and a file save, so getInputData's usage
+     * limit allows a few hundred pages.
+     *
+     * @returns {Array} - The page files ({ pageIndex, fileId, rowCount })
+     */
+    function getInputData() {
+        var job = jobFiles.loadJob(getJobFileId());
+
+        var pagedData = nsModules.queryUtils.runSuiteQLPaged({
+            query: job.query,
+            params: job.params,
+            pageSize: constants.CONFIG.QUERY_JOBS.PAGE_SIZE
+        });
+
+        job.status = constants.CONFIG.QUERY_JOBS.STATUS.RUNNING;
+        job.rowCount = pagedData.count;
+        job.pageCount = pagedData.pageRanges.length;
+        jobFiles.saveJob(job);
+
+        nsModules.logger.audit('Query job started', { jobId: job.jobId, rows: job.rowCount, pages: job.pageCount });
+
+        return pagedData.pageRanges.map(function(pageRange) {
+            var records = pagedData.fetch({ index: pageRange.index }).data.asMappedResults();
+
+            return queryJobs.writeResultPage(job, pageRange.index, records);
+        });
+    }
+
+    /**
+     * Pass a page file on to summarize
+     *
+     * @param {Object} context - The map context
+     * @returns {void}
+     */
+    function map(context) {
+        var resultFile = JSON.parse(context.value);
+
+        // Zero-pad the key so pages sort in order during summarize
+        context.write({
+            key: ('000000' + resultFile.pageIndex).slice(-6),
+            value: JSON.stringify(resultFile)
+        });
+    }
+
+    /**
+     * List the result files and record the final job status
+     *
+     * @param {Object} summary - The summary context
+     * @returns {void}
+     */
+    function summarize(summary) {
+        var job = jobFiles.loadJob(getJobFileId());
+        var errors = [];
+
+        if (summary.inputSummary.error) {
+            errors.push(summary.inputSummary.error);
+        }
+
+        summary.mapSummary.errors.iterator().each(function(key, error) {
+            errors.push(error);
+            return true;
+        });
+
+        if (errors.length > 0) {
+            var firstError = errors[0];
+            try {
+                firstError = JSON.parse(firstError).message || firstError;
+            } catch (e) {
+                // Leave non-JSON errors as-is
+            }
+
+            job.status = constants.CONFIG.QUERY_JOBS.STATUS.FAILED;
+            job.error = firstError;
+
+            nsModules.logger.error('Query job failed', { jobId: job.jobId, errors: errors });
+        } else {
+            var resultFiles = [];
+
+            summary.output.iterator().each(function(key, value) {
+                resultFiles.push(JSON.parse(value));
+                return true;
+            });
+
+            resultFiles.sort(function(a, b) {
+                return a.pageIndex - b.pageIndex;
+            });
+
+            // A query with no rows still gets an (empty) file to download
+            if (resultFiles.length === 0) {
+                resultFiles.push(queryJobs.writeResultPage(job, 0, []));
+            }
+
+            job.resultFiles = resultFiles;
+            job.rowCount = resultFiles.reduce(function(total, resultFile) {
+                return total + resultFile.rowCount;
+            }, 0);
+            job.status = constants.CONFIG.QUERY_JOBS.STATUS.COMPLETE;
+
+            nsModules.logger.audit('Query job complete', { jobId: job.jobId, rows: job.rowCount, files: resultFiles.length });
+        }
+
+        job.completedDate = new Date().toISOString();
+        jobFiles.saveJob(job);
+    }
+
+    return {
+        getInputData: getInputData,
+        map: map,
+        summarize: summarize
+    };
+
+});